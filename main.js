@@ -100,32 +100,95 @@ app.on('window-all-closed', function () {
 
 app.on('before-quit', () => {
   app.isQuiting = true;
+  if (plcSimulator) {
+    plcSimulator.stop();
+  }
 });
 
 // Modbus service integration
 const ModbusService = require('./src/services/modbusService');
-const modbusService = new ModbusService();
+const DeviceManager = require('./src/services/deviceManager');
+const PlcSimulator = require('./src/services/plcSimulator');
+const PlcDiscovery = require('./src/services/plcDiscovery');
+const { createDefaultScanConfig } = require('./src/services/modbusScanner');
+const { DEFAULT_CONTROLLER, listControllers } = require('./src/services/controllerRegistry');
+const { TUNING_RULES, createDefaultAutotuneConfig } = require('./src/services/relayAutotune');
+const { IDENTIFICATION_RULES } = require('./src/services/systemIdentification');
+const { validateProfile } = require('./src/services/profileRunner');
+const { createDefaultSchedule, validateSchedule } = require('./src/services/setpointScheduler');
+const { createDefaultRotationPolicy } = require('./src/services/leadLagRotation');
+const { createDefaultRegisterMap, normalizeRegisterMap, validateRegisterMap } = require('./src/services/registerMap');
+const deviceManager = new DeviceManager({
+  recordingsDir: path.join(__dirname, 'recordings'),
+  stateDir: path.join(__dirname, 'state')
+});
+let plcSimulator = null;
 
 // Settings storage
 const fs = require('fs');
 const settingsPath = path.join(__dirname, 'settings.json');
 
-function loadSettings() {
-  try {
-    if (fs.existsSync(settingsPath)) {
-      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    }
-  } catch (error) {
-    console.error('Error loading settings:', error);
-  }
-  
+/**
+ * Settings for one container: its PLC connection and control options
+ */
+function createDefaultDeviceSettings(id = 'container-1', name = 'Container 1') {
   return {
+    id,
+    name,
     modbus: {
       host: '10.5.5.95',
       port: 502,
       unitId: 1,
-      timeout: 5000
+      timeout: 5000,
+      registerMap: createDefaultRegisterMap(),
+      retry: ModbusService.createDefaultRetryPolicy(),
+      readback: ModbusService.createDefaultReadbackPolicy(),
+      heartbeat: ModbusService.createDefaultHeartbeatPolicy(),
+      recorder: ModbusService.createDefaultRecorderPolicy()
+    },
+    control: {
+      safeOutput: 'all-off',
+      controller: { type: DEFAULT_CONTROLLER, params: {} },
+      setpoint: ModbusService.createDefaultSetpointPolicy(),
+      schedule: createDefaultSchedule(),
+      heating: ModbusService.createDefaultHeatingConfig(),
+      rotation: createDefaultRotationPolicy(),
+      protection: ModbusService.createDefaultProtectionPolicy()
+    }
+  };
+}
+
+function normalizeDeviceSettings(saved) {
+  const defaults = createDefaultDeviceSettings(saved.id, saved.name);
+  
+  return {
+    ...defaults,
+    ...saved,
+    modbus: {
+      ...defaults.modbus,
+      ...saved.modbus,
+      registerMap: normalizeRegisterMap(saved.modbus && saved.modbus.registerMap),
+      retry: { ...defaults.modbus.retry, ...(saved.modbus && saved.modbus.retry) },
+      readback: { ...defaults.modbus.readback, ...(saved.modbus && saved.modbus.readback) },
+      heartbeat: { ...defaults.modbus.heartbeat, ...(saved.modbus && saved.modbus.heartbeat) },
+      recorder: { ...defaults.modbus.recorder, ...(saved.modbus && saved.modbus.recorder) }
     },
+    control: {
+      ...defaults.control,
+      ...saved.control,
+      controller: { ...defaults.control.controller, ...(saved.control && saved.control.controller) },
+      setpoint: { ...defaults.control.setpoint, ...(saved.control && saved.control.setpoint) },
+      schedule: { ...defaults.control.schedule, ...(saved.control && saved.control.schedule) },
+      heating: { ...defaults.control.heating, ...(saved.control && saved.control.heating) },
+      rotation: { ...defaults.control.rotation, ...(saved.control && saved.control.rotation) },
+      protection: { ...defaults.control.protection, ...(saved.control && saved.control.protection) }
+    }
+  };
+}
+
+function getDefaultSettings() {
+  return {
+    devices: [createDefaultDeviceSettings()],
     ui: {
       theme: 'light',
       pollingInterval: 2000,
@@ -137,10 +200,53 @@ function loadSettings() {
       kd: 0.5,
       cascadeThreshold: 50,
       balanceRatio: 0.6
-    }
+    },
+    simulator: {
+      ...PlcSimulator.createDefaultSimulatorConfig(),
+      autoStart: false
+    },
+    scanner: createDefaultScanConfig(),
+    discovery: PlcDiscovery.createDefaultDiscoveryConfig(),
+    profiles: []
   };
 }
 
+function loadSettings() {
+  const defaults = getDefaultSettings();
+  
+  try {
+    if (fs.existsSync(settingsPath)) {
+      const { modbus, control, ...saved } = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+      
+      // Settings files from before multi-device support hold one top-level modbus/control section
+      const devices = Array.isArray(saved.devices) && saved.devices.length > 0
+        ? saved.devices
+        : [{ ...createDefaultDeviceSettings(), modbus, control }];
+      
+      // Merge with defaults so settings files from older versions gain new sections
+      return {
+        ...defaults,
+        ...saved,
+        devices: devices.map(normalizeDeviceSettings),
+        scanner: { ...defaults.scanner, ...saved.scanner },
+        discovery: {
+          ...PlcDiscovery.createDefaultDiscoveryConfig(devices[0].modbus && devices[0].modbus.host),
+          ...saved.discovery
+        },
+        simulator: {
+          ...defaults.simulator,
+          ...saved.simulator,
+          model: { ...defaults.simulator.model, ...(saved.simulator && saved.simulator.model) }
+        }
+      };
+    }
+  } catch (error) {
+    console.error('Error loading settings:', error);
+  }
+  
+  return defaults;
+}
+
 function saveSettings(settings) {
   try {
     fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
@@ -151,204 +257,1106 @@ function saveSettings(settings) {
   }
 }
 
+/**
+ * Saved settings of a device, the first one when no ID is given
+ */
+function findDeviceSettings(settings, deviceId) {
+  const id = deviceManager.getDevice(deviceId).id;
+  const device = settings.devices.find(candidate => candidate.id === id);
+  if (!device) {
+    throw new Error(`No saved settings for device ${id}`);
+  }
+  return device;
+}
+
+/**
+ * Change one device's saved settings and hand them to its running services
+ * @param {Function} update - Receives the device settings to modify in place
+ */
+function updateDeviceSettings(deviceId, update) {
+  const settings = loadSettings();
+  const device = findDeviceSettings(settings, deviceId);
+  update(device);
+  
+  const success = saveSettings(settings);
+  deviceManager.updateDeviceSettings(device.id, { modbus: device.modbus, control: device.control });
+  return success;
+}
+
+/**
+ * Settings as the settings page edits them: the global sections plus the
+ * selected device's modbus and control sections at the top level
+ */
+function getSettingsView(deviceId) {
+  const settings = loadSettings();
+  const device = findDeviceSettings(settings, deviceId);
+  
+  return {
+    ...settings,
+    device: { id: device.id, name: device.name },
+    modbus: device.modbus,
+    control: device.control
+  };
+}
+
+/**
+ * Save the controller selection and tunables a device is running with
+ * Replay devices have no saved settings, their controller lasts as long as they do.
+ */
+function saveControllerSettings(deviceId) {
+  const entry = deviceManager.getDevice(deviceId);
+  if (entry.replay) return true;
+  
+  return updateDeviceSettings(entry.id, device => {
+    device.control.controller = entry.service.controlService.getControllerSettings();
+  });
+}
+
+/**
+ * Save the setpoint target, limits and ramp rate a device is running with
+ */
+function saveSetpointSettings(deviceId) {
+  const entry = deviceManager.getDevice(deviceId);
+  if (entry.replay) return true;
+  
+  return updateDeviceSettings(entry.id, device => {
+    device.control.setpoint = entry.service.controlService.getSetpointSettings();
+  });
+}
+
+/**
+ * Save the heating settings a device is running with
+ */
+function saveHeatingSettings(deviceId) {
+  const entry = deviceManager.getDevice(deviceId);
+  if (entry.replay) return true;
+  
+  return updateDeviceSettings(entry.id, device => {
+    device.control.heating = entry.service.controlService.getHeatingSettings();
+  });
+}
+
+function saveProtectionSettings(deviceId) {
+  const entry = deviceManager.getDevice(deviceId);
+  if (entry.replay) return true;
+  
+  return updateDeviceSettings(entry.id, device => {
+    device.control.protection = entry.service.getProtectionSettings();
+  });
+}
+
+function saveSettingsView(deviceId, view) {
+  // Profiles are saved as they change, like the control settings kept below
+  const { devices, device, modbus, control, profiles, ...sections } = view;
+  const settings = { ...loadSettings(), ...sections };
+  const target = findDeviceSettings(settings, deviceId);
+  
+  if (modbus) target.modbus = modbus;
+  if (control) {
+    // Controller, setpoint, schedule, heating, rotation and protection are saved as they change, a view loaded earlier may hold older ones
+    const { controller, setpoint, schedule, heating, rotation, protection } = target.control;
+    target.control = { ...control, controller, setpoint, schedule, heating, rotation, protection };
+  }
+  
+  const success = saveSettings(settings);
+  if (success) {
+    deviceManager.updateDeviceSettings(target.id, { modbus: target.modbus, control: target.control });
+  }
+  return success;
+}
+
 // IPC handlers
-ipcMain.handle('modbus:connect', async (event, config) => {
+// Device-scoped channels take the device ID as their first argument
+ipcMain.handle('devices:list', async () => {
+  return { success: true, devices: deviceManager.listDevices() };
+});
+
+ipcMain.handle('devices:add', async (event, config = {}) => {
   try {
-    const result = await modbusService.connect(config);
-    if (result) {
-      modbusService.startPolling();
-    }
-    return result;
+    const name = config.name || `Container ${deviceManager.devices.size + 1}`;
+    const device = normalizeDeviceSettings({
+      ...createDefaultDeviceSettings(deviceManager.createDeviceId(name), name),
+      modbus: config.modbus
+    });
+    
+    const settings = loadSettings();
+    settings.devices.push(device);
+    saveSettings(settings);
+    
+    deviceManager.addDevice(device);
+    await deviceManager.startDevice(device.id);
+    return { success: true, id: device.id };
   } catch (error) {
-    return { error: error.message };
+    console.error('Failed to add device:', error);
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('modbus:disconnect', async () => {
+ipcMain.handle('devices:remove', async (event, deviceId) => {
   try {
-    await modbusService.disconnect();
-    return true;
+    await deviceManager.removeDevice(deviceId);
+    
+    const settings = loadSettings();
+    settings.devices = settings.devices.filter(device => device.id !== deviceId);
+    const success = saveSettings(settings);
+    return { success };
   } catch (error) {
-    return { error: error.message };
+    console.error('Failed to remove device:', error);
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('modbus:read-temperature', async () => {
+ipcMain.handle('devices:rename', async (event, deviceId, name) => {
   try {
-    return await modbusService.readTemperature();
+    deviceManager.renameDevice(deviceId, name);
+    
+    const settings = loadSettings();
+    findDeviceSettings(settings, deviceId).name = name;
+    const success = saveSettings(settings);
+    return { success };
   } catch (error) {
-    return { error: error.message };
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('modbus:write-peltier', async (event, peltierId, state) => {
+ipcMain.handle('modbus:connect', async (event, deviceId, config) => {
   try {
-    console.log(`[Main Process] Received Peltier control request: Peltier ${peltierId} -> ${state ? 'ON' : 'OFF'}`);
-    return await modbusService.writePeltierControl(peltierId, state);
+    const service = deviceManager.getService(deviceId);
+    const result = await service.connect(config);
+    // Poll even if the first attempt failed, reads resume once a reconnect succeeds
+    service.startPolling();
+    return result;
   } catch (error) {
-    console.error(`[Main Process] Peltier control error:`, error);
     return { error: error.message };
   }
 });
 
-ipcMain.handle('modbus:discover', async (event, networkBase) => {
+ipcMain.handle('modbus:disconnect', async (event, deviceId) => {
   try {
-    return await modbusService.discoverPLCs(networkBase);
+    await deviceManager.getService(deviceId).disconnect();
+    return true;
   } catch (error) {
     return { error: error.message };
   }
 });
 
-ipcMain.handle('modbus:scan-functions', async () => {
+ipcMain.handle('modbus:get-connection-status', async (event, deviceId) => {
   try {
-    return await modbusService.scanModbusFunctions();
+    return deviceManager.getService(deviceId).getConnectionStatus();
   } catch (error) {
-    return { error: error.message };
+    return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('settings:save', async (event, settings) => {
-  return saveSettings(settings);
+ipcMain.handle('modbus:get-queue-stats', async (event, deviceId) => {
+  try {
+    return { success: true, stats: deviceManager.getService(deviceId).getQueueStats() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('settings:load', async () => {
-  return loadSettings();
+ipcMain.handle('modbus:get-diagnostics', async (event, deviceId) => {
+  try {
+    return { success: true, diagnostics: deviceManager.getService(deviceId).getDiagnostics() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-ipcMain.handle('system:info', async () => {
-  return {
-    platform: process.platform,
-    arch: process.arch,
-    nodeVersion: process.version,
-    electronVersion: process.versions.electron
-  };
+ipcMain.handle('modbus:reset-diagnostics', async (event, deviceId) => {
+  try {
+    deviceManager.getService(deviceId).diagnostics.reset();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 });
 
-// PID Settings handlers
-ipcMain.handle('pid:save-settings', async (event, pidParams) => {
+ipcMain.handle('modbus:reconnect', async (event, deviceId) => {
   try {
-    const settings = loadSettings();
-    settings.pid = { ...settings.pid, ...pidParams };
-    const success = saveSettings(settings);
-    return { success };
+    const service = deviceManager.getService(deviceId);
+    const connected = await service.reconnectNow();
+    return { success: connected, status: service.getConnectionStatus() };
   } catch (error) {
-    console.error('Failed to save PID settings:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('pid:get-settings', async () => {
+ipcMain.handle('modbus:set-mock-mode', async (event, deviceId, enabled) => {
   try {
-    const settings = loadSettings();
-    return { success: true, params: settings.pid };
+    const service = deviceManager.getService(deviceId);
+    service.setMockMode(enabled);
+    return { success: true, status: service.getConnectionStatus() };
   } catch (error) {
-    console.error('Failed to get PID settings:', error);
     return { success: false, error: error.message };
   }
 });
 
-// RBF Adaptive PID controller handlers
-ipcMain.handle('rbf:get-status', async () => {
+ipcMain.handle('modbus:read-temperature', async (event, deviceId) => {
+  try {
+    return await deviceManager.getService(deviceId).readTemperature();
+  } catch (error) {
+    return { error: error.message };
+  }
+});
+
+// Manual writes pass the outputs' anti-short-cycle protection unless override is set,
+// a held write comes back with held describing why
+ipcMain.handle('modbus:write-peltier', async (event, deviceId, peltierId, state, override = false) => {
+  try {
+    console.log(`[Main Process] Received Peltier control request: ${deviceId || 'default'} Peltier ${peltierId} -> ${state ? 'ON' : 'OFF'}${override ? ' (override)' : ''}`);
+    return await deviceManager.getService(deviceId).writePeltierControl(peltierId, state, { override });
+  } catch (error) {
+    console.error(`[Main Process] Peltier control error:`, error.message);
+    return { error: error.message, held: error.held };
+  }
+});
+
+ipcMain.handle('modbus:write-peltier-duty', async (event, deviceId, peltierId, duty, override = false) => {
+  try {
+    console.log(`[Main Process] Received Peltier duty request: ${deviceId || 'default'} Peltier ${peltierId} -> ${duty}%${override ? ' (override)' : ''}`);
+    return await deviceManager.getService(deviceId).writePeltierDuty(peltierId, duty, { override });
+  } catch (error) {
+    console.error(`[Main Process] Peltier duty error:`, error.message);
+    return { error: error.message, held: error.held };
+  }
+});
+
+ipcMain.handle('modbus:discover', async (event, deviceId, options) => {
   try {
-    if (!modbusService.controlService) {
-      return { success: false, error: 'Control service not initialized' };
+    // Remember the sweep setup for next time
+    if (options) {
+      const settings = loadSettings();
+      settings.discovery = { ...settings.discovery, ...options };
+      saveSettings(settings);
     }
     
-    const config = modbusService.controlService.getConfiguration();
-    const params = modbusService.controlService.getControllerParams();
-    const stats = modbusService.controlService.getPerformanceStats();
-    
-    return { 
-      success: true, 
-      config,
-      params,
-      stats
-    };
+    // Responders are probed with this device's register map
+    const result = await deviceManager.getService(deviceId).discoverPLCs(options);
+    return { success: true, ...result };
   } catch (error) {
-    console.error('Failed to get RBF controller status:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('rbf:set-enabled', async (event, enabled) => {
+ipcMain.handle('modbus:cancel-discovery', async (event, deviceId) => {
   try {
-    if (!modbusService.controlService) {
-      return { success: false, error: 'Control service not initialized' };
-    }
-    
-    modbusService.controlService.setEnabled(enabled);
-    return { success: true };
+    return { success: deviceManager.getService(deviceId).cancelDiscovery() };
   } catch (error) {
-    console.error('Failed to set RBF controller state:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('rbf:export-model', async () => {
+ipcMain.handle('modbus:scan-functions', async (event, deviceId, options) => {
   try {
-    if (!modbusService.controlService) {
-      return { success: false, error: 'Control service not initialized' };
+    // Remember the scan setup for next time
+    if (options) {
+      const settings = loadSettings();
+      settings.scanner = { ...settings.scanner, ...options };
+      saveSettings(settings);
     }
     
-    const model = modbusService.controlService.exportRBFModel();
-    return { success: true, model };
+    const result = await deviceManager.getService(deviceId).scanModbusFunctions(options);
+    return { success: true, ...result };
   } catch (error) {
-    console.error('Failed to export RBF model:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('rbf:import-model', async (event, model) => {
+ipcMain.handle('modbus:cancel-scan', async (event, deviceId) => {
   try {
-    if (!modbusService.controlService) {
-      return { success: false, error: 'Control service not initialized' };
-    }
+    return { success: deviceManager.getService(deviceId).cancelScan() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('modbus:get-channels', async (event, deviceId) => {
+  try {
+    return { success: true, channels: deviceManager.getService(deviceId).getChannels() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('modbus:get-outputs', async (event, deviceId) => {
+  try {
+    return { success: true, outputs: deviceManager.getService(deviceId).getOutputs() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('modbus:get-heartbeat', async (event, deviceId) => {
+  try {
+    return { success: true, heartbeat: deviceManager.getService(deviceId).getHeartbeatStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recorder:get-status', async (event, deviceId) => {
+  try {
+    return { success: true, recorder: deviceManager.getService(deviceId).getRecorderStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recorder:set-enabled', async (event, deviceId, enabled) => {
+  try {
+    const recorder = deviceManager.getService(deviceId).setRecording(enabled);
     
-    const success = modbusService.controlService.importRBFModel(model);
-    return { success };
+    const success = updateDeviceSettings(deviceId, device => {
+      device.modbus.recorder.enabled = !!enabled;
+    });
+    return { success, recorder };
+  } catch (error) {
+    console.error('Failed to switch traffic recording:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('recorder:list', async (event, deviceId) => {
+  try {
+    return { success: true, recordings: deviceManager.listRecordings(deviceId) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('replay:start', async (event, deviceId, file, options) => {
+  try {
+    const entry = await deviceManager.startReplay(deviceId, file, options);
+    return { success: true, id: entry.id, status: entry.replay.getStatus() };
+  } catch (error) {
+    console.error('Failed to start replay:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('replay:stop', async (event, deviceId) => {
+  try {
+    deviceManager.stopReplay(deviceId);
+    return { success: true };
   } catch (error) {
-    console.error('Failed to import RBF model:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Forward Modbus events to renderer
-modbusService.on('temperatureUpdate', (data) => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('temperature:update', data);
+// Ramp/soak profiles: the library is shared by all devices, each device runs its own
+ipcMain.handle('profiles:list', async () => {
+  return { success: true, profiles: loadSettings().profiles };
+});
+
+ipcMain.handle('profiles:save', async (event, profile) => {
+  const errors = validateProfile(profile);
+  if (errors.length > 0) {
+    return { success: false, errors };
   }
   
-  // Update tray tooltip with current temperature
-  if (tray) {
-    tray.setToolTip(`Peltier Monitor - ${data.temperature.toFixed(1)}°C`);
+  const settings = loadSettings();
+  const saved = {
+    id: profile.id || `profile-${Date.now().toString(36)}`,
+    name: profile.name.trim(),
+    segments: profile.segments
+  };
+  const index = settings.profiles.findIndex(candidate => candidate.id === saved.id);
+  if (index >= 0) {
+    settings.profiles[index] = saved;
+  } else {
+    settings.profiles.push(saved);
+  }
+  
+  return { success: saveSettings(settings), profile: saved };
+});
+
+ipcMain.handle('profiles:delete', async (event, profileId) => {
+  const settings = loadSettings();
+  settings.profiles = settings.profiles.filter(profile => profile.id !== profileId);
+  return { success: saveSettings(settings) };
+});
+
+ipcMain.handle('profile:get-status', async (event, deviceId) => {
+  try {
+    return { success: true, status: deviceManager.getDevice(deviceId).profile.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
-modbusService.on('connectionStatus', (status) => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('modbus:connection-status', status);
+ipcMain.handle('profile:start', async (event, deviceId, profileId) => {
+  try {
+    const profile = loadSettings().profiles.find(candidate => candidate.id === profileId);
+    if (!profile) {
+      throw new Error(`Unknown profile: ${profileId}`);
+    }
+    
+    const runner = deviceManager.getDevice(deviceId).profile;
+    runner.start(profile);
+    return { success: true, status: runner.getStatus() };
+  } catch (error) {
+    console.error('Failed to start profile:', error);
+    return { success: false, error: error.message };
   }
 });
 
-modbusService.on('peltierStatusChange', (status) => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('peltier:status-change', status);
+['pause', 'resume', 'skip', 'stop'].forEach(action => {
+  ipcMain.handle(`profile:${action}`, async (event, deviceId) => {
+    try {
+      const runner = deviceManager.getDevice(deviceId).profile;
+      runner[action]();
+      return { success: true, status: runner.getStatus() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+});
+
+ipcMain.handle('modbus:get-discrepancies', async (event, deviceId) => {
+  try {
+    return { success: true, discrepancies: deviceManager.getService(deviceId).getDiscrepancies() };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
 });
 
-modbusService.on('controlDecision', (data) => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('controlDecision', data);
+ipcMain.handle('control:set-channel', async (event, deviceId, channelId) => {
+  try {
+    deviceManager.getService(deviceId).setControlChannel(channelId);
+    
+    // Persist the selection in the register map
+    const success = updateDeviceSettings(deviceId, device => {
+      device.modbus.registerMap.controlInput = channelId;
+    });
+    return { success };
+  } catch (error) {
+    console.error('Failed to set control channel:', error);
+    return { success: false, error: error.message };
   }
 });
 
-// Auto-connect on startup
-app.whenReady().then(async () => {
-  const settings = loadSettings();
+ipcMain.handle('settings:save', async (event, deviceId, settings) => {
   try {
-    await modbusService.connect(settings.modbus);
-    modbusService.startPolling(1000);  // 1 second for PID control
+    if (settings.modbus && settings.modbus.registerMap) {
+      const errors = validateRegisterMap(settings.modbus.registerMap);
+      if (errors.length > 0) {
+        console.error('Refusing to save invalid register map:', errors);
+        return false;
+      }
+    }
+    return saveSettingsView(deviceId, settings);
   } catch (error) {
-    console.log('Auto-connect failed, will use mock mode');
+    console.error('Failed to save settings:', error);
+    return false;
   }
-});
\ No newline at end of file
+});
+
+ipcMain.handle('modbus:validate-register-map', async (event, registerMap) => {
+  const errors = validateRegisterMap(registerMap);
+  return { valid: errors.length === 0, errors };
+});
+
+ipcMain.handle('settings:load', async (event, deviceId) => {
+  return getSettingsView(deviceId);
+});
+
+ipcMain.handle('system:info', async () => {
+  return {
+    platform: process.platform,
+    arch: process.arch,
+    nodeVersion: process.version,
+    electronVersion: process.versions.electron
+  };
+});
+
+// PLC simulator handlers
+async function startSimulator(overrides = {}) {
+  if (plcSimulator && plcSimulator.isRunning) {
+    return plcSimulator.getStatus();
+  }
+  
+  // The simulator serves the first container's register layout and watches its heartbeat
+  const settings = loadSettings();
+  const { registerMap, heartbeat } = settings.devices[0].modbus;
+  plcSimulator = new PlcSimulator({
+    ...settings.simulator,
+    ...overrides,
+    model: { ...settings.simulator.model, ...(overrides.model || {}) },
+    registerMap,
+    heartbeat: heartbeat.enabled ? { address: heartbeat.address, timeout: heartbeat.plcTimeout } : null
+  });
+  
+  try {
+    return await plcSimulator.start();
+  } catch (error) {
+    plcSimulator = null;
+    throw error;
+  }
+}
+
+ipcMain.handle('simulator:start', async (event, overrides) => {
+  try {
+    const status = await startSimulator(overrides);
+    return { success: true, status };
+  } catch (error) {
+    console.error('Failed to start PLC simulator:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('simulator:stop', async () => {
+  try {
+    if (plcSimulator) {
+      await plcSimulator.stop();
+      plcSimulator = null;
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to stop PLC simulator:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('simulator:status', async () => {
+  return {
+    success: true,
+    status: plcSimulator ? plcSimulator.getStatus() : { running: false }
+  };
+});
+
+ipcMain.handle('simulator:update-model', async (event, params) => {
+  try {
+    if (!plcSimulator) {
+      return { success: false, error: 'Simulator is not running' };
+    }
+    plcSimulator.updateModel(params);
+    return { success: true, status: plcSimulator.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// PID Settings handlers
+ipcMain.handle('pid:save-settings', async (event, pidParams) => {
+  try {
+    const settings = loadSettings();
+    settings.pid = { ...settings.pid, ...pidParams };
+    const success = saveSettings(settings);
+    return { success };
+  } catch (error) {
+    console.error('Failed to save PID settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pid:get-settings', async () => {
+  try {
+    const settings = loadSettings();
+    return { success: true, params: settings.pid };
+  } catch (error) {
+    console.error('Failed to get PID settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// RBF Adaptive PID controller handlers
+ipcMain.handle('rbf:get-status', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    const config = controlService.getConfiguration();
+    const params = controlService.getControllerParams();
+    const stats = controlService.getPerformanceStats();
+    
+    return { 
+      success: true, 
+      config,
+      params,
+      stats
+    };
+  } catch (error) {
+    console.error('Failed to get RBF controller status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rbf:set-enabled', async (event, deviceId, enabled) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.setEnabled(enabled);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to set RBF controller state:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-controller', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    const config = controlService.getConfiguration();
+    return {
+      success: true,
+      type: config.controller,
+      label: config.controllerLabel,
+      enabled: config.enabled,
+      params: controlService.getControllerParams(),
+      available: listControllers()
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-controller', async (event, deviceId, type, params) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.setController(type, params);
+    
+    const success = saveControllerSettings(deviceId);
+    return { success, type, params: controlService.getControllerParams() };
+  } catch (error) {
+    console.error('Failed to switch controller:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-controller-params', async (event, deviceId, params) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.updateControllerParams(params);
+    
+    const success = saveControllerSettings(deviceId);
+    return { success, params: controlService.getControllerParams() };
+  } catch (error) {
+    console.error('Failed to update controller parameters:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Relay autotune: the experiment runs in the control service, accepted gains are saved
+ipcMain.handle('control:get-autotune', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return {
+      success: true,
+      status: controlService.getAutotuneStatus(),
+      defaults: createDefaultAutotuneConfig(),
+      rules: TUNING_RULES
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:start-autotune', async (event, deviceId, config) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, status: controlService.startAutotune(config) };
+  } catch (error) {
+    console.error('Failed to start autotune:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:abort-autotune', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.abortAutotune();
+    return { success: true, status: controlService.getAutotuneStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:accept-autotune', async (event, deviceId, rule) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.acceptAutotune(rule);
+    
+    const success = saveControllerSettings(deviceId);
+    return { success, params: controlService.getControllerParams() };
+  } catch (error) {
+    console.error('Failed to accept autotune result:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:reject-autotune', async (event, deviceId) => {
+  try {
+    deviceManager.getService(deviceId).controlService.rejectAutotune();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-identification', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    const history = controlService.getPlantHistory();
+    return {
+      success: true,
+      stepTests: controlService.getStepTests(),
+      history: {
+        samples: history.length,
+        from: history.length > 0 ? history[0].timestamp : null,
+        to: history.length > 0 ? history[history.length - 1].timestamp : null
+      },
+      identification: controlService.identification,
+      rules: IDENTIFICATION_RULES
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:begin-step-test', async (event, deviceId, label) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, stepTest: controlService.beginStepTest(label) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:end-step-test', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, stepTest: controlService.endStepTest() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:identify', async (event, deviceId, window, options) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, identification: controlService.identifyPlant(window, options) };
+  } catch (error) {
+    console.error('Failed to identify plant:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:accept-identified-gains', async (event, deviceId, rule) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.acceptIdentifiedGains(rule);
+    
+    const success = saveControllerSettings(deviceId);
+    return { success, params: controlService.getControllerParams() };
+  } catch (error) {
+    console.error('Failed to take identified gains:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-setpoint', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, setpoint: controlService.getSetpointStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-setpoint', async (event, deviceId, setpoint) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.setSetpoint(setpoint);
+    
+    const success = saveSetpointSettings(deviceId);
+    return { success, setpoint: controlService.getSetpointStatus() };
+  } catch (error) {
+    console.error('Failed to set setpoint:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-setpoint-limits', async (event, deviceId, limits) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.setSetpointLimits(limits);
+    
+    const success = saveSetpointSettings(deviceId);
+    return { success, setpoint: controlService.getSetpointStatus() };
+  } catch (error) {
+    console.error('Failed to set setpoint limits:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-heating', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    return { success: true, heating: controlService.getHeatingStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-heating', async (event, deviceId, heating) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    controlService.loadHeatingSettings(heating);
+    
+    const success = saveHeatingSettings(deviceId);
+    return { success, heating: controlService.getHeatingStatus() };
+  } catch (error) {
+    console.error('Failed to set heating:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-protection', async (event, deviceId) => {
+  try {
+    return { success: true, protection: deviceManager.getService(deviceId).getProtectionStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-protection', async (event, deviceId, protection) => {
+  try {
+    const service = deviceManager.getService(deviceId);
+    service.loadProtectionSettings(protection);
+    
+    const success = saveProtectionSettings(deviceId);
+    return { success, protection: service.getProtectionStatus() };
+  } catch (error) {
+    console.error('Failed to set output protection:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rotation:get', async (event, deviceId) => {
+  try {
+    const { rotation } = deviceManager.getDevice(deviceId);
+    return { success: true, rotation: rotation.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rotation:save', async (event, deviceId, policy) => {
+  try {
+    const entry = deviceManager.getDevice(deviceId);
+    entry.rotation.load(policy);
+    
+    const success = entry.replay ? true : updateDeviceSettings(entry.id, device => {
+      device.control.rotation = entry.rotation.getPolicy();
+    });
+    return { success, rotation: entry.rotation.getStatus() };
+  } catch (error) {
+    console.error('Failed to save rotation settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rotation:rotate', async (event, deviceId, leadId = null) => {
+  try {
+    const { rotation } = deviceManager.getDevice(deviceId);
+    rotation.rotate(leadId);
+    return { success: true, rotation: rotation.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rotation:reset-counters', async (event, deviceId, peltierId = null) => {
+  try {
+    const { rotation } = deviceManager.getDevice(deviceId);
+    rotation.resetCounters(peltierId);
+    return { success: true, rotation: rotation.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('schedule:get', async (event, deviceId) => {
+  try {
+    const { schedule } = deviceManager.getDevice(deviceId);
+    return { success: true, schedule: schedule.getSchedule(), status: schedule.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('schedule:save', async (event, deviceId, changes) => {
+  try {
+    const entry = deviceManager.getDevice(deviceId);
+    if (entry.replay) {
+      throw new Error('Replays follow the recording, they have no schedule');
+    }
+    
+    // Expired overrides are dropped, new rules and overrides get an ID
+    const now = Date.now();
+    const withId = (item, prefix, index) => item.id ? item : { ...item, id: `${prefix}-${now.toString(36)}-${index}` };
+    const schedule = {
+      ...createDefaultSchedule(),
+      ...changes,
+      rules: (changes.rules || []).map((rule, index) => withId(rule, 'rule', index)),
+      overrides: (changes.overrides || [])
+        .filter(override => !(new Date(override.until).getTime() <= now))
+        .map((override, index) => withId(override, 'override', index))
+    };
+    
+    const errors = validateSchedule(schedule, entry.service.controlService.getSetpointSettings());
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+    
+    entry.schedule.load(schedule);
+    const success = updateDeviceSettings(entry.id, device => {
+      device.control.schedule = entry.schedule.getSchedule();
+    });
+    return { success, schedule: entry.schedule.getSchedule(), status: entry.schedule.getStatus() };
+  } catch (error) {
+    console.error('Failed to save schedule:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:get-suspension', async (event, deviceId) => {
+  try {
+    const config = deviceManager.getService(deviceId).controlService.getConfiguration();
+    return { success: true, suspension: config.suspension, safeOutput: config.safeOutput };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('control:set-safe-output', async (event, deviceId, mode) => {
+  try {
+    deviceManager.getService(deviceId).controlService.setSafeOutput(mode);
+    
+    const success = updateDeviceSettings(deviceId, device => {
+      device.control.safeOutput = mode;
+    });
+    return { success };
+  } catch (error) {
+    console.error('Failed to set safe output:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rbf:export-model', async (event, deviceId) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    const model = controlService.exportRBFModel();
+    return { success: true, model };
+  } catch (error) {
+    console.error('Failed to export RBF model:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rbf:import-model', async (event, deviceId, model) => {
+  try {
+    const { controlService } = deviceManager.getService(deviceId);
+    const success = controlService.importRBFModel(model);
+    return { success };
+  } catch (error) {
+    console.error('Failed to import RBF model:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Forward device events to renderer, tagged with the device they came from
+const RENDERER_CHANNELS = {
+  connectionStatus: 'modbus:connection-status',
+  peltierStatusChange: 'peltier:status-change',
+  scanProgress: 'modbus:scan-progress',
+  discoveryProgress: 'modbus:discovery-progress',
+  discoveryDevice: 'modbus:discovery-device',
+  outputDiscrepancy: 'peltier:discrepancy',
+  controlChannelChanged: 'control:channel-changed',
+  controlSuspensionChanged: 'control:suspension-changed',
+  controlDecision: 'controlDecision',
+  controllerChanged: 'control:controller-changed',
+  setpointChanged: 'control:setpoint-changed',
+  profileProgress: 'profile:progress',
+  scheduleTransition: 'schedule:transition',
+  rotationUpdate: 'rotation:update',
+  controlStateChanged: 'control:state-changed',
+  autotuneProgress: 'control:autotune-progress',
+  heartbeatStatus: 'modbus:heartbeat-status',
+  replayProgress: 'replay:progress'
+};
+
+/**
+ * Send to every open window so they all show the same state
+ */
+function sendToRenderers(channel, payload) {
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      window.webContents.send(channel, payload);
+    }
+  });
+}
+
+Object.entries(RENDERER_CHANNELS).forEach(([eventName, channel]) => {
+  deviceManager.on(eventName, (deviceId, data) => {
+    sendToRenderers(channel, { ...data, deviceId });
+  });
+});
+
+deviceManager.on('temperatureUpdate', (deviceId, data) => {
+  sendToRenderers('temperature:update', { ...data, deviceId });
+  
+  // Update tray tooltip with every container's current temperature
+  if (tray) {
+    const lines = deviceManager.listDevices().map(device => {
+      if (device.temperature === null) return `${device.name}: --`;
+      const qualityNote = device.quality && device.quality !== 'good' ? ` (${device.quality})` : '';
+      return `${device.name}: ${device.temperature.toFixed(1)}°C${qualityNote}`;
+    });
+    tray.setToolTip(`Peltier Monitor\n${lines.join('\n')}`);
+  }
+});
+
+// The setpoint a profile ended on or a schedule moved to stays after a restart
+deviceManager.on('profileProgress', (deviceId, status) => {
+  if (['completed', 'stopped', 'failed'].includes(status.status)) {
+    saveSetpointSettings(deviceId);
+  }
+});
+
+deviceManager.on('scheduleTransition', (deviceId, transition) => {
+  if (transition.setpoint !== null && !transition.skipped && !transition.error) {
+    saveSetpointSettings(deviceId);
+  }
+});
+
+deviceManager.on('devicesChanged', (devices) => {
+  sendToRenderers('devices:changed', devices);
+});
+
+// Auto-connect on startup
+app.whenReady().then(async () => {
+  const settings = loadSettings();
+  
+  // Bring up the simulator first so the connections below can target it
+  if (settings.simulator.autoStart) {
+    try {
+      await startSimulator();
+    } catch (error) {
+      console.log('PLC simulator auto-start failed:', error.message);
+    }
+  }
+  
+  settings.devices.forEach(device => deviceManager.addDevice(device));
+  
+  for (const device of settings.devices) {
+    try {
+      const connected = await deviceManager.startDevice(device.id, 1000);  // 1 second for PID control
+      if (!connected) {
+        console.log(`Auto-connect to ${device.name} failed, retrying in the background`);
+      }
+    } catch (error) {
+      console.log(`Auto-connect to ${device.name} failed:`, error.message);
+    }
+  }
+});
@@ -1,32 +1,124 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('electronAPI', {
+  // Devices (containers); device-scoped calls below take the device ID first
+  getDevices: () => ipcRenderer.invoke('devices:list'),
+  addDevice: (config) => ipcRenderer.invoke('devices:add', config),
+  removeDevice: (deviceId) => ipcRenderer.invoke('devices:remove', deviceId),
+  renameDevice: (deviceId, name) => ipcRenderer.invoke('devices:rename', deviceId, name),
+  
   // Modbus communication
-  connectToModbus: (config) => ipcRenderer.invoke('modbus:connect', config),
-  disconnectModbus: () => ipcRenderer.invoke('modbus:disconnect'),
-  readTemperature: () => ipcRenderer.invoke('modbus:read-temperature'),
-  writePeltierControl: (peltierId, state) => ipcRenderer.invoke('modbus:write-peltier', peltierId, state),
-  discoverPLCs: (networkBase) => ipcRenderer.invoke('modbus:discover', networkBase),
-  scanModbusFunctions: () => ipcRenderer.invoke('modbus:scan-functions'),
+  connectToModbus: (deviceId, config) => ipcRenderer.invoke('modbus:connect', deviceId, config),
+  disconnectModbus: (deviceId) => ipcRenderer.invoke('modbus:disconnect', deviceId),
+  getConnectionStatus: (deviceId) => ipcRenderer.invoke('modbus:get-connection-status', deviceId),
+  getQueueStats: (deviceId) => ipcRenderer.invoke('modbus:get-queue-stats', deviceId),
+  getDiagnostics: (deviceId) => ipcRenderer.invoke('modbus:get-diagnostics', deviceId),
+  resetDiagnostics: (deviceId) => ipcRenderer.invoke('modbus:reset-diagnostics', deviceId),
+  reconnectModbus: (deviceId) => ipcRenderer.invoke('modbus:reconnect', deviceId),
+  setMockMode: (deviceId, enabled) => ipcRenderer.invoke('modbus:set-mock-mode', deviceId, enabled),
+  readTemperature: (deviceId) => ipcRenderer.invoke('modbus:read-temperature', deviceId),
+  writePeltierControl: (deviceId, peltierId, state, override) => ipcRenderer.invoke('modbus:write-peltier', deviceId, peltierId, state, override),
+  writePeltierDuty: (deviceId, peltierId, duty, override) => ipcRenderer.invoke('modbus:write-peltier-duty', deviceId, peltierId, duty, override),
+  discoverPLCs: (deviceId, options) => ipcRenderer.invoke('modbus:discover', deviceId, options),
+  cancelDiscovery: (deviceId) => ipcRenderer.invoke('modbus:cancel-discovery', deviceId),
+  scanModbusFunctions: (deviceId, options) => ipcRenderer.invoke('modbus:scan-functions', deviceId, options),
+  cancelScan: (deviceId) => ipcRenderer.invoke('modbus:cancel-scan', deviceId),
+  validateRegisterMap: (registerMap) => ipcRenderer.invoke('modbus:validate-register-map', registerMap),
+  getChannels: (deviceId) => ipcRenderer.invoke('modbus:get-channels', deviceId),
+  getOutputs: (deviceId) => ipcRenderer.invoke('modbus:get-outputs', deviceId),
+  getDiscrepancies: (deviceId) => ipcRenderer.invoke('modbus:get-discrepancies', deviceId),
+  getHeartbeatStatus: (deviceId) => ipcRenderer.invoke('modbus:get-heartbeat', deviceId),
+  getRecorderStatus: (deviceId) => ipcRenderer.invoke('recorder:get-status', deviceId),
+  setRecording: (deviceId, enabled) => ipcRenderer.invoke('recorder:set-enabled', deviceId, enabled),
+  listRecordings: (deviceId) => ipcRenderer.invoke('recorder:list', deviceId),
+  startReplay: (deviceId, file, options) => ipcRenderer.invoke('replay:start', deviceId, file, options),
+  stopReplay: (deviceId) => ipcRenderer.invoke('replay:stop', deviceId),
+  setControlChannel: (deviceId, channelId) => ipcRenderer.invoke('control:set-channel', deviceId, channelId),
+  getControlSuspension: (deviceId) => ipcRenderer.invoke('control:get-suspension', deviceId),
+  setSafeOutput: (deviceId, mode) => ipcRenderer.invoke('control:set-safe-output', deviceId, mode),
+  
+  // PLC simulator
+  startSimulator: (overrides) => ipcRenderer.invoke('simulator:start', overrides),
+  stopSimulator: () => ipcRenderer.invoke('simulator:stop'),
+  getSimulatorStatus: () => ipcRenderer.invoke('simulator:status'),
+  updateSimulatorModel: (params) => ipcRenderer.invoke('simulator:update-model', params),
   
   // Settings
-  saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
-  loadSettings: () => ipcRenderer.invoke('settings:load'),
+  saveSettings: (deviceId, settings) => ipcRenderer.invoke('settings:save', deviceId, settings),
+  loadSettings: (deviceId) => ipcRenderer.invoke('settings:load', deviceId),
   
   // PID Settings
   savePIDSettings: (pidParams) => ipcRenderer.invoke('pid:save-settings', pidParams),
   getPIDSettings: () => ipcRenderer.invoke('pid:get-settings'),
   
+  // Controller selection, per device
+  getController: (deviceId) => ipcRenderer.invoke('control:get-controller', deviceId),
+  setController: (deviceId, type, params) => ipcRenderer.invoke('control:set-controller', deviceId, type, params),
+  setControllerParams: (deviceId, params) => ipcRenderer.invoke('control:set-controller-params', deviceId, params),
+  
+  // Ramp/soak profiles, the library is shared and runs are per device
+  listProfiles: () => ipcRenderer.invoke('profiles:list'),
+  saveProfile: (profile) => ipcRenderer.invoke('profiles:save', profile),
+  deleteProfile: (profileId) => ipcRenderer.invoke('profiles:delete', profileId),
+  getProfileStatus: (deviceId) => ipcRenderer.invoke('profile:get-status', deviceId),
+  startProfile: (deviceId, profileId) => ipcRenderer.invoke('profile:start', deviceId, profileId),
+  pauseProfile: (deviceId) => ipcRenderer.invoke('profile:pause', deviceId),
+  resumeProfile: (deviceId) => ipcRenderer.invoke('profile:resume', deviceId),
+  skipProfileSegment: (deviceId) => ipcRenderer.invoke('profile:skip', deviceId),
+  stopProfile: (deviceId) => ipcRenderer.invoke('profile:stop', deviceId),
+  
+  // Relay autotune, per device
+  getAutotune: (deviceId) => ipcRenderer.invoke('control:get-autotune', deviceId),
+  startAutotune: (deviceId, config) => ipcRenderer.invoke('control:start-autotune', deviceId, config),
+  abortAutotune: (deviceId) => ipcRenderer.invoke('control:abort-autotune', deviceId),
+  acceptAutotune: (deviceId, rule) => ipcRenderer.invoke('control:accept-autotune', deviceId, rule),
+  rejectAutotune: (deviceId) => ipcRenderer.invoke('control:reject-autotune', deviceId),
+  
+  // System identification from logged samples, per device
+  getIdentification: (deviceId) => ipcRenderer.invoke('control:get-identification', deviceId),
+  beginStepTest: (deviceId, label) => ipcRenderer.invoke('control:begin-step-test', deviceId, label),
+  endStepTest: (deviceId) => ipcRenderer.invoke('control:end-step-test', deviceId),
+  identifyPlant: (deviceId, window, options) => ipcRenderer.invoke('control:identify', deviceId, window, options),
+  acceptIdentifiedGains: (deviceId, rule) => ipcRenderer.invoke('control:accept-identified-gains', deviceId, rule),
+  
+  // Calendar schedule, per device
+  getSchedule: (deviceId) => ipcRenderer.invoke('schedule:get', deviceId),
+  saveSchedule: (deviceId, schedule) => ipcRenderer.invoke('schedule:save', deviceId, schedule),
+  
+  // Runtime counters and lead rotation, per device
+  getRotation: (deviceId) => ipcRenderer.invoke('rotation:get', deviceId),
+  saveRotation: (deviceId, policy) => ipcRenderer.invoke('rotation:save', deviceId, policy),
+  rotateLead: (deviceId, leadId) => ipcRenderer.invoke('rotation:rotate', deviceId, leadId),
+  resetRuntimeCounters: (deviceId, peltierId) => ipcRenderer.invoke('rotation:reset-counters', deviceId, peltierId),
+  
+  // Setpoint, per device
+  getSetpoint: (deviceId) => ipcRenderer.invoke('control:get-setpoint', deviceId),
+  setSetpoint: (deviceId, setpoint) => ipcRenderer.invoke('control:set-setpoint', deviceId, setpoint),
+  setSetpointLimits: (deviceId, limits) => ipcRenderer.invoke('control:set-setpoint-limits', deviceId, limits),
+  
+  // Heating through reversible outputs, per device
+  getHeating: (deviceId) => ipcRenderer.invoke('control:get-heating', deviceId),
+  setHeating: (deviceId, heating) => ipcRenderer.invoke('control:set-heating', deviceId, heating),
+  
+  // Anti-short-cycle protection of the outputs, per device
+  getProtection: (deviceId) => ipcRenderer.invoke('control:get-protection', deviceId),
+  setProtection: (deviceId, protection) => ipcRenderer.invoke('control:set-protection', deviceId, protection),
+  
   // RBF Adaptive PID Controller
-  getRBFStatus: () => ipcRenderer.invoke('rbf:get-status'),
-  setRBFEnabled: (enabled) => ipcRenderer.invoke('rbf:set-enabled', enabled),
-  exportRBFModel: () => ipcRenderer.invoke('rbf:export-model'),
-  importRBFModel: (model) => ipcRenderer.invoke('rbf:import-model', model),
+  getRBFStatus: (deviceId) => ipcRenderer.invoke('rbf:get-status', deviceId),
+  setRBFEnabled: (deviceId, enabled) => ipcRenderer.invoke('rbf:set-enabled', deviceId, enabled),
+  exportRBFModel: (deviceId) => ipcRenderer.invoke('rbf:export-model', deviceId),
+  importRBFModel: (deviceId, model) => ipcRenderer.invoke('rbf:import-model', deviceId, model),
   
   // System
   getSystemInfo: () => ipcRenderer.invoke('system:info'),
   
-  // Events
+  // Events (device events carry the deviceId they came from)
+  onDevicesChanged: (callback) => {
+    ipcRenderer.on('devices:changed', callback);
+    return () => ipcRenderer.removeListener('devices:changed', callback);
+  },
+  
   onTemperatureUpdate: (callback) => {
     ipcRenderer.on('temperature:update', callback);
     return () => ipcRenderer.removeListener('temperature:update', callback);
@@ -42,6 +134,81 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('peltier:status-change', callback);
   },
   
+  onScanProgress: (callback) => {
+    ipcRenderer.on('modbus:scan-progress', callback);
+    return () => ipcRenderer.removeListener('modbus:scan-progress', callback);
+  },
+  
+  onDiscoveryProgress: (callback) => {
+    ipcRenderer.on('modbus:discovery-progress', callback);
+    return () => ipcRenderer.removeListener('modbus:discovery-progress', callback);
+  },
+  
+  onDiscoveryDevice: (callback) => {
+    ipcRenderer.on('modbus:discovery-device', callback);
+    return () => ipcRenderer.removeListener('modbus:discovery-device', callback);
+  },
+  
+  onPeltierDiscrepancy: (callback) => {
+    ipcRenderer.on('peltier:discrepancy', callback);
+    return () => ipcRenderer.removeListener('peltier:discrepancy', callback);
+  },
+  
+  onControlChannelChange: (callback) => {
+    ipcRenderer.on('control:channel-changed', callback);
+    return () => ipcRenderer.removeListener('control:channel-changed', callback);
+  },
+  
+  onControlSuspensionChange: (callback) => {
+    ipcRenderer.on('control:suspension-changed', callback);
+    return () => ipcRenderer.removeListener('control:suspension-changed', callback);
+  },
+  
+  onHeartbeatStatus: (callback) => {
+    ipcRenderer.on('modbus:heartbeat-status', callback);
+    return () => ipcRenderer.removeListener('modbus:heartbeat-status', callback);
+  },
+  
+  onReplayProgress: (callback) => {
+    ipcRenderer.on('replay:progress', callback);
+    return () => ipcRenderer.removeListener('replay:progress', callback);
+  },
+  
+  onControllerChanged: (callback) => {
+    ipcRenderer.on('control:controller-changed', callback);
+    return () => ipcRenderer.removeListener('control:controller-changed', callback);
+  },
+  
+  onSetpointChanged: (callback) => {
+    ipcRenderer.on('control:setpoint-changed', callback);
+    return () => ipcRenderer.removeListener('control:setpoint-changed', callback);
+  },
+  
+  onProfileProgress: (callback) => {
+    ipcRenderer.on('profile:progress', callback);
+    return () => ipcRenderer.removeListener('profile:progress', callback);
+  },
+  
+  onScheduleTransition: (callback) => {
+    ipcRenderer.on('schedule:transition', callback);
+    return () => ipcRenderer.removeListener('schedule:transition', callback);
+  },
+  
+  onRotationUpdate: (callback) => {
+    ipcRenderer.on('rotation:update', callback);
+    return () => ipcRenderer.removeListener('rotation:update', callback);
+  },
+  
+  onAutotuneProgress: (callback) => {
+    ipcRenderer.on('control:autotune-progress', callback);
+    return () => ipcRenderer.removeListener('control:autotune-progress', callback);
+  },
+  
+  onControlStateChanged: (callback) => {
+    ipcRenderer.on('control:state-changed', callback);
+    return () => ipcRenderer.removeListener('control:state-changed', callback);
+  },
+  
   onControlDecision: (callback) => {
     ipcRenderer.on('controlDecision', callback);
     return () => ipcRenderer.removeListener('controlDecision', callback);
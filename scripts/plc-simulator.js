@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Run the PLC simulator without the app
+ *
+ *   npm run simulator -- --port 5020 --speed 10 --ambient 30
+ *
+ * Uses the register map and simulator section of settings.json when present.
+ */
+const fs = require('fs');
+const path = require('path');
+const PlcSimulator = require('../src/services/plcSimulator');
+
+const OPTIONS = {
+  '--host': ['host', String],
+  '--port': ['port', Number],
+  '--unit': ['unitId', Number],
+  '--speed': ['model.timeScale', Number],
+  '--ambient': ['model.ambientTemperature', Number],
+  '--load': ['model.ambientLoad', Number],
+  '--mass': ['model.thermalMass', Number],
+  '--cooling': ['model.defaultCoolingPower', Number],
+  '--initial': ['model.initialTemperature', Number]
+};
+
+function printUsage() {
+  console.log('Usage: node scripts/plc-simulator.js [options]\n');
+  console.log('  --host <ip>        Address to listen on (default 127.0.0.1)');
+  console.log('  --port <port>      Modbus TCP port (default 5020)');
+  console.log('  --unit <id>        Unit ID (default 1)');
+  console.log('  --speed <factor>   Simulated seconds per real second (default 1)');
+  console.log('  --ambient <°C>     Ambient temperature');
+  console.log('  --load <W>         Ambient heat load');
+  console.log('  --mass <J/°C>      Thermal mass of the container');
+  console.log('  --cooling <W>      Cooling power per Peltier');
+  console.log('  --initial <°C>     Starting container temperature');
+}
+
+function loadSettings() {
+  const settingsPath = path.join(__dirname, '..', 'settings.json');
+  try {
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Could not read settings.json, using defaults:', error.message);
+  }
+  return {};
+}
+
+function parseArgs(argv, config) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      printUsage();
+      process.exit(0);
+    }
+
+    const option = OPTIONS[argv[i]];
+    if (!option) {
+      console.error(`Unknown option: ${argv[i]}`);
+      printUsage();
+      process.exit(1);
+    }
+
+    const [key, parse] = option;
+    const value = parse(argv[++i]);
+    if (parse === Number && !isFinite(value)) {
+      console.error(`${argv[i - 1]} expects a number`);
+      process.exit(1);
+    }
+
+    if (key.startsWith('model.')) {
+      config.model[key.slice(6)] = value;
+    } else {
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
+async function main() {
+  const settings = loadSettings();
+  const saved = settings.simulator || {};
+  // Like the app, serve the first container's layout (older settings files have a top-level modbus section)
+  const modbus = (settings.devices && settings.devices[0] ? settings.devices[0].modbus : settings.modbus) || {};
+  const heartbeat = modbus.heartbeat && modbus.heartbeat.enabled
+    ? { address: modbus.heartbeat.address, timeout: modbus.heartbeat.plcTimeout }
+    : null;
+  const config = parseArgs(process.argv.slice(2), {
+    ...saved,
+    model: { ...(saved.model || {}) },
+    registerMap: modbus.registerMap,
+    heartbeat
+  });
+
+  const simulator = new PlcSimulator(config);
+  await simulator.start();
+
+  // Print the plant state every ten simulated steps
+  let steps = 0;
+  simulator.on('step', (status) => {
+    if (++steps % 10 !== 0) return;
+    const on = status.outputs.filter(output => output.state).map(output => output.name);
+    console.log(`🌡️ ${status.temperature.toFixed(2)}°C, cooling ${Math.round(status.coolingPower)}W [${on.join(', ') || 'all off'}]`);
+  });
+
+  const shutdown = async () => {
+    await simulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+  console.error('PLC simulator failed:', error.message);
+  process.exit(1);
+});
@@ -1,25 +1,89 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import ModernPeltierDashboard from './components/ModernPeltierDashboard'
 import SettingsPage from './components/SettingsPage'
+import ProfilesPage from './components/ProfilesPage'
+import SchedulePage from './components/SchedulePage'
+import AutotunePage from './components/AutotunePage'
+import IdentificationPage from './components/IdentificationPage'
+import DeviceOverview from './components/DeviceOverview'
+
+const OVERVIEW_REFRESH = 2000
 
 function App() {
   const [currentPage, setCurrentPage] = useState('monitor')
+  const [devices, setDevices] = useState([])
+  const [selectedDeviceId, setSelectedDeviceId] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const refresh = async () => {
+      const result = await window.electronAPI.getDevices()
+      if (result.success) setDevices(result.devices)
+    }
+
+    refresh()
+    const interval = setInterval(refresh, OVERVIEW_REFRESH)
+    const unsubscribe = window.electronAPI.onDevicesChanged((_event, list) => setDevices(list))
+
+    return () => {
+      clearInterval(interval)
+      unsubscribe?.()
+    }
+  }, [])
+
+  // Fall back to the first container when none is selected or the selected one was removed
+  useEffect(() => {
+    if (devices.length > 0 && !devices.some(device => device.id === selectedDeviceId)) {
+      setSelectedDeviceId(devices[0].id)
+    }
+  }, [devices, selectedDeviceId])
 
   const renderPage = () => {
+    // Pages are keyed by device so switching containers starts from a clean state
     switch (currentPage) {
       case 'settings':
-        return <SettingsPage onBack={() => setCurrentPage('monitor')} />
+        return <SettingsPage key={selectedDeviceId} deviceId={selectedDeviceId} onBack={() => setCurrentPage('monitor')} />
+      case 'profiles':
+        return <ProfilesPage key={selectedDeviceId} deviceId={selectedDeviceId} onBack={() => setCurrentPage('monitor')} />
+      case 'schedule':
+        return <SchedulePage key={selectedDeviceId} deviceId={selectedDeviceId} onBack={() => setCurrentPage('monitor')} />
+      case 'autotune':
+        return <AutotunePage key={selectedDeviceId} deviceId={selectedDeviceId} onBack={() => setCurrentPage('monitor')} />
+      case 'identification':
+        return <IdentificationPage key={selectedDeviceId} deviceId={selectedDeviceId} onBack={() => setCurrentPage('monitor')} />
       case 'monitor':
       default:
-        return <ModernPeltierDashboard onOpenSettings={() => setCurrentPage('settings')} />
+        return (
+          <ModernPeltierDashboard
+            key={selectedDeviceId}
+            deviceId={selectedDeviceId}
+            onOpenSettings={() => setCurrentPage('settings')}
+            onOpenProfiles={() => setCurrentPage('profiles')}
+            onOpenSchedule={() => setCurrentPage('schedule')}
+            onOpenAutotune={() => setCurrentPage('autotune')}
+            onOpenIdentification={() => setCurrentPage('identification')}
+          />
+        )
     }
   }
 
+  if (window.electronAPI && !selectedDeviceId) {
+    return <div className="min-h-screen bg-background" />
+  }
+
   return (
     <div className="min-h-screen bg-background">
+      {devices.length > 0 && (
+        <DeviceOverview
+          devices={devices}
+          selectedId={selectedDeviceId}
+          onSelect={setSelectedDeviceId}
+        />
+      )}
       {renderPage()}
     </div>
   )
 }
 
-export default App
\ No newline at end of file
+export default App
@@ -0,0 +1,272 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { ArrowLeft, Gauge, Play, Square, Check, X } from 'lucide-react'
+
+const CONFIG_FIELDS = [
+  { key: 'hysteresis', label: 'Relay Hysteresis (°C)', step: 0.05 },
+  { key: 'cycles', label: 'Cycles Measured', step: 1 },
+  { key: 'maxExcursion', label: 'Abort Beyond (°C from setpoint)', step: 0.5 },
+  { key: 'maxDuration', label: 'Give Up After (min)', step: 5 },
+  { key: 'minSwitchInterval', label: 'Min Coil On/Off Time (s)', step: 1 }
+]
+
+// Measured periods further apart than this make the result doubtful
+const PERIOD_SPREAD_WARNING = 0.2
+
+const STATUS_BADGES = {
+  running: 'warning',
+  completed: 'success',
+  aborted: 'destructive'
+}
+
+const formatGain = (value) => value === undefined ? '-' : Number(value).toFixed(3)
+
+/**
+ * Relay autotune of this device: safety limits, live progress and the
+ * proposed gains to accept or reject
+ */
+const AutotunePage = ({ deviceId, onBack }) => {
+  const [status, setStatus] = useState(null)
+  const [config, setConfig] = useState(null)
+  const [rules, setRules] = useState({})
+  const [rule, setRule] = useState('tyreus-luyben')
+  const [controller, setController] = useState(null)
+  const [error, setError] = useState(null)
+  const [accepted, setAccepted] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getAutotune(deviceId).then(result => {
+      if (!result.success) return
+      setStatus(result.status)
+      setConfig(result.status ? result.status.config : result.defaults)
+      setRules(result.rules)
+    })
+    window.electronAPI.getController(deviceId).then(result => {
+      if (result.success) setController(result)
+    })
+
+    const unsubscribe = window.electronAPI.onAutotuneProgress((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setStatus(data.status === 'idle' ? null : data)
+    })
+    return () => unsubscribe?.()
+  }, [deviceId])
+
+  if (!config) return <div className="min-h-screen bg-background" />
+
+  const run = async (action) => {
+    setError(null)
+    const result = await action()
+    if (!result.success) setError(result.error)
+    return result
+  }
+
+  const handleStart = async () => {
+    setAccepted(null)
+    const result = await run(() => window.electronAPI.startAutotune(deviceId, config))
+    if (result.success) setStatus(result.status)
+  }
+
+  const handleAccept = async () => {
+    const result = await run(() => window.electronAPI.acceptAutotune(deviceId, rule))
+    if (result.success) {
+      setAccepted(rules[rule].label)
+      setStatus(null)
+    }
+  }
+
+  const handleReject = async () => {
+    const result = await run(() => window.electronAPI.rejectAutotune(deviceId))
+    if (result.success) setStatus(null)
+  }
+
+  const running = status && status.status === 'running'
+  const result = status && status.result
+  const labels = controller ? Object.fromEntries(controller.available.map(entry => [entry.type, entry.label])) : {}
+  const elapsed = status && status.startedAt ? ((status.finishedAt || Date.now()) - status.startedAt) / 60000 : 0
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-4xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center space-x-3">
+          <Button variant="outline" size="sm" onClick={onBack}>
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back
+          </Button>
+          <Gauge className="h-8 w-8 text-primary" />
+          <h1 className="text-3xl font-bold">Autotune</h1>
+        </div>
+
+        {/* Experiment */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span>Relay Experiment</span>
+              {status && <Badge variant={STATUS_BADGES[status.status]}>{status.status}</Badge>}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              All Peltiers switch on above the setpoint plus the hysteresis and off below it minus the hysteresis.
+              The oscillation this causes gives the ultimate gain and period the gains are computed from.
+              The experiment aborts when the temperature leaves the allowed band, samples turn bad,
+              the setpoint changes or auto control is switched off.
+            </p>
+
+            <div className="grid grid-cols-2 lg:grid-cols-3 gap-4">
+              {CONFIG_FIELDS.map(field => (
+                <div key={field.key}>
+                  <Label htmlFor={`autotune-${field.key}`}>{field.label}</Label>
+                  <Input
+                    id={`autotune-${field.key}`}
+                    type="number"
+                    step={field.step}
+                    disabled={running}
+                    value={config[field.key]}
+                    onChange={(e) => setConfig(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+                  />
+                </div>
+              ))}
+            </div>
+
+            {status && (
+              <div className="p-3 rounded-lg border space-y-1 text-sm">
+                <p>
+                  Around {status.setpoint}°C
+                  {status.temperature !== null && `, now ${status.temperature.toFixed(2)}°C`}
+                  {running && `, coils ${status.relayOn ? 'on' : 'off'}`}
+                  {' • '}{Math.round(elapsed)} min
+                </p>
+                <p className="text-muted-foreground">
+                  {status.cyclesDone} of {status.cyclesNeeded} cycles measured
+                  {status.cycles.length > 0 && ' (the first one only settles the oscillation)'}
+                </p>
+                {status.cycles.map((cycle, index) => (
+                  <p key={index} className={`text-muted-foreground ${index === 0 ? 'italic' : ''}`}>
+                    Cycle {index + 1}: {Math.round(cycle.period)} s, ±{cycle.amplitude.toFixed(2)}°C
+                  </p>
+                ))}
+                {status.reason && <p className="text-red-600">{status.reason}</p>}
+              </div>
+            )}
+
+            <div className="flex gap-2">
+              {running ? (
+                <Button variant="outline" size="sm" onClick={() => run(() => window.electronAPI.abortAutotune(deviceId))}>
+                  <Square className="h-4 w-4 mr-1" />
+                  Abort
+                </Button>
+              ) : (
+                <Button size="sm" onClick={handleStart} disabled={!!result}>
+                  <Play className="h-4 w-4 mr-1" />
+                  Start Experiment
+                </Button>
+              )}
+              {status && status.status === 'aborted' && (
+                <Button variant="outline" size="sm" onClick={handleReject}>
+                  Dismiss
+                </Button>
+              )}
+            </div>
+
+            {accepted && <p className="text-sm text-green-700">{accepted} gains saved</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </CardContent>
+        </Card>
+
+        {/* Result */}
+        {result && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Proposed Gains</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-3 gap-4 text-sm">
+                <div>
+                  <p className="text-muted-foreground">Ultimate Gain Ku</p>
+                  <p className="text-lg">{result.ku.toFixed(2)} %/°C</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Ultimate Period Tu</p>
+                  <p className="text-lg">{Math.round(result.tu)} s</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Amplitude</p>
+                  <p className="text-lg">±{result.amplitude.toFixed(2)}°C</p>
+                </div>
+              </div>
+              {result.periodSpread > PERIOD_SPREAD_WARNING && (
+                <p className="text-sm text-yellow-700">
+                  The measured periods differ by {Math.round(result.periodSpread * 100)}%, consider running more cycles
+                </p>
+              )}
+
+              <div className="flex gap-2">
+                {Object.entries(rules).map(([key, { label }]) => (
+                  <Button
+                    key={key}
+                    variant={key === rule ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => setRule(key)}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground">
+                    <th className="py-1">Controller</th>
+                    <th>Kp</th>
+                    <th>Ki</th>
+                    <th>Kd</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(status.proposals[rule]).map(([type, params]) => {
+                    const current = controller && controller.type === type ? controller.params : null
+                    return (
+                      <tr key={type} className="border-t">
+                        <td className="py-1">
+                          {labels[type] || type}
+                          {current && <Badge variant="default" className="ml-2">running</Badge>}
+                        </td>
+                        {['kp', 'ki', 'kd'].map(key => (
+                          <td key={key}>
+                            {formatGain(params[key])}
+                            {current && <span className="text-muted-foreground"> (now {formatGain(current[key])})</span>}
+                          </td>
+                        ))}
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+
+              <div className="flex gap-2">
+                <Button size="sm" onClick={handleAccept}>
+                  <Check className="h-4 w-4 mr-1" />
+                  Accept
+                </Button>
+                <Button variant="outline" size="sm" onClick={handleReject}>
+                  <X className="h-4 w-4 mr-1" />
+                  Reject
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AutotunePage
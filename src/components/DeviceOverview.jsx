@@ -0,0 +1,170 @@
+import React, { useState } from 'react'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Badge } from './ui/badge'
+import { Plus, Trash2, Pencil, Check, X, AlertTriangle } from 'lucide-react'
+import { safeToFixed } from '../lib/utils'
+
+const stateStyles = {
+  connected: 'bg-green-500',
+  degraded: 'bg-orange-500',
+  reconnecting: 'bg-orange-500',
+  offline: 'bg-red-500'
+}
+
+/**
+ * Strip of container cards for picking which device the pages show
+ */
+const DeviceOverview = ({ devices, selectedId, onSelect }) => {
+  const [isAdding, setIsAdding] = useState(false)
+  const [newDevice, setNewDevice] = useState({ name: '', host: '', port: 502 })
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const [error, setError] = useState(null)
+
+  const handleAdd = async () => {
+    setError(null)
+    const result = await window.electronAPI.addDevice({
+      name: newDevice.name || undefined,
+      modbus: { host: newDevice.host, port: Number(newDevice.port) }
+    })
+
+    if (result.success) {
+      setIsAdding(false)
+      setNewDevice({ name: '', host: '', port: 502 })
+      onSelect(result.id)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleRemove = async (device) => {
+    if (!window.confirm(`Remove ${device.name}? Its polling and control will stop.`)) return
+
+    setError(null)
+    const result = await window.electronAPI.removeDevice(device.id)
+    if (!result.success) setError(result.error)
+  }
+
+  const handleRename = async (deviceId) => {
+    if (editName.trim()) {
+      await window.electronAPI.renameDevice(deviceId, editName.trim())
+    }
+    setEditingId(null)
+  }
+
+  return (
+    <div className="border-b bg-card px-6 py-3">
+      <div className="flex items-center gap-3 overflow-x-auto">
+        {devices.map(device => (
+          <div
+            key={device.id}
+            onClick={() => onSelect(device.id)}
+            className={`flex-shrink-0 min-w-[180px] p-3 rounded-lg border cursor-pointer transition-colors ${
+              device.id === selectedId ? 'border-blue-500 bg-blue-50' : 'hover:bg-accent'
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              {editingId === device.id ? (
+                <div className="flex items-center gap-1" onClick={(e) => e.stopPropagation()}>
+                  <Input
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRename(device.id)}
+                    className="h-7 text-sm"
+                    autoFocus
+                  />
+                  <Button variant="outline" size="sm" onClick={() => handleRename(device.id)}>
+                    <Check className="h-3 w-3" />
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => setEditingId(null)}>
+                    <X className="h-3 w-3" />
+                  </Button>
+                </div>
+              ) : (
+                <span className="flex items-center gap-2 font-medium text-sm">
+                  <span className={`h-2 w-2 rounded-full ${stateStyles[device.state] || 'bg-gray-400'}`} />
+                  {device.name}
+                </span>
+              )}
+              {editingId !== device.id && device.id === selectedId && (
+                <span className="flex items-center" onClick={(e) => e.stopPropagation()}>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => { setEditingId(device.id); setEditName(device.name) }}
+                  >
+                    <Pencil className="h-3 w-3" />
+                  </Button>
+                  {devices.length > 1 && (
+                    <Button variant="outline" size="sm" onClick={() => handleRemove(device)}>
+                      <Trash2 className="h-3 w-3" />
+                    </Button>
+                  )}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center justify-between mt-1 text-sm text-muted-foreground">
+              <span className="text-lg font-semibold text-foreground">
+                {device.temperature !== null ? `${safeToFixed(device.temperature, 1)}°C` : '--'}
+              </span>
+              <span className="flex items-center gap-1">
+                {device.mockMode && <Badge variant="warning">Mock</Badge>}
+                {device.replay && <Badge variant="default">Replay</Badge>}
+                {device.suspended && <Badge variant="warning">Hold</Badge>}
+                {device.heartbeat === 'expired' && <Badge variant="destructive">Watchdog</Badge>}
+                {device.profile && (
+                  <Badge variant={device.profile.status === 'paused' ? 'warning' : 'success'}>{device.profile.name}</Badge>
+                )}
+                {device.discrepancies > 0 && (
+                  <Badge variant="destructive">
+                    <AlertTriangle className="h-3 w-3 mr-1" />
+                    {device.discrepancies}
+                  </Badge>
+                )}
+              </span>
+            </div>
+            <p className="text-xs text-muted-foreground">{device.host}:{device.port}</p>
+          </div>
+        ))}
+
+        {isAdding ? (
+          <div className="flex-shrink-0 flex items-center gap-2 p-3 rounded-lg border">
+            <Input
+              placeholder="Name"
+              value={newDevice.name}
+              onChange={(e) => setNewDevice(prev => ({ ...prev, name: e.target.value }))}
+              className="h-8 w-32"
+            />
+            <Input
+              placeholder="PLC IP"
+              value={newDevice.host}
+              onChange={(e) => setNewDevice(prev => ({ ...prev, host: e.target.value }))}
+              className="h-8 w-32"
+            />
+            <Input
+              type="number"
+              value={newDevice.port}
+              onChange={(e) => setNewDevice(prev => ({ ...prev, port: e.target.value }))}
+              className="h-8 w-20"
+            />
+            <Button size="sm" onClick={handleAdd} disabled={!newDevice.host}>
+              <Check className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setIsAdding(false)}>
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        ) : (
+          <Button variant="outline" size="sm" className="flex-shrink-0" onClick={() => setIsAdding(true)}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add Container
+          </Button>
+        )}
+      </div>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  )
+}
+
+export default DeviceOverview
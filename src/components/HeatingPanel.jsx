@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import { Flame } from 'lucide-react'
+
+const HEATING_FIELDS = [
+  { key: 'deadBand', label: 'Dead Band (% of command)', step: 1 },
+  { key: 'minDwell', label: 'Off Before Reversing (s)', step: 5 }
+]
+
+/**
+ * Heating through H-bridge outputs of this device
+ * Applied to the running controller and saved right away.
+ */
+const HeatingPanel = ({ deviceId }) => {
+  const [status, setStatus] = useState(null)
+  const [config, setConfig] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getHeating(deviceId).then(result => {
+      if (result.success) {
+        setStatus(result.heating)
+        setConfig({ deadBand: result.heating.deadBand, minDwell: result.heating.minDwell })
+      }
+    })
+  }, [deviceId])
+
+  if (!status || !config) return null
+
+  const apply = async (changes) => {
+    setError(null)
+    const result = await window.electronAPI.setHeating(deviceId, changes)
+    if (result.success) {
+      setStatus(result.heating)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Flame className="h-5 w-5 mr-2" />
+            Heating
+          </span>
+          {status.enabled && (
+            <Badge variant={status.active ? 'success' : 'warning'}>
+              {status.active ? 'Active' : 'Inactive'}
+            </Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <Label>Heat Below the Setpoint</Label>
+            <p className="text-sm text-muted-foreground">
+              Reverse the Peltiers to hold setpoints above ambient
+            </p>
+          </div>
+          <Switch
+            checked={status.enabled}
+            onCheckedChange={(enabled) => apply({ enabled })}
+          />
+        </div>
+
+        {status.enabled && !status.available && (
+          <p className="text-sm text-yellow-700">
+            Every output needs a polarity coil or a signed register in the register map before the Peltiers can heat
+          </p>
+        )}
+        {status.enabled && !status.supported && (
+          <p className="text-sm text-yellow-700">
+            The selected controller only cools, pick RBF Adaptive PID, Cascade PID or Stable to heat
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 gap-4">
+          {HEATING_FIELDS.map(field => (
+            <div key={field.key}>
+              <Label htmlFor={`heating-${field.key}`}>{field.label}</Label>
+              <Input
+                id={`heating-${field.key}`}
+                type="number"
+                step={field.step}
+                value={config[field.key]}
+                onChange={(e) => setConfig(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            A direction starts once the command leaves the dead band, the Peltiers stay off
+            for the dwell before they reverse
+          </p>
+          <Button variant="outline" size="sm" onClick={() => apply(config)}>
+            Apply
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default HeatingPanel
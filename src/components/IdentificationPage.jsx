@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { ArrowLeft, Activity, Flag, FlagOff, Check } from 'lucide-react'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 180
+const DEFAULT_WINDOW = 30         // Minutes of logged samples fitted without a step test
+
+const VERDICT_BADGES = {
+  good: 'success',
+  fair: 'warning',
+  poor: 'destructive'
+}
+
+const formatGain = (value) => value === undefined ? '-' : Number(value).toFixed(3)
+const formatSeconds = (value) => value >= 120 ? `${(value / 60).toFixed(1)} min` : `${Math.round(value)} s`
+const optionalNumber = (value) => value === '' ? undefined : Number(value)
+
+/**
+ * Measured temperature against the fitted model's response
+ */
+const FitChart = ({ series }) => {
+  if (series.length < 2) return null
+
+  const temps = series.flatMap(point => [point.measured, point.model])
+  const low = Math.min(...temps) - 0.5
+  const high = Math.max(...temps) + 0.5
+  const start = series[0].t
+  const total = Math.max(series[series.length - 1].t - start, 1)
+
+  const x = (t) => 40 + ((t - start) / total) * (CHART_WIDTH - 50)
+  const y = (temp) => 10 + ((high - temp) / (high - low)) * (CHART_HEIGHT - 30)
+  const points = (key) => series.map(point => `${x(point.t)},${y(point[key])}`).join(' ')
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-44 border rounded-lg bg-white">
+      <text x="4" y={y(high) + 4} className="text-xs fill-gray-400">{high.toFixed(1)}°</text>
+      <text x="4" y={y(low) + 4} className="text-xs fill-gray-400">{low.toFixed(1)}°</text>
+      <text x={CHART_WIDTH - 10} y={CHART_HEIGHT - 4} textAnchor="end" className="text-xs fill-gray-400">
+        {formatSeconds(total / 1000)}
+      </text>
+      <polyline points={points('measured')} fill="none" stroke="#9ca3af" strokeWidth="2" />
+      <polyline points={points('model')} fill="none" stroke="#2563eb" strokeWidth="2" strokeDasharray="6 4" />
+    </svg>
+  )
+}
+
+/**
+ * First-order-plus-dead-time model of this device fitted to logged samples:
+ * step test marks, fit quality, suggested gains and cooling headroom
+ */
+const IdentificationPage = ({ deviceId, onBack }) => {
+  const [info, setInfo] = useState(null)
+  const [label, setLabel] = useState('')
+  const [source, setSource] = useState('recent')
+  const [minutes, setMinutes] = useState(DEFAULT_WINDOW)
+  const [maxDeadTime, setMaxDeadTime] = useState('')
+  const [closedLoopTime, setClosedLoopTime] = useState('')
+  const [identification, setIdentification] = useState(null)
+  const [rule, setRule] = useState('simc')
+  const [controller, setController] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const [accepted, setAccepted] = useState(null)
+
+  const refresh = async () => {
+    const result = await window.electronAPI.getIdentification(deviceId)
+    if (result.success) setInfo(result)
+    return result
+  }
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    refresh().then(result => {
+      if (result.success && result.identification) setIdentification(result.identification)
+    })
+    window.electronAPI.getController(deviceId).then(result => {
+      if (result.success) setController(result)
+    })
+  }, [deviceId])
+
+  if (!info) return <div className="min-h-screen bg-background" />
+
+  const run = async (action) => {
+    setError(null)
+    const result = await action()
+    if (!result.success) setError(result.error)
+    return result
+  }
+
+  const openTest = info.stepTests.find(test => test.endedAt === null)
+
+  const handleMark = async () => {
+    const result = await run(() => openTest
+      ? window.electronAPI.endStepTest(deviceId)
+      : window.electronAPI.beginStepTest(deviceId, label))
+    if (result.success) {
+      setLabel('')
+      setSource(result.stepTest.id)
+      refresh()
+    }
+  }
+
+  const handleIdentify = async () => {
+    const range = source === 'recent'
+      ? { from: Date.now() - minutes * 60000 }
+      : { stepTestId: source }
+
+    setBusy(true)
+    setAccepted(null)
+    const result = await run(() => window.electronAPI.identifyPlant(deviceId, range, {
+      maxDeadTime: optionalNumber(maxDeadTime),
+      closedLoopTime: optionalNumber(closedLoopTime)
+    }))
+    setBusy(false)
+    if (result.success) setIdentification(result.identification)
+  }
+
+  const handleAccept = async () => {
+    const result = await run(() => window.electronAPI.acceptIdentifiedGains(deviceId, rule))
+    if (result.success) {
+      setAccepted(info.rules[rule].label)
+      window.electronAPI.getController(deviceId).then(updated => updated.success && setController(updated))
+    }
+  }
+
+  const labels = controller ? Object.fromEntries(controller.available.map(entry => [entry.type, entry.label])) : {}
+  const model = identification && identification.model
+  const fit = identification && identification.fit
+  const tuning = identification && identification.tuning
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-4xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center space-x-3">
+          <Button variant="outline" size="sm" onClick={onBack}>
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back
+          </Button>
+          <Activity className="h-8 w-8 text-primary" />
+          <h1 className="text-3xl font-bold">System Identification</h1>
+        </div>
+
+        {/* Data */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Logged Data</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <p className="text-sm text-muted-foreground">
+              Every good sample is logged with the outputs driven at the time, in manual and automatic mode alike.
+              For a step test switch auto control off, mark the start, step the Peltiers by hand, let the temperature
+              settle and mark the end. Any window where the outputs move works too.
+            </p>
+            <p className="text-sm">
+              {info.history.samples} samples logged
+              {info.history.from && ` since ${new Date(info.history.from).toLocaleString()}`}
+            </p>
+
+            <div className="flex items-end gap-2">
+              {!openTest && (
+                <div className="flex-1">
+                  <Label htmlFor="step-test-label">Step Test Name</Label>
+                  <Input
+                    id="step-test-label"
+                    value={label}
+                    placeholder="Optional"
+                    onChange={(e) => setLabel(e.target.value)}
+                  />
+                </div>
+              )}
+              <Button variant={openTest ? 'default' : 'outline'} size="sm" onClick={handleMark}>
+                {openTest ? <FlagOff className="h-4 w-4 mr-1" /> : <Flag className="h-4 w-4 mr-1" />}
+                {openTest ? `End "${openTest.label}"` : 'Mark Start'}
+              </Button>
+            </div>
+
+            <div className="space-y-1">
+              <Label>Fit To</Label>
+              <label className="flex items-center gap-2 text-sm">
+                <input type="radio" checked={source === 'recent'} onChange={() => setSource('recent')} />
+                The last
+                <Input
+                  type="number"
+                  className="w-20"
+                  value={minutes}
+                  onChange={(e) => setMinutes(Number(e.target.value))}
+                />
+                minutes
+              </label>
+              {info.stepTests.map(test => (
+                <label key={test.id} className="flex items-center gap-2 text-sm">
+                  <input type="radio" checked={source === test.id} onChange={() => setSource(test.id)} />
+                  {test.label}
+                  <span className="text-muted-foreground">
+                    {new Date(test.startedAt).toLocaleTimeString()}
+                    {' - '}{test.endedAt ? new Date(test.endedAt).toLocaleTimeString() : 'now'}
+                  </span>
+                </label>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="max-dead-time">Longest Dead Time (s)</Label>
+                <Input
+                  id="max-dead-time"
+                  type="number"
+                  placeholder="A quarter of the window"
+                  value={maxDeadTime}
+                  onChange={(e) => setMaxDeadTime(e.target.value)}
+                />
+              </div>
+              <div>
+                <Label htmlFor="closed-loop-time">Closed Loop Time Constant (s)</Label>
+                <Input
+                  id="closed-loop-time"
+                  type="number"
+                  placeholder="Dead time, at least τ/10"
+                  value={closedLoopTime}
+                  onChange={(e) => setClosedLoopTime(e.target.value)}
+                />
+              </div>
+            </div>
+
+            <Button size="sm" onClick={handleIdentify} disabled={busy}>
+              <Activity className="h-4 w-4 mr-1" />
+              {busy ? 'Fitting...' : 'Identify'}
+            </Button>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </CardContent>
+        </Card>
+
+        {/* Model */}
+        {model && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span>Model</span>
+                <Badge variant={VERDICT_BADGES[fit.verdict]}>{fit.verdict} fit</Badge>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-4 gap-4 text-sm">
+                <div>
+                  <p className="text-muted-foreground">Gain K</p>
+                  <p className="text-lg">{model.gain.toFixed(3)} °C/%</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Time Constant τ</p>
+                  <p className="text-lg">{formatSeconds(model.timeConstant)}</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Dead Time θ</p>
+                  <p className="text-lg">{formatSeconds(model.deadTime)}</p>
+                </div>
+                <div>
+                  <p className="text-muted-foreground">Ambient Load</p>
+                  <p className="text-lg">{model.ambient.toFixed(1)}°C</p>
+                </div>
+              </div>
+              <FitChart series={identification.series} />
+              <p className="text-sm text-muted-foreground">
+                Grey is measured, dashed blue the model. {fit.samples} samples,
+                RMSE {fit.rmse.toFixed(3)}°C, R² {fit.r2.toFixed(3)}
+              </p>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Suggested gains */}
+        {tuning && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Suggested Gains</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <p className="text-sm">
+                Expected to settle within about {formatSeconds(tuning.settlingTime)} after a setpoint step
+                (closed loop time constant {formatSeconds(tuning.closedLoopTime)})
+              </p>
+
+              <div className="flex gap-2">
+                {Object.entries(info.rules).map(([key, { label: ruleLabel }]) => (
+                  <Button
+                    key={key}
+                    variant={key === rule ? 'default' : 'outline'}
+                    size="sm"
+                    onClick={() => setRule(key)}
+                  >
+                    {ruleLabel}
+                  </Button>
+                ))}
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-muted-foreground">
+                    <th className="py-1">Controller</th>
+                    <th>Kp</th>
+                    <th>Ki</th>
+                    <th>Kd</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {Object.entries(tuning.proposals[rule]).map(([type, params]) => {
+                    const current = controller && controller.type === type ? controller.params : null
+                    return (
+                      <tr key={type} className="border-t">
+                        <td className="py-1">
+                          {labels[type] || type}
+                          {current && <Badge variant="default" className="ml-2">running</Badge>}
+                        </td>
+                        {['kp', 'ki', 'kd'].map(key => (
+                          <td key={key}>
+                            {formatGain(params[key])}
+                            {current && <span className="text-muted-foreground"> (now {formatGain(current[key])})</span>}
+                          </td>
+                        ))}
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+
+              {fit.verdict === 'poor' && (
+                <p className="text-sm text-yellow-700">The model fits poorly, check the gains before taking them</p>
+              )}
+              <Button size="sm" onClick={handleAccept}>
+                <Check className="h-4 w-4 mr-1" />
+                Take {info.rules[rule].label} Gains
+              </Button>
+              {accepted && <p className="text-sm text-green-700">{accepted} gains saved</p>}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Cooling capacity */}
+        {tuning && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Cooling Capacity at {tuning.capacity.setpoint}°C</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {tuning.capacity.requiredDemand === null ? (
+                <p className="text-sm text-red-600">The model does not cool with more output, no capacity to report</p>
+              ) : (
+                <>
+                  <div className="grid grid-cols-3 gap-4 text-sm">
+                    <div>
+                      <p className="text-muted-foreground">Bank Demand Needed</p>
+                      <p className="text-lg">{tuning.capacity.requiredDemand.toFixed(0)}%</p>
+                    </div>
+                    <div>
+                      <p className="text-muted-foreground">Margin</p>
+                      <p className={`text-lg ${tuning.capacity.margin < 0 ? 'text-red-600' : ''}`}>
+                        {tuning.capacity.margin.toFixed(0)}%
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-muted-foreground">Lowest Reachable</p>
+                      <p className="text-lg">{tuning.capacity.lowestReachable.toFixed(1)}°C</p>
+                    </div>
+                  </div>
+                  {tuning.capacity.margin < 0 && (
+                    <p className="text-sm text-red-600">
+                      The Peltiers cannot hold this setpoint against the current load
+                    </p>
+                  )}
+
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-muted-foreground">
+                        <th className="py-1">Peltier</th>
+                        <th>Duty Needed</th>
+                        <th>Margin</th>
+                        <th>Cooling at 100%</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {tuning.capacity.peltiers.map(peltier => (
+                        <tr key={peltier.id} className="border-t">
+                          <td className="py-1">Peltier {peltier.id}</td>
+                          <td>{peltier.requiredDuty.toFixed(0)}%</td>
+                          <td className={peltier.margin === 0 ? 'text-yellow-700' : ''}>{peltier.margin.toFixed(0)}%</td>
+                          <td>{peltier.coolingAtFullDuty.toFixed(1)}°C</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default IdentificationPage
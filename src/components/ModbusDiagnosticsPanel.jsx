@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js'
+import { Line } from 'react-chartjs-2'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Badge } from './ui/badge'
+import { Activity, RotateCcw } from 'lucide-react'
+import { safeToFixed } from '../lib/utils'
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend)
+
+const REFRESH_INTERVAL = 2000
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: {
+    legend: { position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } }
+  },
+  scales: {
+    x: { ticks: { maxTicksLimit: 6, font: { size: 10 } } },
+    y: { beginAtZero: true, ticks: { font: { size: 10 } } }
+  }
+}
+
+const ModbusDiagnosticsPanel = ({ deviceId }) => {
+  const [diagnostics, setDiagnostics] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const refresh = async () => {
+      const result = await window.electronAPI.getDiagnostics(deviceId)
+      if (result.success) setDiagnostics(result.diagnostics)
+    }
+
+    refresh()
+    const interval = setInterval(refresh, REFRESH_INTERVAL)
+    return () => clearInterval(interval)
+  }, [deviceId])
+
+  const handleReset = async () => {
+    await window.electronAPI.resetDiagnostics(deviceId)
+    const result = await window.electronAPI.getDiagnostics(deviceId)
+    if (result.success) setDiagnostics(result.diagnostics)
+  }
+
+  if (!diagnostics) return null
+
+  const labels = diagnostics.timeline.map(bucket => new Date(bucket.timestamp).toLocaleTimeString())
+
+  const latencyData = {
+    labels,
+    datasets: [{
+      label: 'Avg latency (ms)',
+      data: diagnostics.timeline.map(bucket => bucket.avgLatency),
+      borderColor: 'rgb(59, 130, 246)',
+      backgroundColor: 'rgba(59, 130, 246, 0.1)',
+      tension: 0.3,
+      pointRadius: 0,
+      spanGaps: true
+    }]
+  }
+
+  const errorData = {
+    labels,
+    datasets: [
+      {
+        label: 'Requests',
+        data: diagnostics.timeline.map(bucket => bucket.requests),
+        borderColor: 'rgb(34, 197, 94)',
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: 'Errors',
+        data: diagnostics.timeline.map(bucket => bucket.errors),
+        borderColor: 'rgb(239, 68, 68)',
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: 'Timeouts',
+        data: diagnostics.timeline.map(bucket => bucket.timeouts),
+        borderColor: 'rgb(234, 179, 8)',
+        tension: 0.3,
+        pointRadius: 0
+      }
+    ]
+  }
+
+  const readMethods = Object.entries(diagnostics.readMethods).sort((a, b) => b[1] - a[1])
+  const totalReads = readMethods.reduce((sum, [, count]) => sum + count, 0)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Activity className="h-5 w-5 mr-2" />
+            Communication Diagnostics
+          </span>
+          <Button variant="outline" size="sm" onClick={handleReset}>
+            <RotateCcw className="h-4 w-4 mr-2" />
+            Reset
+          </Button>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <div className="h-48">
+            <Line data={latencyData} options={chartOptions} />
+          </div>
+          <div className="h-48">
+            <Line data={errorData} options={chartOptions} />
+          </div>
+        </div>
+
+        <div>
+          <p className="text-sm font-medium mb-2">Per Function</p>
+          <div className="grid grid-cols-7 gap-2 text-sm text-muted-foreground">
+            <span>Function</span>
+            <span>Requests</span>
+            <span>Errors</span>
+            <span>Timeouts</span>
+            <span>Avg (ms)</span>
+            <span>p95 (ms)</span>
+            <span>Max (ms)</span>
+            {Object.entries(diagnostics.functions).map(([name, stats]) => (
+              <React.Fragment key={name}>
+                <span className="text-foreground">{name}</span>
+                <span>{stats.requests}</span>
+                <span>{stats.errors} ({safeToFixed(stats.errorRate * 100, 1)}%)</span>
+                <span>{stats.timeouts}</span>
+                <span>{safeToFixed(stats.latency.avg, 1)}</span>
+                <span>{stats.latency.p95}</span>
+                <span>{stats.latency.max}</span>
+              </React.Fragment>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+          <div>
+            <p className="font-medium mb-2">Read Paths</p>
+            {readMethods.length === 0 ? (
+              <p className="text-muted-foreground">No reads yet</p>
+            ) : readMethods.map(([method, count]) => (
+              <div key={method} className="flex justify-between text-muted-foreground">
+                <span>{method}</span>
+                <span>{count} ({safeToFixed((count / totalReads) * 100, 0)}%)</span>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <p className="font-medium mb-2">Exception Codes</p>
+            {diagnostics.exceptions.length === 0 ? (
+              <p className="text-muted-foreground">None</p>
+            ) : diagnostics.exceptions.map(exception => (
+              <div key={`${exception.functionName}:${exception.code}`} className="flex justify-between text-muted-foreground">
+                <span>{exception.functionName} #{exception.code} {exception.name}</span>
+                <span>{exception.count}</span>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <p className="font-medium mb-2">Connection</p>
+            <div className="space-y-1 text-muted-foreground">
+              <div className="flex justify-between">
+                <span>State</span>
+                <Badge variant={diagnostics.connection.state === 'connected' ? 'success' : 'warning'}>
+                  {diagnostics.connection.state}
+                </Badge>
+              </div>
+              <div className="flex justify-between">
+                <span>Reconnect attempts</span>
+                <span>{diagnostics.reconnects.attempts}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Successful reconnects</span>
+                <span>{diagnostics.reconnects.successes}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Queue depth</span>
+                <span>{diagnostics.queue.depth}</span>
+              </div>
+              {diagnostics.lastError && (
+                <p className="text-xs text-red-600 pt-1">
+                  Last error ({diagnostics.lastError.functionName}, {new Date(diagnostics.lastError.at).toLocaleTimeString()}): {diagnostics.lastError.message}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ModbusDiagnosticsPanel
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import { Disc, Play, Square, RefreshCw } from 'lucide-react'
+
+const REPLAY_SPEEDS = [1, 5, 10, 30, 60]
+const MB = 1024 * 1024
+
+const formatSize = (bytes) => bytes >= MB ? `${(bytes / MB).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} kB`
+
+/**
+ * Traffic recording for this device and replay of earlier recordings
+ */
+const ModbusRecorderPanel = ({ deviceId, recorder, onChange }) => {
+  const [status, setStatus] = useState(null)
+  const [recordings, setRecordings] = useState([])
+  const [speed, setSpeed] = useState(1)
+  const [replay, setReplay] = useState(null)
+  const [error, setError] = useState(null)
+
+  const refreshRecordings = async () => {
+    const result = await window.electronAPI.listRecordings(deviceId)
+    if (result.success) setRecordings(result.recordings)
+  }
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const refreshStatus = async () => {
+      const result = await window.electronAPI.getRecorderStatus(deviceId)
+      if (result.success) setStatus(result.recorder)
+    }
+    refreshStatus()
+    refreshRecordings()
+    const statusInterval = setInterval(refreshStatus, 2000)
+
+    const unsubscribe = window.electronAPI.onReplayProgress((_event, data) => {
+      setReplay(prev => prev && prev.id === data.deviceId ? { ...prev, ...data } : prev)
+    })
+
+    return () => {
+      clearInterval(statusInterval)
+      unsubscribe?.()
+    }
+  }, [deviceId])
+
+  if (!recorder) return null
+
+  const handleEnabledChange = async (enabled) => {
+    setError(null)
+    const result = await window.electronAPI.setRecording(deviceId, enabled)
+    if (result.success) {
+      setStatus(result.recorder)
+      onChange({ ...recorder, enabled })
+      refreshRecordings()
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleReplay = async (file) => {
+    setError(null)
+    const result = await window.electronAPI.startReplay(deviceId, file, { speed })
+    if (result.success) {
+      setReplay({ id: result.id, ...result.status })
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleStopReplay = async () => {
+    await window.electronAPI.stopReplay(replay.id)
+  }
+
+  const percent = replay && replay.total ? (replay.position / replay.total) * 100 : 0
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Disc className="h-5 w-5 mr-2" />
+            Traffic Recorder
+          </span>
+          {status && status.recording && <Badge variant="destructive">Recording</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 lg:grid-cols-3 gap-4">
+          <div className="flex items-end space-x-2 pb-2">
+            <Switch
+              checked={!!recorder.enabled}
+              onCheckedChange={handleEnabledChange}
+            />
+            <Label>Record every request</Label>
+          </div>
+          <div>
+            <Label htmlFor="recorder-size">File Size Before Rotating (MB)</Label>
+            <Input
+              id="recorder-size"
+              type="number"
+              min="1"
+              value={recorder.maxFileSize / MB}
+              onChange={(e) => onChange({ ...recorder, maxFileSize: Number(e.target.value) * MB })}
+            />
+          </div>
+          <div>
+            <Label htmlFor="recorder-files">Files Kept</Label>
+            <Input
+              id="recorder-files"
+              type="number"
+              min="1"
+              value={recorder.maxFiles}
+              onChange={(e) => onChange({ ...recorder, maxFiles: Number(e.target.value) })}
+            />
+          </div>
+        </div>
+
+        {status && status.recording && (
+          <p className="text-sm text-muted-foreground">
+            {status.file} • {formatSize(status.fileSize)} • {status.totalRecords} entries since {new Date(status.startedAt).toLocaleTimeString()}
+          </p>
+        )}
+        {status && status.lastError && <p className="text-sm text-red-600">{status.lastError}</p>}
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <Label>Recordings</Label>
+            <div className="flex items-center gap-2">
+              <select
+                className="input"
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+              >
+                {REPLAY_SPEEDS.map(value => (
+                  <option key={value} value={value}>{value === 1 ? 'Real time' : `${value}x`}</option>
+                ))}
+              </select>
+              <Button variant="outline" size="sm" onClick={refreshRecordings}>
+                <RefreshCw className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          {recordings.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No recordings yet</p>
+          ) : (
+            <div className="space-y-2">
+              {recordings.map(recording => (
+                <div key={recording.file} className="flex items-center justify-between p-2 rounded-lg border text-sm">
+                  <div>
+                    <p className="font-medium">
+                      {recording.file}
+                      {recording.continued && <Badge variant="default" className="ml-2">continued</Badge>}
+                    </p>
+                    <p className="text-muted-foreground">
+                      {recording.startedAt ? new Date(recording.startedAt).toLocaleString() : 'Unknown start'}
+                      {' • '}{formatSize(recording.size)}
+                      {recording.host && ` • ${recording.host}:${recording.port}`}
+                    </p>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={() => handleReplay(recording.file)}>
+                    <Play className="h-4 w-4 mr-1" />
+                    Replay
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {replay && (
+          <div className="p-3 rounded-lg border space-y-2">
+            <div className="flex items-center justify-between text-sm">
+              <span>
+                Replaying {replay.file} at {replay.speed}x on a separate device
+                {replay.finished && <Badge variant="success" className="ml-2">Finished</Badge>}
+              </span>
+              {replay.running && (
+                <Button variant="outline" size="sm" onClick={handleStopReplay}>
+                  <Square className="h-4 w-4 mr-1" />
+                  Stop
+                </Button>
+              )}
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+            <p className="text-sm text-muted-foreground">
+              Poll {replay.position} / {replay.total}
+              {replay.recordedAt && ` • recorded ${new Date(replay.recordedAt).toLocaleTimeString()}`}
+              {' • '}{replay.recordedWrites} output writes recorded, {replay.replayedWrites} by the replayed controller
+            </p>
+            {replay.speed > 1 && (
+              <p className="text-sm text-muted-foreground">
+                Controllers keep time on the wall clock, so above real time they see the samples closer together
+              </p>
+            )}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ModbusRecorderPanel
@@ -0,0 +1,346 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import {
+  ScanSearch,
+  Play,
+  Square,
+  Plus,
+  Trash2,
+  Download,
+  Loader2
+} from 'lucide-react'
+import { safeToFixed } from '../lib/utils'
+
+const FUNCTION_CODES = [
+  { value: 1, label: 'FC01 Coils' },
+  { value: 2, label: 'FC02 Discrete Inputs' },
+  { value: 3, label: 'FC03 Holding Registers' },
+  { value: 4, label: 'FC04 Input Registers' }
+]
+
+const MAX_RESULT_ROWS = 200
+
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const ModbusScannerPanel = ({ deviceId, scanner, onChange, onAddInput, onAddBatch }) => {
+  const [isScanning, setIsScanning] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [scan, setScan] = useState(null)
+  const [error, setError] = useState(null)
+  const [unitIdText, setUnitIdText] = useState('')
+
+  useEffect(() => {
+    if (scanner) setUnitIdText(scanner.unitIds.join(', '))
+  }, [scanner && scanner.unitIds.join(',')])
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const unsubscribe = window.electronAPI.onScanProgress((_event, data) => {
+      if (data.deviceId === deviceId) setProgress(data)
+    })
+    return () => unsubscribe?.()
+  }, [deviceId])
+
+  if (!scanner) return null
+
+  const update = (changes) => onChange({ ...scanner, ...changes })
+
+  const updateRange = (index, key, value) => {
+    update({ ranges: scanner.ranges.map((range, i) => i === index ? { ...range, [key]: value } : range) })
+  }
+
+  const toggleFunctionCode = (code) => {
+    const functionCodes = scanner.functionCodes.includes(code)
+      ? scanner.functionCodes.filter(c => c !== code)
+      : [...scanner.functionCodes, code].sort()
+    update({ functionCodes })
+  }
+
+  const handleUnitIdsChange = (text) => {
+    setUnitIdText(text)
+    const unitIds = text.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id))
+    update({ unitIds })
+  }
+
+  const handleStart = async () => {
+    if (!window.electronAPI) return
+
+    setIsScanning(true)
+    setError(null)
+    setProgress(null)
+    setScan(null)
+
+    try {
+      const result = await window.electronAPI.scanModbusFunctions(deviceId, scanner)
+      if (result.success) {
+        setScan(result)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsScanning(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    await window.electronAPI.cancelScan(deviceId)
+  }
+
+  const exportJSON = () => {
+    const content = JSON.stringify({
+      scannedAt: new Date().toISOString(),
+      config: scanner,
+      cancelled: scan.cancelled,
+      results: scan.results,
+      suggestions: scan.suggestions,
+      batches: scan.batches
+    }, null, 2)
+    downloadFile(content, `modbus_scan_${new Date().toISOString().split('T')[0]}.json`, 'application/json')
+  }
+
+  const exportCSV = () => {
+    const rows = scan.results.map(result =>
+      [result.unitId, result.functionCode, result.address, result.value, result.batchOnly ? 'batch-only' : 'single'].join(','))
+    const content = ['Unit ID,Function Code,Address,Value,Read Mode', ...rows].join('\n')
+    downloadFile(content, `modbus_scan_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv')
+  }
+
+  const percent = progress && progress.total ? (progress.scanned / progress.total) * 100 : 0
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <ScanSearch className="h-5 w-5 mr-2" />
+            Address Scanner
+          </span>
+          {isScanning ? (
+            <Button variant="outline" onClick={handleCancel}>
+              <Square className="h-4 w-4 mr-2" />
+              Cancel Scan
+            </Button>
+          ) : (
+            <Button variant="outline" onClick={handleStart}>
+              <Play className="h-4 w-4 mr-2" />
+              Start Scan
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div>
+          <Label>Function Codes</Label>
+          <div className="flex flex-wrap gap-4 mt-2">
+            {FUNCTION_CODES.map(fc => (
+              <label key={fc.value} className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={scanner.functionCodes.includes(fc.value)}
+                  onChange={() => toggleFunctionCode(fc.value)}
+                  disabled={isScanning}
+                />
+                {fc.label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-3 gap-4">
+          <div>
+            <Label htmlFor="scan-units">Unit IDs</Label>
+            <Input
+              id="scan-units"
+              type="text"
+              value={unitIdText}
+              onChange={(e) => handleUnitIdsChange(e.target.value)}
+              placeholder="1, 2"
+              disabled={isScanning}
+            />
+          </div>
+          <div>
+            <Label htmlFor="scan-delay">Delay Between Reads (ms)</Label>
+            <Input
+              id="scan-delay"
+              type="number"
+              value={scanner.delay}
+              onChange={(e) => update({ delay: Number(e.target.value) })}
+              disabled={isScanning}
+            />
+          </div>
+          <div className="flex items-end space-x-2 pb-2">
+            <Switch
+              checked={!!scanner.batchProbe}
+              onCheckedChange={(checked) => update({ batchProbe: checked })}
+            />
+            <Label>Also probe ranges as batches</Label>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <Label>Address Ranges</Label>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => update({ ranges: [...scanner.ranges, { start: 0, end: 10 }] })}
+              disabled={isScanning}
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add Range
+            </Button>
+          </div>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-2">
+            {scanner.ranges.map((range, index) => (
+              <div key={index} className="flex items-center gap-1">
+                <Input
+                  type="number"
+                  value={range.start}
+                  onChange={(e) => updateRange(index, 'start', Number(e.target.value))}
+                  disabled={isScanning}
+                />
+                <span className="text-muted-foreground">-</span>
+                <Input
+                  type="number"
+                  value={range.end}
+                  onChange={(e) => updateRange(index, 'end', Number(e.target.value))}
+                  disabled={isScanning}
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => update({ ranges: scanner.ranges.filter((_, i) => i !== index) })}
+                  disabled={isScanning}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {(isScanning || progress) && (
+          <div>
+            <div className="flex justify-between text-sm text-muted-foreground mb-1">
+              <span className="flex items-center gap-2">
+                {isScanning && <Loader2 className="h-4 w-4 animate-spin" />}
+                {progress
+                  ? `${progress.scanned} / ${progress.total} addresses • ${progress.found} readable`
+                  : 'Starting scan...'}
+              </span>
+              {progress && progress.current && (
+                <span>Unit {progress.current.unitId} • FC0{progress.current.functionCode} @ {progress.current.address}</span>
+              )}
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">Scan failed: {error}</p>}
+
+        {scan && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <p className="text-sm">
+                {scan.results.length} readable address(es)
+                {scan.cancelled && <Badge variant="warning" className="ml-2">Cancelled</Badge>}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={exportJSON}>
+                  <Download className="h-4 w-4 mr-1" />
+                  JSON
+                </Button>
+                <Button variant="outline" size="sm" onClick={exportCSV}>
+                  <Download className="h-4 w-4 mr-1" />
+                  CSV
+                </Button>
+              </div>
+            </div>
+
+            <div>
+              <p className="text-sm font-medium mb-2">Register Map Suggestions</p>
+              {scan.suggestions.length === 0 ? (
+                <p className="text-sm text-muted-foreground">No registers look like temperatures</p>
+              ) : (
+                <div className="space-y-2">
+                  {scan.batches.map(batch => (
+                    <div key={batch.id} className="flex items-center justify-between p-2 rounded-lg border text-sm">
+                      <span>
+                        Batch FC0{batch.functionCode} {batch.start}-{batch.start + batch.length - 1}
+                        {batch.batchOnly && <Badge variant="warning" className="ml-2">needed for batch-only registers</Badge>}
+                      </span>
+                      <Button variant="outline" size="sm" onClick={() => onAddBatch(batch)}>
+                        <Plus className="h-4 w-4 mr-1" />
+                        Add Batch
+                      </Button>
+                    </div>
+                  ))}
+                  {scan.suggestions.slice(0, 20).map(suggestion => (
+                    <div key={`${suggestion.unitId}-${suggestion.functionCode}-${suggestion.address}`} className="flex items-center justify-between p-2 rounded-lg border text-sm">
+                      <div>
+                        <p>
+                          <span className="font-medium">FC0{suggestion.functionCode} @ {suggestion.address}</span>
+                          {' '}= {suggestion.value}
+                          {suggestion.temperature !== null && ` (${safeToFixed(suggestion.temperature, 1)}°C)`}
+                          <Badge variant={suggestion.score >= 0.7 ? 'success' : 'default'} className="ml-2">
+                            {safeToFixed(suggestion.score * 100, 0)}%
+                          </Badge>
+                        </p>
+                        <p className="text-muted-foreground">{suggestion.reasons.join(' • ')}</p>
+                      </div>
+                      <Button variant="outline" size="sm" onClick={() => onAddInput(suggestion.input)}>
+                        <Plus className="h-4 w-4 mr-1" />
+                        Add Input
+                      </Button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <div className="max-h-64 overflow-y-auto">
+              <div className="grid grid-cols-4 gap-2 text-sm text-muted-foreground">
+                <span>Unit</span>
+                <span>Function</span>
+                <span>Address</span>
+                <span>Value</span>
+                {scan.results.slice(0, MAX_RESULT_ROWS).map(result => (
+                  <React.Fragment key={`${result.unitId}-${result.functionCode}-${result.address}`}>
+                    <span>{result.unitId}</span>
+                    <span>FC0{result.functionCode}</span>
+                    <span>{result.address}{result.batchOnly ? ' (batch)' : ''}</span>
+                    <span className="text-foreground">{String(result.value)}</span>
+                  </React.Fragment>
+                ))}
+              </div>
+              {scan.results.length > MAX_RESULT_ROWS && (
+                <p className="text-sm text-muted-foreground mt-2">
+                  Showing the first {MAX_RESULT_ROWS} results, export for the full list
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ModbusScannerPanel
@@ -29,7 +29,9 @@ import {
   TrendingDown,
   Minus,
   Sliders,
-  Cpu
+  Cpu,
+  LineChart,
+  Calendar
 } from 'lucide-react'
 // Neural ML Controller is now handled by the backend service
 import { safeToFixed } from '../lib/utils'
@@ -47,26 +49,50 @@ ChartJS.register(
   zoomPlugin
 )
 
-const ModernPeltierDashboard = ({ onOpenSettings }) => {
+const ModernPeltierDashboard = ({ deviceId, onOpenSettings, onOpenProfiles, onOpenSchedule, onOpenAutotune, onOpenIdentification }) => {
   const chartRef = useRef(null)
   // Neural controller is handled by backend service
   const [targetTemp, setTargetTemp] = useState(5)
+  const [draftTarget, setDraftTarget] = useState(null)  // Slider position while dragging
+  const [setpointStatus, setSetpointStatus] = useState(null)
+  const [setpointError, setSetpointError] = useState(null)
   const [currentTemp, setCurrentTemp] = useState(22.4)
   const [temperatureHistory, setTemperatureHistory] = useState([])
-  const [connectionStatus, setConnectionStatus] = useState({ connected: true, mockMode: false })
+  const [connectionStatus, setConnectionStatus] = useState({ connected: false, mockMode: false, state: 'offline' })
+  const [dataQuality, setDataQuality] = useState({ quality: 'good', reason: null })
+  const [controlSuspension, setControlSuspension] = useState(null)
+  const [discrepancies, setDiscrepancies] = useState({})
+  const [peltiers, setPeltiers] = useState([
+    { id: 1, name: 'Peltier 1' },
+    { id: 2, name: 'Peltier 2' }
+  ])
   const [peltierStates, setPeltierStates] = useState({ 1: false, 2: false })
-  const [peltierDutyCycles, setPeltierDutyCycles] = useState({ 1: 0, 2: 0 })
+  const [peltierDutyCycles, setPeltierDutyCycles] = useState({})
+  const [peltierHeating, setPeltierHeating] = useState({})  // Reversible outputs, true while heating
+  const [rotation, setRotation] = useState(null)            // Lead and runtime counters per Peltier
   const [autoMode, setAutoMode] = useState(false)  // Start with manual mode until PID loads
   const [isLoading, setIsLoading] = useState(false)
   const [lastUpdate, setLastUpdate] = useState(new Date())
   const [tempTrend, setTempTrend] = useState('stable')
   const [showChart, setShowChart] = useState(false)
   const [showPIDTuning, setShowPIDTuning] = useState(false)
-  const [pidParams, setPidParams] = useState({ kp: 5.0, ki: 1.2, kd: 0.5 })  // More aggressive cooling
   const [pidMetrics, setPidMetrics] = useState(null)
-  const [controllerType, setControllerType] = useState('stable')  // Default to stable controller
+  const [controllerType, setControllerType] = useState('rbf-pid')
+  const [controllerParams, setControllerParams] = useState({})
+  const [availableControllers, setAvailableControllers] = useState([])
+  const [channels, setChannels] = useState([])
+  const [channelHistory, setChannelHistory] = useState({})
+  const [controlChannel, setControlChannel] = useState(null)
+  
+  const connectionStyles = {
+    connected: 'bg-green-50 text-green-700 border border-green-200',
+    degraded: 'bg-orange-50 text-orange-700 border border-orange-200',
+    reconnecting: 'bg-orange-50 text-orange-700 border border-orange-200',
+    offline: 'bg-red-50 text-red-700 border border-red-200'
+  }
   
   const maxDataPoints = 200
+  const maxChannelPoints = 60
   const warningThreshold = 3.0
   
   // RBF Adaptive PID controller is now handled entirely by the backend service
@@ -74,41 +100,117 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
     console.log('[Dashboard] RBF Adaptive PID Controller is active in backend service')
   }, [targetTemp])
   
-  // Load PID settings on mount
+  // Load the device's authoritative setpoint on mount
   useEffect(() => {
-    const loadPIDSettings = async () => {
+    const loadSetpoint = async () => {
       if (window.electronAPI) {
-        const result = await window.electronAPI.getPIDSettings()
-        if (result.success && result.params) {
-          // Validate and ensure all required properties exist
-          const validatedParams = {
-            kp: typeof result.params.kp === 'number' ? result.params.kp : 5.0,
-            ki: typeof result.params.ki === 'number' ? result.params.ki : 1.2,
-            kd: typeof result.params.kd === 'number' ? result.params.kd : 0.5
-          }
-          setPidParams(validatedParams)
-          console.log('🌍 Loaded PID settings:', validatedParams)
-          // Reset PID controller with new logic
-          console.log('[Dashboard] RBF controller reset handled by backend')
-          // Enable auto mode after settings are loaded
-          console.log('[Dashboard] Enabling auto mode after PID settings loaded')
-          setAutoMode(true)
+        const result = await window.electronAPI.getSetpoint(deviceId)
+        if (result.success) {
+          setSetpointStatus(result.setpoint)
+          setTargetTemp(result.setpoint.target)
         }
       }
     }
-    loadPIDSettings()
+    loadSetpoint()
   }, [])
   
-  // Save PID settings when they change
+  // Load this device's controller on mount
   useEffect(() => {
-    const savePIDSettings = async () => {
+    const loadController = async () => {
       if (window.electronAPI) {
-        await window.electronAPI.savePIDSettings(pidParams)
+        const result = await window.electronAPI.getController(deviceId)
+        if (result.success) {
+          setControllerType(result.type)
+          setControllerParams(result.params)
+          setAvailableControllers(result.available)
+          console.log(`🌍 Loaded ${result.label} controller:`, result.params)
+          setAutoMode(result.enabled)
+        }
       }
     }
-    savePIDSettings()
-  }, [pidParams])
-
+    loadController()
+  }, [])
+  
+  // Load the connection state on mount, the main process connects on startup
+  useEffect(() => {
+    const loadConnectionStatus = async () => {
+      if (!window.electronAPI) return
+      
+      const status = await window.electronAPI.getConnectionStatus(deviceId)
+      if (status && status.success !== false) setConnectionStatus(status)
+    }
+    loadConnectionStatus()
+  }, [])
+  
+  // Runtime counters and lead, updated as the outputs switch
+  useEffect(() => {
+    if (!window.electronAPI) return
+    
+    window.electronAPI.getRotation(deviceId).then(result => {
+      if (result.success) setRotation(result.rotation)
+    })
+    const unsubscribe = window.electronAPI.onRotationUpdate((_event, data) => {
+      if (data.deviceId === deviceId) setRotation(data)
+    })
+    return () => unsubscribe?.()
+  }, [])
+  
+  // Load any active control suspension on mount
+  useEffect(() => {
+    const loadSuspension = async () => {
+      if (!window.electronAPI) return
+      
+      const result = await window.electronAPI.getControlSuspension(deviceId)
+      if (result.success) setControlSuspension(result.suspension)
+    }
+    loadSuspension()
+  }, [])
+  
+  // Load configured Peltier outputs on mount
+  useEffect(() => {
+    const loadOutputs = async () => {
+      if (!window.electronAPI) return
+      
+      const result = await window.electronAPI.getOutputs(deviceId)
+      if (result.success) {
+        setPeltiers(result.outputs.map(({ id, name, mode }) => ({ id, name, mode })))
+        setPeltierStates(Object.fromEntries(result.outputs.map(output => [output.id, output.state])))
+        setPeltierDutyCycles(Object.fromEntries(result.outputs
+          .filter(output => output.mode === 'analog')
+          .map(output => [output.id, output.duty])))
+        setPeltierHeating(Object.fromEntries(result.outputs
+          .filter(output => output.reversible)
+          .map(output => [output.id, output.heating])))
+        setDiscrepancies(Object.fromEntries(result.outputs
+          .filter(output => output.discrepancy)
+          .map(output => [output.id, output.discrepancy])))
+      }
+    }
+    loadOutputs()
+  }, [])
+  
+  // Load input channels on mount
+  useEffect(() => {
+    const loadChannels = async () => {
+      if (!window.electronAPI) return
+      
+      const result = await window.electronAPI.getChannels(deviceId)
+      if (result.success) {
+        setChannels(result.channels)
+        setChannelHistory(Object.fromEntries(result.channels.map(channel => [
+          channel.id,
+          channel.history.slice(-maxChannelPoints).map(point => point.value)
+        ])))
+        const control = result.channels.find(channel => channel.isControl)
+        if (control) setControlChannel(control.id)
+      }
+    }
+    loadChannels()
+  }, [])
+  
+  const currentController = availableControllers.find(controller => controller.type === controllerType)
+  const setpointMin = setpointStatus ? setpointStatus.min : -10
+  const setpointMax = setpointStatus ? setpointStatus.max : 30
   const tempDiff = currentTemp - targetTemp
   const isWarning = Math.abs(tempDiff) > warningThreshold
 
@@ -121,6 +223,22 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
     }
   }
 
+  // Position of a Peltier module in the container drawing, alternating left and right walls
+  const getModuleLayout = (index, count) => {
+    const perSide = Math.ceil(count / 2)
+    const slot = Math.floor(index / 2)
+    const gap = 10
+    const height = Math.min(120, (260 - gap * (perSide - 1)) / perSide)
+    const top = 280 - (perSide * height + (perSide - 1) * gap) / 2
+    const x = index % 2 === 0 ? 20 : 320
+    const y = top + slot * (height + gap)
+    const radius = Math.min(20, height / 2 - 4)
+    
+    return { x, y, height, cx: x + 30, cy: y + height / 2, radius }
+  }
+  
+  const anyPeltierOn = peltiers.some(peltier => peltierStates[peltier.id])
+
   // Chart configuration
   const chartData = {
     labels: temperatureHistory.map(reading => 
@@ -251,11 +369,14 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
   useEffect(() => {
     if (!window.electronAPI) return
 
+    // Every container's events arrive here, only this dashboard's device is shown
     const unsubscribeTemp = window.electronAPI.onTemperatureUpdate((_event, data) => {
+      if (data.deviceId !== deviceId) return
       console.log(`[Dashboard] Temperature update received: ${data.temperature}°C`)
       const prevTemp = currentTemp
       setCurrentTemp(data.temperature)
-      setLastUpdate(new Date(data.timestamp))
+      setLastUpdate(new Date(data.sampledAt || data.timestamp))
+      setDataQuality({ quality: data.quality || 'good', reason: data.qualityReason })
       
       // Calculate trend
       if (data.temperature > prevTemp + 0.1) setTempTrend('rising')
@@ -268,52 +389,138 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
           ? newHistory.slice(-maxDataPoints) 
           : newHistory
       })
+      
+      if (data.channels) {
+        setChannels(data.channels)
+        setChannelHistory(prev => {
+          const next = { ...prev }
+          data.channels.forEach(channel => {
+            next[channel.id] = [...(prev[channel.id] || []), channel.value].slice(-maxChannelPoints)
+          })
+          return next
+        })
+      }
     })
 
     const unsubscribeConnection = window.electronAPI.onConnectionStatusChange((_event, status) => {
+      if (status.deviceId !== deviceId) return
       setConnectionStatus(status)
     })
 
     const unsubscribePeltier = window.electronAPI.onPeltierStatusChange((_event, status) => {
+      if (status.deviceId !== deviceId) return
       setPeltierStates(prev => ({
         ...prev,
         [status.peltierId]: status.state
       }))
+      // Analog outputs report the duty that was written
+      if (typeof status.duty === 'number') {
+        setPeltierDutyCycles(prev => ({
+          ...prev,
+          [status.peltierId]: status.duty
+        }))
+      }
+      if (typeof status.heating === 'boolean') {
+        setPeltierHeating(prev => ({
+          ...prev,
+          [status.peltierId]: status.heating
+        }))
+      }
+    })
+
+    const unsubscribeChannel = window.electronAPI.onControlChannelChange((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setControlChannel(data.channelId)
     })
 
-    handleConnect()
+    const unsubscribeSuspension = window.electronAPI.onControlSuspensionChange((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setControlSuspension(data.suspended ? data : null)
+    })
+
+    // Setpoint changes from any window, and ramp progress
+    const unsubscribeSetpoint = window.electronAPI.onSetpointChanged((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setSetpointStatus(data)
+      setTargetTemp(data.target)
+    })
+
+    const unsubscribeController = window.electronAPI.onControllerChanged((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setControllerType(data.type)
+      setControllerParams(data.params)
+    })
+
+    // Auto control switched from another window or by the schedule
+    const unsubscribeControlState = window.electronAPI.onControlStateChanged((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setAutoMode(data.enabled)
+      if (!data.enabled) setPeltierDutyCycles({})
+    })
+
+    const unsubscribeDiscrepancy = window.electronAPI.onPeltierDiscrepancy((_event, data) => {
+      if (data.deviceId !== deviceId) return
+      setDiscrepancies(prev => {
+        const next = { ...prev }
+        if (data.status === 'cleared') {
+          delete next[data.peltierId]
+        } else {
+          next[data.peltierId] = data
+        }
+        return next
+      })
+    })
 
     return () => {
       unsubscribeTemp?.()
       unsubscribeConnection?.()
       unsubscribePeltier?.()
+      unsubscribeChannel?.()
+      unsubscribeSuspension?.()
+      unsubscribeController?.()
+      unsubscribeControlState?.()
+      unsubscribeSetpoint?.()
+      unsubscribeDiscrepancy?.()
     }
-  }, [currentTemp])
+  }, [currentTemp, deviceId])
+
+  const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000)
+    if (seconds < 60) return `${seconds}s`
+    const minutes = Math.floor(seconds / 60)
+    return minutes < 60 ? `${minutes}m ${seconds % 60}s` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+  }
 
-  const handleConnect = async () => {
+  const handleReconnect = async () => {
     if (!window.electronAPI) return
     
     setIsLoading(true)
     try {
-      await window.electronAPI.connectToModbus({
-        host: '10.5.5.95',
-        port: 502,
-        unitId: 1,
-        timeout: 5000
-      })
+      const result = await window.electronAPI.reconnectModbus(deviceId)
+      if (result.status) setConnectionStatus(result.status)
     } catch (error) {
-      console.error('Connection failed:', error)
+      console.error('Reconnect failed:', error)
     } finally {
       setIsLoading(false)
     }
   }
 
+  // Manual writes the output protection holds back are only forced after asking
+  const writeManual = async (write) => {
+    const result = await write(false)
+    if (result && result.held && window.confirm(`${result.error}. Override the output protection?`)) {
+      return write(true)
+    }
+    return result
+  }
+  
   const handlePeltierToggle = async (peltierId) => {
     if (!window.electronAPI || autoMode) return
     
     const newState = !peltierStates[peltierId]
     try {
-      await window.electronAPI.writePeltierControl(peltierId, newState)
+      const result = await writeManual(override => window.electronAPI.writePeltierControl(deviceId, peltierId, newState, override))
+      if (result && result.error) throw new Error(result.error)
       setPeltierStates(prev => ({
         ...prev,
         [peltierId]: newState
@@ -334,7 +541,8 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
     console.log(`[Dashboard] Sending Peltier control command: Peltier ${peltierId} -> ${state ? 'ON' : 'OFF'}`)
     
     try {
-      await window.electronAPI.writePeltierControl(peltierId, state)
+      const result = await writeManual(override => window.electronAPI.writePeltierControl(deviceId, peltierId, state, override))
+      if (result && result.error) throw new Error(result.error)
       setPeltierStates(prev => ({
         ...prev,
         [peltierId]: state
@@ -344,24 +552,129 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
     }
   }
   
-  const handleAutoModeToggle = () => {
+  // Manual duty for analog outputs, written when the slider is released
+  const handlePeltierDuty = async (peltierId) => {
+    if (!window.electronAPI || autoMode) return
+    
+    const duty = peltierDutyCycles[peltierId] || 0
+    try {
+      const result = await writeManual(override => window.electronAPI.writePeltierDuty(deviceId, peltierId, duty, override))
+      if (result && result.error) throw new Error(result.error)
+      setPeltierStates(prev => ({
+        ...prev,
+        [peltierId]: duty > 0
+      }))
+    } catch (error) {
+      console.error(`Failed to set Peltier ${peltierId} duty:`, error)
+    }
+  }
+  
+  const handleAutoModeToggle = async () => {
     const newAutoMode = !autoMode
     console.log(`[Dashboard] Auto mode toggled: ${newAutoMode ? 'ON' : 'OFF'}`)
+    
+    if (window.electronAPI) {
+      const result = await window.electronAPI.setRBFEnabled(deviceId, newAutoMode)
+      if (!result.success) {
+        console.error('Failed to switch auto control:', result.error)
+        return
+      }
+    }
     setAutoMode(newAutoMode)
     
     if (!newAutoMode) {
-      // RBF controller is disabled via backend
-      setPeltierDutyCycles({ 1: 0, 2: 0 })
-    } else if (newAutoMode) {
-      console.log(`[Dashboard] RBF Adaptive PID Controller activated with target=${targetTemp}°C`)
+      setPeltierDutyCycles({})
+    } else {
+      console.log(`[Dashboard] Automatic control activated with target=${targetTemp}°C`)
     }
   }
 
+  const handleSetpointCommit = async () => {
+    if (draftTarget === null) return
+    if (!window.electronAPI) {
+      setTargetTemp(draftTarget)
+      setDraftTarget(null)
+      return
+    }
+    
+    setSetpointError(null)
+    try {
+      const result = await window.electronAPI.setSetpoint(deviceId, draftTarget)
+      if (result.success) {
+        setSetpointStatus(result.setpoint)
+        setTargetTemp(result.setpoint.target)
+      } else {
+        setSetpointError(result.error)
+      }
+    } catch (error) {
+      console.error('Failed to set setpoint:', error)
+    } finally {
+      setDraftTarget(null)
+    }
+  }
+
+  const handleControllerChange = async (type) => {
+    if (!window.electronAPI) return
+    
+    try {
+      const result = await window.electronAPI.setController(deviceId, type)
+      if (result.success) {
+        setControllerType(result.type)
+        setControllerParams(result.params)
+      }
+    } catch (error) {
+      console.error('Failed to switch controller:', error)
+    }
+  }
+  
+  // Sliders update locally while dragged and are sent to the controller on release
+  const handleControllerParamCommit = async (key) => {
+    if (!window.electronAPI) return
+    
+    try {
+      const result = await window.electronAPI.setControllerParams(deviceId, { [key]: controllerParams[key] })
+      if (result.success) setControllerParams(result.params)
+    } catch (error) {
+      console.error('Failed to update controller parameters:', error)
+    }
+  }
+
+  const handleControlChannelChange = async (channelId) => {
+    if (!window.electronAPI) return
+    
+    try {
+      const result = await window.electronAPI.setControlChannel(deviceId, channelId)
+      if (result.success) {
+        setControlChannel(channelId)
+      }
+    } catch (error) {
+      console.error('Failed to change control channel:', error)
+    }
+  }
+  
+  const renderSparkline = (values) => {
+    const points = values.filter(value => typeof value === 'number')
+    if (points.length < 2) return null
+    
+    const min = Math.min(...points)
+    const max = Math.max(...points)
+    const range = max - min || 1
+    const path = points.map((value, i) => 
+      `${(i / (points.length - 1)) * 100},${20 - ((value - min) / range) * 20}`
+    ).join(' ')
+    
+    return (
+      <svg viewBox="0 0 100 20" className="w-full h-5 mt-2" preserveAspectRatio="none">
+        <polyline points={path} fill="none" stroke="#8b5cf6" strokeWidth="1.5" />
+      </svg>
+    )
+  }
+
   const handleRefresh = async () => {
     if (!window.electronAPI) return
     
     try {
-      const reading = await window.electronAPI.readTemperature()
+      const reading = await window.electronAPI.readTemperature(deviceId)
       if (reading && !reading.error) {
         setCurrentTemp(reading.temperature)
         setLastUpdate(new Date(reading.timestamp))
@@ -408,31 +721,52 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
           </div>
           
           <div className="flex items-center gap-3">
-            <div className={`px-4 py-2 rounded-full font-light text-sm flex items-center gap-2 ${
-              connectionStatus.connected 
-                ? 'bg-green-50 text-green-700 border border-green-200' 
-                : connectionStatus.mockMode 
+            <div
+              className={`px-4 py-2 rounded-full font-light text-sm flex items-center gap-2 ${
+                connectionStatus.mockMode
                   ? 'bg-yellow-50 text-yellow-700 border border-yellow-200'
-                  : 'bg-red-50 text-red-700 border border-red-200'
-            }`}>
-              {connectionStatus.connected ? (
+                  : connectionStyles[connectionStatus.state] || connectionStyles.offline
+              }`}
+              title={connectionStatus.reason || ''}
+            >
+              {connectionStatus.mockMode ? (
+                <>
+                  <AlertTriangle className="h-4 w-4" />
+                  Mock Data
+                </>
+              ) : connectionStatus.state === 'connected' ? (
                 <>
                   <Wifi className="h-4 w-4" />
                   PLC Connected
                 </>
-              ) : connectionStatus.mockMode ? (
+              ) : connectionStatus.state === 'degraded' ? (
                 <>
                   <AlertTriangle className="h-4 w-4" />
-                  Mock Mode
+                  Link Degraded
+                </>
+              ) : connectionStatus.state === 'reconnecting' ? (
+                <>
+                  <RefreshCw className="h-4 w-4 animate-spin" />
+                  Reconnecting{connectionStatus.reconnectAttempt ? ` (attempt ${connectionStatus.reconnectAttempt})` : ''}
                 </>
               ) : (
                 <>
                   <WifiOff className="h-4 w-4" />
-                  Disconnected
+                  Offline
                 </>
               )}
             </div>
             
+            {!connectionStatus.connected && !connectionStatus.mockMode && (
+              <button
+                onClick={handleReconnect}
+                disabled={isLoading}
+                className="px-4 py-2 rounded-full text-sm font-light border border-gray-200 hover:bg-gray-100 transition-colors"
+              >
+                Retry Now
+              </button>
+            )}
+            
             <button
               onClick={handleRefresh}
               className="p-2 rounded-xl hover:bg-gray-100 transition-colors"
@@ -440,6 +774,20 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
               <RefreshCw className="h-5 w-5 text-gray-600" />
             </button>
             
+            <button
+              onClick={onOpenProfiles}
+              className="p-2 rounded-xl hover:bg-gray-100 transition-colors"
+            >
+              <LineChart className="h-5 w-5 text-gray-600" />
+            </button>
+            
+            <button
+              onClick={onOpenSchedule}
+              className="p-2 rounded-xl hover:bg-gray-100 transition-colors"
+            >
+              <Calendar className="h-5 w-5 text-gray-600" />
+            </button>
+            
             <button
               onClick={onOpenSettings}
               className="p-2 rounded-xl hover:bg-gray-100 transition-colors"
@@ -449,6 +797,33 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
           </div>
         </div>
 
+        {/* Control suspension banner */}
+        {controlSuspension && autoMode && (
+          <div className="mb-8 p-5 rounded-2xl border border-red-200 bg-red-50 flex items-start gap-4">
+            <AlertTriangle className="h-6 w-6 text-red-600 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-red-800 font-medium">
+                Automatic control suspended - {controlSuspension.quality} data
+              </p>
+              <p className="text-red-700 text-sm font-light mt-1">{controlSuspension.reason}</p>
+              <p className="text-red-700 text-sm font-light mt-1">
+                {controlSuspension.safeOutput === 'hold-last'
+                  ? 'Peltiers are held in their last commanded state'
+                  : 'All Peltiers are held off'}
+                {' '}until good readings return
+                {controlSuspension.since && ` (since ${new Date(controlSuspension.since).toLocaleTimeString()})`}.
+              </p>
+            </div>
+          </div>
+        )}
+
+        {!controlSuspension && dataQuality.quality !== 'good' && (
+          <div className="mb-8 p-4 rounded-2xl border border-yellow-200 bg-yellow-50 flex items-center gap-3 text-yellow-800 text-sm font-light">
+            <AlertTriangle className="h-5 w-5" />
+            Showing {dataQuality.quality} data{dataQuality.reason ? `: ${dataQuality.reason}` : ''}
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-10">
           {/* Container Visualization */}
           <div className="relative">
@@ -542,75 +917,44 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   
                   {/* Peltier modules with futuristic design */}
                   <g filter="url(#shadow)">
-                    {/* Peltier 1 */}
-                    <g className={peltierStates[1] ? "animate-pulse" : ""}>
-                      <rect x="20" y="220" width="60" height="120" 
-                            fill={peltierStates[1] ? "#22c55e" : "#f3f4f6"} 
-                            rx="30"
-                            opacity={peltierStates[1] ? "0.8" : "1"}/>
-                      {peltierStates[1] && (
-                        <rect x="20" y="220" width="60" height="60" 
-                              fill="white" 
-                              opacity="0.4"
-                              rx="30"/>
-                      )}
-                      <circle cx="50" cy="280" r="20" 
-                              fill={peltierStates[1] ? "white" : "#e5e7eb"} 
-                              opacity="0.9"/>
-                      <Zap x="38" y="268" size="24" color={peltierStates[1] ? "#22c55e" : "#6b7280"} />
-                      {autoMode && peltierDutyCycles[1] > 0 && (
-                        <>
-                          <text x="50" y="310" fill="white" textAnchor="middle" className="text-xs font-bold">
-                            {peltierDutyCycles[1]}%
-                          </text>
-                        </>
-                      )}
-                      {peltierStates[1] && (
-                        <circle cx="50" cy="280" r="25" 
-                                stroke="#22c55e" 
-                                strokeWidth="2" 
-                                fill="none" 
-                                opacity="0.5">
-                          <animate attributeName="r" values="20;30;20" dur="2s" repeatCount="indefinite"/>
-                          <animate attributeName="opacity" values="0.5;0;0.5" dur="2s" repeatCount="indefinite"/>
-                        </circle>
-                      )}
-                    </g>
-                    
-                    {/* Peltier 2 */}
-                    <g className={peltierStates[2] ? "animate-pulse" : ""}>
-                      <rect x="320" y="220" width="60" height="120" 
-                            fill={peltierStates[2] ? "#22c55e" : "#f3f4f6"} 
-                            rx="30"
-                            opacity={peltierStates[2] ? "0.8" : "1"}/>
-                      {peltierStates[2] && (
-                        <rect x="320" y="220" width="60" height="60" 
-                              fill="white" 
-                              opacity="0.4"
-                              rx="30"/>
-                      )}
-                      <circle cx="350" cy="280" r="20" 
-                              fill={peltierStates[2] ? "white" : "#e5e7eb"} 
-                              opacity="0.9"/>
-                      <Zap x="338" y="268" size="24" color={peltierStates[2] ? "#22c55e" : "#6b7280"} />
-                      {autoMode && peltierDutyCycles[2] > 0 && (
-                        <>
-                          <text x="350" y="310" fill="white" textAnchor="middle" className="text-xs font-bold">
-                            {peltierDutyCycles[2]}%
-                          </text>
-                        </>
-                      )}
-                      {peltierStates[2] && (
-                        <circle cx="350" cy="280" r="25" 
-                                stroke="#22c55e" 
-                                strokeWidth="2" 
-                                fill="none" 
-                                opacity="0.5">
-                          <animate attributeName="r" values="20;30;20" dur="2s" repeatCount="indefinite"/>
-                          <animate attributeName="opacity" values="0.5;0;0.5" dur="2s" repeatCount="indefinite"/>
-                        </circle>
-                      )}
-                    </g>
+                    {peltiers.map((peltier, index) => {
+                      const { x, y, height, cx, cy, radius } = getModuleLayout(index, peltiers.length)
+                      const isOn = peltierStates[peltier.id]
+                      
+                      return (
+                        <g key={peltier.id} className={isOn ? "animate-pulse" : ""}>
+                          <rect x={x} y={y} width="60" height={height} 
+                                fill={isOn ? "#22c55e" : "#f3f4f6"} 
+                                rx="30"
+                                opacity={isOn ? "0.8" : "1"}/>
+                          {isOn && (
+                            <rect x={x} y={y} width="60" height={height / 2} 
+                                  fill="white" 
+                                  opacity="0.4"
+                                  rx="30"/>
+                          )}
+                          <circle cx={cx} cy={cy} r={radius} 
+                                  fill={isOn ? "white" : "#e5e7eb"} 
+                                  opacity="0.9"/>
+                          <Zap x={cx - radius * 0.6} y={cy - radius * 0.6} size={radius * 1.2} color={isOn ? "#22c55e" : "#6b7280"} />
+                          {autoMode && peltierDutyCycles[peltier.id] > 0 && height >= 100 && (
+                            <text x={cx} y={cy + 30} fill="white" textAnchor="middle" className="text-xs font-bold">
+                              {Math.round(peltierDutyCycles[peltier.id])}%
+                            </text>
+                          )}
+                          {isOn && (
+                            <circle cx={cx} cy={cy} r={radius + 5} 
+                                    stroke="#22c55e" 
+                                    strokeWidth="2" 
+                                    fill="none" 
+                                    opacity="0.5">
+                              <animate attributeName="r" values={`${radius};${radius + 10};${radius}`} dur="2s" repeatCount="indefinite"/>
+                              <animate attributeName="opacity" values="0.5;0;0.5" dur="2s" repeatCount="indefinite"/>
+                            </circle>
+                          )}
+                        </g>
+                      )
+                    })}
                   </g>
                   
                   {/* Temperature Display - Floating design */}
@@ -650,7 +994,7 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   </g>
                   
                   {/* Cooling effect particles */}
-                  {(peltierStates[1] || peltierStates[2]) && (
+                  {anyPeltierOn && (
                     <>
                       {[...Array(5)].map((_, i) => (
                         <circle key={i} r="2" fill="#93c5fd" opacity="0.4">
@@ -694,23 +1038,34 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   <div>
                     <div className="flex justify-between items-center mb-4">
                       <label className="text-gray-700 font-light text-lg">Target Temperature</label>
-                      <span className="text-4xl font-extralight bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">{targetTemp}°C</span>
+                      <span className="text-4xl font-extralight bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent">{draftTarget !== null ? draftTarget : targetTemp}°C</span>
                     </div>
                     <div className="relative">
                       <div className="absolute inset-0 bg-gradient-to-r from-blue-400 to-purple-400 rounded-full opacity-10 blur-lg"></div>
                       <input
                         type="range"
-                        min="-10"
-                        max="30"
-                        value={targetTemp}
-                        onChange={(e) => setTargetTemp(Number(e.target.value))}
+                        min={setpointMin}
+                        max={setpointMax}
+                        step="0.5"
+                        value={draftTarget !== null ? draftTarget : targetTemp}
+                        onChange={(e) => setDraftTarget(Number(e.target.value))}
+                        onPointerUp={handleSetpointCommit}
+                        onKeyUp={handleSetpointCommit}
                         className="relative w-full h-4 bg-gray-100 rounded-full appearance-none cursor-pointer slider"
                       />
                       <div className="flex justify-between text-xs text-gray-500 mt-2">
-                        <span>-10°C</span>
-                        <span>30°C</span>
+                        <span>{setpointMin}°C</span>
+                        <span>{setpointMax}°C</span>
                       </div>
                     </div>
+                    {setpointStatus && setpointStatus.ramping && (
+                      <p className="text-sm text-orange-600 font-light mt-2">
+                        Ramping at {setpointStatus.rampRate}°C/min, controller at {safeToFixed(setpointStatus.setpoint, 2)}°C
+                      </p>
+                    )}
+                    {setpointError && (
+                      <p className="text-sm text-red-500 font-light mt-2">{setpointError}</p>
+                    )}
                   </div>
                   
                   <div className="relative overflow-hidden rounded-3xl">
@@ -779,74 +1134,118 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   </div>
                   
                   <div className="grid grid-cols-2 gap-4">
-                    <button
-                      onClick={() => handlePeltierToggle(1)}
-                      disabled={autoMode}
-                      className={`relative overflow-hidden p-8 rounded-3xl font-light transition-all duration-500 ${
-                        peltierStates[1] 
-                          ? 'bg-gradient-to-br from-green-500 to-green-600 text-white shadow-2xl scale-105' 
-                          : 'bg-gray-50 text-gray-600 hover:bg-gray-100 border border-gray-200'
-                      } ${autoMode ? 'opacity-50 cursor-not-allowed' : ''}`}
-                    >
-                      {peltierStates[1] && (
-                        <div className="absolute inset-0 bg-white opacity-20">
-                          <div className="absolute inset-0 bg-gradient-to-t from-transparent to-white opacity-30"></div>
-                        </div>
-                      )}
-                      <div className="relative">
-                        <Power className="mx-auto mb-3" size={32} />
-                        <div className="text-lg">Peltier 1</div>
-                        <div className="text-xs mt-1 opacity-80">
-                          {peltierStates[1] ? `Active • ${peltierDutyCycles[1]}%` : 'Standby'}
-                        </div>
-                        {autoMode && peltierDutyCycles[1] > 0 && (
-                          <div className="mt-3">
-                            <div className="h-2 bg-white/20 rounded-full overflow-hidden">
-                              <div 
-                                className="h-full bg-white/60 transition-all duration-500"
-                                style={{ width: `${peltierDutyCycles[1]}%` }}
-                              />
-                            </div>
-                            <p className="text-xs mt-1 text-center opacity-70">Duty Cycle</p>
+                    {peltiers.map(peltier => (
+                      <button
+                        key={peltier.id}
+                        onClick={() => handlePeltierToggle(peltier.id)}
+                        disabled={autoMode}
+                        className={`relative overflow-hidden p-8 rounded-3xl font-light transition-all duration-500 ${
+                          peltierStates[peltier.id] && peltierHeating[peltier.id]
+                            ? 'bg-gradient-to-br from-orange-500 to-red-500 text-white shadow-2xl scale-105'
+                            : peltierStates[peltier.id]
+                            ? 'bg-gradient-to-br from-green-500 to-green-600 text-white shadow-2xl scale-105' 
+                            : 'bg-gray-50 text-gray-600 hover:bg-gray-100 border border-gray-200'
+                        } ${autoMode ? 'opacity-50 cursor-not-allowed' : ''}`}
+                      >
+                        {peltierStates[peltier.id] && (
+                          <div className="absolute inset-0 bg-white opacity-20">
+                            <div className="absolute inset-0 bg-gradient-to-t from-transparent to-white opacity-30"></div>
                           </div>
                         )}
-                      </div>
-                    </button>
-                    
-                    <button
-                      onClick={() => handlePeltierToggle(2)}
-                      disabled={autoMode}
-                      className={`relative overflow-hidden p-8 rounded-3xl font-light transition-all duration-500 ${
-                        peltierStates[2] 
-                          ? 'bg-gradient-to-br from-green-500 to-green-600 text-white shadow-2xl scale-105' 
-                          : 'bg-gray-50 text-gray-600 hover:bg-gray-100 border border-gray-200'
-                      } ${autoMode ? 'opacity-50 cursor-not-allowed' : ''}`}
-                    >
-                      {peltierStates[2] && (
-                        <div className="absolute inset-0 bg-white opacity-20">
-                          <div className="absolute inset-0 bg-gradient-to-t from-transparent to-white opacity-30"></div>
+                        <div className="relative">
+                          <Power className="mx-auto mb-3" size={32} />
+                          <div className="text-lg">
+                            {peltier.name}
+                            {rotation && peltiers.length > 1 && String(rotation.leadId) === String(peltier.id) && (
+                              <span className="ml-2 px-2 py-0.5 rounded-full bg-blue-100 text-blue-700 text-xs align-middle">Lead</span>
+                            )}
+                          </div>
+                          <div className="text-xs mt-1 opacity-80">
+                            {peltierStates[peltier.id]
+                              ? `${peltierHeating[peltier.id] ? 'Heating' : 'Active'} • ${Math.round(peltierDutyCycles[peltier.id] || 0)}%`
+                              : 'Standby'}
+                          </div>
+                          {discrepancies[peltier.id] && (
+                            <div className="mt-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs">
+                              <AlertTriangle size={12} />
+                              PLC reports {discrepancies[peltier.id].actual ? 'ON' : 'OFF'}
+                            </div>
+                          )}
+                          {autoMode && peltierDutyCycles[peltier.id] > 0 && (
+                            <div className="mt-3">
+                              <div className="h-2 bg-white/20 rounded-full overflow-hidden">
+                                <div 
+                                  className="h-full bg-white/60 transition-all duration-500"
+                                  style={{ width: `${peltierDutyCycles[peltier.id]}%` }}
+                                />
+                              </div>
+                              <p className="text-xs mt-1 text-center opacity-70">Duty Cycle</p>
+                            </div>
+                          )}
                         </div>
-                      )}
-                      <div className="relative">
-                        <Power className="mx-auto mb-3" size={32} />
-                        <div className="text-lg">Peltier 2</div>
-                        <div className="text-xs mt-1 opacity-80">
-                          {peltierStates[2] ? `Active • ${peltierDutyCycles[2]}%` : 'Standby'}
+                      </button>
+                    ))}
+                  </div>
+                  
+                  {!autoMode && peltiers.some(peltier => peltier.mode === 'analog') && (
+                    <div className="p-4 rounded-2xl border border-gray-200 space-y-3">
+                      {peltiers.filter(peltier => peltier.mode === 'analog').map(peltier => (
+                        <div key={peltier.id} className="flex items-center gap-4 text-sm font-light text-gray-700">
+                          <span className="w-24">{peltier.name}</span>
+                          <input
+                            type="range"
+                            min="0"
+                            max="100"
+                            step="1"
+                            value={peltierDutyCycles[peltier.id] || 0}
+                            onChange={(e) => setPeltierDutyCycles(prev => ({ ...prev, [peltier.id]: Number(e.target.value) }))}
+                            onPointerUp={() => handlePeltierDuty(peltier.id)}
+                            onKeyUp={() => handlePeltierDuty(peltier.id)}
+                            className="flex-1"
+                          />
+                          <span className="w-12 text-right">{Math.round(peltierDutyCycles[peltier.id] || 0)}%</span>
                         </div>
-                        {autoMode && peltierDutyCycles[2] > 0 && (
-                          <div className="mt-3">
-                            <div className="h-2 bg-white/20 rounded-full overflow-hidden">
-                              <div 
-                                className="h-full bg-white/60 transition-all duration-500"
-                                style={{ width: `${peltierDutyCycles[2]}%` }}
-                              />
-                            </div>
-                            <p className="text-xs mt-1 text-center opacity-70">Duty Cycle</p>
+                      ))}
+                    </div>
+                  )}
+                  
+                  {rotation && (
+                    <div className="p-4 rounded-2xl border border-gray-200 space-y-2">
+                      {rotation.peltiers.map(counter => {
+                        const peltier = peltiers.find(p => String(p.id) === String(counter.id))
+                        return (
+                          <div key={counter.id} className="flex items-center justify-between text-sm font-light text-gray-700">
+                            <span>{peltier ? peltier.name : `Peltier ${counter.id}`}</span>
+                            <span className="text-gray-500">
+                              {counter.runtimeHours.toFixed(1)} h • {counter.switches} starts
+                            </span>
                           </div>
-                        )}
-                      </div>
-                    </button>
-                  </div>
+                        )
+                      })}
+                      <p className="text-xs text-gray-400 font-light">
+                        {rotation.policy.mode === 'off'
+                          ? 'Lead rotation off'
+                          : rotation.nextRotationAt
+                          ? `Lead rotates ${new Date(rotation.nextRotationAt).toLocaleString()}`
+                          : `Lead rotates after ${rotation.policy.runtimeDifference} h more runtime than the least used`}
+                      </p>
+                    </div>
+                  )}
+                  
+                  {Object.values(discrepancies).length > 0 && (
+                    <div className="p-4 rounded-2xl border border-red-200 bg-red-50 space-y-2">
+                      {Object.values(discrepancies).map(discrepancy => (
+                        <div key={discrepancy.peltierId} className="flex items-center gap-3 text-sm text-red-700 font-light">
+                          <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+                          <span>
+                            {discrepancy.name} (coil {discrepancy.address}) commanded {discrepancy.commanded ? 'ON' : 'OFF'} but
+                            reads {discrepancy.actual ? 'ON' : 'OFF'} for {formatDuration(discrepancy.duration)}
+                            {discrepancy.escalated && `, still after ${discrepancy.retries} re-commands, check the PLC and its wiring`}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -867,6 +1266,54 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
               </div>
             </div>
             
+            {/* Input Channels */}
+            {channels.length > 0 && (
+              <div className="relative">
+                <div className="relative bg-gray-50/50 backdrop-blur-sm rounded-[2rem] p-6 shadow-xl border border-gray-100">
+                  <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-light text-gray-800 flex items-center gap-3">
+                      <div className="p-2 bg-gradient-to-br from-blue-400 to-cyan-500 rounded-xl shadow-lg">
+                        <Thermometer className="text-white" size={16} />
+                      </div>
+                      Probes
+                    </h3>
+                    <select
+                      value={controlChannel || ''}
+                      onChange={(e) => handleControlChannelChange(e.target.value)}
+                      className="px-3 py-1 bg-white border border-gray-200 rounded-xl text-sm font-light focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    >
+                      {channels.map(channel => (
+                        <option key={channel.id} value={channel.id}>Control: {channel.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="grid grid-cols-2 gap-3">
+                    {channels.map(channel => (
+                      <div 
+                        key={channel.id}
+                        className={`p-3 bg-white/50 rounded-xl border ${
+                          channel.id === controlChannel ? 'border-purple-300' : 'border-transparent'
+                        }`}
+                      >
+                        <div className="flex justify-between items-center">
+                          <p className="text-xs text-gray-500 font-light">{channel.name}</p>
+                          <span className={`text-xs font-light ${
+                            channel.quality === 'good' ? 'text-green-600' : 'text-red-500'
+                          }`}>
+                            {channel.quality}
+                          </span>
+                        </div>
+                        <p className="text-lg font-light text-gray-800">
+                          {channel.value !== null ? `${safeToFixed(channel.value, 1)}${channel.units}` : '—'}
+                        </p>
+                        {renderSparkline(channelHistory[channel.id] || [])}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
+            
             {/* PID Controller Tuning */}
             {autoMode && (
               <div className="mt-6 relative">
@@ -877,7 +1324,7 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                       <div className="p-2 bg-gradient-to-br from-purple-400 to-indigo-500 rounded-xl shadow-lg">
                         <Cpu className="text-white" size={16} />
                       </div>
-                      {controllerType === 'stable' ? 'Stable' : controllerType === 'smart' ? 'Smart Adaptive' : 'PID'} Controller
+                      {currentController ? currentController.label : 'Temperature'} Controller
                     </h3>
                     <div className="flex items-center gap-2">
                       <button
@@ -896,18 +1343,16 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                         <p className="text-sm font-light text-gray-700 mb-2">Controller Algorithm</p>
                         <select 
                           value={controllerType}
-                          onChange={(e) => setControllerType(e.target.value)}
+                          onChange={(e) => handleControllerChange(e.target.value)}
                           className="w-full px-4 py-2 bg-white border border-gray-200 rounded-xl text-sm font-light focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent"
                         >
-                          <option value="stable">Stable Controller - Simple & Reliable</option>
-                          <option value="smart">Smart Adaptive - Advanced Features</option>
-                          <option value="pid">Traditional PID - Classic Control</option>
+                          {availableControllers.map(controller => (
+                            <option key={controller.type} value={controller.type}>{controller.label}</option>
+                          ))}
                         </select>
                       </div>
                       <p className="text-xs text-gray-500 font-light">
-                        {controllerType === 'stable' ? 'Threshold-based control with hysteresis for stability' : 
-                         controllerType === 'smart' ? 'Adaptive gains with oscillation detection' : 
-                         'Traditional PID with cascade control'}
+                        {currentController && currentController.description}
                       </p>
                     </div>
                   </div>
@@ -915,7 +1360,7 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   {/* Controller Metrics */}
                   {pidMetrics && (
                     <div className="grid grid-cols-2 gap-3 mb-4">
-                      {(controllerType === 'smart' || controllerType === 'stable') ? (
+                      {(controllerType === 'smart-adaptive' || controllerType === 'stable') ? (
                         <>
                           <div className="p-3 bg-white/50 rounded-xl">
                             <p className="text-xs text-gray-500 font-light">Current Error</p>
@@ -944,20 +1389,22 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                   )}
                   
                   {/* PID Tuning Interface */}
-                  {showPIDTuning && controllerType === 'pid' && (
+                  {showPIDTuning && 'kp' in controllerParams && (
                     <div className="space-y-4 pt-4 border-t border-gray-200">
                       <div>
                         <div className="flex justify-between items-center mb-2">
                           <label className="text-sm text-gray-700 font-light">Proportional (Kp)</label>
-                          <span className="text-sm font-light text-purple-600">{pidParams?.kp?.toFixed(2) || '5.00'}</span>
+                          <span className="text-sm font-light text-purple-600">{safeToFixed(controllerParams.kp, 2)}</span>
                         </div>
                         <input
                           type="range"
                           min="0.1"
                           max="10"
                           step="0.1"
-                          value={pidParams?.kp || 5.0}
-                          onChange={(e) => setPidParams(prev => ({ ...prev, kp: parseFloat(e.target.value) }))}
+                          value={controllerParams.kp}
+                          onChange={(e) => setControllerParams(prev => ({ ...prev, kp: parseFloat(e.target.value) }))}
+                          onPointerUp={() => handleControllerParamCommit('kp')}
+                          onKeyUp={() => handleControllerParamCommit('kp')}
                           className="w-full h-2 bg-gray-100 rounded-full appearance-none cursor-pointer slider-purple"
                         />
                       </div>
@@ -965,15 +1412,17 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                       <div>
                         <div className="flex justify-between items-center mb-2">
                           <label className="text-sm text-gray-700 font-light">Integral (Ki)</label>
-                          <span className="text-sm font-light text-purple-600">{pidParams?.ki?.toFixed(2) || '1.20'}</span>
+                          <span className="text-sm font-light text-purple-600">{safeToFixed(controllerParams.ki, 2)}</span>
                         </div>
                         <input
                           type="range"
                           min="0"
                           max="5"
                           step="0.1"
-                          value={pidParams?.ki || 1.2}
-                          onChange={(e) => setPidParams(prev => ({ ...prev, ki: parseFloat(e.target.value) }))}
+                          value={controllerParams.ki}
+                          onChange={(e) => setControllerParams(prev => ({ ...prev, ki: parseFloat(e.target.value) }))}
+                          onPointerUp={() => handleControllerParamCommit('ki')}
+                          onKeyUp={() => handleControllerParamCommit('ki')}
                           className="w-full h-2 bg-gray-100 rounded-full appearance-none cursor-pointer slider-purple"
                         />
                       </div>
@@ -981,15 +1430,17 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                       <div>
                         <div className="flex justify-between items-center mb-2">
                           <label className="text-sm text-gray-700 font-light">Derivative (Kd)</label>
-                          <span className="text-sm font-light text-purple-600">{pidParams?.kd?.toFixed(2) || '0.50'}</span>
+                          <span className="text-sm font-light text-purple-600">{safeToFixed(controllerParams.kd, 2)}</span>
                         </div>
                         <input
                           type="range"
                           min="0"
                           max="2"
                           step="0.05"
-                          value={pidParams?.kd || 0.5}
-                          onChange={(e) => setPidParams(prev => ({ ...prev, kd: parseFloat(e.target.value) }))}
+                          value={controllerParams.kd}
+                          onChange={(e) => setControllerParams(prev => ({ ...prev, kd: parseFloat(e.target.value) }))}
+                          onPointerUp={() => handleControllerParamCommit('kd')}
+                          onKeyUp={() => handleControllerParamCommit('kd')}
                           className="w-full h-2 bg-gray-100 rounded-full appearance-none cursor-pointer slider-purple"
                         />
                       </div>
@@ -999,11 +1450,25 @@ const ModernPeltierDashboard = ({ onOpenSettings }) => {
                         <p>Ki: Eliminates steady-state error but may cause overshoot</p>
                         <p>Kd: Reduces overshoot and improves stability</p>
                       </div>
+                      
+                      <button
+                        onClick={onOpenAutotune}
+                        className="w-full px-4 py-2 rounded-xl text-sm font-light border border-gray-200 hover:bg-gray-100 transition-colors"
+                      >
+                        Autotune with a relay experiment
+                      </button>
+                      
+                      <button
+                        onClick={onOpenIdentification}
+                        className="w-full px-4 py-2 rounded-xl text-sm font-light border border-gray-200 hover:bg-gray-100 transition-colors"
+                      >
+                        Identify the plant from logged data
+                      </button>
                     </div>
                   )}
                   
                   {/* Smart Controller Info */}
-                  {showPIDTuning && (controllerType === 'smart' || controllerType === 'stable') && (
+                  {showPIDTuning && (controllerType === 'smart-adaptive' || controllerType === 'stable') && (
                     <div className="pt-4 border-t border-gray-200 space-y-3">
                       <div className="text-sm text-gray-600 font-light">
                         <p className="mb-2 font-medium">
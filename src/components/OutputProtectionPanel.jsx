@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Badge } from './ui/badge'
+import { ShieldCheck } from 'lucide-react'
+
+const PROTECTION_FIELDS = [
+  { key: 'minOnTime', label: 'Min On (s)', step: 1 },
+  { key: 'minOffTime', label: 'Min Off (s)', step: 1 },
+  { key: 'maxStartsPerHour', label: 'Starts/h (0 = any)', step: 1 },
+  { key: 'startDelay', label: 'Start Delay (s)', step: 1 }
+]
+
+const HOLD_LABELS = {
+  'min-on': 'Min on',
+  'min-off': 'Min off',
+  'start-delay': 'Start delay',
+  'max-starts': 'Start limit'
+}
+
+/**
+ * Anti-short-cycle limits of each output of this device
+ * Applied to controller and manual writes alike and saved right away.
+ */
+const OutputProtectionPanel = ({ deviceId }) => {
+  const [status, setStatus] = useState(null)
+  const [channels, setChannels] = useState(null)
+  const [error, setError] = useState(null)
+
+  const load = (protection) => {
+    setStatus(protection)
+    setChannels(Object.fromEntries(protection.channels.map(channel => [channel.id, { ...channel.limits }])))
+  }
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getProtection(deviceId).then(result => {
+      if (result.success) load(result.protection)
+    })
+  }, [deviceId])
+
+  if (!status || !channels) return null
+
+  const update = (id, key, value) => {
+    setChannels(prev => ({ ...prev, [id]: { ...prev[id], [key]: value } }))
+  }
+
+  const apply = async () => {
+    setError(null)
+    const result = await window.electronAPI.setProtection(deviceId, { channels })
+    if (result.success) {
+      load(result.protection)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <ShieldCheck className="h-5 w-5 mr-2" />
+          Output Protection
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Keeps the Peltiers from short cycling. A start or stop that comes too soon is held back,
+          the controller tries again on its next cycle. Manual commands ask before overriding.
+        </p>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-muted-foreground">
+              <th className="py-1">Output</th>
+              {PROTECTION_FIELDS.map(field => <th key={field.key}>{field.label}</th>)}
+              <th>Starts last hour</th>
+            </tr>
+          </thead>
+          <tbody>
+            {status.channels.map(channel => (
+              <tr key={channel.id} className="border-t">
+                <td className="py-1">
+                  {channel.name}
+                  {channel.held && (
+                    <Badge variant="warning" className="ml-2">{HOLD_LABELS[channel.held.reason]}</Badge>
+                  )}
+                </td>
+                {PROTECTION_FIELDS.map(field => (
+                  <td key={field.key} className="pr-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      step={field.step}
+                      value={channels[channel.id][field.key]}
+                      onChange={(e) => update(channel.id, field.key, Number(e.target.value))}
+                    />
+                  </td>
+                ))}
+                <td>{channel.startsLastHour}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex justify-end">
+          <Button variant="outline" size="sm" onClick={apply}>
+            Apply
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default OutputProtectionPanel
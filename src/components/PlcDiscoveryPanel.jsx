@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Search, Square, Network, Loader2 } from 'lucide-react'
+import { safeToFixed } from '../lib/utils'
+
+const matchBadges = {
+  controller: { variant: 'success', label: 'Peltier controller' },
+  possible: { variant: 'warning', label: 'Possible match' },
+  other: { variant: 'default', label: 'Other Modbus device' }
+}
+
+const parseList = (text) => text.split(/[\s,]+/).filter(Boolean)
+
+const PlcDiscoveryPanel = ({ deviceId, discovery, onChange, onSelect }) => {
+  const [isDiscovering, setIsDiscovering] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [devices, setDevices] = useState([])
+  const [error, setError] = useState(null)
+  const [rangeText, setRangeText] = useState('')
+  const [portText, setPortText] = useState('')
+
+  useEffect(() => {
+    if (!discovery) return
+    setRangeText(discovery.ranges.join(', '))
+    setPortText(discovery.ports.join(', '))
+  }, [discovery && discovery.ranges.join(','), discovery && discovery.ports.join(',')])
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const unsubscribeProgress = window.electronAPI.onDiscoveryProgress((_event, data) => {
+      if (data.deviceId === deviceId) setProgress(data)
+    })
+    // Responders stream in while the sweep is still running
+    const unsubscribeDevice = window.electronAPI.onDiscoveryDevice((_event, device) => {
+      if (device.deviceId === deviceId) setDevices(prev => [...prev, device])
+    })
+
+    return () => {
+      unsubscribeProgress?.()
+      unsubscribeDevice?.()
+    }
+  }, [deviceId])
+
+  if (!discovery) return null
+
+  const update = (changes) => onChange({ ...discovery, ...changes })
+
+  const handleRangesChange = (text) => {
+    setRangeText(text)
+    update({ ranges: parseList(text) })
+  }
+
+  const handlePortsChange = (text) => {
+    setPortText(text)
+    update({ ports: parseList(text).map(port => parseInt(port)).filter(port => !isNaN(port)) })
+  }
+
+  const handleDiscover = async () => {
+    if (!window.electronAPI) return
+
+    setIsDiscovering(true)
+    setError(null)
+    setProgress(null)
+    setDevices([])
+
+    try {
+      const result = await window.electronAPI.discoverPLCs(deviceId, discovery)
+      if (result.success) {
+        setDevices(result.devices)
+      } else {
+        setError(result.error)
+      }
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsDiscovering(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    await window.electronAPI.cancelDiscovery(deviceId)
+  }
+
+  const percent = progress && progress.total ? (progress.scanned / progress.total) * 100 : 0
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Search className="h-5 w-5 mr-2" />
+            PLC Device Discovery
+          </span>
+          {isDiscovering ? (
+            <Button variant="outline" onClick={handleCancel}>
+              <Square className="h-4 w-4 mr-2" />
+              Cancel
+            </Button>
+          ) : (
+            <Button variant="outline" onClick={handleDiscover}>
+              <Search className="h-4 w-4 mr-2" />
+              Scan Network
+            </Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div className="col-span-2">
+            <Label htmlFor="discovery-ranges">Address Ranges</Label>
+            <Input
+              id="discovery-ranges"
+              type="text"
+              value={rangeText}
+              onChange={(e) => handleRangesChange(e.target.value)}
+              placeholder="10.5.5.0/24, 192.168.1.10-192.168.1.40"
+              disabled={isDiscovering}
+            />
+          </div>
+          <div>
+            <Label htmlFor="discovery-ports">Ports</Label>
+            <Input
+              id="discovery-ports"
+              type="text"
+              value={portText}
+              onChange={(e) => handlePortsChange(e.target.value)}
+              placeholder="502, 5020"
+              disabled={isDiscovering}
+            />
+          </div>
+          <div>
+            <Label htmlFor="discovery-unit">Unit ID</Label>
+            <Input
+              id="discovery-unit"
+              type="number"
+              value={discovery.unitId}
+              onChange={(e) => update({ unitId: parseInt(e.target.value) })}
+              disabled={isDiscovering}
+            />
+          </div>
+          <div>
+            <Label htmlFor="discovery-concurrency">Parallel Connections</Label>
+            <Input
+              id="discovery-concurrency"
+              type="number"
+              value={discovery.concurrency}
+              onChange={(e) => update({ concurrency: parseInt(e.target.value) })}
+              disabled={isDiscovering}
+            />
+          </div>
+          <div>
+            <Label htmlFor="discovery-timeout">Timeout (ms)</Label>
+            <Input
+              id="discovery-timeout"
+              type="number"
+              value={discovery.timeout}
+              onChange={(e) => update({ timeout: parseInt(e.target.value) })}
+              disabled={isDiscovering}
+            />
+          </div>
+        </div>
+
+        {(isDiscovering || progress) && (
+          <div>
+            <div className="flex justify-between text-sm text-muted-foreground mb-1">
+              <span className="flex items-center gap-2">
+                {isDiscovering && <Loader2 className="h-4 w-4 animate-spin" />}
+                {progress
+                  ? `${progress.scanned} / ${progress.total} hosts • ${progress.found} found`
+                  : 'Starting discovery...'}
+              </span>
+              {progress && progress.current && <span>{progress.current}</span>}
+            </div>
+            <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">Discovery failed: {error}</p>}
+
+        {devices.length > 0 ? (
+          <div className="space-y-2">
+            <p className="text-sm text-muted-foreground">
+              Found {devices.length} device(s) on the network:
+            </p>
+            {devices.map(device => {
+              const badge = matchBadges[device.match] || matchBadges.other
+              const identification = device.identification || {}
+
+              return (
+                <div
+                  key={`${device.host}:${device.port}`}
+                  className="flex items-center justify-between p-3 rounded-lg border hover:bg-accent cursor-pointer"
+                  onClick={() => onSelect(device)}
+                >
+                  <div>
+                    <p className="font-medium">
+                      {device.host}:{device.port}
+                      <Badge variant={badge.variant} className="ml-2">{badge.label}</Badge>
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      {device.identification
+                        ? [identification.vendorName, identification.productName || identification.modelName, identification.revision]
+                            .filter(Boolean).join(' • ')
+                        : 'No device identification'}
+                      {' • '}{device.latency} ms
+                    </p>
+                    {device.probe && (
+                      <p className="text-sm text-muted-foreground">
+                        {device.probe.input} @ {device.probe.address}: {device.probe.quality === 'good'
+                          ? `${safeToFixed(device.probe.value, 1)}${device.probe.units || ''}`
+                          : device.probe.quality}
+                      </p>
+                    )}
+                  </div>
+                  <Button variant="outline" size="sm">
+                    Select
+                  </Button>
+                </div>
+              )
+            })}
+          </div>
+        ) : !isDiscovering && (
+          <div className="text-center py-8 text-muted-foreground">
+            <Network className="h-12 w-12 mx-auto mb-4 opacity-50" />
+            <p>Click "Scan Network" to discover PLCs on your network</p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PlcDiscoveryPanel
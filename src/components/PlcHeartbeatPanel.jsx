@@ -0,0 +1,132 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import { HeartPulse } from 'lucide-react'
+
+const statusBadges = {
+  disabled: { variant: 'default', label: 'Disabled' },
+  waiting: { variant: 'default', label: 'Starting' },
+  ok: { variant: 'success', label: 'OK' },
+  missed: { variant: 'warning', label: 'Missed' },
+  expired: { variant: 'destructive', label: 'PLC timed out' }
+}
+
+/**
+ * Heartbeat counter settings with the matching PLC-side watchdog settings
+ */
+const PlcHeartbeatPanel = ({ deviceId, heartbeat, outputs = [], onChange }) => {
+  const [status, setStatus] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getHeartbeatStatus(deviceId).then(result => {
+      if (result.success) setStatus(result.heartbeat)
+    })
+    const unsubscribe = window.electronAPI.onHeartbeatStatus((_event, data) => {
+      if (data.deviceId === deviceId) setStatus(data)
+    })
+    return () => unsubscribe?.()
+  }, [deviceId])
+
+  if (!heartbeat) return null
+
+  const update = (key, value) => onChange({ ...heartbeat, [key]: value })
+  const badge = status ? statusBadges[status.status] || statusBadges.disabled : null
+  const timeoutTooShort = heartbeat.plcTimeout < heartbeat.interval * 3
+  const coils = outputs.filter(output => output.functionCode === 5)
+  const registers = outputs.filter(output => output.functionCode === 6)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <HeartPulse className="h-5 w-5 mr-2" />
+            PLC Heartbeat
+          </span>
+          {badge && <Badge variant={badge.variant}>{badge.label}</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="flex items-end space-x-2 pb-2">
+            <Switch
+              checked={!!heartbeat.enabled}
+              onCheckedChange={(checked) => update('enabled', checked)}
+            />
+            <Label>Write heartbeat</Label>
+          </div>
+          <div>
+            <Label htmlFor="heartbeat-address">Holding Register</Label>
+            <Input
+              id="heartbeat-address"
+              type="number"
+              value={heartbeat.address}
+              onChange={(e) => update('address', Number(e.target.value))}
+            />
+          </div>
+          <div>
+            <Label htmlFor="heartbeat-interval">Write Interval (ms)</Label>
+            <Input
+              id="heartbeat-interval"
+              type="number"
+              min="100"
+              value={heartbeat.interval}
+              onChange={(e) => update('interval', Number(e.target.value))}
+            />
+          </div>
+          <div>
+            <Label htmlFor="heartbeat-timeout">PLC Timeout (ms)</Label>
+            <Input
+              id="heartbeat-timeout"
+              type="number"
+              value={heartbeat.plcTimeout}
+              onChange={(e) => update('plcTimeout', Number(e.target.value))}
+            />
+          </div>
+        </div>
+
+        {timeoutTooShort && (
+          <p className="text-sm text-red-600">
+            The PLC timeout must be at least three write intervals, or one slow request trips the PLC
+          </p>
+        )}
+
+        {status && status.enabled && (
+          <p className="text-sm text-muted-foreground">
+            Counter {status.counter} • {status.totalWrites} written • {status.totalMissed} missed
+            {status.lastSuccessAt && ` • last ${new Date(status.lastSuccessAt).toLocaleTimeString()}`}
+            {status.lastError && ` • ${status.lastError}`}
+          </p>
+        )}
+
+        <div className="p-3 rounded-lg border text-sm space-y-1">
+          <p className="font-medium">PLC ladder logic</p>
+          <p className="text-muted-foreground">
+            The app writes a counter that goes 1, 2, 3 … {heartbeat.maxCount} and wraps back to 1 to holding
+            register {heartbeat.address} every {heartbeat.interval} ms. On the PLC:
+          </p>
+          <ul className="text-muted-foreground list-disc pl-5 space-y-1">
+            <li>Compare register {heartbeat.address} with its value from the previous scan</li>
+            <li>Whenever it changes, restart an on-delay timer (TON) with a preset of {heartbeat.plcTimeout} ms</li>
+            <li>
+              When the timer is done, reset
+              {coils.length > 0 && ` coil(s) ${coils.map(output => output.address).join(', ')}`}
+              {coils.length > 0 && registers.length > 0 && ' and'}
+              {registers.length > 0 && ` write the 0 % value to register(s) ${registers.map(output => output.address).join(', ')}`}
+              {outputs.length === 0 && ' every Peltier output'}
+            </li>
+            <li>Arm the timer from power-up so the Peltiers stay off until the app is running</li>
+            <li>Leave the outputs off after a timeout, the app writes them again once the heartbeat is back</li>
+          </ul>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PlcHeartbeatPanel
@@ -0,0 +1,426 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import {
+  ArrowLeft,
+  LineChart,
+  Plus,
+  Trash2,
+  Save,
+  Play,
+  Pause,
+  SkipForward,
+  Square
+} from 'lucide-react'
+
+const SEGMENT_FIELDS = {
+  'step': [{ key: 'setpoint', label: 'Setpoint (°C)', step: 0.5 }],
+  'ramp': [
+    { key: 'setpoint', label: 'Setpoint (°C)', step: 0.5 },
+    { key: 'rate', label: 'Rate (°C/min)', step: 0.1 }
+  ],
+  'hold': [{ key: 'duration', label: 'Duration (min)', step: 1 }],
+  'wait-stable': [{ key: 'timeout', label: 'Timeout (min, 0 = none)', step: 1 }]
+}
+
+const SEGMENT_LABELS = {
+  'step': 'Step',
+  'ramp': 'Ramp',
+  'hold': 'Hold',
+  'wait-stable': 'Wait until stable'
+}
+
+const NEW_SEGMENTS = {
+  'step': { type: 'step', setpoint: 5 },
+  'ramp': { type: 'ramp', setpoint: 5, rate: 0.5 },
+  'hold': { type: 'hold', duration: 30 },
+  'wait-stable': { type: 'wait-stable', timeout: 0 }
+}
+
+// Minutes drawn for a wait, its real length depends on the plant
+const WAIT_PREVIEW = 5
+const PREVIEW_WIDTH = 600
+const PREVIEW_HEIGHT = 160
+
+const newProfile = () => ({ id: null, name: 'New profile', segments: [{ ...NEW_SEGMENTS.ramp }, { ...NEW_SEGMENTS.hold }] })
+
+const formatMinutes = (minutes) => minutes >= 60
+  ? `${Math.floor(minutes / 60)} h ${Math.round(minutes % 60)} min`
+  : `${Math.round(minutes * 10) / 10} min`
+
+/**
+ * Setpoint over time, starting from the device's current target
+ * @returns {Object[]} One line per segment, { index, from, to, nominal } with points as { t, temp }
+ */
+function previewLines(segments, start) {
+  let t = 0
+  let temp = start
+
+  return segments.map((segment, index) => {
+    const from = { t, temp }
+    let nominal = false
+
+    if (segment.type === 'step') {
+      temp = Number(segment.setpoint) || temp
+    } else if (segment.type === 'ramp') {
+      const target = Number(segment.setpoint) || temp
+      if (segment.rate > 0) t += Math.abs(target - temp) / segment.rate
+      temp = target
+    } else if (segment.type === 'hold') {
+      t += Math.max(0, Number(segment.duration) || 0)
+    } else {
+      t += WAIT_PREVIEW
+      nominal = true
+    }
+
+    return { index, from, to: { t, temp }, nominal }
+  })
+}
+
+const ProfilePreview = ({ segments, start, activeIndex }) => {
+  const lines = previewLines(segments, start)
+  if (lines.length === 0) return null
+
+  const temps = lines.flatMap(line => [line.from.temp, line.to.temp])
+  const low = Math.min(...temps) - 1
+  const high = Math.max(...temps) + 1
+  const total = Math.max(lines[lines.length - 1].to.t, 1)
+
+  const x = (t) => 40 + (t / total) * (PREVIEW_WIDTH - 50)
+  const y = (temp) => 10 + ((high - temp) / (high - low)) * (PREVIEW_HEIGHT - 30)
+
+  return (
+    <svg viewBox={`0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}`} className="w-full h-40 border rounded-lg bg-white">
+      <text x="4" y={y(high) + 4} className="text-xs fill-gray-400">{Math.round(high)}°</text>
+      <text x="4" y={y(low) + 4} className="text-xs fill-gray-400">{Math.round(low)}°</text>
+      <text x={PREVIEW_WIDTH - 10} y={PREVIEW_HEIGHT - 4} textAnchor="end" className="text-xs fill-gray-400">
+        {formatMinutes(total)}
+      </text>
+      {lines.map(line => (
+        <line
+          key={line.index}
+          x1={x(line.from.t)}
+          y1={y(line.from.temp)}
+          x2={x(line.to.t)}
+          y2={y(line.to.temp)}
+          stroke={line.index === activeIndex ? '#2563eb' : '#9ca3af'}
+          strokeWidth={line.index === activeIndex ? 3 : 2}
+          strokeDasharray={line.nominal ? '6 4' : undefined}
+        />
+      ))}
+    </svg>
+  )
+}
+
+/**
+ * Ramp/soak profile library and the profile run of this device
+ * Profiles are shared by all devices, the backend runs them so a run keeps
+ * going when this page closes.
+ */
+const ProfilesPage = ({ deviceId, onBack }) => {
+  const [profiles, setProfiles] = useState([])
+  const [draft, setDraft] = useState(newProfile)
+  const [status, setStatus] = useState(null)
+  const [setpoint, setSetpoint] = useState(null)
+  const [errors, setErrors] = useState([])
+
+  const refreshProfiles = async () => {
+    const result = await window.electronAPI.listProfiles()
+    if (result.success) setProfiles(result.profiles)
+    return result.success ? result.profiles : []
+  }
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    refreshProfiles()
+    window.electronAPI.getProfileStatus(deviceId).then(result => {
+      if (result.success) setStatus(result.status)
+    })
+    window.electronAPI.getSetpoint(deviceId).then(result => {
+      if (result.success) setSetpoint(result.setpoint)
+    })
+
+    const unsubscribeProgress = window.electronAPI.onProfileProgress((_event, data) => {
+      if (data.deviceId === deviceId) setStatus(data)
+    })
+    const unsubscribeSetpoint = window.electronAPI.onSetpointChanged((_event, data) => {
+      if (data.deviceId === deviceId) setSetpoint(data)
+    })
+    return () => {
+      unsubscribeProgress?.()
+      unsubscribeSetpoint?.()
+    }
+  }, [deviceId])
+
+  const active = status && (status.status === 'running' || status.status === 'paused')
+  const runningDraft = status && draft.id && status.profileId === draft.id
+  const activeIndex = runningDraft && active ? status.segmentIndex : null
+
+  const updateSegment = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      segments: prev.segments.map((segment, i) => i === index ? { ...segment, ...changes } : segment)
+    }))
+  }
+
+  const changeSegmentType = (index, type) => {
+    setDraft(prev => ({
+      ...prev,
+      segments: prev.segments.map((segment, i) => i === index ? { ...NEW_SEGMENTS[type] } : segment)
+    }))
+  }
+
+  const removeSegment = (index) => {
+    setDraft(prev => ({ ...prev, segments: prev.segments.filter((_, i) => i !== index) }))
+  }
+
+  const addSegment = () => {
+    setDraft(prev => ({ ...prev, segments: [...prev.segments, { ...NEW_SEGMENTS.hold }] }))
+  }
+
+  const handleSave = async () => {
+    setErrors([])
+    const result = await window.electronAPI.saveProfile(draft)
+    if (result.success) {
+      setDraft(result.profile)
+      refreshProfiles()
+    } else {
+      setErrors(result.errors || [result.error])
+    }
+  }
+
+  const handleDelete = async () => {
+    if (draft.id) {
+      await window.electronAPI.deleteProfile(draft.id)
+      refreshProfiles()
+    }
+    setDraft(newProfile())
+  }
+
+  const runAction = async (action) => {
+    setErrors([])
+    const result = await action()
+    if (result.success) {
+      setStatus(result.status)
+    } else {
+      setErrors([result.error])
+    }
+  }
+
+  const elapsed = status ? status.segmentElapsed / 60000 : 0
+  const currentSegment = status && status.segments[status.segmentIndex]
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center space-x-3">
+          <Button variant="outline" size="sm" onClick={onBack}>
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back
+          </Button>
+          <LineChart className="h-8 w-8 text-primary" />
+          <h1 className="text-3xl font-bold">Profiles</h1>
+        </div>
+
+        {/* Run on this device */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span>Profile Run</span>
+              {status && (
+                <Badge variant={
+                  status.status === 'running' ? 'success'
+                    : status.status === 'paused' ? 'warning'
+                    : status.status === 'failed' ? 'destructive'
+                    : 'default'
+                }>
+                  {status.status}
+                </Badge>
+              )}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {!status ? (
+              <p className="text-sm text-muted-foreground">No profile has run on this device yet</p>
+            ) : (
+              <>
+                <p className="text-sm">
+                  <span className="font-medium">{status.name}</span>
+                  {active && currentSegment && (
+                    <>
+                      {' • '}segment {status.segmentIndex + 1} of {status.segments.length},{' '}
+                      {SEGMENT_LABELS[currentSegment.type].toLowerCase()} for {formatMinutes(elapsed)}
+                    </>
+                  )}
+                  {!active && status.finishedAt && ` • ended ${new Date(status.finishedAt).toLocaleString()}`}
+                </p>
+                {status.pauseReason && <p className="text-sm text-yellow-700">{status.pauseReason}</p>}
+                {status.error && <p className="text-sm text-red-600">{status.error}</p>}
+                {setpoint && (
+                  <p className="text-sm text-muted-foreground">
+                    Setpoint {setpoint.setpoint}°C{setpoint.ramping && `, ramping to ${setpoint.target}°C`}
+                  </p>
+                )}
+              </>
+            )}
+
+            <div className="flex gap-2">
+              {status && status.status === 'running' && (
+                <Button variant="outline" size="sm" onClick={() => runAction(() => window.electronAPI.pauseProfile(deviceId))}>
+                  <Pause className="h-4 w-4 mr-1" />
+                  Pause
+                </Button>
+              )}
+              {status && status.status === 'paused' && (
+                <Button variant="outline" size="sm" onClick={() => runAction(() => window.electronAPI.resumeProfile(deviceId))}>
+                  <Play className="h-4 w-4 mr-1" />
+                  Resume
+                </Button>
+              )}
+              {active && (
+                <>
+                  <Button variant="outline" size="sm" onClick={() => runAction(() => window.electronAPI.skipProfileSegment(deviceId))}>
+                    <SkipForward className="h-4 w-4 mr-1" />
+                    Skip Segment
+                  </Button>
+                  <Button variant="outline" size="sm" onClick={() => runAction(() => window.electronAPI.stopProfile(deviceId))}>
+                    <Square className="h-4 w-4 mr-1" />
+                    Stop
+                  </Button>
+                </>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Library */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span>Library</span>
+                <Button variant="outline" size="sm" onClick={() => setDraft(newProfile())}>
+                  <Plus className="h-4 w-4" />
+                </Button>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2">
+              {profiles.length === 0 && <p className="text-sm text-muted-foreground">No saved profiles</p>}
+              {profiles.map(profile => (
+                <button
+                  key={profile.id}
+                  onClick={() => setDraft(profile)}
+                  className={`w-full text-left p-2 rounded-lg border text-sm ${profile.id === draft.id ? 'border-blue-500 bg-blue-50' : 'hover:bg-gray-50'}`}
+                >
+                  <p className="font-medium">{profile.name}</p>
+                  <p className="text-muted-foreground">{profile.segments.length} segments</p>
+                </button>
+              ))}
+            </CardContent>
+          </Card>
+
+          {/* Editor */}
+          <Card className="lg:col-span-2">
+            <CardHeader>
+              <CardTitle>{draft.id ? 'Edit Profile' : 'New Profile'}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div>
+                <Label htmlFor="profile-name">Name</Label>
+                <Input
+                  id="profile-name"
+                  value={draft.name}
+                  onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+
+              <ProfilePreview
+                segments={draft.segments}
+                start={setpoint ? setpoint.target : 0}
+                activeIndex={activeIndex}
+              />
+              <p className="text-xs text-muted-foreground">
+                Starts from the current target. Dashed lines are waits, drawn at {WAIT_PREVIEW} min.
+              </p>
+
+              <div className="space-y-2">
+                {draft.segments.map((segment, index) => (
+                  <div
+                    key={index}
+                    className={`flex items-end gap-3 p-2 rounded-lg border ${index === activeIndex ? 'border-blue-500 bg-blue-50' : ''}`}
+                  >
+                    <span className="text-sm text-muted-foreground pb-2 w-6">{index + 1}</span>
+                    <div>
+                      <Label>Type</Label>
+                      <select
+                        className="input"
+                        value={segment.type}
+                        onChange={(e) => changeSegmentType(index, e.target.value)}
+                      >
+                        {Object.entries(SEGMENT_LABELS).map(([type, label]) => (
+                          <option key={type} value={type}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {SEGMENT_FIELDS[segment.type].map(field => (
+                      <div key={field.key} className="flex-1">
+                        <Label>{field.label}</Label>
+                        <Input
+                          type="number"
+                          step={field.step}
+                          value={segment[field.key]}
+                          onChange={(e) => updateSegment(index, { [field.key]: Number(e.target.value) })}
+                        />
+                      </div>
+                    ))}
+                    <Button variant="outline" size="sm" onClick={() => removeSegment(index)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <Button variant="outline" size="sm" onClick={addSegment}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add Segment
+                </Button>
+              </div>
+
+              {errors.length > 0 && (
+                <ul className="text-sm text-red-600 space-y-1">
+                  {errors.map((error, index) => <li key={index}>• {error}</li>)}
+                </ul>
+              )}
+
+              <div className="flex items-center justify-between">
+                <Button variant="outline" size="sm" onClick={handleDelete}>
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  {draft.id ? 'Delete' : 'Discard'}
+                </Button>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={handleSave}>
+                    <Save className="h-4 w-4 mr-1" />
+                    Save
+                  </Button>
+                  <Button
+                    size="sm"
+                    disabled={!draft.id}
+                    onClick={() => runAction(() => window.electronAPI.startProfile(deviceId, draft.id))}
+                  >
+                    <Play className="h-4 w-4 mr-1" />
+                    {active ? 'Start Instead' : 'Start'}
+                  </Button>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ProfilesPage
@@ -0,0 +1,361 @@
+import React, { useState } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import {
+  Table2,
+  Plus,
+  Trash2,
+  CheckCircle,
+  XCircle
+} from 'lucide-react'
+
+const READ_FUNCTION_CODES = [
+  { value: 1, label: 'FC01 Coils' },
+  { value: 2, label: 'FC02 Discrete Inputs' },
+  { value: 3, label: 'FC03 Holding Registers' },
+  { value: 4, label: 'FC04 Input Registers' }
+]
+
+const WRITE_FUNCTION_CODES = [
+  { value: 5, label: 'FC05 Coil' },
+  { value: 6, label: 'FC06 Register (duty)' }
+]
+
+const DATA_TYPES = ['bool', 'int16', 'uint16', 'int32', 'uint32', 'float32']
+
+const selectClassName = 'input'
+
+const toNumber = (value) => value === '' ? '' : Number(value)
+
+const RegisterMapEditor = ({ registerMap, onChange }) => {
+  const [validation, setValidation] = useState(null)
+
+  if (!registerMap) return null
+
+  const updateMap = (changes) => {
+    setValidation(null)
+    onChange({ ...registerMap, ...changes })
+  }
+
+  const updateItem = (list, index, key, value) => {
+    updateMap({
+      [list]: registerMap[list].map((item, i) => i === index ? { ...item, [key]: value } : item)
+    })
+  }
+
+  // Analog outputs need a raw range, default to a plain 0-100 % register
+  // Coils reverse through a polarity coil, analog outputs through signed duties
+  const updateOutputFunctionCode = (index, functionCode) => {
+    updateMap({
+      outputs: registerMap.outputs.map((output, i) => {
+        if (i !== index) return output
+        const { polarityAddress, signed, ...rest } = output
+        return functionCode === 6
+          ? { rawMin: 0, rawMax: 100, ...rest, signed, functionCode }
+          : { ...rest, polarityAddress, functionCode }
+      })
+    })
+  }
+
+  const removeItem = (list, index) => {
+    updateMap({ [list]: registerMap[list].filter((_, i) => i !== index) })
+  }
+
+  const addBatch = () => {
+    updateMap({
+      batches: [...registerMap.batches, { id: `batch-${registerMap.batches.length + 1}`, functionCode: 3, start: 0, length: 10 }]
+    })
+  }
+
+  const addInput = () => {
+    updateMap({
+      inputs: [...registerMap.inputs, {
+        id: `input-${registerMap.inputs.length + 1}`,
+        name: `Input ${registerMap.inputs.length + 1}`,
+        functionCode: 3,
+        address: 0,
+        dataType: 'int16',
+        scale: 0.1,
+        offset: 0,
+        units: '°C'
+      }]
+    })
+  }
+
+  const addOutput = () => {
+    const nextId = registerMap.outputs.reduce((max, output) => Math.max(max, Number(output.id) || 0), 0) + 1
+    updateMap({
+      outputs: [...registerMap.outputs, { id: nextId, name: `Peltier ${nextId}`, functionCode: 5, address: 0 }]
+    })
+  }
+
+  const handleValidate = async () => {
+    if (!window.electronAPI) return
+
+    try {
+      const result = await window.electronAPI.validateRegisterMap(registerMap)
+      setValidation(result)
+    } catch (error) {
+      console.error('Register map validation failed:', error)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Table2 className="h-5 w-5 mr-2" />
+            Register Map
+          </span>
+          <div className="flex items-center space-x-2">
+            {validation && (
+              <Badge variant={validation.valid ? 'success' : 'destructive'}>
+                {validation.valid ? (
+                  <>
+                    <CheckCircle className="h-3 w-3 mr-1" />
+                    Valid
+                  </>
+                ) : (
+                  <>
+                    <XCircle className="h-3 w-3 mr-1" />
+                    {validation.errors.length} problem(s)
+                  </>
+                )}
+              </Badge>
+            )}
+            <Button variant="outline" size="sm" onClick={handleValidate}>
+              Validate
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {validation && !validation.valid && (
+          <ul className="text-sm text-red-600 space-y-1">
+            {validation.errors.map((error, index) => (
+              <li key={index}>• {error}</li>
+            ))}
+          </ul>
+        )}
+
+        {/* Batches */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label>Read Batches (tried in order)</Label>
+            <Button variant="outline" size="sm" onClick={addBatch}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Batch
+            </Button>
+          </div>
+          {registerMap.batches.map((batch, index) => (
+            <div key={index} className="grid grid-cols-5 gap-2 items-center">
+              <Input
+                value={batch.id}
+                onChange={(e) => updateItem('batches', index, 'id', e.target.value)}
+                placeholder="id"
+              />
+              <select
+                className={selectClassName}
+                value={batch.functionCode}
+                onChange={(e) => updateItem('batches', index, 'functionCode', Number(e.target.value))}
+              >
+                {READ_FUNCTION_CODES.map(fc => (
+                  <option key={fc.value} value={fc.value}>{fc.label}</option>
+                ))}
+              </select>
+              <Input
+                type="number"
+                value={batch.start}
+                onChange={(e) => updateItem('batches', index, 'start', toNumber(e.target.value))}
+                placeholder="Start"
+              />
+              <Input
+                type="number"
+                value={batch.length}
+                onChange={(e) => updateItem('batches', index, 'length', toNumber(e.target.value))}
+                placeholder="Length"
+              />
+              <Button variant="outline" size="sm" onClick={() => removeItem('batches', index)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        {/* Input channels */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label>Input Channels</Label>
+            <Button variant="outline" size="sm" onClick={addInput}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Input
+            </Button>
+          </div>
+          {registerMap.inputs.map((input, index) => (
+            <div key={index} className="p-3 rounded-lg border space-y-2">
+              <div className="grid grid-cols-4 gap-2 items-center">
+                <Input
+                  value={input.id}
+                  onChange={(e) => updateItem('inputs', index, 'id', e.target.value)}
+                  placeholder="id"
+                />
+                <Input
+                  value={input.name}
+                  onChange={(e) => updateItem('inputs', index, 'name', e.target.value)}
+                  placeholder="Name"
+                />
+                <label className="flex items-center text-sm space-x-2">
+                  <input
+                    type="radio"
+                    name="controlInput"
+                    checked={registerMap.controlInput === input.id}
+                    onChange={() => updateMap({ controlInput: input.id })}
+                  />
+                  <span>Control input</span>
+                </label>
+                <Button variant="outline" size="sm" onClick={() => removeItem('inputs', index)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <div className="grid grid-cols-6 gap-2">
+                <select
+                  className={selectClassName}
+                  value={input.functionCode}
+                  onChange={(e) => updateItem('inputs', index, 'functionCode', Number(e.target.value))}
+                >
+                  {READ_FUNCTION_CODES.map(fc => (
+                    <option key={fc.value} value={fc.value}>{fc.label}</option>
+                  ))}
+                </select>
+                <Input
+                  type="number"
+                  value={input.address}
+                  onChange={(e) => updateItem('inputs', index, 'address', toNumber(e.target.value))}
+                  placeholder="Address"
+                />
+                <select
+                  className={selectClassName}
+                  value={input.dataType}
+                  onChange={(e) => updateItem('inputs', index, 'dataType', e.target.value)}
+                >
+                  {DATA_TYPES.map(type => (
+                    <option key={type} value={type}>{type}</option>
+                  ))}
+                </select>
+                <Input
+                  type="number"
+                  step="any"
+                  value={input.scale}
+                  onChange={(e) => updateItem('inputs', index, 'scale', toNumber(e.target.value))}
+                  placeholder="Scale"
+                />
+                <Input
+                  type="number"
+                  step="any"
+                  value={input.offset}
+                  onChange={(e) => updateItem('inputs', index, 'offset', toNumber(e.target.value))}
+                  placeholder="Offset"
+                />
+                <Input
+                  value={input.units}
+                  onChange={(e) => updateItem('inputs', index, 'units', e.target.value)}
+                  placeholder="Units"
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Outputs */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <Label>Peltier Outputs</Label>
+            <Button variant="outline" size="sm" onClick={addOutput}>
+              <Plus className="h-4 w-4 mr-1" />
+              Add Output
+            </Button>
+          </div>
+          {registerMap.outputs.map((output, index) => (
+            <div key={index} className="space-y-2">
+              <div className="grid grid-cols-5 gap-2 items-center">
+                <Input
+                  type="number"
+                  value={output.id}
+                  onChange={(e) => updateItem('outputs', index, 'id', toNumber(e.target.value))}
+                  placeholder="id"
+                />
+                <Input
+                  value={output.name}
+                  onChange={(e) => updateItem('outputs', index, 'name', e.target.value)}
+                  placeholder="Name"
+                />
+                <select
+                  className={selectClassName}
+                  value={output.functionCode}
+                  onChange={(e) => updateOutputFunctionCode(index, Number(e.target.value))}
+                >
+                  {WRITE_FUNCTION_CODES.map(fc => (
+                    <option key={fc.value} value={fc.value}>{fc.label}</option>
+                  ))}
+                </select>
+                <Input
+                  type="number"
+                  value={output.address}
+                  onChange={(e) => updateItem('outputs', index, 'address', toNumber(e.target.value))}
+                  placeholder="Address"
+                />
+                <Button variant="outline" size="sm" onClick={() => removeItem('outputs', index)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              {output.functionCode === 5 && (
+                <div className="grid grid-cols-5 gap-2 items-center">
+                  <Label className="col-span-2 text-sm text-muted-foreground">H-bridge polarity coil (on = heating)</Label>
+                  <Input
+                    type="number"
+                    value={output.polarityAddress ?? ''}
+                    onChange={(e) => updateItem('outputs', index, 'polarityAddress', e.target.value === '' ? null : Number(e.target.value))}
+                    placeholder="None"
+                  />
+                </div>
+              )}
+              {output.functionCode === 6 && (
+                <div className="grid grid-cols-5 gap-2 items-center">
+                  <Label className="col-span-2 text-sm text-muted-foreground">
+                    Raw value at {output.signed ? '-100 % (heating)' : '0 %'} / 100 % duty
+                  </Label>
+                  <Input
+                    type="number"
+                    value={output.rawMin}
+                    onChange={(e) => updateItem('outputs', index, 'rawMin', toNumber(e.target.value))}
+                    placeholder="0 %"
+                  />
+                  <Input
+                    type="number"
+                    value={output.rawMax}
+                    onChange={(e) => updateItem('outputs', index, 'rawMax', toNumber(e.target.value))}
+                    placeholder="100 %"
+                  />
+                  <label className="flex items-center space-x-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={!!output.signed}
+                      onChange={(e) => updateItem('outputs', index, 'signed', e.target.checked)}
+                    />
+                    <span>Signed</span>
+                  </label>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RegisterMapEditor
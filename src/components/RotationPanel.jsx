@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { RotateCw } from 'lucide-react'
+
+const ROTATION_MODES = [
+  { value: 'off', label: 'Off (first output leads)' },
+  { value: 'runtime', label: 'By runtime' },
+  { value: 'interval', label: 'On a schedule' }
+]
+
+/**
+ * Lead/lag rotation of this device and the runtime counters it works from
+ * Applied to the running controller and saved right away.
+ */
+const RotationPanel = ({ deviceId }) => {
+  const [status, setStatus] = useState(null)
+  const [policy, setPolicy] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getRotation(deviceId).then(result => {
+      if (result.success) {
+        setStatus(result.rotation)
+        setPolicy(result.rotation.policy)
+      }
+    })
+
+    const unsubscribe = window.electronAPI.onRotationUpdate((_event, data) => {
+      if (data.deviceId === deviceId) setStatus(data)
+    })
+    return () => unsubscribe?.()
+  }, [deviceId])
+
+  if (!status || !policy) return null
+
+  const run = async (action) => {
+    setError(null)
+    const result = await action()
+    if (result.success) {
+      setStatus(result.rotation)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  const handleResetCounters = (peltierId) => {
+    if (!window.confirm('Reset the runtime counters? Do this after replacing a module.')) return
+    run(() => window.electronAPI.resetRuntimeCounters(deviceId, peltierId))
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <RotateCw className="h-5 w-5 mr-2" />
+          Lead/Lag Rotation
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          The lead Peltier runs first, the others come in as demand rises.
+          Rotating the lead spreads runtime evenly so no module wears out first.
+        </p>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <Label htmlFor="rotation-mode">Rotation</Label>
+            <select
+              id="rotation-mode"
+              className="input"
+              value={policy.mode}
+              onChange={(e) => setPolicy(prev => ({ ...prev, mode: e.target.value }))}
+            >
+              {ROTATION_MODES.map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor="rotation-runtimeDifference">Runtime Difference (h)</Label>
+            <Input
+              id="rotation-runtimeDifference"
+              type="number"
+              step="1"
+              disabled={policy.mode !== 'runtime'}
+              value={policy.runtimeDifference}
+              onChange={(e) => setPolicy(prev => ({ ...prev, runtimeDifference: Number(e.target.value) }))}
+            />
+          </div>
+          <div>
+            <Label htmlFor="rotation-interval">Rotate Every (h)</Label>
+            <Input
+              id="rotation-interval"
+              type="number"
+              step="1"
+              disabled={policy.mode !== 'interval'}
+              value={policy.interval}
+              onChange={(e) => setPolicy(prev => ({ ...prev, interval: Number(e.target.value) }))}
+            />
+          </div>
+        </div>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-muted-foreground">
+              <th className="py-1">Peltier</th>
+              <th>Runtime</th>
+              <th>Starts</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {status.peltiers.map(counter => (
+              <tr key={counter.id} className="border-t">
+                <td className="py-1">
+                  {counter.id}
+                  {String(counter.id) === String(status.leadId) && <Badge variant="default" className="ml-2">lead</Badge>}
+                </td>
+                <td>{counter.runtimeHours.toFixed(1)} h</td>
+                <td>{counter.switches}</td>
+                <td className="text-right">
+                  <Button variant="outline" size="sm" onClick={() => handleResetCounters(counter.id)}>
+                    Reset
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            {status.lastRotationAt
+              ? `Last rotated ${new Date(status.lastRotationAt).toLocaleString()}`
+              : 'Not rotated yet'}
+          </p>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={status.peltiers.length < 2}
+              onClick={() => run(() => window.electronAPI.rotateLead(deviceId))}
+            >
+              Rotate Now
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => run(() => window.electronAPI.saveRotation(deviceId, policy))}>
+              Apply
+            </Button>
+          </div>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RotationPanel
@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import { ArrowLeft, Calendar, Plus, Trash2, Save } from 'lucide-react'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const CALENDAR_DAYS = 7
+const STATUS_REFRESH = 60000
+
+// datetime-local inputs work in local time without a zone
+const toLocalInput = (value) => {
+  const date = new Date(value)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`
+}
+
+const newRule = (type) => type === 'weekly'
+  ? { type: 'weekly', days: [1, 2, 3, 4, 5], time: '22:00', setpoint: 5, autoControl: null }
+  : { type: 'date', date: toLocalInput(new Date()).slice(0, 10), time: '08:00', setpoint: 5, autoControl: null }
+
+const newOverride = () => {
+  const from = new Date()
+  from.setMinutes(0, 0, 0)
+  from.setHours(from.getHours() + 1)
+  return { from: from.toISOString(), until: new Date(from.getTime() + 2 * 60 * 60 * 1000).toISOString(), setpoint: 5, autoControl: null }
+}
+
+const describeChange = ({ setpoint, autoControl }) => [
+  setpoint !== null && setpoint !== undefined && `${setpoint}°C`,
+  autoControl !== null && autoControl !== undefined && `auto ${autoControl ? 'on' : 'off'}`
+].filter(Boolean).join(', ')
+
+/**
+ * Setpoint and auto control fields shared by rules and overrides
+ * An empty setpoint or "Unchanged" leaves that part alone.
+ */
+const ChangeFields = ({ value, onChange }) => (
+  <>
+    <div className="w-28">
+      <Label>Setpoint (°C)</Label>
+      <Input
+        type="number"
+        step="0.5"
+        value={value.setpoint ?? ''}
+        onChange={(e) => onChange({ setpoint: e.target.value === '' ? null : Number(e.target.value) })}
+      />
+    </div>
+    <div>
+      <Label>Auto Control</Label>
+      <select
+        className="input"
+        value={value.autoControl === null || value.autoControl === undefined ? '' : String(value.autoControl)}
+        onChange={(e) => onChange({ autoControl: e.target.value === '' ? null : e.target.value === 'true' })}
+      >
+        <option value="">Unchanged</option>
+        <option value="true">On</option>
+        <option value="false">Off</option>
+      </select>
+    </div>
+  </>
+)
+
+/**
+ * Calendar schedule of this device: weekly and date rules, one-off overrides
+ * and the transitions coming up. The backend follows the saved schedule.
+ */
+const SchedulePage = ({ deviceId, onBack }) => {
+  const [draft, setDraft] = useState(null)
+  const [status, setStatus] = useState(null)
+  const [errors, setErrors] = useState([])
+  const [saved, setSaved] = useState(true)
+
+  const refresh = async () => {
+    const result = await window.electronAPI.getSchedule(deviceId)
+    if (result.success) {
+      setStatus(result.status)
+      return result.schedule
+    }
+    return null
+  }
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    refresh().then(schedule => schedule && setDraft(schedule))
+    const interval = setInterval(refresh, STATUS_REFRESH)
+    const unsubscribe = window.electronAPI.onScheduleTransition((_event, data) => {
+      if (data.deviceId === deviceId) refresh()
+    })
+
+    return () => {
+      clearInterval(interval)
+      unsubscribe?.()
+    }
+  }, [deviceId])
+
+  if (!draft) return <div className="min-h-screen bg-background" />
+
+  const change = (updater) => {
+    setDraft(updater)
+    setSaved(false)
+  }
+
+  const updateItem = (list, index, changes) => {
+    change(prev => ({
+      ...prev,
+      [list]: prev[list].map((item, i) => i === index ? { ...item, ...changes } : item)
+    }))
+  }
+
+  const removeItem = (list, index) => {
+    change(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }))
+  }
+
+  const toggleDay = (index, day) => {
+    const days = draft.rules[index].days
+    updateItem('rules', index, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+    })
+  }
+
+  const handleSave = async () => {
+    setErrors([])
+    const result = await window.electronAPI.saveSchedule(deviceId, draft)
+    if (result.success) {
+      setDraft(result.schedule)
+      setStatus(result.status)
+      setSaved(true)
+    } else {
+      setErrors(result.errors || [result.error])
+    }
+  }
+
+  // Upcoming transitions grouped by local day
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const calendar = Array.from({ length: CALENDAR_DAYS }, (_, offset) => {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset)
+    const transitions = (status ? status.upcoming : [])
+      .filter(transition => new Date(transition.at).toDateString() === day.toDateString())
+    return { day, transitions }
+  })
+
+  return (
+    <div className="min-h-screen bg-background p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        {/* Header */}
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <Button variant="outline" size="sm" onClick={onBack}>
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back
+            </Button>
+            <Calendar className="h-8 w-8 text-primary" />
+            <h1 className="text-3xl font-bold">Schedule</h1>
+          </div>
+
+          <div className="flex items-center gap-4">
+            <div className="flex items-center space-x-2">
+              <Switch
+                checked={draft.enabled}
+                onCheckedChange={(enabled) => change(prev => ({ ...prev, enabled }))}
+              />
+              <Label>Follow schedule</Label>
+            </div>
+            <Button onClick={handleSave} disabled={saved}>
+              <Save className="h-4 w-4 mr-2" />
+              Save Schedule
+            </Button>
+          </div>
+        </div>
+
+        {errors.length > 0 && (
+          <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700">
+            <p className="font-medium mb-2">Schedule not saved:</p>
+            <ul className="space-y-1">
+              {errors.map((error, index) => <li key={index}>• {error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {/* Calendar */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span>Next {CALENDAR_DAYS} Days</span>
+              {status && status.activeOverride && <Badge variant="warning">Override active</Badge>}
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {!status || !status.enabled ? (
+              <p className="text-sm text-muted-foreground">The schedule is off, nothing changes on its own</p>
+            ) : (
+              <div className="grid grid-cols-7 gap-2">
+                {calendar.map(({ day, transitions }) => (
+                  <div key={day.toDateString()} className="p-2 rounded-lg border min-h-24">
+                    <p className="text-xs font-medium mb-2">
+                      {WEEKDAYS[day.getDay()]} {day.getDate()}.{day.getMonth() + 1}.
+                    </p>
+                    {transitions.map((transition, index) => (
+                      <p
+                        key={index}
+                        className={`text-xs mb-1 ${transition.source === 'rule' ? '' : 'text-yellow-700'}`}
+                      >
+                        {new Date(transition.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        {' '}{describeChange(transition)}
+                        {transition.source === 'override-end' && ' (override ends)'}
+                      </p>
+                    ))}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {status && status.lastTransition && (
+              <p className="text-sm text-muted-foreground">
+                Last change {new Date(status.lastTransition.at).toLocaleString()}: {describeChange(status.lastTransition)}
+                {(status.lastTransition.skipped || status.lastTransition.error) && (
+                  <span className="text-red-600"> - not applied, {status.lastTransition.skipped || status.lastTransition.error}</span>
+                )}
+              </p>
+            )}
+            {!saved && <p className="text-sm text-yellow-700">The calendar shows the saved schedule until you save</p>}
+          </CardContent>
+        </Card>
+
+        {/* Rules */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span>Rules</span>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => change(prev => ({ ...prev, rules: [...prev.rules, newRule('weekly')] }))}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Weekly
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => change(prev => ({ ...prev, rules: [...prev.rules, newRule('date')] }))}>
+                  <Plus className="h-4 w-4 mr-1" />
+                  Date
+                </Button>
+              </div>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {draft.rules.length === 0 && <p className="text-sm text-muted-foreground">No rules yet</p>}
+            {draft.rules.map((rule, index) => (
+              <div key={rule.id || index} className="flex flex-wrap items-end gap-3 p-2 rounded-lg border">
+                {rule.type === 'weekly' ? (
+                  <div>
+                    <Label>Every</Label>
+                    <div className="flex gap-1">
+                      {WEEKDAYS.map((name, day) => (
+                        <button
+                          key={day}
+                          onClick={() => toggleDay(index, day)}
+                          className={`px-2 py-1 rounded text-xs border ${rule.days.includes(day) ? 'bg-blue-500 text-white border-blue-500' : 'hover:bg-gray-50'}`}
+                        >
+                          {name}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                    <Label>On</Label>
+                    <Input
+                      type="date"
+                      value={rule.date}
+                      onChange={(e) => updateItem('rules', index, { date: e.target.value })}
+                    />
+                  </div>
+                )}
+                <div>
+                  <Label>At</Label>
+                  <Input
+                    type="time"
+                    value={rule.time}
+                    onChange={(e) => updateItem('rules', index, { time: e.target.value })}
+                  />
+                </div>
+                <ChangeFields value={rule} onChange={(changes) => updateItem('rules', index, changes)} />
+                <Button variant="outline" size="sm" onClick={() => removeItem('rules', index)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* One-off overrides */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span>Overrides</span>
+              <Button variant="outline" size="sm" onClick={() => change(prev => ({ ...prev, overrides: [...prev.overrides, newOverride()] }))}>
+                <Plus className="h-4 w-4 mr-1" />
+                Override
+              </Button>
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <p className="text-sm text-muted-foreground">
+              Rules are skipped while an override lasts, the scheduled state returns when it ends
+            </p>
+            {draft.overrides.map((override, index) => (
+              <div
+                key={override.id || index}
+                className={`flex flex-wrap items-end gap-3 p-2 rounded-lg border ${status && override.id && status.activeOverride === override.id ? 'border-yellow-400 bg-yellow-50' : ''}`}
+              >
+                <div>
+                  <Label>From</Label>
+                  <Input
+                    type="datetime-local"
+                    value={toLocalInput(override.from)}
+                    onChange={(e) => e.target.value && updateItem('overrides', index, { from: new Date(e.target.value).toISOString() })}
+                  />
+                </div>
+                <div>
+                  <Label>Until</Label>
+                  <Input
+                    type="datetime-local"
+                    value={toLocalInput(override.until)}
+                    onChange={(e) => e.target.value && updateItem('overrides', index, { until: new Date(e.target.value).toISOString() })}
+                  />
+                </div>
+                <ChangeFields value={override} onChange={(changes) => updateItem('overrides', index, changes)} />
+                <Button variant="outline" size="sm" onClick={() => removeItem('overrides', index)}>
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
+
+export default SchedulePage
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Target } from 'lucide-react'
+
+const LIMIT_FIELDS = [
+  { key: 'min', label: 'Lowest Setpoint (°C)', step: 0.5 },
+  { key: 'max', label: 'Highest Setpoint (°C)', step: 0.5 },
+  { key: 'rampRate', label: 'Ramp Rate (°C/min, 0 = step)', step: 0.1 }
+]
+
+/**
+ * Allowed setpoint range and ramp rate of this device
+ * Applied to the running controller and saved right away.
+ */
+const SetpointLimitsPanel = ({ deviceId }) => {
+  const [status, setStatus] = useState(null)
+  const [limits, setLimits] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    window.electronAPI.getSetpoint(deviceId).then(result => {
+      if (result.success) {
+        setStatus(result.setpoint)
+        setLimits({ min: result.setpoint.min, max: result.setpoint.max, rampRate: result.setpoint.rampRate })
+      }
+    })
+
+    const unsubscribe = window.electronAPI.onSetpointChanged((_event, data) => {
+      if (data.deviceId === deviceId) setStatus(data)
+    })
+    return () => unsubscribe?.()
+  }, [deviceId])
+
+  if (!status || !limits) return null
+
+  const handleApply = async () => {
+    setError(null)
+    const result = await window.electronAPI.setSetpointLimits(deviceId, limits)
+    if (result.success) {
+      setStatus(result.setpoint)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <Target className="h-5 w-5 mr-2" />
+            Setpoint Limits
+          </span>
+          {status.ramping && <Badge variant="warning">Ramping</Badge>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 lg:grid-cols-3 gap-4">
+          {LIMIT_FIELDS.map(field => (
+            <div key={field.key}>
+              <Label htmlFor={`setpoint-${field.key}`}>{field.label}</Label>
+              <Input
+                id={`setpoint-${field.key}`}
+                type="number"
+                step={field.step}
+                value={limits[field.key]}
+                onChange={(e) => setLimits(prev => ({ ...prev, [field.key]: Number(e.target.value) }))}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            Target {status.target}°C
+            {status.ramping && `, controller at ${status.setpoint}°C`}
+          </p>
+          <Button variant="outline" size="sm" onClick={handleApply}>
+            Apply
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SetpointLimitsPanel
@@ -4,19 +4,39 @@ import { Button } from './ui/button'
 import { Input } from './ui/input'
 import { Label } from './ui/label'
 import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import RegisterMapEditor from './RegisterMapEditor'
+import SimulatorPanel from './SimulatorPanel'
+import ModbusDiagnosticsPanel from './ModbusDiagnosticsPanel'
+import ModbusScannerPanel from './ModbusScannerPanel'
+import PlcDiscoveryPanel from './PlcDiscoveryPanel'
+import PlcHeartbeatPanel from './PlcHeartbeatPanel'
+import ModbusRecorderPanel from './ModbusRecorderPanel'
+import SetpointLimitsPanel from './SetpointLimitsPanel'
+import HeatingPanel from './HeatingPanel'
+import RotationPanel from './RotationPanel'
+import OutputProtectionPanel from './OutputProtectionPanel'
 import { 
   Settings, 
   Network, 
   Save, 
   TestTube, 
-  Search,
   CheckCircle,
   XCircle,
   Loader2,
-  ArrowLeft
+  ArrowLeft,
+  RefreshCw
 } from 'lucide-react'
 
-const SettingsPage = ({ onBack }) => {
+const RETRY_FIELDS = [
+  { key: 'initialDelay', label: 'First Retry (ms)' },
+  { key: 'maxDelay', label: 'Max Backoff (ms)' },
+  { key: 'multiplier', label: 'Backoff Multiplier', step: 0.5 },
+  { key: 'maxAttempts', label: 'Max Attempts (0 = forever)' },
+  { key: 'failureThreshold', label: 'Failed Reads Before Reconnect' }
+]
+
+const SettingsPage = ({ deviceId, onBack }) => {
   const [settings, setSettings] = useState({
     modbus: {
       host: '10.5.5.95',
@@ -34,20 +54,39 @@ const SettingsPage = ({ onBack }) => {
   const [isLoading, setIsLoading] = useState(false)
   const [isTesting, setIsTesting] = useState(false)
   const [testResult, setTestResult] = useState(null)
-  const [discoveredDevices, setDiscoveredDevices] = useState([])
-  const [isDiscovering, setIsDiscovering] = useState(false)
-  const [isScanning, setIsScanning] = useState(false)
-  const [scanResults, setScanResults] = useState([])
+  const [saveErrors, setSaveErrors] = useState([])
+  const [connectionStatus, setConnectionStatus] = useState(null)
+  const [queueStats, setQueueStats] = useState(null)
 
   useEffect(() => {
     loadSettings()
+    
+    if (!window.electronAPI) return
+    window.electronAPI.getConnectionStatus(deviceId).then(status => {
+      if (status.success !== false) setConnectionStatus(status)
+    })
+    const unsubscribe = window.electronAPI.onConnectionStatusChange((_event, status) => {
+      if (status.deviceId === deviceId) setConnectionStatus(status)
+    })
+    
+    const refreshQueueStats = async () => {
+      const result = await window.electronAPI.getQueueStats(deviceId)
+      if (result.success) setQueueStats(result.stats)
+    }
+    refreshQueueStats()
+    const queueInterval = setInterval(refreshQueueStats, 2000)
+    
+    return () => {
+      unsubscribe?.()
+      clearInterval(queueInterval)
+    }
   }, [])
 
   const loadSettings = async () => {
     if (!window.electronAPI) return
     
     try {
-      const loadedSettings = await window.electronAPI.loadSettings()
+      const loadedSettings = await window.electronAPI.loadSettings(deviceId)
       setSettings(loadedSettings)
     } catch (error) {
       console.error('Failed to load settings:', error)
@@ -68,12 +107,21 @@ const SettingsPage = ({ onBack }) => {
     if (!window.electronAPI) return
     
     setIsLoading(true)
+    setSaveErrors([])
     try {
-      const success = await window.electronAPI.saveSettings(settings)
+      if (settings.modbus.registerMap) {
+        const validation = await window.electronAPI.validateRegisterMap(settings.modbus.registerMap)
+        if (!validation.valid) {
+          setSaveErrors(validation.errors)
+          return
+        }
+      }
+      
+      const success = await window.electronAPI.saveSettings(deviceId, settings)
       if (success) {
         // Reconnect with new settings
-        await window.electronAPI.disconnectModbus()
-        await window.electronAPI.connectToModbus(settings.modbus)
+        await window.electronAPI.disconnectModbus(deviceId)
+        await window.electronAPI.connectToModbus(deviceId, settings.modbus)
       }
     } catch (error) {
       console.error('Failed to save settings:', error)
@@ -89,7 +137,7 @@ const SettingsPage = ({ onBack }) => {
     setTestResult(null)
     
     try {
-      const result = await window.electronAPI.connectToModbus(settings.modbus)
+      const result = await window.electronAPI.connectToModbus(deviceId, settings.modbus)
       setTestResult(result ? 'success' : 'error')
     } catch (error) {
       setTestResult('error')
@@ -98,20 +146,39 @@ const SettingsPage = ({ onBack }) => {
     }
   }
 
-  const handleDiscoverDevices = async () => {
+  const handleRetryChange = (key, value) => {
+    handleSettingChange('modbus', 'retry', { ...settings.modbus.retry, [key]: value })
+  }
+
+  const handleReadbackChange = (key, value) => {
+    handleSettingChange('modbus', 'readback', { ...settings.modbus.readback, [key]: value })
+  }
+
+  const handleSafeOutputChange = async (mode) => {
+    if (!window.electronAPI) return
+    
+    const result = await window.electronAPI.setSafeOutput(deviceId, mode)
+    if (result.success) handleSettingChange('control', 'safeOutput', mode)
+  }
+
+  const handleMockModeChange = async (enabled) => {
     if (!window.electronAPI) return
     
-    setIsDiscovering(true)
-    setDiscoveredDevices([])
+    const result = await window.electronAPI.setMockMode(deviceId, enabled)
+    if (result.success) setConnectionStatus(result.status)
+  }
+
+  const handleConnectSimulator = async (simulator) => {
+    // A simulator listening on every interface is still reached over loopback
+    const host = simulator.host === '0.0.0.0' ? '127.0.0.1' : simulator.host
+    const modbus = { ...settings.modbus, host, port: simulator.port }
     
-    try {
-      const devices = await window.electronAPI.discoverPLCs('10.5.5')
-      setDiscoveredDevices(devices || [])
-    } catch (error) {
-      console.error('Device discovery failed:', error)
-    } finally {
-      setIsDiscovering(false)
-    }
+    setSettings(prev => ({ ...prev, modbus }))
+    setTestResult(null)
+    
+    await window.electronAPI.disconnectModbus(deviceId)
+    const result = await window.electronAPI.connectToModbus(deviceId, modbus)
+    setTestResult(result ? 'success' : 'error')
   }
 
   const handleSelectDevice = (device) => {
@@ -119,27 +186,34 @@ const SettingsPage = ({ onBack }) => {
       ...prev,
       modbus: {
         ...prev.modbus,
-        host: device.ip,
-        port: device.port
+        host: device.host,
+        port: device.port,
+        unitId: device.unitId
       }
     }))
   }
 
-  const handleScanFunctions = async () => {
-    if (!window.electronAPI) return
-    
-    setIsScanning(true)
-    setScanResults([])
-    
-    try {
-      const results = await window.electronAPI.scanModbusFunctions()
-      setScanResults(results || [])
-      console.log('📊 Function scan results:', results)
-    } catch (error) {
-      console.error('Function scan failed:', error)
-    } finally {
-      setIsScanning(false)
-    }
+  const handleAddScannedInput = (input) => {
+    const registerMap = settings.modbus.registerMap
+    if (!registerMap) return
+    const exists = registerMap.inputs.some(existing =>
+      existing.functionCode === input.functionCode && existing.address === input.address)
+    if (exists) return
+
+    handleSettingChange('modbus', 'registerMap', { ...registerMap, inputs: [...registerMap.inputs, input] })
+  }
+
+  const handleAddScannedBatch = ({ id, functionCode, start, length }) => {
+    const registerMap = settings.modbus.registerMap
+    if (!registerMap) return
+    const exists = registerMap.batches.some(existing =>
+      existing.functionCode === functionCode && existing.start === start && existing.length === length)
+    if (exists) return
+
+    handleSettingChange('modbus', 'registerMap', {
+      ...registerMap,
+      batches: [...registerMap.batches, { id, functionCode, start, length }]
+    })
   }
 
   return (
@@ -171,6 +245,17 @@ const SettingsPage = ({ onBack }) => {
           </Button>
         </div>
 
+        {saveErrors.length > 0 && (
+          <div className="p-4 rounded-lg border border-red-200 bg-red-50 text-sm text-red-700">
+            <p className="font-medium mb-2">Settings not saved - the register map has problems:</p>
+            <ul className="space-y-1">
+              {saveErrors.map((error, index) => (
+                <li key={index}>• {error}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Modbus Configuration */}
           <Card>
@@ -178,6 +263,9 @@ const SettingsPage = ({ onBack }) => {
               <CardTitle className="flex items-center">
                 <Network className="h-5 w-5 mr-2" />
                 Modbus TCP Configuration
+                {settings.device && (
+                  <Badge variant="default" className="ml-2">{settings.device.name}</Badge>
+                )}
               </CardTitle>
             </CardHeader>
             <CardContent className="space-y-4">
@@ -246,25 +334,6 @@ const SettingsPage = ({ onBack }) => {
                     </>
                   )}
                 </Button>
-
-                <Button 
-                  variant="outline" 
-                  onClick={handleScanFunctions}
-                  disabled={isScanning}
-                  className="flex-1"
-                >
-                  {isScanning ? (
-                    <>
-                      <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                      Scanning...
-                    </>
-                  ) : (
-                    <>
-                      <Search className="h-4 w-4 mr-2" />
-                      Scan Functions
-                    </>
-                  )}
-                </Button>
                 
                 {testResult && (
                   <Badge variant={testResult === 'success' ? 'success' : 'destructive'}>
@@ -322,70 +391,202 @@ const SettingsPage = ({ onBack }) => {
           </Card>
         </div>
 
-        {/* Device Discovery */}
-        <Card>
-          <CardHeader>
-            <CardTitle className="flex items-center justify-between">
-              <span className="flex items-center">
-                <Search className="h-5 w-5 mr-2" />
-                PLC Device Discovery
-              </span>
-              <Button 
-                variant="outline" 
-                onClick={handleDiscoverDevices}
-                disabled={isDiscovering}
-              >
-                {isDiscovering ? (
-                  <>
-                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
-                    Scanning...
-                  </>
-                ) : (
-                  <>
-                    <Search className="h-4 w-4 mr-2" />
-                    Scan Network
-                  </>
+        {/* Connection Recovery */}
+        {settings.modbus.retry && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center justify-between">
+                <span className="flex items-center">
+                  <RefreshCw className="h-5 w-5 mr-2" />
+                  Connection Recovery
+                </span>
+                {connectionStatus && (
+                  <Badge variant={connectionStatus.state === 'connected' ? 'success' : connectionStatus.state === 'offline' ? 'destructive' : 'warning'}>
+                    {connectionStatus.state}
+                  </Badge>
                 )}
-              </Button>
-            </CardTitle>
-          </CardHeader>
-          <CardContent>
-            {discoveredDevices.length > 0 ? (
-              <div className="space-y-2">
-                <p className="text-sm text-muted-foreground mb-4">
-                  Found {discoveredDevices.length} device(s) on the network:
-                </p>
-                {discoveredDevices.map((device, index) => (
-                  <div 
-                    key={index}
-                    className="flex items-center justify-between p-3 rounded-lg border hover:bg-accent cursor-pointer"
-                    onClick={() => handleSelectDevice(device)}
-                  >
-                    <div>
-                      <p className="font-medium">{device.ip}:{device.port}</p>
-                      <p className="text-sm text-muted-foreground">
-                        Status: {device.status}
-                      </p>
-                    </div>
-                    <Button variant="outline" size="sm">
-                      Select
-                    </Button>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {connectionStatus && connectionStatus.reason && (
+                <p className="text-sm text-muted-foreground">{connectionStatus.reason}</p>
+              )}
+              
+              <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+                {RETRY_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <Label htmlFor={`retry-${field.key}`}>{field.label}</Label>
+                    <Input
+                      id={`retry-${field.key}`}
+                      type="number"
+                      step={field.step || 1}
+                      value={settings.modbus.retry[field.key]}
+                      onChange={(e) => handleRetryChange(field.key, Number(e.target.value))}
+                    />
                   </div>
                 ))}
               </div>
-            ) : !isDiscovering ? (
-              <div className="text-center py-8 text-muted-foreground">
-                <Network className="h-12 w-12 mx-auto mb-4 opacity-50" />
-                <p>Click "Scan Network" to discover PLCs on your network</p>
-              </div>
-            ) : (
-              <div className="text-center py-8 text-muted-foreground">
-                <Loader2 className="h-12 w-12 mx-auto mb-4 animate-spin opacity-50" />
-                <p>Scanning network for Modbus devices...</p>
+              
+              {queueStats && (
+                <div className="p-3 rounded-lg border text-sm">
+                  <p className="font-medium mb-2">
+                    Request Queue: {queueStats.depth} waiting
+                    {queueStats.active && ` • running ${queueStats.active.label}`}
+                  </p>
+                  <div className="grid grid-cols-5 gap-2 text-muted-foreground">
+                    <span>Priority</span>
+                    <span>Queued</span>
+                    <span>Executed</span>
+                    <span>Avg Wait</span>
+                    <span>Max Wait</span>
+                    {Object.entries(queueStats.byPriority).map(([priority, stats]) => (
+                      <React.Fragment key={priority}>
+                        <span className="text-foreground">{priority}</span>
+                        <span>{stats.queued}</span>
+                        <span>{stats.executed}</span>
+                        <span>{Math.round(stats.avgWait)} ms</span>
+                        <span>{stats.maxWait} ms</span>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </div>
+              )}
+              
+              {settings.modbus.readback && (
+                <div className="grid grid-cols-2 lg:grid-cols-3 gap-4">
+                  <div className="flex items-end space-x-2 pb-2">
+                    <Switch
+                      checked={!!settings.modbus.readback.enabled}
+                      onCheckedChange={(checked) => handleReadbackChange('enabled', checked)}
+                    />
+                    <Label>Verify coils by readback</Label>
+                  </div>
+                  <div>
+                    <Label htmlFor="readback-interval">Readback Interval (ms)</Label>
+                    <Input
+                      id="readback-interval"
+                      type="number"
+                      min="1000"
+                      value={settings.modbus.readback.interval}
+                      onChange={(e) => handleReadbackChange('interval', Number(e.target.value))}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="readback-settle">Settle Time After Write (ms)</Label>
+                    <Input
+                      id="readback-settle"
+                      type="number"
+                      value={settings.modbus.readback.settleTime}
+                      onChange={(e) => handleReadbackChange('settleTime', Number(e.target.value))}
+                    />
+                  </div>
+                  <div>
+                    <Label htmlFor="readback-retries">Re-commands Before Alarm</Label>
+                    <Input
+                      id="readback-retries"
+                      type="number"
+                      min="0"
+                      value={settings.modbus.readback.retries}
+                      onChange={(e) => handleReadbackChange('retries', Number(e.target.value))}
+                    />
+                  </div>
+                </div>
+              )}
+              
+              {settings.control && (
+                <div>
+                  <Label htmlFor="safeOutput">Output While Data Is Not Good</Label>
+                  <select
+                    id="safeOutput"
+                    className="input"
+                    value={settings.control.safeOutput}
+                    onChange={(e) => handleSafeOutputChange(e.target.value)}
+                  >
+                    <option value="all-off">Switch all Peltiers off</option>
+                    <option value="hold-last">Hold last commanded state</option>
+                  </select>
+                  <p className="text-sm text-muted-foreground mt-1">
+                    Automatic control is suspended for stale, substituted and mock samples
+                  </p>
+                </div>
+              )}
+              
+              <div className="flex items-center justify-between p-3 rounded-lg border border-yellow-200 bg-yellow-50">
+                <div>
+                  <p className="text-sm font-medium">Use mock data</p>
+                  <p className="text-sm text-muted-foreground">
+                    Serve simulated temperatures instead of PLC readings. Never switched on automatically.
+                  </p>
+                </div>
+                <Switch
+                  checked={!!(connectionStatus && connectionStatus.mockMode)}
+                  onCheckedChange={handleMockModeChange}
+                />
               </div>
-            )}
-          </CardContent>
-        </Card>
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Setpoint Limits */}
+        <SetpointLimitsPanel deviceId={deviceId} />
+
+        {/* Heating */}
+        <HeatingPanel deviceId={deviceId} />
+
+        {/* Lead/Lag Rotation */}
+        <RotationPanel deviceId={deviceId} />
+
+        {/* Anti-Short-Cycle Protection */}
+        <OutputProtectionPanel deviceId={deviceId} />
+
+        {/* PLC Heartbeat */}
+        <PlcHeartbeatPanel
+          deviceId={deviceId}
+          heartbeat={settings.modbus.heartbeat}
+          outputs={settings.modbus.registerMap ? settings.modbus.registerMap.outputs : []}
+          onChange={(heartbeat) => handleSettingChange('modbus', 'heartbeat', heartbeat)}
+        />
+
+        {/* Communication Diagnostics */}
+        <ModbusDiagnosticsPanel deviceId={deviceId} />
+
+        {/* Traffic Recording and Replay */}
+        <ModbusRecorderPanel
+          deviceId={deviceId}
+          recorder={settings.modbus.recorder}
+          onChange={(recorder) => handleSettingChange('modbus', 'recorder', recorder)}
+        />
+
+        {/* Register Map */}
+        <RegisterMapEditor
+          registerMap={settings.modbus.registerMap}
+          onChange={(registerMap) => handleSettingChange('modbus', 'registerMap', registerMap)}
+        />
+
+        {/* Address Scanner */}
+        <ModbusScannerPanel
+          deviceId={deviceId}
+          scanner={settings.scanner}
+          onChange={(scanner) => setSettings(prev => ({ ...prev, scanner }))}
+          onAddInput={handleAddScannedInput}
+          onAddBatch={handleAddScannedBatch}
+        />
+
+        {/* PLC Simulator */}
+        <SimulatorPanel
+          simulator={settings.simulator}
+          outputs={settings.modbus.registerMap ? settings.modbus.registerMap.outputs : []}
+          onChange={(simulator) => setSettings(prev => ({ ...prev, simulator }))}
+          onConnect={handleConnectSimulator}
+        />
+
+        {/* Device Discovery */}
+        <PlcDiscoveryPanel
+          deviceId={deviceId}
+          discovery={settings.discovery}
+          onChange={(discovery) => setSettings(prev => ({ ...prev, discovery }))}
+          onSelect={handleSelectDevice}
+        />
 
         {/* System Information */}
         <Card>
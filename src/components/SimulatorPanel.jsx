@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Label } from './ui/label'
+import { Badge } from './ui/badge'
+import { Switch } from './ui/switch'
+import {
+  FlaskConical,
+  Play,
+  Square,
+  Plug,
+  Loader2
+} from 'lucide-react'
+
+const MODEL_FIELDS = [
+  { key: 'ambientTemperature', label: 'Ambient (°C)', step: 0.5 },
+  { key: 'initialTemperature', label: 'Start Temperature (°C)', step: 0.5 },
+  { key: 'ambientLoad', label: 'Ambient Load (W)', step: 1 },
+  { key: 'thermalMass', label: 'Thermal Mass (J/°C)', step: 100 },
+  { key: 'ambientConductance', label: 'Wall Conductance (W/°C)', step: 0.1 },
+  { key: 'defaultCoolingPower', label: 'Cooling per Peltier (W)', step: 1 },
+  { key: 'timeScale', label: 'Speed (x real time)', step: 1 }
+]
+
+const SimulatorPanel = ({ simulator, outputs = [], onChange, onConnect }) => {
+  const [status, setStatus] = useState({ running: false })
+  const [isBusy, setIsBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!window.electronAPI) return
+
+    const refresh = async () => {
+      const result = await window.electronAPI.getSimulatorStatus()
+      if (result.success) setStatus(result.status)
+    }
+
+    refresh()
+    const interval = setInterval(refresh, 2000)
+    return () => clearInterval(interval)
+  }, [])
+
+  if (!simulator) return null
+
+  const updateModel = (key, value) => {
+    const model = { ...simulator.model, [key]: value }
+    onChange({ ...simulator, model })
+
+    // Live parameters apply straight away, the start temperature only on the next start
+    if (status.running && key !== 'initialTemperature' && value !== '') {
+      window.electronAPI.updateSimulatorModel({ [key]: value })
+    }
+  }
+
+  const updateCoolingPower = (peltierId, value) => {
+    updateModel('coolingPower', { ...simulator.model.coolingPower, [peltierId]: value })
+  }
+
+  const handleStart = async () => {
+    setIsBusy(true)
+    setError(null)
+    try {
+      const result = await window.electronAPI.startSimulator({
+        host: simulator.host,
+        port: simulator.port,
+        model: simulator.model
+      })
+      if (result.success) {
+        setStatus(result.status)
+      } else {
+        setError(result.error)
+      }
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  const handleStop = async () => {
+    setIsBusy(true)
+    try {
+      await window.electronAPI.stopSimulator()
+      setStatus({ running: false })
+    } finally {
+      setIsBusy(false)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span className="flex items-center">
+            <FlaskConical className="h-5 w-5 mr-2" />
+            PLC Simulator
+          </span>
+          <Badge variant={status.running ? 'success' : 'secondary'}>
+            {status.running ? `Running on ${status.host}:${status.port}` : 'Stopped'}
+          </Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Local Modbus TCP server that behaves like the GMT PLC, including batch-only
+          thermocouple registers and the Peltier coils, driven by a thermal model of the container.
+        </p>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <Label htmlFor="sim-host">Listen Address</Label>
+            <Input
+              id="sim-host"
+              type="text"
+              value={simulator.host}
+              onChange={(e) => onChange({ ...simulator, host: e.target.value })}
+              disabled={status.running}
+            />
+          </div>
+          <div>
+            <Label htmlFor="sim-port">Port</Label>
+            <Input
+              id="sim-port"
+              type="number"
+              value={simulator.port}
+              onChange={(e) => onChange({ ...simulator, port: parseInt(e.target.value) })}
+              disabled={status.running}
+            />
+          </div>
+          <div className="flex items-end space-x-2 pb-2">
+            <Switch
+              checked={!!simulator.autoStart}
+              onCheckedChange={(checked) => onChange({ ...simulator, autoStart: checked })}
+            />
+            <Label>Start with app</Label>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+          {MODEL_FIELDS.map(field => (
+            <div key={field.key}>
+              <Label htmlFor={`sim-${field.key}`}>{field.label}</Label>
+              <Input
+                id={`sim-${field.key}`}
+                type="number"
+                step={field.step}
+                value={simulator.model[field.key]}
+                onChange={(e) => updateModel(field.key, e.target.value === '' ? '' : Number(e.target.value))}
+              />
+            </div>
+          ))}
+          {outputs.map(output => (
+            <div key={output.id}>
+              <Label htmlFor={`sim-cooling-${output.id}`}>{output.name} (W)</Label>
+              <Input
+                id={`sim-cooling-${output.id}`}
+                type="number"
+                placeholder={String(simulator.model.defaultCoolingPower)}
+                value={simulator.model.coolingPower[output.id] ?? ''}
+                onChange={(e) => updateCoolingPower(output.id, e.target.value === '' ? undefined : Number(e.target.value))}
+              />
+            </div>
+          ))}
+        </div>
+
+        {status.running && (
+          <div className="grid grid-cols-3 gap-4 p-3 rounded-lg border text-sm">
+            <div>
+              <p className="font-medium">Container</p>
+              <p className="text-muted-foreground">{status.temperature.toFixed(2)}°C</p>
+            </div>
+            <div>
+              <p className="font-medium">Cooling</p>
+              <p className="text-muted-foreground">
+                {Math.round(Math.abs(status.coolingPower))} W{status.coolingPower < 0 && ' heating'}
+              </p>
+            </div>
+            <div>
+              <p className="font-medium">Outputs</p>
+              <p className="text-muted-foreground">
+                {status.outputs.map(output => `${output.name}: ${
+                  output.duty > 0 && output.duty < 100 ? `${Math.round(output.duty)}%` : output.state ? 'ON' : 'OFF'
+                }${output.heating ? ' heating' : ''}`).join(', ')}
+              </p>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <p className="text-sm text-red-600">Simulator failed to start: {error}</p>
+        )}
+
+        <div className="flex space-x-2">
+          {status.running ? (
+            <Button variant="outline" onClick={handleStop} disabled={isBusy} className="flex-1">
+              <Square className="h-4 w-4 mr-2" />
+              Stop Simulator
+            </Button>
+          ) : (
+            <Button variant="outline" onClick={handleStart} disabled={isBusy} className="flex-1">
+              {isBusy ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Play className="h-4 w-4 mr-2" />
+              )}
+              Start Simulator
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            onClick={() => onConnect(status.running ? status : simulator)}
+            disabled={!status.running}
+            className="flex-1"
+          >
+            <Plug className="h-4 w-4 mr-2" />
+            Connect to Simulator
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default SimulatorPanel
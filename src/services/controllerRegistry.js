@@ -0,0 +1,245 @@
+const { RBFAdaptivePIDController } = require('../utils/RBFAdaptivePIDController');
+const { DualPeltierController } = require('../utils/PIDController');
+const { StableController } = require('../utils/StableController');
+const { SmartAdaptiveController } = require('../utils/SmartAdaptiveController');
+const { NeuralMPCController } = require('../utils/NeuralMPCController');
+const { bankDemand } = require('../utils/peltierStaging');
+
+const DEFAULT_CONTROLLER = 'rbf-pid';
+
+// RBF output that asks for the whole bank (its fullScaleOutput default), PID gains work on 0-100%
+const RBF_FULL_SCALE = 10;
+
+/**
+ * Controllers the control service can run
+ *
+ * Every controller takes { setpoint, peltierIds, ...params } and provides
+ * update(temperature) -> { peltiers, duties?, error, ... } or null while it
+ * waits for its sample time, reset(), setSetpoint(value), a setpoint property,
+ * getMetrics() and initializeFromPlant({ temperature, peltiers, duties }) for
+ * bumpless transfer.
+ *
+ * params are the tunables saved per controller. Changing a structural one
+ * rebuilds the controller, the others are applied to the running instance.
+ * resetsOnSetpoint marks controllers whose setSetpoint() starts them over.
+ * autotune turns PID gains in %/°C and seconds into the controller's kp/ki/kd,
+ * controllers without it don't take autotuned gains. heating marks controllers
+ * that take { heating } and drive a signed command through H-bridge outputs,
+ * the others only cool. Controllers switch outputs as their control law asks,
+ * minimum on/off times and start limits are left to the ShortCycleGuard in
+ * front of the outputs.
+ */
+const CONTROLLERS = {
+  'rbf-pid': {
+    label: 'RBF Adaptive PID',
+    description: 'PID whose gains an RBF network adapts while it runs',
+    Controller: RBFAdaptivePIDController,
+    params: { kp: 2.0, ki: 0.5, kd: 0.3, numCenters: 5, learningRate: 0.01, spread: 2.0, nonlinearGain: 1.5 },
+    structural: ['numCenters'],
+    heating: true,
+    // Starting gains, the network adapts from there
+    autotune: ({ kp, ki, kd }) => ({
+      kp: kp * RBF_FULL_SCALE / 100,
+      ki: ki * RBF_FULL_SCALE / 100,
+      kd: kd * RBF_FULL_SCALE / 100
+    })
+  },
+  'dual-pid': {
+    label: 'Cascade PID',
+    description: 'Classic PID with PWM, the assist Peltiers join above the cascade threshold',
+    Controller: DualPeltierController,
+    params: { kp: 3.0, ki: 0.8, kd: 0.2, cascadeThreshold: 50, balanceRatio: 0.6 },
+    getParams: (controller) => ({
+      kp: controller.pid.kp,
+      ki: controller.pid.ki,
+      kd: controller.pid.kd,
+      cascadeThreshold: controller.cascadeThreshold,
+      balanceRatio: controller.balanceRatio
+    }),
+    setParams: (controller, params) => {
+      const { kp = controller.pid.kp, ki = controller.pid.ki, kd = controller.pid.kd, ...rest } = params;
+      controller.setPIDGains(kp, ki, kd);
+      Object.assign(controller, rest);
+    },
+    heating: true,
+    autotune: ({ kp, ki, kd }) => ({ kp, ki, kd })
+  },
+  'stable': {
+    label: 'Stable',
+    description: 'Threshold control with hysteresis',
+    Controller: StableController,
+    params: { kp: 3.0, ki: 0.1, kd: 0.5, tolerance: 0.5 },
+    resetsOnSetpoint: true,
+    heating: true,
+    autotune: ({ kp, ki, kd }) => ({ kp, ki, kd })
+  },
+  'smart-adaptive': {
+    label: 'Smart Adaptive',
+    description: 'Gain scheduling by error size, oscillation damping and trend prediction',
+    Controller: SmartAdaptiveController,
+    params: { tolerance: 0.3 },
+    resetsOnSetpoint: true
+  },
+  'neural-mpc': {
+    label: 'Neural MPC',
+    description: 'Model predictive control over a temperature model learned online',
+    Controller: NeuralMPCController,
+    params: { predictionHorizon: 10, controlHorizon: 3, hiddenSize: 16, learningRate: 0.001 },
+    structural: ['hiddenSize']
+  }
+};
+
+function getControllerEntry(type) {
+  const entry = CONTROLLERS[type];
+  if (!entry) {
+    throw new Error(`Unknown controller: ${type}`);
+  }
+  return entry;
+}
+
+/**
+ * Controllers with their default tunables, for selectors
+ */
+function listControllers() {
+  return Object.entries(CONTROLLERS).map(([type, entry]) => ({
+    type,
+    label: entry.label,
+    description: entry.description,
+    params: { ...entry.params },
+    heating: !!entry.heating
+  }));
+}
+
+function resetsOnSetpoint(type) {
+  return !!getControllerEntry(type).resetsOnSetpoint;
+}
+
+function supportsHeating(type) {
+  return !!getControllerEntry(type).heating;
+}
+
+/**
+ * Check tunables for a controller type
+ * @returns {string[]} List of problems, empty when the params can be applied
+ */
+function validateControllerParams(type, params = {}) {
+  const entry = getControllerEntry(type);
+  const errors = [];
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (!(key in entry.params)) {
+      errors.push(`${entry.label} has no parameter "${key}"`);
+    } else if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${entry.label} ${key} must be a number of at least 0`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build a controller
+ * @param {string} type - Key of CONTROLLERS
+ * @param {Object} params - Tunables, missing ones take the controller's defaults
+ * @param {Object} context - { setpoint, peltierIds, heating }, heating only reaches controllers that support it
+ */
+function createController(type, params = {}, { setpoint, peltierIds, heating }) {
+  const entry = getControllerEntry(type);
+  return new entry.Controller({
+    ...entry.params,
+    ...params,
+    setpoint,
+    peltierIds,
+    heating: entry.heating ? heating : undefined
+  });
+}
+
+function getControllerParams(type, controller) {
+  const entry = getControllerEntry(type);
+  if (entry.getParams) return entry.getParams(controller);
+
+  const params = {};
+  Object.keys(entry.params).forEach(key => {
+    params[key] = controller[key];
+  });
+  return params;
+}
+
+/**
+ * Apply tunables to a running controller
+ * @returns {boolean} false when a structural parameter changed and the controller needs rebuilding
+ */
+function applyControllerParams(type, controller, params) {
+  const entry = getControllerEntry(type);
+  const current = getControllerParams(type, controller);
+  const rebuild = (entry.structural || []).some(key => key in params && params[key] !== current[key]);
+  if (rebuild) return false;
+
+  if (entry.setParams) {
+    entry.setParams(controller, params);
+  } else {
+    Object.assign(controller, params);
+  }
+  return true;
+}
+
+/**
+ * Tunables for every controller that takes autotuned gains
+ * @param {Object} gains - { kp, ki, kd } in %/°C with time in seconds
+ * @returns {Object} { [type]: { kp, ki, kd } } rounded to three decimals
+ */
+function proposeControllerParams(gains) {
+  const round = (value) => Math.round(value * 1000) / 1000;
+  const proposals = {};
+
+  Object.entries(CONTROLLERS).forEach(([type, entry]) => {
+    if (!entry.autotune) return;
+    const params = entry.autotune(gains);
+    proposals[type] = Object.fromEntries(Object.entries(params).map(([key, value]) => [key, round(value)]));
+  });
+
+  return proposals;
+}
+
+/**
+ * Bring a controller's update result to the shape the control service emits
+ * PWM controllers report { shouldBeOn, dutyCycle } per Peltier, coils take the
+ * on/off state. Controllers without duties drive on/off, their duty is 0 or 100.
+ * mode is 'cooling', 'heating' or 'off' for the whole bank and command the
+ * signed bank demand, negative while heating.
+ */
+function normalizeControlResult(result, peltierIds) {
+  const peltiers = {};
+  peltierIds.forEach(id => {
+    const state = result.peltiers[id];
+    peltiers[id] = state !== null && typeof state === 'object' ? !!state.shouldBeOn : !!state;
+  });
+  const duties = result.duties || Object.fromEntries(peltierIds.map(id => [id, peltiers[id] ? 100 : 0]));
+  const demand = bankDemand(duties, peltierIds);
+  const running = demand > 0 || Object.values(peltiers).some(Boolean);
+  const mode = !running ? 'off' : result.mode === 'heating' ? 'heating' : 'cooling';
+
+  return {
+    ...result,
+    peltiers,
+    duties,
+    mode,
+    command: mode === 'heating' ? -demand : demand,
+    setpoint: result.setpoint !== undefined ? result.setpoint : result.pid && result.pid.setpoint,
+    error: result.error !== undefined ? result.error : result.pid && result.pid.error,
+    stable: !!result.stable
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTROLLER,
+  listControllers,
+  validateControllerParams,
+  createController,
+  getControllerParams,
+  applyControllerParams,
+  resetsOnSetpoint,
+  supportsHeating,
+  proposeControllerParams,
+  normalizeControlResult
+};
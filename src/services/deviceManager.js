@@ -0,0 +1,331 @@
+const path = require('path');
+const { EventEmitter } = require('events');
+const ModbusService = require('./modbusService');
+const ModbusReplay = require('./modbusReplay');
+const { listRecordings } = require('./modbusRecorder');
+const ProfileRunner = require('./profileRunner');
+const SetpointScheduler = require('./setpointScheduler');
+const LeadLagRotation = require('./leadLagRotation');
+
+// ModbusService events re-emitted by the manager with the device ID in front
+const FORWARDED_EVENTS = [
+  'temperatureUpdate',
+  'connectionStatus',
+  'peltierStatusChange',
+  'outputDiscrepancy',
+  'controlChannelChanged',
+  'controlSuspensionChanged',
+  'controlDecision',
+  'controllerChanged',
+  'setpointChanged',
+  'controlStateChanged',
+  'autotuneProgress',
+  'scanProgress',
+  'discoveryProgress',
+  'discoveryDevice',
+  'heartbeatStatus'
+];
+
+/**
+ * Turn a container name into a device ID, e.g. "Container 12" -> "container-12"
+ */
+function slugify(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'container';
+}
+
+/**
+ * Holds one ModbusService (and with it one TemperatureControlService) per container
+ * Each device has its own connection, polling loop and controller; the manager
+ * routes calls by device ID and forwards every device's events tagged with its ID.
+ */
+class DeviceManager extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.recordingsDir] - Traffic recordings go to a subdirectory per device
+   * @param {string} [options.stateDir] - Progress of running profiles and runtime counters, one file each per device
+   */
+  constructor({ recordingsDir = null, stateDir = null } = {}) {
+    super();
+    this.devices = new Map();
+    this.recordingsDir = recordingsDir;
+    this.stateDir = stateDir;
+  }
+
+  /**
+   * Create the services for a container
+   * @param {Object} device - { id, name, modbus, control } as stored in settings.devices
+   * @returns {Object} The device entry
+   */
+  addDevice({ id, name, modbus = {}, control = {} }) {
+    if (this.devices.has(id)) {
+      throw new Error(`Device "${id}" already exists`);
+    }
+
+    const service = new ModbusService();
+    service.config = { ...service.config, ...modbus };
+    if (control.safeOutput) {
+      service.controlService.setSafeOutput(control.safeOutput);
+    }
+    if (control.controller) {
+      // A bad saved selection falls back to the default controller instead of losing the device
+      try {
+        service.controlService.loadControllerSettings(control.controller);
+      } catch (error) {
+        console.warn(`⚠️ Saved controller settings for "${name}" ignored: ${error.message}`);
+      }
+    }
+    if (control.setpoint) {
+      try {
+        service.controlService.loadSetpointSettings(control.setpoint);
+      } catch (error) {
+        console.warn(`⚠️ Saved setpoint settings for "${name}" ignored: ${error.message}`);
+      }
+    }
+    if (control.heating) {
+      try {
+        service.controlService.loadHeatingSettings(control.heating);
+      } catch (error) {
+        console.warn(`⚠️ Saved heating settings for "${name}" ignored: ${error.message}`);
+      }
+    }
+    if (control.protection) {
+      try {
+        service.loadProtectionSettings(control.protection);
+      } catch (error) {
+        console.warn(`⚠️ Saved output protection for "${name}" ignored: ${error.message}`);
+      }
+    }
+
+    if (this.recordingsDir) {
+      service.recorder.setDirectory(this.getRecordingsDirectory(id));
+    }
+
+    // Ramp/soak profiles drive the device's setpoint
+    const profile = new ProfileRunner(service.controlService);
+    if (this.stateDir) {
+      profile.setStateFile(path.join(this.stateDir, `${id}-profile.json`));
+    }
+
+    // Calendar schedule, a running profile takes precedence over it
+    const schedule = new SetpointScheduler(service.controlService, profile);
+
+    // Runtime counters and lead rotation of the Peltiers
+    const rotation = new LeadLagRotation(service);
+    if (this.stateDir) {
+      rotation.setStateFile(path.join(this.stateDir, `${id}-runtime.json`));
+    }
+
+    const entry = { id, name, service, settings: { modbus, control }, lastReading: null, replay: null, profile, schedule, rotation };
+
+    FORWARDED_EVENTS.forEach(eventName => {
+      service.on(eventName, (data) => {
+        if (eventName === 'temperatureUpdate') entry.lastReading = data;
+        this.emit(eventName, id, data);
+      });
+    });
+
+    profile.on('progress', (status) => this.emit('profileProgress', id, status));
+    schedule.on('transition', (transition) => this.emit('scheduleTransition', id, transition));
+    rotation.on('update', (status) => this.emit('rotationUpdate', id, status));
+
+    this.devices.set(id, entry);
+    profile.restore();
+    if (control.schedule) {
+      try {
+        schedule.load(control.schedule);
+      } catch (error) {
+        console.warn(`⚠️ Saved schedule for "${name}" ignored: ${error.message}`);
+      }
+    }
+    rotation.restore();
+    if (control.rotation) {
+      try {
+        rotation.load(control.rotation);
+      } catch (error) {
+        console.warn(`⚠️ Saved rotation settings for "${name}" ignored: ${error.message}`);
+      }
+    }
+    rotation.start();
+    console.log(`📦 Added device "${name}" (${id}) at ${modbus.host}:${modbus.port}`);
+    this.emit('devicesChanged', this.listDevices());
+    return entry;
+  }
+
+  /**
+   * Connect a device and start its polling loop
+   * Polling starts even if the first attempt fails, reads resume once a reconnect succeeds.
+   */
+  async startDevice(id, pollInterval = 1000) {
+    const { service, settings } = this.getDevice(id);
+    const connected = await service.connect(settings.modbus);
+    service.startPolling(pollInterval);
+    return connected;
+  }
+
+  async removeDevice(id) {
+    const entry = this.getDevice(id);
+    if (this.devices.size === 1) {
+      throw new Error('At least one device is required');
+    }
+
+    await this.stopService(entry);
+    entry.profile.discard();
+    entry.rotation.discard();
+    this.devices.delete(entry.id);
+    console.log(`📦 Removed device "${entry.name}" (${entry.id})`);
+    this.emit('devicesChanged', this.listDevices());
+  }
+
+  renameDevice(id, name) {
+    const entry = this.getDevice(id);
+    entry.name = name;
+    this.emit('devicesChanged', this.listDevices());
+  }
+
+  /**
+   * Record a device's saved settings so the next start uses them
+   */
+  updateDeviceSettings(id, settings) {
+    const entry = this.getDevice(id);
+    entry.settings = { ...entry.settings, ...settings };
+  }
+
+  async stopService({ service, replay, profile, schedule, rotation }) {
+    if (replay) replay.stop();
+    schedule.stop();
+    rotation.stop();
+    profile.dispose();
+    service.stopPolling();
+    service.controlService.setEnabled(false);
+    await service.disconnect();
+    service.removeAllListeners();
+  }
+
+  async stopAll() {
+    for (const entry of this.devices.values()) {
+      await this.stopService(entry);
+    }
+  }
+
+  getRecordingsDirectory(id) {
+    if (!this.recordingsDir) {
+      throw new Error('No recordings directory configured');
+    }
+    return path.join(this.recordingsDir, id);
+  }
+
+  /**
+   * Traffic recordings of a device, newest first
+   */
+  listRecordings(id) {
+    return listRecordings(this.getRecordingsDirectory(this.getDevice(id).id));
+  }
+
+  /**
+   * Replay one of a device's recordings on a new device of its own
+   * The replay device runs the source's control settings but never touches a PLC,
+   * remove it like any other device when done.
+   * @returns {Object} The replay device entry
+   */
+  async startReplay(sourceId, file, { speed = 1 } = {}) {
+    const source = this.getDevice(sourceId);
+    const recording = ModbusReplay.loadRecording(path.join(this.getRecordingsDirectory(source.id), path.basename(file)));
+    const { session } = recording;
+
+    const entry = this.addDevice({
+      id: this.createDeviceId(`${source.id} replay`),
+      name: `${source.name} (replay)`,
+      modbus: { host: session.host, port: session.port },
+      // Replays follow the recording, not the calendar
+      control: { ...source.settings.control, schedule: null }
+    });
+
+    const replay = new ModbusReplay(entry.service, recording, { speed });
+    replay.on('progress', (status) => this.emit('replayProgress', entry.id, status));
+    entry.replay = replay;
+
+    try {
+      await replay.start();
+    } catch (error) {
+      await this.removeDevice(entry.id);
+      throw error;
+    }
+
+    this.emit('devicesChanged', this.listDevices());
+    return entry;
+  }
+
+  stopReplay(id) {
+    const entry = this.getDevice(id);
+    if (!entry.replay) {
+      throw new Error(`${entry.name} is not replaying a recording`);
+    }
+    entry.replay.stop();
+  }
+
+  /**
+   * Device entry by ID
+   * Without an ID the first device is used, so single-container callers keep working.
+   */
+  getDevice(id) {
+    if (id === undefined || id === null) {
+      const first = this.devices.values().next().value;
+      if (!first) throw new Error('No devices configured');
+      return first;
+    }
+
+    const entry = this.devices.get(id);
+    if (!entry) {
+      throw new Error(`Unknown device: ${id}`);
+    }
+    return entry;
+  }
+
+  getService(id) {
+    return this.getDevice(id).service;
+  }
+
+  /**
+   * Unused ID derived from a container name
+   */
+  createDeviceId(name) {
+    const base = slugify(name);
+    let id = base;
+    for (let n = 2; this.devices.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Overview of every container for the selector
+   */
+  listDevices() {
+    return Array.from(this.devices.values()).map(({ id, name, service, lastReading, replay, profile }) => {
+      const connection = service.getConnectionStatus();
+      const control = service.controlService.getConfiguration();
+      const profileStatus = profile.isActive() ? profile.getStatus() : null;
+
+      return {
+        id,
+        name,
+        host: connection.host,
+        port: connection.port,
+        state: connection.state,
+        mockMode: connection.mockMode,
+        temperature: lastReading ? lastReading.temperature : null,
+        quality: lastReading ? lastReading.quality : null,
+        lastUpdate: lastReading ? lastReading.timestamp : null,
+        controlEnabled: control.enabled,
+        suspended: !!control.suspension,
+        discrepancies: service.getDiscrepancies().length,
+        heartbeat: service.heartbeat.status,
+        replay: replay ? replay.getStatus() : null,
+        profile: profileStatus && { name: profileStatus.name, status: profileStatus.status }
+      };
+    });
+  }
+}
+
+module.exports = DeviceManager;
+module.exports.FORWARDED_EVENTS = FORWARDED_EVENTS;
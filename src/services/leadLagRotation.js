@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const ROTATION_MODES = ['off', 'runtime', 'interval'];
+const CHECK_INTERVAL = 60000;       // ms between runtime updates and rotation checks
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Rotation settings
+ *   off      - the first output in the register map always leads
+ *   runtime  - the least used Peltier takes the lead once the lead has run
+ *              runtimeDifference hours more than it
+ *   interval - the lead moves on to the next Peltier every interval hours
+ */
+function createDefaultRotationPolicy() {
+  return {
+    mode: 'off',
+    runtimeDifference: 10,          // h
+    interval: 24                    // h
+  };
+}
+
+/**
+ * Check rotation settings
+ * @returns {string[]} List of problems, empty when the settings can be applied
+ */
+function validateRotationPolicy(policy) {
+  const errors = [];
+
+  if (!ROTATION_MODES.includes(policy.mode)) {
+    errors.push(`Rotation mode must be one of ${ROTATION_MODES.join(', ')}`);
+  }
+  if (!(Number.isFinite(policy.runtimeDifference) && policy.runtimeDifference > 0)) {
+    errors.push('Runtime difference must be above 0 h');
+  }
+  if (!(Number.isFinite(policy.interval) && policy.interval > 0)) {
+    errors.push('Rotation interval must be above 0 h');
+  }
+
+  return errors;
+}
+
+/**
+ * Tracks runtime and switch counts of a device's Peltiers and rotates the lead stage
+ *
+ * Counters follow the outputs as they are written, mock data doesn't count.
+ * They are kept in a state file so they survive restarts, along with the
+ * lead and when it last changed. Rotating reorders the staging of the running
+ * controller, it keeps what it has learned.
+ */
+class LeadLagRotation extends EventEmitter {
+  /**
+   * @param {ModbusService} service - Outputs of the device and its control service
+   */
+  constructor(service) {
+    super();
+    this.service = service;
+    this.controlService = service.controlService;
+    this.policy = createDefaultRotationPolicy();
+    this.stateFile = null;
+    this.timer = null;
+
+    this.counters = {};             // Per Peltier ID: { runtime (s), switches }
+    this.running = {};              // Per Peltier ID: since when it has been on, null when off
+    this.lastRotationAt = null;
+    this.intervalStart = null;      // Interval rotation counts from here, the last rotation or switching it on
+
+    this.handleStatusChange = (status) => this.observe(status.peltierId, status.state);
+    service.on('peltierStatusChange', this.handleStatusChange);
+  }
+
+  setStateFile(stateFile) {
+    this.stateFile = stateFile;
+  }
+
+  /**
+   * Use rotation settings, throws when they do not validate
+   * @param {Object} policy - { mode, runtimeDifference, interval }, missing keys keep their values
+   */
+  load(policy = {}) {
+    const merged = { ...this.policy, ...policy };
+    const errors = validateRotationPolicy(merged);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const modeChanged = merged.mode !== this.policy.mode;
+    this.policy = merged;
+    // Intervals count from when interval rotation was switched on, one restored
+    // from the state file at startup carries on
+    if (modeChanged) {
+      this.intervalStart = merged.mode === 'interval' ? this.intervalStart || Date.now() : null;
+    }
+    this.check();
+  }
+
+  getPolicy() {
+    return { ...this.policy };
+  }
+
+  /**
+   * Pick up counters and the lead saved by an earlier run
+   */
+  restore() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return false;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      this.counters = state.counters || {};
+      this.lastRotationAt = state.lastRotationAt || null;
+      this.intervalStart = state.intervalStart || this.lastRotationAt;
+      if (state.leadId !== null && state.leadId !== undefined) {
+        this.controlService.setLeadPeltier(state.leadId);
+      }
+      console.log(`⏱️ Runtime counters restored for ${Object.keys(this.counters).length} Peltier(s)`);
+      return true;
+    } catch (error) {
+      console.error('Error restoring runtime counters:', error.message);
+      return false;
+    }
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop checking, runtime up to now is saved
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.accumulate();
+    this.save();
+  }
+
+  /**
+   * Stop for good and forget the saved counters, e.g. when the device is removed
+   */
+  discard() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.service.removeListener('peltierStatusChange', this.handleStatusChange);
+    if (this.stateFile) {
+      fs.rmSync(this.stateFile, { force: true });
+    }
+  }
+
+  counterFor(peltierId) {
+    if (!this.counters[peltierId]) {
+      this.counters[peltierId] = { runtime: 0, switches: 0 };
+    }
+    return this.counters[peltierId];
+  }
+
+  /**
+   * Follow an output switching, a switch is counted each time it turns on
+   */
+  observe(peltierId, state, now = Date.now()) {
+    if (this.service.mockMode) return;
+
+    const since = this.running[peltierId];
+    if (state && !since) {
+      this.running[peltierId] = now;
+      this.counterFor(peltierId).switches++;
+      this.emitUpdate();
+    } else if (!state && since) {
+      this.counterFor(peltierId).runtime += (now - since) / 1000;
+      this.running[peltierId] = null;
+      this.emitUpdate();
+    }
+  }
+
+  /**
+   * Add runtime of the outputs that are on, catching up with changes no
+   * write reported (e.g. the PLC watchdog dropping them)
+   */
+  accumulate(now = Date.now()) {
+    if (this.service.mockMode) return;
+
+    this.service.getOutputs().forEach(output => {
+      const since = this.running[output.id];
+      if (since && output.state) {
+        this.counterFor(output.id).runtime += (now - since) / 1000;
+        this.running[output.id] = now;
+      } else {
+        this.observe(output.id, output.state, now);
+      }
+    });
+  }
+
+  check(now = Date.now()) {
+    this.accumulate(now);
+
+    const leadId = this.rotationDue(now);
+    if (leadId !== null) {
+      this.rotate(leadId, this.policy.mode, now);
+    } else {
+      this.save();
+      this.emitUpdate();
+    }
+  }
+
+  /**
+   * Peltier that should take the lead now, null when the lead stays
+   */
+  rotationDue(now) {
+    const order = this.controlService.getStagingOrder();
+    if (order.length < 2) return null;
+    const leadId = order[0];
+
+    if (this.policy.mode === 'runtime') {
+      const runtime = (id) => this.counters[id] ? this.counters[id].runtime : 0;
+      const leastUsed = order.slice(1).reduce((best, id) => runtime(id) < runtime(best) ? id : best);
+      return runtime(leadId) - runtime(leastUsed) >= this.policy.runtimeDifference * 3600 ? leastUsed : null;
+    }
+    if (this.policy.mode === 'interval') {
+      return this.intervalStart && now - this.intervalStart >= this.policy.interval * HOUR ? order[1] : null;
+    }
+    return null;
+  }
+
+  /**
+   * Hand the lead to another Peltier
+   * @param {number} [leadId] - The next one in staging order when left out
+   * @param {string} [reason] - 'manual', 'runtime' or 'interval'
+   */
+  rotate(leadId = null, reason = 'manual', now = Date.now()) {
+    const order = this.controlService.getStagingOrder();
+    const next = leadId !== null ? order.find(id => String(id) === String(leadId)) : order[1];
+    if (order.length < 2) {
+      throw new Error('Rotation needs at least two Peltiers');
+    }
+    if (next === undefined) {
+      throw new Error(`Invalid Peltier ID: ${leadId}`);
+    }
+    const previous = order[0];
+    // Nothing to hand over, the interval and rotation history stay as they are
+    if (String(next) === String(previous)) {
+      throw new Error(`Peltier ${next} already leads`);
+    }
+
+    this.controlService.setLeadPeltier(next);
+    this.lastRotationAt = now;
+    if (this.policy.mode === 'interval') this.intervalStart = now;
+    this.save();
+
+    console.log(`🔄 Lead moved from Peltier ${previous} to Peltier ${next} (${reason})`);
+    this.emit('rotated', { previous, leadId: next, reason, at: new Date(now) });
+    this.emitUpdate();
+  }
+
+  /**
+   * Zero the counters, e.g. after a module was replaced
+   * @param {number} [peltierId] - Every Peltier when left out
+   */
+  resetCounters(peltierId = null) {
+    const now = Date.now();
+    const ids = peltierId !== null ? [peltierId] : Object.keys(this.counters);
+    ids.forEach(id => {
+      this.counters[id] = { runtime: 0, switches: 0 };
+      if (this.running[id]) this.running[id] = now;
+    });
+    this.save();
+    this.emitUpdate();
+  }
+
+  save() {
+    if (!this.stateFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify({
+        counters: this.counters,
+        leadId: this.controlService.getLeadPeltier(),
+        lastRotationAt: this.lastRotationAt,
+        intervalStart: this.intervalStart
+      }, null, 2));
+    } catch (error) {
+      console.error('Error saving runtime counters:', error.message);
+    }
+  }
+
+  emitUpdate() {
+    this.emit('update', this.getStatus());
+  }
+
+  getStatus(now = Date.now()) {
+    const order = this.controlService.getStagingOrder();
+    const nextRotationAt = this.policy.mode === 'interval' && this.intervalStart
+      ? new Date(this.intervalStart + this.policy.interval * HOUR)
+      : null;
+
+    return {
+      policy: this.getPolicy(),
+      leadId: order[0],
+      order,
+      lastRotationAt: this.lastRotationAt ? new Date(this.lastRotationAt) : null,
+      nextRotationAt,
+      peltiers: order.map(id => {
+        const counter = this.counters[id] || { runtime: 0, switches: 0 };
+        const since = this.running[id];
+        return {
+          id,
+          on: !!since,
+          runtimeHours: (counter.runtime + (since ? (now - since) / 1000 : 0)) / 3600,
+          switches: counter.switches
+        };
+      })
+    };
+  }
+}
+
+module.exports = LeadLagRotation;
+module.exports.createDefaultRotationPolicy = createDefaultRotationPolicy;
+module.exports.validateRotationPolicy = validateRotationPolicy;
+module.exports.ROTATION_MODES = ROTATION_MODES;
@@ -0,0 +1,179 @@
+// Modbus exception codes (Modbus Application Protocol, section 7)
+const EXCEPTION_NAMES = {
+  1: 'Illegal function',
+  2: 'Illegal data address',
+  3: 'Illegal data value',
+  4: 'Server device failure',
+  5: 'Acknowledge',
+  6: 'Server device busy',
+  10: 'Gateway path unavailable',
+  11: 'Gateway target failed to respond'
+};
+
+const LATENCY_SAMPLES = 200;
+const BUCKET_SIZE = 10000;   // ms per timeline bucket
+const MAX_BUCKETS = 60;      // 10 minutes of rolling history
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const index = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+  return sorted[index];
+}
+
+/**
+ * Communication statistics for a ModbusService
+ * Records every transaction's latency and outcome, which read paths served the
+ * inputs and how often the link had to be re-established.
+ */
+class ModbusDiagnostics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.startedAt = new Date();
+    this.functions = {};
+    this.exceptions = {};
+    this.readMethods = {};
+    this.reconnects = { attempts: 0, successes: 0, lastAt: null };
+    this.timeline = [];
+    this.lastError = null;
+  }
+
+  getFunctionStats(functionName) {
+    if (!this.functions[functionName]) {
+      this.functions[functionName] = {
+        requests: 0,
+        errors: 0,
+        timeouts: 0,
+        exceptions: 0,
+        latencies: []
+      };
+    }
+    return this.functions[functionName];
+  }
+
+  /**
+   * Bucket of the rolling timeline covering the given time
+   */
+  getBucket(time) {
+    const start = Math.floor(time / BUCKET_SIZE) * BUCKET_SIZE;
+    let bucket = this.timeline[this.timeline.length - 1];
+
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, requests: 0, errors: 0, timeouts: 0, totalLatency: 0 };
+      this.timeline.push(bucket);
+      if (this.timeline.length > MAX_BUCKETS) this.timeline.shift();
+    }
+    return bucket;
+  }
+
+  /**
+   * Time a client call and record its outcome
+   * @param {string} functionName - modbus-serial method, e.g. readHoldingRegisters
+   * @param {Function} execute - Performs the call
+   */
+  async track(functionName, execute) {
+    const started = Date.now();
+
+    try {
+      const result = await execute();
+      this.recordTransaction(functionName, Date.now() - started, null);
+      return result;
+    } catch (error) {
+      this.recordTransaction(functionName, Date.now() - started, error);
+      throw error;
+    }
+  }
+
+  recordTransaction(functionName, latency, error) {
+    const stats = this.getFunctionStats(functionName);
+    const bucket = this.getBucket(Date.now());
+
+    stats.requests++;
+    bucket.requests++;
+
+    if (!error) {
+      stats.latencies.push(latency);
+      if (stats.latencies.length > LATENCY_SAMPLES) stats.latencies.shift();
+      bucket.totalLatency += latency;
+      return;
+    }
+
+    stats.errors++;
+    bucket.errors++;
+
+    if (error.errno === 'ETIMEDOUT') {
+      stats.timeouts++;
+      bucket.timeouts++;
+    }
+
+    if (error.modbusCode) {
+      stats.exceptions++;
+      const key = `${functionName}:${error.modbusCode}`;
+      this.exceptions[key] = this.exceptions[key] || {
+        functionName,
+        code: error.modbusCode,
+        name: EXCEPTION_NAMES[error.modbusCode] || 'Unknown exception',
+        count: 0
+      };
+      this.exceptions[key].count++;
+    }
+
+    this.lastError = { functionName, message: error.message, at: new Date() };
+  }
+
+  /**
+   * Count which read path served an input, e.g. batch-2026 or batch-2020-fallback
+   */
+  recordReadMethod(method) {
+    this.readMethods[method] = (this.readMethods[method] || 0) + 1;
+  }
+
+  recordReconnectAttempt(success) {
+    this.reconnects.attempts++;
+    if (success) this.reconnects.successes++;
+    this.reconnects.lastAt = new Date();
+  }
+
+  getSummary() {
+    const functions = {};
+
+    Object.entries(this.functions).forEach(([name, stats]) => {
+      const sorted = [...stats.latencies].sort((a, b) => a - b);
+      functions[name] = {
+        requests: stats.requests,
+        errors: stats.errors,
+        timeouts: stats.timeouts,
+        exceptions: stats.exceptions,
+        errorRate: stats.requests ? stats.errors / stats.requests : 0,
+        latency: {
+          avg: sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : 0,
+          min: sorted.length ? sorted[0] : 0,
+          p95: percentile(sorted, 0.95),
+          max: sorted.length ? sorted[sorted.length - 1] : 0
+        }
+      };
+    });
+
+    return {
+      startedAt: this.startedAt,
+      functions,
+      exceptions: Object.values(this.exceptions),
+      readMethods: { ...this.readMethods },
+      reconnects: { ...this.reconnects },
+      lastError: this.lastError,
+      timeline: this.timeline.map(bucket => ({
+        timestamp: bucket.start,
+        requests: bucket.requests,
+        errors: bucket.errors,
+        timeouts: bucket.timeouts,
+        avgLatency: bucket.requests > bucket.errors
+          ? bucket.totalLatency / (bucket.requests - bucket.errors)
+          : null
+      }))
+    };
+  }
+}
+
+module.exports = ModbusDiagnostics;
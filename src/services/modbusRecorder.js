@@ -0,0 +1,271 @@
+const fs = require('fs');
+const path = require('path');
+
+// traffic.jsonl is written to, traffic.1.jsonl is the newest rotated file
+const RECORDING_PREFIX = 'traffic';
+const FLUSH_INTERVAL = 1000;        // ms, lines are appended in batches
+const HEADER_READ_BYTES = 256 * 1024;
+
+function createDefaultRecorderPolicy() {
+  return {
+    enabled: false,
+    maxFileSize: 5 * 1024 * 1024,   // bytes before the file is rotated
+    maxFiles: 5                     // files kept, including the one being written
+  };
+}
+
+function recordingFileName(index) {
+  return index === 0 ? `${RECORDING_PREFIX}.jsonl` : `${RECORDING_PREFIX}.${index}.jsonl`;
+}
+
+/**
+ * Logs every Modbus transaction of one device to a rolling JSON Lines file
+ *
+ * Line types:
+ *   session    - first line of every file: connection and register map in use
+ *   request    - one transaction: function, arguments, latency, response or error
+ *   poll       - a polling cycle started, the replay driver steps on these
+ *   connection - connection state change
+ */
+class ModbusRecorder {
+  /**
+   * @param {Function} getSession - Returns the connection details written to each file header
+   */
+  constructor(getSession) {
+    this.getSession = getSession;
+    this.policy = createDefaultRecorderPolicy();
+    this.directory = null;
+    this.recording = false;
+
+    this.buffer = [];
+    this.flushTimer = null;
+    this.writing = Promise.resolve();   // Appends and rotations run one after another
+    this.fileSize = 0;
+    this.totalRecords = 0;
+    this.startedAt = null;
+    this.lastError = null;
+  }
+
+  setDirectory(directory) {
+    this.directory = directory;
+  }
+
+  configure(policy = {}) {
+    this.policy = { ...createDefaultRecorderPolicy(), ...policy };
+
+    if (this.policy.enabled && !this.recording) {
+      this.start();
+    } else if (!this.policy.enabled && this.recording) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Start a new session, the previous file is rotated out of the way
+   */
+  start() {
+    if (!this.directory) {
+      this.lastError = 'No recording directory configured';
+      console.warn(`⚠️ Traffic recorder not started: ${this.lastError}`);
+      return;
+    }
+
+    this.recording = true;
+    this.startedAt = new Date();
+    this.totalRecords = 0;
+    this.lastError = null;
+
+    this.enqueueWrite(async () => {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      const current = path.join(this.directory, recordingFileName(0));
+      const existing = await fs.promises.stat(current).catch(() => null);
+      if (existing && existing.size > 0) {
+        await this.rotate();
+      }
+      this.fileSize = 0;
+      await this.writeHeader(false);
+    });
+    console.log(`⏺️ Recording Modbus traffic to ${this.directory}`);
+  }
+
+  stop() {
+    this.recording = false;
+    this.flush();
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    console.log('⏹️ Modbus traffic recording stopped');
+    return this.writing;
+  }
+
+  /**
+   * Log one transaction
+   * @param {Object} transaction - { priority, label, functionName, args, unitId, latency, result, error }
+   */
+  recordRequest({ priority, label, functionName, args, unitId, latency, result, error }) {
+    if (!this.recording) return;
+
+    this.append({
+      type: 'request',
+      priority,
+      label,
+      fn: functionName,
+      args,
+      unitId,
+      latency,
+      // Reads carry their values in data, writes echo what was written
+      response: error ? undefined : (result && result.data !== undefined ? result.data : result),
+      error: error ? {
+        message: error.message,
+        name: error.name,
+        modbusCode: error.modbusCode,
+        errno: error.errno
+      } : undefined
+    });
+  }
+
+  recordEvent(type, details = {}) {
+    if (!this.recording) return;
+    this.append({ type, ...details });
+  }
+
+  append(entry) {
+    this.buffer.push(JSON.stringify({ t: Date.now(), ...entry }));
+    this.totalRecords++;
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, FLUSH_INTERVAL);
+    }
+  }
+
+  flush() {
+    if (this.buffer.length === 0) return this.writing;
+
+    const data = this.buffer.join('\n') + '\n';
+    this.buffer = [];
+
+    return this.enqueueWrite(async () => {
+      const bytes = Buffer.byteLength(data);
+      if (this.fileSize > 0 && this.fileSize + bytes > this.policy.maxFileSize) {
+        await this.rotate();
+        await this.writeHeader(true);
+      }
+      await this.appendToFile(data);
+    });
+  }
+
+  enqueueWrite(operation) {
+    this.writing = this.writing.then(operation).catch(error => {
+      if (error.message !== this.lastError) {
+        console.error('Error writing Modbus traffic recording:', error.message);
+      }
+      this.lastError = error.message;
+    });
+    return this.writing;
+  }
+
+  async writeHeader(continued) {
+    const header = {
+      t: Date.now(),
+      type: 'session',
+      startedAt: this.startedAt,
+      continued,
+      ...this.getSession()
+    };
+    await this.appendToFile(JSON.stringify(header) + '\n');
+  }
+
+  async appendToFile(data) {
+    await fs.promises.appendFile(path.join(this.directory, recordingFileName(0)), data);
+    this.fileSize += Buffer.byteLength(data);
+  }
+
+  /**
+   * Shift traffic.jsonl -> traffic.1.jsonl -> traffic.2.jsonl ..., dropping the oldest
+   */
+  async rotate() {
+    const keep = Math.max(1, this.policy.maxFiles);
+
+    for (let index = keep - 1; index >= 0; index--) {
+      const from = path.join(this.directory, recordingFileName(index));
+      if (!fs.existsSync(from)) continue;
+
+      if (index + 1 >= keep) {
+        await fs.promises.unlink(from);
+      } else {
+        await fs.promises.rename(from, path.join(this.directory, recordingFileName(index + 1)));
+      }
+    }
+
+    this.fileSize = 0;
+  }
+
+  getStatus() {
+    return {
+      enabled: !!this.policy.enabled,
+      recording: this.recording,
+      directory: this.directory,
+      file: recordingFileName(0),
+      fileSize: this.fileSize + this.buffer.reduce((sum, line) => sum + line.length + 1, 0),
+      totalRecords: this.totalRecords,
+      startedAt: this.startedAt,
+      maxFileSize: this.policy.maxFileSize,
+      maxFiles: this.policy.maxFiles,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Recording files in a directory, newest first, with their session headers
+ */
+function listRecordings(directory) {
+  if (!directory || !fs.existsSync(directory)) return [];
+
+  return fs.readdirSync(directory)
+    .filter(file => file.startsWith(RECORDING_PREFIX) && file.endsWith('.jsonl'))
+    .map(file => {
+      const filePath = path.join(directory, file);
+      const stats = fs.statSync(filePath);
+      const session = readSessionHeader(filePath);
+
+      return {
+        file,
+        size: stats.size,
+        modifiedAt: stats.mtime,
+        startedAt: session ? session.startedAt : null,
+        continued: session ? !!session.continued : false,
+        host: session ? session.host : null,
+        port: session ? session.port : null
+      };
+    })
+    .sort((a, b) => b.modifiedAt - a.modifiedAt);
+}
+
+/**
+ * First line of a recording without reading the whole file
+ */
+function readSessionHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const chunk = Buffer.alloc(HEADER_READ_BYTES);
+    const bytesRead = fs.readSync(fd, chunk, 0, HEADER_READ_BYTES, 0);
+    const firstLine = chunk.toString('utf8', 0, bytesRead).split('\n')[0];
+    const header = JSON.parse(firstLine);
+    return header.type === 'session' ? header : null;
+  } catch (error) {
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = ModbusRecorder;
+module.exports.createDefaultRecorderPolicy = createDefaultRecorderPolicy;
+module.exports.listRecordings = listRecordings;
+module.exports.recordingFileName = recordingFileName;
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createDefaultRetryPolicy } = require('./modbusService');
+
+const MAX_SPEED = 100;
+
+/**
+ * Read a traffic recording written by ModbusRecorder
+ * A crash can leave a half-written last line, unreadable lines are skipped.
+ * @returns {Object} { file, session, requests, polls }
+ */
+function loadRecording(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  const recording = { file: path.basename(filePath), session: null, requests: [], polls: [], skipped: 0 };
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      recording.skipped++;
+      continue;
+    }
+
+    if (entry.type === 'session') {
+      if (!recording.session) recording.session = entry;
+    } else if (entry.type === 'request') {
+      recording.requests.push(entry);
+    } else if (entry.type === 'poll') {
+      recording.polls.push(entry);
+    }
+  }
+
+  if (!recording.session) {
+    throw new Error(`${recording.file} is not a Modbus traffic recording`);
+  }
+  if (recording.polls.length === 0) {
+    throw new Error(`${recording.file} contains no polling cycles`);
+  }
+
+  return recording;
+}
+
+function requestKey(functionName, args, unitId) {
+  return `${functionName}:${unitId}:${JSON.stringify(args)}`;
+}
+
+/**
+ * Stands in for the modbus-serial client and answers reads from a recording
+ * Each read gets the latest recorded response to the same request at the
+ * replay cursor, including recorded errors. Writes are accepted and kept so
+ * they can be compared with what the original controller wrote.
+ */
+class ReplayClient extends EventEmitter {
+  constructor(requests, defaultUnitId) {
+    super();
+    this.defaultUnitId = defaultUnitId;
+    this.unitId = defaultUnitId;
+    this.isOpen = false;
+    this.online = true;             // Whether the PLC was reachable at the cursor
+    this.cursor = -Infinity;        // Recorded time (ms) responses are served up to
+    this.writes = [];
+
+    // Recorded responses per request, in time order, with a read position each
+    this.responses = new Map();
+    this.positions = new Map();
+    requests
+      .filter(request => request.fn.startsWith('read'))
+      .forEach(request => {
+        const key = requestKey(request.fn, request.args, request.unitId);
+        if (!this.responses.has(key)) this.responses.set(key, []);
+        this.responses.get(key).push(request);
+      });
+  }
+
+  connectTCP() {
+    if (!this.online) {
+      return Promise.reject(new Error('PLC was unreachable at this point of the recording'));
+    }
+    this.isOpen = true;
+    return Promise.resolve();
+  }
+
+  setID(unitId) {
+    this.unitId = unitId;
+  }
+
+  setTimeout() {}
+
+  close(callback) {
+    this.isOpen = false;
+    if (callback) callback();
+  }
+
+  readCoils(...args) {
+    return this.respond('readCoils', args);
+  }
+
+  readDiscreteInputs(...args) {
+    return this.respond('readDiscreteInputs', args);
+  }
+
+  readHoldingRegisters(...args) {
+    return this.respond('readHoldingRegisters', args);
+  }
+
+  readInputRegisters(...args) {
+    return this.respond('readInputRegisters', args);
+  }
+
+  writeCoil(address, state) {
+    this.writes.push({ t: this.cursor, fn: 'writeCoil', args: [address, state] });
+    return Promise.resolve({ address, state });
+  }
+
+  writeRegister(address, value) {
+    this.writes.push({ t: this.cursor, fn: 'writeRegister', args: [address, value] });
+    return Promise.resolve({ address, value });
+  }
+
+  respond(functionName, args) {
+    if (!this.online) {
+      return Promise.reject(new Error('PLC was unreachable at this point of the recording'));
+    }
+
+    const recorded = this.lookup(requestKey(functionName, args, this.unitId));
+    if (!recorded) {
+      return Promise.reject(new Error(`No recorded response for ${functionName}(${args.join(', ')}) on unit ${this.unitId}`));
+    }
+
+    if (recorded.error) {
+      const error = new Error(recorded.error.message);
+      if (recorded.error.name) error.name = recorded.error.name;
+      if (recorded.error.modbusCode !== undefined) error.modbusCode = recorded.error.modbusCode;
+      if (recorded.error.errno !== undefined) error.errno = recorded.error.errno;
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve({ data: recorded.response });
+  }
+
+  /**
+   * Latest recorded response at the cursor, the cursor only moves forward
+   */
+  lookup(key) {
+    const list = this.responses.get(key);
+    if (!list) return null;
+
+    let position = this.positions.has(key) ? this.positions.get(key) : -1;
+    while (position + 1 < list.length && list[position + 1].t <= this.cursor) {
+      position++;
+    }
+    this.positions.set(key, position);
+
+    return position >= 0 ? list[position] : null;
+  }
+}
+
+/**
+ * Feeds a recorded session back through a ModbusService
+ *
+ * The service's client is swapped for a ReplayClient and each recorded
+ * polling cycle runs the service's own poll, so readings take the same
+ * readTemperature -> temperatureUpdate -> controller path as live data and
+ * whichever controller the service runs decides on them.
+ *
+ * Controllers and the outputs' protection time themselves on the wall clock.
+ * Above real time they see the recorded samples closer together: integral
+ * terms and minimum on/off times cover more samples, and samples closer than
+ * 0.5 s apart are skipped.
+ */
+class ModbusReplay extends EventEmitter {
+  /**
+   * @param {ModbusService} service - Service to drive, its PLC connection is replaced
+   * @param {Object} recording - From loadRecording
+   * @param {Object} [options]
+   * @param {number} [options.speed=1] - 1 is real time, 10 replays ten times faster
+   */
+  constructor(service, recording, { speed = 1 } = {}) {
+    super();
+
+    if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_SPEED) {
+      throw new Error(`Replay speed must be above 0 and at most ${MAX_SPEED}`);
+    }
+
+    this.service = service;
+    this.recording = recording;
+    this.speed = speed;
+    this.client = null;
+    this.timer = null;
+    this.running = false;
+    this.finished = false;
+    this.position = 0;
+    this.startedAt = null;
+
+    // Times of the original controller's output writes, to compare with the replayed ones
+    this.recordedWriteTimes = recording.requests
+      .filter(request => request.fn.startsWith('write') && request.label !== 'heartbeat')
+      .map(request => request.t);
+    this.recordedWrites = 0;
+  }
+
+  async start() {
+    const { session, requests, polls } = this.recording;
+
+    this.client = new ReplayClient(requests, session.unitId);
+    this.client.online = polls[0].connected !== false;
+    this.service.client = this.client;
+
+    const retry = { ...createDefaultRetryPolicy(), ...session.retry };
+    await this.service.connect({
+      host: session.host,
+      port: session.port,
+      unitId: session.unitId,
+      timeout: session.timeout,
+      registerMap: session.registerMap,
+      // Reconnect backoff runs on the wall clock, shrink it with the replay
+      retry: {
+        ...retry,
+        initialDelay: retry.initialDelay / this.speed,
+        maxDelay: retry.maxDelay / this.speed,
+        jitter: 0
+      },
+      readback: { enabled: false },
+      heartbeat: { enabled: false },
+      recorder: { enabled: false }
+    });
+
+    this.running = true;
+    this.startedAt = Date.now();
+    console.log(`▶️ Replaying ${this.recording.file}: ${polls.length} polls at ${this.speed}x`);
+    this.scheduleNext();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.running) {
+      this.running = false;
+      console.log(`⏹️ Replay of ${this.recording.file} stopped at poll ${this.position}/${this.recording.polls.length}`);
+      this.emit('progress', this.getStatus());
+    }
+  }
+
+  scheduleNext() {
+    const { polls } = this.recording;
+
+    if (this.position >= polls.length) {
+      this.running = false;
+      this.finished = true;
+      console.log(`⏹️ Replay of ${this.recording.file} finished`);
+      this.emit('progress', this.getStatus());
+      return;
+    }
+
+    // Scheduled from the start so slow polls don't stretch the replay
+    const due = this.startedAt + (polls[this.position].t - polls[0].t) / this.speed;
+    this.timer = setTimeout(() => this.step(), Math.max(0, due - Date.now()));
+  }
+
+  async step() {
+    this.timer = null;
+    const { polls } = this.recording;
+    const poll = polls[this.position];
+    const next = polls[this.position + 1];
+
+    // Serve everything recorded up to the start of the next cycle
+    this.client.cursor = next ? next.t - 1 : Infinity;
+    this.client.online = poll.connected !== false;
+    this.position++;
+    while (this.recordedWrites < this.recordedWriteTimes.length &&
+      this.recordedWriteTimes[this.recordedWrites] <= this.client.cursor) {
+      this.recordedWrites++;
+    }
+
+    await this.service.pollOnce();
+    this.emit('progress', this.getStatus());
+
+    if (this.running) this.scheduleNext();
+  }
+
+  getStatus() {
+    const { file, polls } = this.recording;
+    const current = polls[Math.max(0, this.position - 1)];
+
+    return {
+      file,
+      speed: this.speed,
+      running: this.running,
+      finished: this.finished,
+      position: this.position,
+      total: polls.length,
+      recordedAt: new Date(current.t),
+      recordedWrites: this.recordedWrites,
+      replayedWrites: this.client ? this.client.writes.length : 0
+    };
+  }
+}
+
+module.exports = ModbusReplay;
+module.exports.ReplayClient = ReplayClient;
+module.exports.loadRecording = loadRecording;
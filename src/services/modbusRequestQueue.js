@@ -0,0 +1,147 @@
+// Request priorities, lower runs first
+const PRIORITIES = {
+  safety: 0,    // Safe-hold writes when control is suspended
+  write: 1,     // Controller and manual output writes
+  poll: 2,      // Temperature polling
+  readback: 3,  // Coil verification
+  scan: 4       // Address scans and other bulk diagnostics
+};
+
+const WAIT_SAMPLES = 100;
+
+/**
+ * Serializes transactions on the single Modbus client
+ * Only one request is on the wire at a time; queued requests run by priority
+ * and then in arrival order.
+ */
+class ModbusRequestQueue {
+  constructor() {
+    this.pending = [];
+    this.active = null;
+
+    // Per-priority statistics
+    this.stats = {};
+    Object.keys(PRIORITIES).forEach(priority => {
+      this.stats[priority] = { executed: 0, failed: 0, dropped: 0, waits: [], maxWait: 0 };
+    });
+  }
+
+  /**
+   * Queue a transaction
+   * @param {Function} execute - Performs the request, returns a promise
+   * @param {Object} options
+   * @param {string} options.priority - One of PRIORITIES
+   * @param {string} options.label - Shown in logs and stats
+   * @param {string} [options.key] - Requests with the same key share one pending slot,
+   *   so a slow PLC doesn't build up a backlog of identical polls
+   * @returns {Promise<*>} Result of execute
+   */
+  enqueue(execute, { priority = 'poll', label = 'request', key = null } = {}) {
+    if (!(priority in PRIORITIES)) {
+      return Promise.reject(new Error(`Unknown request priority: ${priority}`));
+    }
+
+    if (key) {
+      const queued = this.pending.find(request => request.key === key);
+      if (queued) return queued.promise;
+    }
+
+    const request = {
+      execute,
+      priority,
+      rank: PRIORITIES[priority],
+      label,
+      key,
+      queuedAt: Date.now()
+    };
+
+    request.promise = new Promise((resolve, reject) => {
+      request.resolve = resolve;
+      request.reject = reject;
+    });
+
+    // Keep pending sorted by rank, then arrival
+    const index = this.pending.findIndex(other => other.rank > request.rank);
+    if (index === -1) {
+      this.pending.push(request);
+    } else {
+      this.pending.splice(index, 0, request);
+    }
+
+    this.runNext();
+    return request.promise;
+  }
+
+  async runNext() {
+    if (this.active || this.pending.length === 0) return;
+
+    const request = this.pending.shift();
+    const stats = this.stats[request.priority];
+    const wait = Date.now() - request.queuedAt;
+
+    stats.waits.push(wait);
+    if (stats.waits.length > WAIT_SAMPLES) stats.waits.shift();
+    stats.maxWait = Math.max(stats.maxWait, wait);
+
+    this.active = request;
+    try {
+      const result = await request.execute();
+      stats.executed++;
+      request.resolve(result);
+    } catch (error) {
+      stats.failed++;
+      request.reject(error);
+    } finally {
+      this.active = null;
+      this.runNext();
+    }
+  }
+
+  /**
+   * Reject everything still waiting, e.g. when the link drops
+   */
+  clear(reason = 'Request queue cleared') {
+    const dropped = this.pending;
+    this.pending = [];
+
+    dropped.forEach(request => {
+      this.stats[request.priority].dropped++;
+      request.reject(new Error(reason));
+    });
+
+    if (dropped.length > 0) {
+      console.log(`🧹 Dropped ${dropped.length} queued Modbus request(s): ${reason}`);
+    }
+  }
+
+  /**
+   * Queue depth and wait times per priority
+   */
+  getStats() {
+    const byPriority = {};
+
+    Object.entries(this.stats).forEach(([priority, stats]) => {
+      const waits = stats.waits;
+      byPriority[priority] = {
+        queued: this.pending.filter(request => request.priority === priority).length,
+        executed: stats.executed,
+        failed: stats.failed,
+        dropped: stats.dropped,
+        avgWait: waits.length ? waits.reduce((a, b) => a + b, 0) / waits.length : 0,
+        lastWait: waits.length ? waits[waits.length - 1] : 0,
+        maxWait: stats.maxWait
+      };
+    });
+
+    const now = Date.now();
+    return {
+      depth: this.pending.length,
+      active: this.active ? { label: this.active.label, priority: this.active.priority } : null,
+      oldestWait: this.pending.length ? Math.max(...this.pending.map(request => now - request.queuedAt)) : 0,
+      byPriority
+    };
+  }
+}
+
+module.exports = ModbusRequestQueue;
+module.exports.PRIORITIES = PRIORITIES;
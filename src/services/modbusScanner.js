@@ -0,0 +1,199 @@
+/**
+ * Address scanner configuration and result analysis
+ * The scan itself runs in ModbusService so it shares the request queue; this
+ * module describes what to scan and turns raw results into register-map suggestions.
+ */
+
+const SCAN_FUNCTIONS = {
+  1: { method: 'readCoils', name: 'Read Coils (FC01)', maxBatch: 2000 },
+  2: { method: 'readDiscreteInputs', name: 'Read Discrete Inputs (FC02)', maxBatch: 2000 },
+  3: { method: 'readHoldingRegisters', name: 'Read Holding Registers (FC03)', maxBatch: 125 },
+  4: { method: 'readInputRegisters', name: 'Read Input Registers (FC04)', maxBatch: 125 }
+};
+
+// Raw values a thermocouple input reports when no probe is wired
+const OPEN_CIRCUIT_VALUES = [32767, 32768, 65535];
+
+function createDefaultScanConfig() {
+  return {
+    // Ranges the old hardcoded scan covered for GMT PLCs
+    ranges: [
+      { start: 0, end: 10 },
+      { start: 100, end: 110 },
+      { start: 1000, end: 1010 },
+      { start: 2000, end: 2040 },
+      { start: 30000, end: 30010 },
+      { start: 40000, end: 40010 },
+      { start: 42000, end: 42030 }
+    ],
+    functionCodes: [1, 2, 3, 4],
+    unitIds: [1],
+    // Try each range as a batch too, some registers (GMT 2026) only answer that way
+    batchProbe: true,
+    delay: 10
+  };
+}
+
+/**
+ * Check a scan configuration
+ * @returns {string[]} List of problems, empty when the scan can run
+ */
+function validateScanConfig(config) {
+  const errors = [];
+
+  if (!config || !Array.isArray(config.ranges) || config.ranges.length === 0) {
+    errors.push('At least one address range is required');
+  } else {
+    config.ranges.forEach((range, index) => {
+      if (!Number.isInteger(range.start) || !Number.isInteger(range.end) ||
+          range.start < 0 || range.end > 65535 || range.start > range.end) {
+        errors.push(`Range ${index + 1}: start and end must be 0-65535 with start <= end`);
+      }
+    });
+  }
+
+  if (!config || !Array.isArray(config.functionCodes) || config.functionCodes.length === 0) {
+    errors.push('Select at least one function code');
+  } else {
+    config.functionCodes.filter(code => !SCAN_FUNCTIONS[code]).forEach(code => {
+      errors.push(`Unsupported function code ${code}`);
+    });
+  }
+
+  if (!config || !Array.isArray(config.unitIds) || config.unitIds.length === 0) {
+    errors.push('At least one unit ID is required');
+  } else if (config.unitIds.some(id => !Number.isInteger(id) || id < 0 || id > 255)) {
+    errors.push('Unit IDs must be 0-255');
+  }
+
+  return errors;
+}
+
+/**
+ * Number of single-address reads a scan will perform
+ */
+function countScanSteps(config) {
+  const addresses = config.ranges.reduce((sum, range) => sum + (range.end - range.start + 1), 0);
+  return addresses * config.functionCodes.length * config.unitIds.length;
+}
+
+function toSigned(value) {
+  return value > 32767 ? value - 65536 : value;
+}
+
+/**
+ * Rank register scan results as thermocouple candidates
+ * Replaces the old "POTENTIAL TEMPERATURE" log line: a plausible value scores,
+ * a bank of neighbouring plausible registers scores more, and registers that
+ * only answered in a batch are flagged so the suggestion includes a batch.
+ * @returns {Array} Suggestions, best first
+ */
+function suggestRegisterMap(results, scale = 0.1) {
+  const registers = results.filter(result => result.functionCode === 3 || result.functionCode === 4);
+  const byKey = new Map(registers.map(result => [`${result.unitId}:${result.functionCode}:${result.address}`, result]));
+
+  // Unused registers mostly read 0, so a zero is not treated as a candidate
+  const isCandidate = (result) => {
+    if (!result || result.value === 0) return false;
+    if (OPEN_CIRCUIT_VALUES.includes(result.value)) return true;
+    const celsius = toSigned(result.value) * scale;
+    return celsius > -50 && celsius < 100;
+  };
+
+  const suggestions = registers.filter(isCandidate).map(result => {
+    const signed = toSigned(result.value);
+    const celsius = signed * scale;
+    const reasons = [];
+    let score = 0;
+
+    if (OPEN_CIRCUIT_VALUES.includes(result.value)) {
+      score += 0.3;
+      reasons.push('reads as an open thermocouple');
+    } else if (celsius > -30 && celsius < 50) {
+      score += 0.6;
+      reasons.push(`${celsius.toFixed(1)}°C is a plausible container/ambient temperature`);
+    } else {
+      score += 0.3;
+      reasons.push(`${celsius.toFixed(1)}°C is in thermocouple range`);
+    }
+
+    // Thermocouple cards expose their channels as consecutive registers
+    let neighbours = 0;
+    for (const offset of [-2, -1, 1, 2]) {
+      if (isCandidate(byKey.get(`${result.unitId}:${result.functionCode}:${result.address + offset}`))) {
+        neighbours++;
+      }
+    }
+    if (neighbours > 0) {
+      score += 0.1 * neighbours;
+      reasons.push(`${neighbours} neighbouring register(s) look similar`);
+    }
+
+    if (result.batchOnly) {
+      score += 0.2;
+      reasons.push('only answers in a batch read, like the GMT container register');
+    }
+
+    return {
+      unitId: result.unitId,
+      functionCode: result.functionCode,
+      address: result.address,
+      value: result.value,
+      temperature: OPEN_CIRCUIT_VALUES.includes(result.value) ? null : celsius,
+      batchOnly: !!result.batchOnly,
+      score: Math.min(1, score),
+      reasons,
+      input: {
+        id: `scan-${result.functionCode}-${result.address}`,
+        name: `Register ${result.address}`,
+        functionCode: result.functionCode,
+        address: result.address,
+        dataType: 'int16',
+        scale,
+        offset: 0,
+        units: '°C'
+      }
+    };
+  });
+
+  return suggestions.sort((a, b) => b.score - a.score || a.address - b.address);
+}
+
+/**
+ * Contiguous runs of suggested registers as register-map batches
+ */
+function suggestBatches(suggestions) {
+  const sorted = [...suggestions].sort((a, b) =>
+    a.unitId - b.unitId || a.functionCode - b.functionCode || a.address - b.address);
+  const batches = [];
+
+  sorted.forEach(suggestion => {
+    const last = batches[batches.length - 1];
+    if (last && last.unitId === suggestion.unitId && last.functionCode === suggestion.functionCode &&
+        suggestion.address === last.start + last.length && last.length < 125) {
+      last.length++;
+      last.batchOnly = last.batchOnly || suggestion.batchOnly;
+    } else {
+      batches.push({
+        id: `scan-${suggestion.functionCode}-${suggestion.address}`,
+        unitId: suggestion.unitId,
+        functionCode: suggestion.functionCode,
+        start: suggestion.address,
+        length: 1,
+        batchOnly: suggestion.batchOnly
+      });
+    }
+  });
+
+  // A batch is only useful for more than one register, or for a batch-only one
+  return batches.filter(batch => batch.length > 1 || batch.batchOnly);
+}
+
+module.exports = {
+  SCAN_FUNCTIONS,
+  createDefaultScanConfig,
+  validateScanConfig,
+  countScanSteps,
+  suggestRegisterMap,
+  suggestBatches
+};
@@ -1,51 +1,173 @@
 const ModbusRTU = require('modbus-serial');
 const { EventEmitter } = require('events');
 const TemperatureControlService = require('./temperatureControlService');
+const ModbusRequestQueue = require('./modbusRequestQueue');
+const ModbusDiagnostics = require('./modbusDiagnostics');
+const PlcDiscovery = require('./plcDiscovery');
+const PlcHeartbeat = require('./plcHeartbeat');
+const ModbusRecorder = require('./modbusRecorder');
+const ShortCycleGuard = require('./shortCycleGuard');
+const {
+  SCAN_FUNCTIONS,
+  createDefaultScanConfig,
+  validateScanConfig,
+  countScanSteps,
+  suggestRegisterMap,
+  suggestBatches
+} = require('./modbusScanner');
+const {
+  READ_FUNCTIONS,
+  DATA_TYPES,
+  createDefaultRegisterMap,
+  normalizeRegisterMap,
+  findBatchesForInput,
+  decodeInput,
+  assessQuality,
+  isAnalogOutput,
+  isBidirectionalOutput,
+  encodeDuty
+} = require('./registerMap');
+
+// Connection states
+//   connected    - reads are succeeding
+//   degraded     - link is up but recent reads failed
+//   reconnecting - link dropped, retrying with exponential backoff
+//   offline      - not connected and not retrying
+const CONNECTION_STATES = ['connected', 'degraded', 'reconnecting', 'offline'];
+
+// Controller duty changes smaller than this (%) are not written to analog outputs
+const DUTY_WRITE_DEADBAND = 0.5;
+
+function createDefaultReadbackPolicy() {
+  return {
+    enabled: true,
+    interval: 5000,         // ms between coil readbacks, kept well below the poll rate
+    settleTime: 1500,       // ms after a write before a mismatch counts
+    retries: 3,             // times a mismatching coil is commanded again before its alarm escalates
+    maxGap: 16              // coils further apart than this are read in separate requests
+  };
+}
+
+function createDefaultRetryPolicy() {
+  return {
+    initialDelay: 1000,     // ms before the first reconnect attempt
+    maxDelay: 30000,        // ms, backoff ceiling
+    multiplier: 2,          // backoff growth per attempt
+    jitter: 0.2,            // +/- fraction of randomness so several apps don't retry in lockstep
+    maxAttempts: 0,         // 0 retries forever
+    failureThreshold: 3     // consecutive failed reads before the link is treated as down
+  };
+}
 
 class ModbusService extends EventEmitter {
   constructor() {
     super();
     this.client = new ModbusRTU();
     this.isConnected = false;
+    
+    // Every transaction on the client goes through this queue, one at a time
+    this.requestQueue = new ModbusRequestQueue();
+    this.diagnostics = new ModbusDiagnostics();
+    this.pollInProgress = false;
+    this.scan = null;
+    this.discovery = null;
     this.config = {
       host: '10.5.5.95',
       port: 502,
       unitId: 1,
       timeout: 5000,
-      thermocoupleAddress: 2026,
-      peltierCoils: {
-        1: 2, // Peltier 1 -> Coil 2
-        2: 4  // Peltier 2 -> Coil 4
-      }
+      registerMap: createDefaultRegisterMap(),
+      retry: createDefaultRetryPolicy(),
+      readback: createDefaultReadbackPolicy(),
+      heartbeat: PlcHeartbeat.createDefaultHeartbeatPolicy(),
+      recorder: ModbusRecorder.createDefaultRecorderPolicy()
     };
     this.pollingInterval = null;
+    
+    // Coil readback
+    this.readbackInterval = null;
+    this.readbackInProgress = false;
+    this.coilReadback = {};         // Last state read from the PLC per Peltier ID
+    this.lastWriteAt = {};          // When each Peltier was last commanded
+    this.commandedStates = {};      // State each coil output was last commanded to
+    this.discrepancies = {};        // Active commanded/actual mismatches per Peltier ID
+    
+    // Counter the PLC watchdog monitors, runs alongside polling
+    this.heartbeat = new PlcHeartbeat((address, value) => this.writeHeartbeat(address, value));
+    this.heartbeat.on('status', (status) => this.emit('heartbeatStatus', status));
+    this.heartbeat.on('restored', () => this.handleHeartbeatRestored());
+    
+    // Optional log of every transaction for offline replay
+    this.recorder = new ModbusRecorder(() => this.getRecordingSession());
+    
+    // Minimum on/off times and start limits of the outputs, for controller and manual writes alike
+    // (start delays count from the app starting up, the outputs' state before that is unknown)
+    this.shortCycle = new ShortCycleGuard();
+    this.shortCycle.powerUp();
+    
+    // Connection state machine
+    this.connectionState = 'offline';
+    this.connectionReason = null;
+    this.consecutiveFailures = 0;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.nextRetryAt = null;
+    this.lastGoodReadingAt = null;
+    this.lastPlcReading = null;
+    
+    // Mock data is only served when an operator asks for it
     this.mockMode = false;
     this.mockData = {
       temperature: 5.2,
-      peltierStates: { 1: false, 2: false },
+      peltierStates: {},
+      peltierDuties: {},
+      peltierHeating: {},
       trend: 'increasing'
     };
     
+    // Per-channel reading history
+    this.channelHistory = {};
+    this.maxChannelHistory = 100;
+    
     // Track actual Peltier states locally to avoid read timeouts
-    this.actualPeltierStates = {
-      1: false,
-      2: false
-    };
+    this.actualPeltierStates = {};
+    this.actualPeltierDuties = {};  // Last duty written to each analog output
+    this.actualPeltierHeating = {}; // Polarity of each reversible output, true while it heats
     
     // Initialize temperature control service
     this.controlService = new TemperatureControlService();
+    this.controlService.setOutputStateSource(() => this.getOutputs());
+    this.syncOutputs();
     this.controlService.initializeControllers({ setpoint: 5.0 });
+    this.controlService.setControlChannel(this.config.registerMap.controlInput);
     this.controlService.setEnabled(true); // Enable neural control by default
     
     // Forward control service events
     this.controlService.on('controlDecision', async (data) => {
       // Apply control decisions to hardware
+      // (while the link is down there is nothing to write to, the next decision after reconnect is applied)
       try {
-        if (data.peltier1 !== this.actualPeltierStates[1]) {
-          await this.writePeltierControl(1, data.peltier1);
-        }
-        if (data.peltier2 !== this.actualPeltierStates[2]) {
-          await this.writePeltierControl(2, data.peltier2);
+        if (this.isConnected || this.mockMode) {
+          const priority = data.suspended ? 'safety' : 'write';
+          for (const [peltierId, requested] of Object.entries(data.peltiers)) {
+            const output = this.getOutput(peltierId);
+            
+            // Outputs that can't reverse stay off rather than cool when heating is asked for
+            const heating = data.mode === 'heating';
+            const state = requested && (!heating || isBidirectionalOutput(output));
+            
+            // Analog outputs take the controller's continuous command instead of on/off
+            if (isAnalogOutput(output)) {
+              const duty = !state ? 0 : data.duties && data.duties[peltierId] !== undefined ? data.duties[peltierId] : 100;
+              // An output held by its protection keeps running or resting as it is
+              if (this.getOutputHold(output, duty > 0, priority)) continue;
+              if (this.dutyNeedsWrite(output, duty, heating)) {
+                await this.writePeltierDuty(peltierId, duty, { priority, heating });
+              }
+            } else {
+              await this.applyCoilOutput(output, state, heating, priority);
+            }
+          }
         }
       } catch (error) {
         console.error('Error applying neural control decisions:', error);
@@ -57,116 +179,490 @@ class ModbusService extends EventEmitter {
     this.controlService.on('controllerChanged', (data) => {
       this.emit('controllerChanged', data);
     });
+    
+    this.controlService.on('setpointChanged', (data) => {
+      this.emit('setpointChanged', data);
+    });
+    
+    this.controlService.on('controlStateChanged', (data) => {
+      this.emit('controlStateChanged', data);
+    });
+    
+    this.controlService.on('autotuneProgress', (data) => {
+      this.emit('autotuneProgress', data);
+    });
+    
+    this.controlService.on('controlSuspensionChanged', (data) => {
+      this.emit('controlSuspensionChanged', data);
+    });
+    
+    // The socket closing under us (PLC power cycle, cable pulled) starts a reconnect
+    this.client.on('close', () => {
+      if (this.isConnected) {
+        this.handleConnectionLost('Connection closed by PLC');
+      }
+    });
   }
 
   async connect(customConfig = {}) {
     this.config = { ...this.config, ...customConfig };
+    this.config.registerMap = normalizeRegisterMap(this.config.registerMap);
+    this.config.retry = { ...createDefaultRetryPolicy(), ...this.config.retry };
+    this.config.readback = { ...createDefaultReadbackPolicy(), ...this.config.readback };
+    this.config.heartbeat = { ...PlcHeartbeat.createDefaultHeartbeatPolicy(), ...this.config.heartbeat };
+    this.heartbeat.configure(this.config.heartbeat);
+    this.config.recorder = { ...ModbusRecorder.createDefaultRecorderPolicy(), ...this.config.recorder };
+    this.recorder.configure(this.config.recorder);
+    this.controlService.setControlChannel(this.getControlInput().id);
+    this.syncOutputs();
+    this.cancelReconnect();
+    this.reconnectAttempt = 0;
     
     try {
-      await this.client.connectTCP(this.config.host, {
-        port: this.config.port,
-        timeout: this.config.timeout
-      });
-      
-      this.client.setID(this.config.unitId);
-      this.client.setTimeout(this.config.timeout);
-      
-      this.isConnected = true;
-      this.mockMode = false;
-      this.emit('connectionStatus', { connected: true, mockMode: false });
-      
+      await this.openConnection();
       console.log(`Connected to Modbus TCP at ${this.config.host}:${this.config.port}`);
       return true;
     } catch (error) {
-      console.warn('Failed to connect to PLC, switching to mock mode:', error.message);
-      this.isConnected = false;
-      this.mockMode = true;
-      this.emit('connectionStatus', { connected: false, mockMode: true });
+      console.warn('Failed to connect to PLC, will keep retrying:', error.message);
+      this.handleConnectionLost(`Connect failed: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * Open the TCP link with the current config
+   */
+  async openConnection() {
+    if (this.client.isOpen) {
+      // Mark as down first so the close event does not trigger a reconnect
+      this.isConnected = false;
+      await new Promise(resolve => this.client.close(resolve));
+    }
+    
+    await this.client.connectTCP(this.config.host, {
+      port: this.config.port,
+      timeout: this.config.timeout
+    });
+    
+    this.client.setID(this.config.unitId);
+    this.client.setTimeout(this.config.timeout);
+    
+    // The outputs' protection carries on from their last known states until
+    // resyncOutputs() reads back what they are doing now
+    this.config.registerMap.outputs.forEach(output => {
+      this.shortCycle.record(output.id, !!this.actualPeltierStates[output.id]);
+    });
+    this.isConnected = true;
+    this.consecutiveFailures = 0;
+    this.reconnectAttempt = 0;
+    this.setConnectionState('connected', `Connected to ${this.config.host}:${this.config.port}`);
+    await this.resyncOutputs();
+  }
+
+  /**
+   * Take the outputs' states from the PLC again after (re)connecting
+   * The PLC may have restarted and dropped every output while the link was down,
+   * or kept them running. Coils are read back and adopted, outputs that can't be
+   * read stay unknown so the next control decision writes them either way.
+   */
+  async resyncOutputs() {
+    const outputs = this.config.registerMap.outputs;
+    outputs.forEach(output => {
+      delete this.actualPeltierStates[output.id];
+      delete this.actualPeltierDuties[output.id];
+      delete this.actualPeltierHeating[output.id];
+      delete this.lastWriteAt[output.id];
+      delete this.commandedStates[output.id];
+    });
+    if (this.mockMode || !this.config.readback.enabled) return;
+    
+    await this.verifyOutputs();
+    for (const output of outputs.filter(o => !isAnalogOutput(o) && isBidirectionalOutput(o))) {
+      try {
+        const result = await this.request('readback', `readback ${output.name} polarity`,
+          'readCoils', [output.polarityAddress, 1]);
+        this.actualPeltierHeating[output.id] = !!result.data[0];
+      } catch (error) {
+        console.warn(`⚠️ Polarity readback of ${output.name} failed: ${error.message}`);
+      }
+    }
+  }
+
   async disconnect() {
     if (this.pollingInterval) {
       clearInterval(this.pollingInterval);
       this.pollingInterval = null;
     }
     
+    this.cancelReconnect();
+    this.heartbeat.stop();
+    this.isConnected = false;
+    this.requestQueue.clear('Disconnected');
+    
     if (this.client.isOpen) {
-      await this.client.close();
+      await new Promise(resolve => this.client.close(resolve));
+    }
+    
+    this.setConnectionState('offline', 'Disconnected by operator');
+    
+    // Closes the session, the next connect starts a new recording file
+    if (this.recorder.recording) {
+      await this.recorder.stop();
+    }
+  }
+
+  /**
+   * Move the connection state machine and notify listeners
+   */
+  setConnectionState(state, reason) {
+    if (!CONNECTION_STATES.includes(state)) {
+      throw new Error(`Unknown connection state: ${state}`);
     }
     
+    const previousState = this.connectionState;
+    this.connectionState = state;
+    this.connectionReason = reason;
+    
+    if (previousState !== state) {
+      console.log(`🔌 Connection ${previousState} -> ${state}${reason ? ` (${reason})` : ''}`);
+      this.recorder.recordEvent('connection', { state, reason });
+    }
+    
+    this.emit('connectionStateChange', { previousState, state, reason });
+    this.emit('connectionStatus', this.getConnectionStatus());
+  }
+
+  /**
+   * Count a successful PLC transaction
+   */
+  recordReadSuccess() {
+    this.consecutiveFailures = 0;
+    this.lastGoodReadingAt = new Date();
+    
+    if (this.connectionState === 'degraded') {
+      this.setConnectionState('connected', 'Reads recovered');
+    }
+  }
+
+  /**
+   * Count a failed PLC transaction
+   * The link is degraded after one failure and dropped after failureThreshold in a row
+   */
+  recordReadFailure(error) {
+    this.consecutiveFailures++;
+    const { failureThreshold } = this.config.retry;
+    
+    if (this.consecutiveFailures >= failureThreshold) {
+      this.handleConnectionLost(`${this.consecutiveFailures} consecutive read failures: ${error.message}`);
+    } else if (this.connectionState === 'connected') {
+      this.setConnectionState('degraded', `Read failed (${this.consecutiveFailures}/${failureThreshold}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop the link and schedule a reconnect
+   */
+  handleConnectionLost(reason) {
     this.isConnected = false;
-    this.mockMode = false;
-    this.emit('connectionStatus', { connected: false, mockMode: false });
+    this.requestQueue.clear(`Connection lost: ${reason}`);
+    
+    if (this.client.isOpen) {
+      this.client.close(() => {});
+    }
+    
+    this.scheduleReconnect(reason);
   }
 
-  // Comprehensive Modbus function and address scanner
-  async scanModbusFunctions() {
-    if (!this.isConnected) return [];
+  /**
+   * Delay before the given reconnect attempt (1-based)
+   */
+  getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay, multiplier, jitter } = this.config.retry;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1));
+    return Math.round(delay * (1 + (Math.random() * 2 - 1) * jitter));
+  }
 
-    const results = [];
-    const functions = [
-      { name: 'readCoils', func: 'readCoils', desc: 'Read Coils (FC01)' },
-      { name: 'readDiscreteInputs', func: 'readDiscreteInputs', desc: 'Read Discrete Inputs (FC02)' },
-      { name: 'readHoldingRegisters', func: 'readHoldingRegisters', desc: 'Read Holding Registers (FC03)' },
-      { name: 'readInputRegisters', func: 'readInputRegisters', desc: 'Read Input Registers (FC04)' }
-    ];
-
-    // Test common address ranges for GMT PLCs
-    const addressRanges = [
-      // Standard addresses
-      { start: 0, end: 10, desc: 'Base addresses (0-10)' },
-      { start: 100, end: 110, desc: 'Common I/O (100-110)' },
-      { start: 1000, end: 1010, desc: 'Data registers (1000-1010)' },
-      { start: 2000, end: 2030, desc: 'Sensor range (2000-2030)' },
-      { start: 2025, end: 2030, desc: 'Thermocouple range (2025-2030)' },
+  scheduleReconnect(reason) {
+    this.cancelReconnect();
+    
+    const { maxAttempts } = this.config.retry;
+    if (maxAttempts > 0 && this.reconnectAttempt >= maxAttempts) {
+      this.setConnectionState('offline', `Gave up after ${this.reconnectAttempt} reconnect attempts (${reason})`);
+      return;
+    }
+    
+    this.reconnectAttempt++;
+    const delay = this.getReconnectDelay(this.reconnectAttempt);
+    this.nextRetryAt = new Date(Date.now() + delay);
+    this.setConnectionState('reconnecting', reason);
+    
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.nextRetryAt = null;
       
-      // Alternative addressing schemes
-      { start: 30000, end: 30010, desc: 'Input registers alt (30000+)' },
-      { start: 40000, end: 40010, desc: 'Holding registers alt (40000+)' },
-      { start: 42000, end: 42030, desc: 'Sensor alt (42000+)' }
-    ];
+      try {
+        console.log(`🔄 Reconnect attempt ${this.reconnectAttempt} to ${this.config.host}:${this.config.port}`);
+        await this.openConnection();
+        this.diagnostics.recordReconnectAttempt(true);
+      } catch (error) {
+        this.diagnostics.recordReconnectAttempt(false);
+        this.scheduleReconnect(`Reconnect attempt ${this.reconnectAttempt} failed: ${error.message}`);
+      }
+    }, delay);
+  }
+
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.nextRetryAt = null;
+  }
 
-    console.log('🔍 Starting comprehensive Modbus scan...');
+  /**
+   * Reconnect right away, e.g. from a dashboard button while backing off
+   */
+  async reconnectNow() {
+    this.cancelReconnect();
+    this.reconnectAttempt = 0;
+    
+    try {
+      await this.openConnection();
+      this.diagnostics.recordReconnectAttempt(true);
+      return true;
+    } catch (error) {
+      this.diagnostics.recordReconnectAttempt(false);
+      this.scheduleReconnect(`Reconnect failed: ${error.message}`);
+      return false;
+    }
+  }
 
-    for (const func of functions) {
-      console.log(`\n📡 Testing ${func.desc}...`);
+  /**
+   * Run a client call through the request queue, timed by the diagnostics
+   * @param {string} priority - safety, write, poll, readback or scan
+   * @param {string} label - Description for stats and logs
+   * @param {string} functionName - modbus-serial client method
+   * @param {Array} args - Arguments for the client method
+   * @param {Object} [options]
+   * @param {string} [options.key] - Coalesce with an identical request that is still queued
+   * @param {number} [options.unitId] - Address another unit for this request only
+   */
+  request(priority, label, functionName, args, { key = null, unitId = null } = {}) {
+    const call = async () => {
+      if (unitId === null || unitId === this.config.unitId) {
+        return this.client[functionName](...args);
+      }
       
-      for (const range of addressRanges) {
-        for (let addr = range.start; addr <= range.end; addr++) {
-          try {
-            const result = await this.client[func.func](addr, 1);
-            const value = Array.isArray(result.data) ? result.data[0] : result.data;
-            
-            console.log(`✅ SUCCESS: ${func.desc} @ ${addr} = ${value}`);
-            results.push({
-              function: func.desc,
-              address: addr,
-              value: value,
-              success: true
-            });
-            
-            // If we find a reasonable temperature value, note it
-            if (func.func.includes('Register') && value > -500 && value < 1000) {
-              console.log(`🌡️  POTENTIAL TEMPERATURE: ${addr} = ${value} (${value/10}°C)`);
-            }
-            
-          } catch (error) {
-            // Only log errors for the target sensor range to reduce noise
-            if (addr >= 2020 && addr <= 2030) {
-              console.log(`❌ ${func.desc} @ ${addr}: ${error.message}`);
+      // Requests are serialized, so switching the unit ID around one call is safe
+      this.client.setID(unitId);
+      try {
+        return await this.client[functionName](...args);
+      } finally {
+        this.client.setID(this.config.unitId);
+      }
+    };
+    
+    const execute = async () => {
+      const started = Date.now();
+      const transaction = { priority, label, functionName, args, unitId: unitId === null ? this.config.unitId : unitId };
+      
+      try {
+        const result = await this.diagnostics.track(functionName, call);
+        this.recorder.recordRequest({ ...transaction, latency: Date.now() - started, result });
+        return result;
+      } catch (error) {
+        this.recorder.recordRequest({ ...transaction, latency: Date.now() - started, error });
+        throw error;
+      }
+    };
+    
+    return this.requestQueue.enqueue(execute, { priority, label, key });
+  }
+
+  /**
+   * Header for each traffic recording file, enough to replay it without the settings
+   */
+  getRecordingSession() {
+    return {
+      host: this.config.host,
+      port: this.config.port,
+      unitId: this.config.unitId,
+      timeout: this.config.timeout,
+      registerMap: this.config.registerMap,
+      retry: this.config.retry,
+      controlChannel: this.getControlInput().id
+    };
+  }
+
+  /**
+   * Switch the traffic recorder on or off without reconnecting
+   */
+  setRecording(enabled) {
+    this.config.recorder = { ...this.config.recorder, enabled: !!enabled };
+    this.recorder.configure(this.config.recorder);
+    return this.recorder.getStatus();
+  }
+
+  getRecorderStatus() {
+    return this.recorder.getStatus();
+  }
+
+  /**
+   * Communication statistics with the current queue state
+   */
+  getDiagnostics() {
+    return {
+      ...this.diagnostics.getSummary(),
+      queue: this.requestQueue.getStats(),
+      connection: this.getConnectionStatus()
+    };
+  }
+
+  /**
+   * Queue depth and wait times
+   */
+  getQueueStats() {
+    return this.requestQueue.getStats();
+  }
+
+  /**
+   * Serve simulated readings instead of PLC data
+   * Only ever switched by an operator, never as an automatic fallback
+   */
+  setMockMode(enabled) {
+    this.mockMode = !!enabled;
+    console.log(`🧪 Mock data ${this.mockMode ? 'enabled' : 'disabled'} by operator`);
+    this.emit('connectionStatus', this.getConnectionStatus());
+    return true;
+  }
+
+  /**
+   * Scan address ranges for readable data
+   * Progress is reported through 'scanProgress' events and the scan stops early
+   * when cancelScan() is called or the link drops.
+   * @param {Object} options - Scan configuration, see createDefaultScanConfig
+   * @returns {Promise<{ results: Array, suggestions: Array, batches: Array, cancelled: boolean }>}
+   */
+  async scanModbusFunctions(options = {}) {
+    if (!this.isConnected) {
+      throw new Error(`Not connected to Modbus device (${this.connectionState})`);
+    }
+    if (this.scan) {
+      throw new Error('A scan is already running');
+    }
+
+    const config = { ...createDefaultScanConfig(), ...options };
+    const errors = validateScanConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const total = countScanSteps(config);
+    const results = [];
+    const scan = { cancelled: false, scanned: 0, total, startedAt: Date.now(), lastProgressAt: 0 };
+    this.scan = scan;
+
+    const reportProgress = (current, force = false) => {
+      // At most ten progress events a second
+      const now = Date.now();
+      if (!force && now - scan.lastProgressAt < 100) return;
+      scan.lastProgressAt = now;
+      this.emit('scanProgress', {
+        scanned: scan.scanned,
+        total,
+        found: results.length,
+        current,
+        elapsed: now - scan.startedAt
+      });
+    };
+
+    console.log(`🔍 Starting Modbus scan: ${total} addresses`);
+
+    try {
+      for (const unitId of config.unitIds) {
+        for (const functionCode of config.functionCodes) {
+          const func = SCAN_FUNCTIONS[functionCode];
+
+          for (const range of config.ranges) {
+            // Values that only answer as part of a batch (GMT quirk)
+            const batchValues = config.batchProbe
+              ? await this.probeRangeAsBatch(func, range, unitId, scan)
+              : {};
+
+            for (let address = range.start; address <= range.end; address++) {
+              if (scan.cancelled || !this.isConnected) break;
+
+              try {
+                // Each address is its own low-priority request so polling and writes get in between
+                const result = await this.request('scan', `${func.name} @ ${address}`, func.method, [address, 1], { unitId });
+                const value = Array.isArray(result.data) ? result.data[0] : result.data;
+                results.push({ unitId, functionCode, function: func.name, address, value, batchOnly: false });
+              } catch (error) {
+                if (address in batchValues) {
+                  results.push({ unitId, functionCode, function: func.name, address, value: batchValues[address], batchOnly: true });
+                }
+              }
+
+              scan.scanned++;
+              reportProgress({ unitId, functionCode, address });
+
+              // Small delay to avoid overwhelming the PLC
+              if (config.delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, config.delay));
+              }
             }
           }
-          
-          // Small delay to avoid overwhelming the PLC
-          await new Promise(resolve => setTimeout(resolve, 10));
         }
       }
+    } finally {
+      this.scan = null;
     }
 
-    console.log(`\n📊 Scan complete! Found ${results.length} working addresses.`);
-    return results;
+    const cancelled = scan.cancelled || !this.isConnected;
+    reportProgress(null, true);
+
+    const suggestions = suggestRegisterMap(results);
+    console.log(`📊 Scan ${cancelled ? 'cancelled' : 'complete'}: ${results.length} readable addresses, ${suggestions.length} temperature candidates`);
+
+    return { results, suggestions, batches: suggestBatches(suggestions), cancelled };
+  }
+
+  /**
+   * Read a scan range in batches and return the values by address
+   * A batch that fails is retried in blocks of ten, one bad address
+   * would otherwise hide a whole bank of batch-only registers
+   */
+  async probeRangeAsBatch(func, range, unitId, scan, blockSize = func.maxBatch) {
+    const values = {};
+
+    for (let start = range.start; start <= range.end && !scan.cancelled; start += blockSize) {
+      const end = Math.min(range.end, start + blockSize - 1);
+      const length = end - start + 1;
+      if (length < 2) break;
+
+      try {
+        const result = await this.request('scan', `${func.name} batch ${start}-${end}`, func.method, [start, length], { unitId });
+        result.data.slice(0, length).forEach((value, i) => {
+          values[start + i] = value;
+        });
+      } catch (error) {
+        if (blockSize > 10 && length > 10) {
+          Object.assign(values, await this.probeRangeAsBatch(func, { start, end }, unitId, scan, 10));
+        }
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Stop a running scan after the current request
+   */
+  cancelScan() {
+    if (!this.scan) return false;
+    this.scan.cancelled = true;
+    console.log('⏹️ Modbus scan cancelled');
+    return true;
   }
 
   async readTemperature() {
@@ -175,88 +671,284 @@ class ModbusService extends EventEmitter {
     }
 
     if (!this.isConnected) {
-      throw new Error('Not connected to Modbus device');
+      throw new Error(`Not connected to Modbus device (${this.connectionState})`);
     }
 
+    const input = this.getControlInput();
+
     try {
-      console.log('📊 Reading container temperature using BATCH method (exactly like Flutter app)...');
+      console.log(`📊 Reading ${input.name} temperature using BATCH method (exactly like Flutter app)...`);
       
-      // PRIMARY METHOD: Read BATCH of 10 registers starting at 2026 (GMT PLC quirk - 2026 only works in batch)
-      try {
-        const registers = await this.client.readHoldingRegisters(2026, 10);
-        
-        if (registers && registers.data && registers.data.length > 0) {
-          // Extract thermocouple value at index 0 (address 2026)
-          // GMT thermocouples use signed 16-bit values representing temperature * 10
-          let rawValue = registers.data[0];
-          
-          // Handle signed 16-bit conversion
-          if (rawValue > 32767) {
-            rawValue = rawValue - 65536;
+      const channels = await this.readInputChannels();
+      const control = channels.find(channel => channel.id === input.id);
+      
+      if (!control || control.quality === 'unavailable') {
+        console.log('❌ All batch methods failed to read container temperature');
+        throw new Error('All batch reading methods failed');
+      }
+      
+      console.log(`📊 ${input.name} temperature: ${control.value.toFixed(1)}${input.units} (raw value: ${control.rawValue} at address ${input.address})`);
+      this.diagnostics.recordReadMethod(control.method);
+      
+      const reading = {
+        temperature: control.value,
+        timestamp: new Date(),
+        source: 'plc',
+        quality: 'good',
+        qualityReason: null,
+        rawValue: control.rawValue,
+        address: input.address,
+        channel: input.id,
+        method: control.method,
+        channels
+      };
+      
+      // The PLC answered but the probe itself is faulty - keep the last good value in its place
+      if (control.quality !== 'good') {
+        const lastGood = this.lastPlcReading;
+        reading.temperature = lastGood ? lastGood.temperature : null;
+        reading.quality = 'substituted';
+        reading.qualityReason = `${input.name} probe is ${control.quality}` +
+          (lastGood ? `, showing last good value from ${lastGood.timestamp.toLocaleTimeString()}` : '');
+        reading.substitutedFrom = lastGood ? lastGood.timestamp : null;
+      } else {
+        this.lastPlcReading = reading;
+      }
+      
+      this.recordChannelHistory(reading);
+      this.recordReadSuccess();
+      return reading;
+      
+    } catch (error) {
+      console.error('Error reading temperature:', error.message);
+      this.recordReadFailure(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read every input channel in the register map
+   * Each batch is read at most once per call and shared by all channels it covers
+   */
+  async readInputChannels() {
+    const map = this.config.registerMap;
+    const batchResults = {};
+    const channels = [];
+
+    for (const input of map.inputs) {
+      const batches = findBatchesForInput(map, input);
+      let words = null;
+      let index = 0;
+      let method = null;
+
+      // Try each batch covering the input in priority order
+      // (GMT PLC quirk - 2026 only works in batch, so the first batch is the primary method)
+      for (let i = 0; i < batches.length && !words; i++) {
+        const batch = batches[i];
+        const batchEnd = batch.start + batch.length - 1;
+
+        if (!(batch.id in batchResults)) {
+          try {
+            const registers = await this.request('poll', `batch ${batch.start}-${batchEnd}`,
+              READ_FUNCTIONS[batch.functionCode], [batch.start, batch.length], { key: `poll:${batch.id}` });
+            batchResults[batch.id] = registers && registers.data ? registers.data : null;
+            console.log(`📊 Batch read successful! Registers ${batch.start}-${batchEnd}: ${batchResults[batch.id].slice(0, 5).join(', ')}...`);
+          } catch (batchError) {
+            console.log(`❌ Batch method ${batch.start}-${batchEnd} failed: ${batchError.message}`);
+            batchResults[batch.id] = null;
           }
-          
-          // Convert to actual temperature (divide by 10)
-          const temperature = rawValue / 10.0;
-          
-          console.log(`📊 Batch read successful! Registers 2026-2035: ${registers.data.slice(0, 5).join(', ')}...`);
-          console.log(`📊 Container temperature: ${temperature.toFixed(1)}°C (raw value: ${registers.data[0]} at address 2026)`);
-          
-          return {
-            temperature,
-            timestamp: new Date(),
-            source: 'plc',
-            rawValue: registers.data[0],
-            address: 2026,
-            method: 'batch-2026'
-          };
         }
-      } catch (primaryError) {
-        console.log(`❌ Primary batch method (2026-2035) failed: ${primaryError.message}`);
+
+        if (batchResults[batch.id] && batchResults[batch.id].length > input.address - batch.start) {
+          words = batchResults[batch.id];
+          index = input.address - batch.start;
+          method = i === 0 ? `batch-${batch.start}` : `batch-${batch.start}-fallback`;
+        }
       }
 
-      // FALLBACK METHOD: batch read starting at 2020 (thermocouple at index 6)
-      try {
-        console.log('📊 Trying fallback method: batch read 2020-2029...');
-        
-        const fallbackRegisters = await this.client.readHoldingRegisters(2020, 10);
-        
-        if (fallbackRegisters && fallbackRegisters.data && fallbackRegisters.data.length > 6) {
-          // Thermocouple is at index 6 (address 2026 = 2020 + 6)
-          let rawValue = fallbackRegisters.data[6];
-          
-          // Handle signed 16-bit conversion
-          if (rawValue > 32767) {
-            rawValue = rawValue - 65536;
-          }
-          
-          const temperature = rawValue / 10.0;
-          
-          console.log(`📊 Fallback successful! Register 2026 value: ${rawValue}`);
-          console.log(`📊 Container temperature: ${temperature.toFixed(1)}°C (fallback method)`);
-          
-          return {
-            temperature,
-            timestamp: new Date(),
-            source: 'plc',
-            rawValue: fallbackRegisters.data[6],
-            address: 2026,
-            method: 'batch-2020-fallback'
-          };
+      // No batch covers this input - read it on its own
+      if (batches.length === 0) {
+        try {
+          const registers = await this.request('poll', `${input.name} @ ${input.address}`,
+            READ_FUNCTIONS[input.functionCode], [input.address, DATA_TYPES[input.dataType]], { key: `poll:${input.id}` });
+          words = registers.data;
+          method = `direct-${input.address}`;
+        } catch (directError) {
+          console.log(`❌ Direct read of ${input.name} @ ${input.address} failed: ${directError.message}`);
         }
-      } catch (fallbackError) {
-        console.log(`❌ Fallback method also failed: ${fallbackError.message}`);
+      }
+
+      if (!words) {
+        channels.push(this.createChannelReading(input, null, null, 'unavailable', null));
+        continue;
+      }
+
+      const { raw, value } = decodeInput(words, index, input);
+      channels.push(this.createChannelReading(input, value, words[index], assessQuality(raw, value, input), method));
+    }
+
+    return channels;
+  }
+
+  createChannelReading(input, value, rawValue, quality, method) {
+    return {
+      id: input.id,
+      name: input.name,
+      units: input.units,
+      address: input.address,
+      value,
+      rawValue,
+      quality,
+      method
+    };
+  }
+
+  /**
+   * Append a reading to the per-channel history
+   */
+  recordChannelHistory(reading) {
+    const timestamp = reading.timestamp;
+    
+    for (const channel of reading.channels || []) {
+      if (!this.channelHistory[channel.id]) {
+        this.channelHistory[channel.id] = [];
       }
       
-      console.log('❌ All batch methods failed to read container temperature');
-      throw new Error('Both batch reading methods failed');
+      const history = this.channelHistory[channel.id];
+      history.push({ timestamp, value: channel.value, quality: channel.quality });
       
-    } catch (error) {
-      console.error('Error reading temperature:', error);
-      // Fallback to mock mode on error
-      this.mockMode = true;
-      this.emit('connectionStatus', { connected: false, mockMode: true });
-      return this.generateMockTemperature();
+      if (history.length > this.maxChannelHistory) {
+        history.shift();
+      }
+    }
+  }
+
+  /**
+   * Channel definitions with their latest value and history
+   */
+  getChannels() {
+    const controlInput = this.getControlInput();
+    
+    return this.config.registerMap.inputs.map(input => {
+      const history = this.channelHistory[input.id] || [];
+      const latest = history[history.length - 1] || null;
+      
+      return {
+        id: input.id,
+        name: input.name,
+        units: input.units,
+        address: input.address,
+        value: latest ? latest.value : null,
+        quality: latest ? latest.quality : 'unavailable',
+        isControl: input.id === controlInput.id,
+        history
+      };
+    });
+  }
+
+  /**
+   * Select which input channel drives the temperature controller
+   */
+  setControlChannel(channelId) {
+    const input = this.config.registerMap.inputs.find(candidate => candidate.id === channelId);
+    
+    if (!input) {
+      throw new Error(`Unknown input channel: ${channelId}`);
     }
+    
+    this.config.registerMap.controlInput = channelId;
+    this.controlService.setControlChannel(channelId);
+    this.emit('controlChannelChanged', { channelId, name: input.name });
+    return true;
+  }
+
+  /**
+   * Input channel used as the process temperature
+   */
+  getControlInput() {
+    const { inputs, controlInput } = this.config.registerMap;
+    return inputs.find(input => input.id === controlInput) || inputs[0];
+  }
+
+  /**
+   * Align tracked Peltier states and the controller with the register map outputs
+   */
+  syncOutputs() {
+    const outputs = this.config.registerMap.outputs;
+    const actual = {};
+    const mock = {};
+    const duties = {};
+    const mockDuties = {};
+    
+    const heating = {};
+    const mockHeating = {};
+    
+    outputs.forEach(output => {
+      actual[output.id] = this.actualPeltierStates[output.id] || false;
+      mock[output.id] = this.mockData.peltierStates[output.id] || false;
+      if (isAnalogOutput(output)) {
+        duties[output.id] = this.actualPeltierDuties[output.id];
+        mockDuties[output.id] = this.mockData.peltierDuties[output.id] || 0;
+      }
+      if (isBidirectionalOutput(output)) {
+        heating[output.id] = this.actualPeltierHeating[output.id];
+        mockHeating[output.id] = this.mockData.peltierHeating[output.id] || false;
+      }
+    });
+    
+    this.actualPeltierStates = actual;
+    this.actualPeltierDuties = duties;
+    this.actualPeltierHeating = heating;
+    this.mockData.peltierStates = mock;
+    this.mockData.peltierDuties = mockDuties;
+    this.mockData.peltierHeating = mockHeating;
+    
+    // Forget readback results for outputs that are no longer mapped
+    const ids = new Set(outputs.map(output => String(output.id)));
+    Object.keys(this.discrepancies).forEach(id => {
+      if (!ids.has(id)) delete this.discrepancies[id];
+    });
+    Object.keys(this.coilReadback).forEach(id => {
+      if (!ids.has(id)) delete this.coilReadback[id];
+    });
+    
+    this.controlService.setPeltierIds(outputs.map(output => output.id));
+    this.controlService.setHeatingAvailable(outputs.length > 0 && outputs.every(isBidirectionalOutput));
+  }
+
+  /**
+   * Peltier outputs with their names, addresses and last known states
+   */
+  getOutputs() {
+    const states = this.mockMode ? this.mockData.peltierStates : this.actualPeltierStates;
+    const duties = this.mockMode ? this.mockData.peltierDuties : this.actualPeltierDuties;
+    const heating = this.mockMode ? this.mockData.peltierHeating : this.actualPeltierHeating;
+    
+    return this.config.registerMap.outputs.map(output => {
+      const readback = this.coilReadback[output.id];
+      const analog = isAnalogOutput(output);
+      const reversible = isBidirectionalOutput(output);
+      return {
+        id: output.id,
+        name: output.name,
+        address: output.address,
+        mode: analog ? 'analog' : 'coil',
+        state: states[output.id] || false,
+        duty: analog ? duties[output.id] || 0 : null,
+        reversible,
+        heating: reversible ? !!heating[output.id] : null,
+        readbackState: readback ? readback.state : null,
+        verifiedAt: readback ? readback.readAt : null,
+        discrepancy: this.describeDiscrepancy(output.id)
+      };
+    });
+  }
+
+  /**
+   * Output definition for a Peltier ID
+   */
+  getOutput(peltierId) {
+    return this.config.registerMap.outputs.find(output => String(output.id) === String(peltierId));
   }
 
   generateMockTemperature() {
@@ -266,40 +958,72 @@ class ModbusService extends EventEmitter {
     const trend = Math.sin(Date.now() / 30000) * 0.5; // Slow oscillation
     
     this.mockData.temperature = baseTemp + variation + trend;
+    const temperature = Math.round(this.mockData.temperature * 10) / 10;
     
-    return {
-      temperature: Math.round(this.mockData.temperature * 10) / 10,
+    // Only the control channel is simulated, the other probes have no data
+    const controlInput = this.getControlInput();
+    const channels = this.config.registerMap.inputs.map(input => input.id === controlInput.id
+      ? this.createChannelReading(input, temperature, null, 'good', 'mock')
+      : this.createChannelReading(input, null, null, 'unavailable', null));
+    
+    const reading = {
+      temperature,
       timestamp: new Date(),
-      source: 'mock'
+      source: 'mock',
+      quality: 'mock',
+      qualityReason: 'Mock data enabled by operator',
+      channel: controlInput.id,
+      channels
     };
+    
+    this.recordChannelHistory(reading);
+    return reading;
   }
 
-  async writePeltierControl(peltierId, state) {
-    const coilAddress = this.config.peltierCoils[peltierId];
+  /**
+   * Switch a Peltier output
+   * @param {Object} [options]
+   * @param {string} [options.priority] - Queue priority, 'safety' jumps ahead of ordinary writes
+   * @param {boolean} [options.override] - Switch even when the output's protection holds it
+   */
+  async writePeltierControl(requestedId, state, { priority = 'write', override = false } = {}) {
+    const output = this.getOutput(requestedId);
     
-    if (!coilAddress) {
-      throw new Error(`Invalid Peltier ID: ${peltierId}`);
+    if (!output) {
+      throw new Error(`Invalid Peltier ID: ${requestedId}`);
+    }
+    
+    // On/off on an analog output means full or no duty
+    if (isAnalogOutput(output)) {
+      return this.writePeltierDuty(requestedId, state ? 100 : 0, { priority, override });
     }
+    const peltierId = output.id;
+    const coilAddress = output.address;
+    this.assertOutputNotHeld(output, state, priority, override);
 
     if (this.mockMode) {
       this.mockData.peltierStates[peltierId] = state;
-      this.emit('peltierStatusChange', { peltierId, state, source: 'mock' });
+      this.shortCycle.record(peltierId, state);
+      this.emit('peltierStatusChange', { peltierId, name: output.name, state, source: 'mock' });
       return true;
     }
 
     if (!this.isConnected) {
-      throw new Error('Not connected to Modbus device');
+      throw new Error(`Not connected to Modbus device (${this.connectionState})`);
     }
 
     try {
       // Write to digital output coil
       console.log(`🔧 PID Control: Writing Peltier ${peltierId} state: ${state ? 'ON' : 'OFF'} to coil ${coilAddress}`);
-      await this.client.writeCoil(coilAddress, state);
+      await this.request(priority, `write ${output.name}`, 'writeCoil', [coilAddress, state]);
       
-      // Track state locally to avoid read timeouts
+      // Track state locally to avoid read timeouts, the periodic readback verifies it
       this.actualPeltierStates[peltierId] = state;
+      this.commandedStates[peltierId] = state;
+      this.lastWriteAt[peltierId] = Date.now();
+      this.shortCycle.record(peltierId, state);
       
-      this.emit('peltierStatusChange', { peltierId, state, source: 'plc' });
+      this.emit('peltierStatusChange', { peltierId, name: output.name, state, source: 'plc' });
       console.log(`✅ Peltier ${peltierId} successfully set to ${state ? 'ON' : 'OFF'}`);
       return true;
     } catch (error) {
@@ -308,27 +1032,212 @@ class ModbusService extends EventEmitter {
     }
   }
 
+  /**
+   * Set the duty of an analog Peltier output
+   * @param {number} duty - 0-100 %, scaled to the output's raw register range
+   * @param {Object} [options]
+   * @param {string} [options.priority] - Queue priority, 'safety' jumps ahead of ordinary writes
+   * @param {boolean} [options.heating] - Drive a signed output negative to heat
+   * @param {boolean} [options.override] - Start or stop even when the output's protection holds it
+   */
+  async writePeltierDuty(requestedId, duty, { priority = 'write', heating = false, override = false } = {}) {
+    const output = this.getOutput(requestedId);
+    
+    if (!output) {
+      throw new Error(`Invalid Peltier ID: ${requestedId}`);
+    }
+    if (!isAnalogOutput(output)) {
+      throw new Error(`${output.name} is a coil output and can only be switched on or off`);
+    }
+    if (heating && !output.signed) {
+      throw new Error(`${output.name} is not a signed output and cannot heat`);
+    }
+    const peltierId = output.id;
+    const clamped = Math.max(0, Math.min(100, Number(duty) || 0));
+    const raw = encodeDuty(heating ? -clamped : clamped, output);
+    const state = clamped > 0;
+    this.assertOutputNotHeld(output, state, priority, override);
+
+    if (this.mockMode) {
+      this.mockData.peltierStates[peltierId] = state;
+      this.mockData.peltierDuties[peltierId] = clamped;
+      this.shortCycle.record(peltierId, state);
+      if (output.signed) this.mockData.peltierHeating[peltierId] = heating;
+      this.emit('peltierStatusChange', { peltierId, name: output.name, state, duty: clamped, heating, source: 'mock' });
+      return true;
+    }
+
+    if (!this.isConnected) {
+      throw new Error(`Not connected to Modbus device (${this.connectionState})`);
+    }
+
+    try {
+      console.log(`🔧 PID Control: Writing Peltier ${peltierId} duty ${heating ? 'heating ' : ''}${clamped.toFixed(1)}% (raw ${raw}) to register ${output.address}`);
+      await this.request(priority, `write ${output.name} duty`, 'writeRegister', [output.address, raw]);
+      
+      this.actualPeltierStates[peltierId] = state;
+      this.actualPeltierDuties[peltierId] = clamped;
+      if (output.signed) this.actualPeltierHeating[peltierId] = heating;
+      this.lastWriteAt[peltierId] = Date.now();
+      this.shortCycle.record(peltierId, state);
+      
+      this.emit('peltierStatusChange', { peltierId, name: output.name, state, duty: clamped, heating, source: 'plc' });
+      return true;
+    } catch (error) {
+      console.error(`Error setting Peltier ${peltierId} duty:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a controller duty differs enough from the last written one
+   * Fully off and fully on are always written exactly, so is a change of direction.
+   */
+  dutyNeedsWrite(output, duty, heating = false) {
+    const current = this.mockMode ? this.mockData.peltierDuties[output.id] : this.actualPeltierDuties[output.id];
+    if (current === undefined) return true;
+    
+    const currentHeating = !!(this.mockMode ? this.mockData.peltierHeating : this.actualPeltierHeating)[output.id];
+    if (output.signed && duty > 0 && heating !== currentHeating) return true;
+    if (encodeDuty(duty, output) === encodeDuty(current, output)) return false;
+    return duty <= 0 || duty >= 100 || Math.abs(duty - current) >= DUTY_WRITE_DEADBAND;
+  }
+  
+  /**
+   * Bring a coil output to a state and direction
+   * The polarity coil only changes while the Peltier is off, a running one is
+   * switched off first.
+   */
+  async applyCoilOutput(output, state, heating, priority) {
+    const states = this.mockMode ? this.mockData.peltierStates : this.actualPeltierStates;
+    const polarity = this.mockMode ? this.mockData.peltierHeating : this.actualPeltierHeating;
+    // An unknown polarity (not read back after a reconnect) is written before the output runs
+    const reverse = state && isBidirectionalOutput(output) &&
+      (polarity[output.id] === undefined || !!polarity[output.id] !== heating);
+    
+    // Held outputs stay as they are, a reversal stops now and restarts once its off time is up
+    if (reverse) {
+      if (states[output.id]) {
+        if (this.getOutputHold(output, false, priority)) return;
+        await this.writePeltierControl(output.id, false, { priority });
+      }
+      await this.writePeltierPolarity(output.id, heating, { priority });
+    }
+    if (state !== states[output.id] && !this.getOutputHold(output, state, priority)) {
+      await this.writePeltierControl(output.id, state, { priority });
+    }
+  }
+  
+  /**
+   * Why the protection of an output holds it from switching to a state, null when it may
+   * Switching off for safety is never held.
+   */
+  getOutputHold(output, state, priority = 'write') {
+    if (!state && priority === 'safety') return null;
+    return this.shortCycle.check(output.id, state);
+  }
+  
+  /**
+   * Refuse a write the output's protection holds, unless overridden
+   */
+  assertOutputNotHeld(output, state, priority, override) {
+    const hold = this.getOutputHold(output, state, priority);
+    if (!hold) return;
+    
+    if (override) {
+      console.warn(`⚠️ ${output.name} protection overridden: ${hold.message}`);
+      return;
+    }
+    const error = new Error(`${output.name} ${hold.message}`);
+    error.held = hold;
+    throw error;
+  }
+  
+  /**
+   * Use anti-short-cycle settings for the outputs, throws when they do not validate
+   */
+  loadProtectionSettings(policy) {
+    this.shortCycle.load(policy);
+  }
+  
+  getProtectionSettings() {
+    return this.shortCycle.getPolicy();
+  }
+  
+  getProtectionStatus() {
+    return this.shortCycle.getStatus(this.config.registerMap.outputs);
+  }
+  
+  /**
+   * Switch the polarity coil of an H-bridge coil output
+   * @param {boolean} heating - true reverses the Peltier to heat
+   */
+  async writePeltierPolarity(requestedId, heating, { priority = 'write' } = {}) {
+    const output = this.getOutput(requestedId);
+    
+    if (!output) {
+      throw new Error(`Invalid Peltier ID: ${requestedId}`);
+    }
+    if (isAnalogOutput(output) || !isBidirectionalOutput(output)) {
+      throw new Error(`${output.name} has no polarity coil`);
+    }
+    const peltierId = output.id;
+    const states = this.mockMode ? this.mockData.peltierStates : this.actualPeltierStates;
+    if (states[peltierId]) {
+      throw new Error(`Switch ${output.name} off before reversing it`);
+    }
+    
+    if (this.mockMode) {
+      this.mockData.peltierHeating[peltierId] = heating;
+      this.emit('peltierStatusChange', { peltierId, name: output.name, state: false, heating, source: 'mock' });
+      return true;
+    }
+    
+    if (!this.isConnected) {
+      throw new Error(`Not connected to Modbus device (${this.connectionState})`);
+    }
+    
+    console.log(`🔧 PID Control: Setting Peltier ${peltierId} polarity to ${heating ? 'HEATING' : 'COOLING'} on coil ${output.polarityAddress}`);
+    await this.request(priority, `write ${output.name} polarity`, 'writeCoil', [output.polarityAddress, heating]);
+    
+    this.actualPeltierHeating[peltierId] = heating;
+    this.emit('peltierStatusChange', { peltierId, name: output.name, state: false, heating, source: 'plc' });
+    return true;
+  }
+
   async readPeltierStatus(peltierId) {
-    const coilAddress = this.config.peltierCoils[peltierId];
+    const output = this.getOutput(peltierId);
     
-    if (!coilAddress) {
+    if (!output) {
       throw new Error(`Invalid Peltier ID: ${peltierId}`);
     }
+    const coilAddress = output.address;
+
+    const analog = isAnalogOutput(output);
+    const reversible = isBidirectionalOutput(output);
 
     if (this.mockMode) {
       return {
         peltierId,
         state: this.mockData.peltierStates[peltierId],
+        duty: analog ? this.mockData.peltierDuties[peltierId] : null,
+        heating: reversible ? !!this.mockData.peltierHeating[peltierId] : null,
         source: 'mock'
       };
     }
     
-    // Return locally tracked state to avoid timeouts
-    if (this.actualPeltierStates && this.actualPeltierStates.hasOwnProperty(peltierId)) {
+    // Return locally tracked state to avoid timeouts, with the latest readback for comparison
+    if (this.actualPeltierStates && this.actualPeltierStates.hasOwnProperty(output.id)) {
+      const readback = this.coilReadback[output.id];
       return {
         peltierId,
-        state: this.actualPeltierStates[peltierId],
-        source: 'plc-cached'
+        state: this.actualPeltierStates[output.id],
+        duty: analog ? this.actualPeltierDuties[output.id] : null,
+        heating: reversible ? !!this.actualPeltierHeating[output.id] : null,
+        source: 'plc-cached',
+        readbackState: readback ? readback.state : null,
+        verifiedAt: readback ? readback.readAt : null,
+        discrepancy: this.describeDiscrepancy(output.id)
       };
     }
 
@@ -337,7 +1246,7 @@ class ModbusService extends EventEmitter {
     }
 
     try {
-      const result = await this.client.readCoils(coilAddress, 1);
+      const result = await this.request('readback', `read ${output.name}`, 'readCoils', [coilAddress, 1]);
       return {
         peltierId,
         state: result.data[0],
@@ -353,23 +1262,73 @@ class ModbusService extends EventEmitter {
     if (this.pollingInterval) {
       clearInterval(this.pollingInterval);
     }
+    
+    this.startReadback();
+    this.heartbeat.start();
 
-    this.pollingInterval = setInterval(async () => {
+    this.pollingInterval = setInterval(() => this.pollOnce(), interval);
+  }
+
+  /**
+   * One polling cycle: read the control input and hand it to the controller
+   */
+  async pollOnce() {
+    let tempReading;
+    
+    // Nothing to read while the link is down, the reconnect timer brings it back
+    if (!this.mockMode && !this.isConnected) {
+      this.recorder.recordEvent('poll', { connected: false });
+      tempReading = this.createStaleReading(`PLC ${this.connectionState}: ${this.connectionReason || 'no connection'}`);
+    } else {
+      // A slow PLC can take longer than the interval, don't stack polls behind each other
+      if (this.pollInProgress) return;
+      
+      this.recorder.recordEvent('poll', { connected: true });
+      this.pollInProgress = true;
       try {
-        const tempReading = await this.readTemperature();
-        this.emit('temperatureUpdate', tempReading);
-        
-        // Process temperature through neural controller
-        if (this.controlService) {
-          this.controlService.processTemperature(tempReading.temperature);
-        }
-        
-        // Don't read Peltier statuses - causes timeouts
-        // Status is tracked from write commands
+        tempReading = await this.readTemperature();
       } catch (error) {
-        this.emit('error', error);
+        // Failures are already counted by the connection state machine
+        this.emit('pollError', error);
+        tempReading = this.createStaleReading(`Read failed: ${error.message}`);
+      } finally {
+        this.pollInProgress = false;
       }
-    }, interval);
+    }
+    
+    if (tempReading.temperature !== null) {
+      this.emit('temperatureUpdate', tempReading);
+    }
+    
+    // Process the selected control channel through neural controller
+    // (the control service holds its safe output for anything that is not good)
+    if (this.controlService) {
+      this.controlService.processReading(tempReading);
+    }
+    
+    // Don't read Peltier statuses - causes timeouts
+    // Status is tracked from write commands
+  }
+
+  /**
+   * Sample standing in for a poll that produced no fresh PLC data
+   * Carries the last good value so the UI can keep showing it, flagged as stale
+   */
+  createStaleReading(reason) {
+    const last = this.lastPlcReading;
+    
+    return {
+      temperature: last ? last.temperature : null,
+      timestamp: new Date(),
+      source: 'plc',
+      quality: 'stale',
+      qualityReason: reason,
+      sampledAt: last ? last.timestamp : null,
+      channel: this.getControlInput().id,
+      channels: last
+        ? last.channels.map(channel => ({ ...channel, quality: channel.quality === 'good' ? 'stale' : channel.quality }))
+        : []
+    };
   }
 
   stopPolling() {
@@ -377,39 +1336,254 @@ class ModbusService extends EventEmitter {
       clearInterval(this.pollingInterval);
       this.pollingInterval = null;
     }
+    this.stopReadback();
+    this.heartbeat.stop();
   }
 
-  getConnectionStatus() {
-    return {
-      connected: this.isConnected,
-      mockMode: this.mockMode,
-      config: this.config
-    };
+  /**
+   * Write the heartbeat counter, ahead of polls and scans
+   */
+  writeHeartbeat(address, value) {
+    if (!this.isConnected) {
+      return Promise.reject(new Error(`Not connected to Modbus device (${this.connectionState})`));
+    }
+    return this.request('safety', 'heartbeat', 'writeRegister', [address, value]);
   }
 
-  async discoverPLCs(networkBase = '10.5.5') {
-    const discoveries = [];
-    const promises = [];
+  /**
+   * The PLC watchdog tripped while the heartbeat was out, so its outputs are off
+   * Forget the commanded states so the controller writes them again.
+   */
+  handleHeartbeatRestored() {
+    this.shortCycle.powerUp();
+    this.config.registerMap.outputs.forEach(output => {
+      this.actualPeltierStates[output.id] = false;
+      if (isAnalogOutput(output)) this.actualPeltierDuties[output.id] = 0;
+      // Polarity coils drop too, a signed output at zero has no direction left
+      if (isBidirectionalOutput(output)) this.actualPeltierHeating[output.id] = false;
+      delete this.lastWriteAt[output.id];
+      delete this.commandedStates[output.id];
+      this.emit('peltierStatusChange', {
+        peltierId: output.id,
+        name: output.name,
+        state: false,
+        duty: isAnalogOutput(output) ? 0 : undefined,
+        source: 'watchdog'
+      });
+    });
+  }
+
+  getHeartbeatStatus() {
+    return this.heartbeat.getStatus();
+  }
+
+  /**
+   * Periodically read the Peltier coils back and compare with what was commanded
+   */
+  startReadback() {
+    this.stopReadback();
     
-    // Scan common PLC IP addresses
-    for (let i = 1; i <= 254; i++) {
-      const ip = `${networkBase}.${i}`;
-      promises.push(this.testConnection(ip, 502));
-    }
+    const { enabled, interval } = this.config.readback;
+    if (!enabled) return;
     
-    const results = await Promise.allSettled(promises);
+    // Never faster than once a second, the coils share the link with temperature polling
+    this.readbackInterval = setInterval(() => this.verifyOutputs(), Math.max(1000, interval));
+  }
+
+  stopReadback() {
+    if (this.readbackInterval) {
+      clearInterval(this.readbackInterval);
+      this.readbackInterval = null;
+    }
+  }
+
+  /**
+   * Group coil outputs into as few FC01 reads as possible
+   * Analog outputs are not read back, their state is what was last written
+   * @returns {Array<{ start: number, length: number, outputs: Object[] }>}
+   */
+  getCoilReadGroups() {
+    const { maxGap } = this.config.readback;
+    const outputs = this.config.registerMap.outputs
+      .filter(output => output.functionCode === 5)
+      .sort((a, b) => a.address - b.address);
+    const groups = [];
     
-    results.forEach((result, index) => {
-      if (result.status === 'fulfilled' && result.value) {
-        discoveries.push({
-          ip: `${networkBase}.${index + 1}`,
-          port: 502,
-          status: 'online'
-        });
+    outputs.forEach(output => {
+      const group = groups[groups.length - 1];
+      if (group && output.address - (group.start + group.length - 1) <= maxGap) {
+        group.length = output.address - group.start + 1;
+        group.outputs.push(output);
+      } else {
+        groups.push({ start: output.address, length: 1, outputs: [output] });
       }
     });
     
-    return discoveries;
+    return groups;
+  }
+
+  /**
+   * Read the coils back and reconcile them with the commanded states
+   */
+  async verifyOutputs() {
+    if (this.readbackInProgress || this.mockMode || !this.isConnected) return;
+    
+    this.readbackInProgress = true;
+    const now = Date.now();
+    
+    try {
+      for (const group of this.getCoilReadGroups()) {
+        let result;
+        try {
+          result = await this.request('readback', `readback coils ${group.start}-${group.start + group.length - 1}`,
+            'readCoils', [group.start, group.length], { key: `readback:${group.start}` });
+        } catch (error) {
+          console.warn(`⚠️ Coil readback ${group.start}-${group.start + group.length - 1} failed: ${error.message}`);
+          continue;
+        }
+        
+        for (const output of group.outputs) {
+          const actual = !!result.data[output.address - group.start];
+          this.coilReadback[output.id] = { state: actual, readAt: new Date(now) };
+          await this.reconcileOutput(output, actual, now);
+        }
+      }
+    } finally {
+      this.readbackInProgress = false;
+    }
+  }
+
+  /**
+   * Raise, update or clear the discrepancy alarm for one output
+   * A coil that doesn't match its command is commanded again, up to the retry
+   * budget, after which the alarm escalates and the output is left to the operator.
+   */
+  async reconcileOutput(output, actual, now) {
+    // A write may still be in flight on the PLC side
+    if (this.lastWriteAt[output.id] && now - this.lastWriteAt[output.id] < this.config.readback.settleTime) {
+      return;
+    }
+    
+    // Protection and the write path go by what the output actually does, whoever switched it
+    if (!!this.actualPeltierStates[output.id] !== actual) {
+      this.emit('peltierStatusChange', { peltierId: output.id, name: output.name, state: actual, source: 'readback' });
+    }
+    this.actualPeltierStates[output.id] = actual;
+    this.shortCycle.record(output.id, actual, now);
+    
+    // Until the app has commanded an output the PLC's state is taken as the starting point
+    const commanded = this.commandedStates[output.id] !== undefined ? this.commandedStates[output.id] : actual;
+    const existing = this.discrepancies[output.id];
+    
+    if (actual === commanded) {
+      if (existing) {
+        delete this.discrepancies[output.id];
+        const duration = now - existing.since;
+        console.log(`✅ ${output.name} (coil ${output.address}) matches command again after ${Math.round(duration / 1000)}s`);
+        this.emit('outputDiscrepancy', { ...existing, status: 'cleared', actual, duration });
+      }
+      return;
+    }
+    
+    const discrepancy = existing || {
+      peltierId: output.id,
+      name: output.name,
+      address: output.address,
+      since: now,
+      retries: 0,
+      escalated: false
+    };
+    // A new command gets the full retry budget
+    if (discrepancy.commanded !== undefined && discrepancy.commanded !== commanded) {
+      discrepancy.retries = 0;
+      discrepancy.escalated = false;
+    }
+    discrepancy.commanded = commanded;
+    discrepancy.actual = actual;
+    this.discrepancies[output.id] = discrepancy;
+    
+    const duration = now - discrepancy.since;
+    if (!existing) {
+      console.warn(`🚨 ${output.name} (coil ${output.address}) is ${actual ? 'ON' : 'OFF'} but was commanded ${commanded ? 'ON' : 'OFF'}`);
+    }
+    
+    const { retries } = this.config.readback;
+    if (discrepancy.retries >= retries) {
+      if (!discrepancy.escalated) {
+        discrepancy.escalated = true;
+        console.error(`🚨 ${output.name} (coil ${output.address}) is still ${actual ? 'ON' : 'OFF'} after ${retries} re-commands, check the PLC and its wiring`);
+        this.emit('outputDiscrepancy', { ...discrepancy, status: 'escalated', duration });
+        return;
+      }
+    } else if (!this.getOutputHold(output, commanded)) {
+      // Held outputs are tried again on a later readback, once their protection allows
+      discrepancy.retries++;
+      console.warn(`🔁 Commanding ${output.name} ${commanded ? 'ON' : 'OFF'} again (${discrepancy.retries}/${retries})`);
+      try {
+        await this.writePeltierControl(output.id, commanded);
+      } catch (error) {
+        console.warn(`⚠️ Re-command of ${output.name} failed: ${error.message}`);
+      }
+    }
+    this.emit('outputDiscrepancy', { ...discrepancy, status: existing ? 'ongoing' : 'raised', duration });
+  }
+
+  /**
+   * Active discrepancy for one output with how long it has lasted
+   */
+  describeDiscrepancy(peltierId) {
+    const discrepancy = this.discrepancies[peltierId];
+    return discrepancy ? { ...discrepancy, duration: Date.now() - discrepancy.since } : null;
+  }
+
+  /**
+   * Active output discrepancies with how long each has lasted
+   */
+  getDiscrepancies() {
+    return Object.keys(this.discrepancies).map(peltierId => this.describeDiscrepancy(peltierId));
+  }
+
+  getConnectionStatus() {
+    return {
+      connected: this.isConnected,
+      mockMode: this.mockMode,
+      state: this.connectionState,
+      reason: this.connectionReason,
+      consecutiveFailures: this.consecutiveFailures,
+      reconnectAttempt: this.reconnectAttempt,
+      nextRetryAt: this.nextRetryAt,
+      lastGoodReadingAt: this.lastGoodReadingAt,
+      host: this.config.host,
+      port: this.config.port
+    };
+  }
+
+  /**
+   * Sweep address ranges for Modbus devices
+   * Runs on its own connections, so it doesn't touch the request queue.
+   * @param {Object} options - See PlcDiscovery.createDefaultDiscoveryConfig
+   */
+  async discoverPLCs(options = {}) {
+    if (this.discovery) {
+      throw new Error('Discovery is already running');
+    }
+
+    const discovery = new PlcDiscovery(options, this.config.registerMap);
+    discovery.on('progress', (progress) => this.emit('discoveryProgress', progress));
+    discovery.on('device', (device) => this.emit('discoveryDevice', device));
+    this.discovery = discovery;
+
+    try {
+      return await discovery.run();
+    } finally {
+      this.discovery = null;
+    }
+  }
+
+  cancelDiscovery() {
+    if (!this.discovery) return false;
+    this.discovery.cancel();
+    return true;
   }
 
   async testConnection(host, port) {
@@ -425,4 +1599,11 @@ class ModbusService extends EventEmitter {
   }
 }
 
-module.exports = ModbusService;
\ No newline at end of file
+module.exports = ModbusService;
+module.exports.createDefaultRetryPolicy = createDefaultRetryPolicy;
+module.exports.createDefaultReadbackPolicy = createDefaultReadbackPolicy;
+module.exports.createDefaultRecorderPolicy = ModbusRecorder.createDefaultRecorderPolicy;
+module.exports.createDefaultHeartbeatPolicy = PlcHeartbeat.createDefaultHeartbeatPolicy;
+module.exports.createDefaultSetpointPolicy = TemperatureControlService.createDefaultSetpointPolicy;
+module.exports.createDefaultHeatingConfig = TemperatureControlService.createDefaultHeatingConfig;
+module.exports.createDefaultProtectionPolicy = ShortCycleGuard.createDefaultProtectionPolicy;
\ No newline at end of file
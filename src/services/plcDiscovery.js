@@ -0,0 +1,368 @@
+const ModbusRTU = require('modbus-serial');
+const { EventEmitter } = require('events');
+const {
+  READ_FUNCTIONS,
+  DATA_TYPES,
+  findBatchesForInput,
+  decodeInput,
+  assessQuality
+} = require('./registerMap');
+
+// Largest sweep accepted in one run (a /16 on a single port)
+const MAX_TARGETS = 65536;
+
+// FC43 object IDs (Modbus Application Protocol, section 6.21)
+const DEVICE_ID_OBJECTS = {
+  0x00: 'vendorName',
+  0x01: 'productCode',
+  0x02: 'revision',
+  0x03: 'vendorUrl',
+  0x04: 'productName',
+  0x05: 'modelName',
+  0x06: 'applicationName'
+};
+
+/**
+ * Default sweep: the /24 around the configured PLC address
+ */
+function createDefaultDiscoveryConfig(host = '10.5.5.95') {
+  const octets = String(host).split('.');
+  const network = octets.length === 4 ? `${octets.slice(0, 3).join('.')}.0/24` : '10.5.5.0/24';
+
+  return {
+    ranges: [network],
+    ports: [502],
+    unitId: 1,
+    concurrency: 32,
+    timeout: 1000
+  };
+}
+
+function ipToNumber(ip) {
+  const octets = String(ip).trim().split('.');
+  if (octets.length !== 4) return null;
+
+  let value = 0;
+  for (const octet of octets) {
+    if (!/^\d{1,3}$/.test(octet) || Number(octet) > 255) return null;
+    value = value * 256 + Number(octet);
+  }
+  return value;
+}
+
+function numberToIp(value) {
+  return [24, 16, 8, 0].map(shift => Math.floor(value / 2 ** shift) % 256).join('.');
+}
+
+/**
+ * First and last address of a range
+ * Accepts CIDR (10.5.5.0/24), a dashed range (10.5.5.10-10.5.5.40) or a single address.
+ * Network and broadcast addresses are skipped for prefixes shorter than /31.
+ * @returns {{first: number, last: number}|null} null when the range can't be parsed
+ */
+function parseRange(range) {
+  const text = String(range).trim();
+
+  if (text.includes('/')) {
+    const [ip, prefixText] = text.split('/');
+    const base = ipToNumber(ip);
+    const prefix = Number(prefixText);
+    if (base === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) return null;
+
+    const size = 2 ** (32 - prefix);
+    const network = Math.floor(base / size) * size;
+    if (prefix >= 31) return { first: network, last: network + size - 1 };
+    return { first: network + 1, last: network + size - 2 };
+  }
+
+  if (text.includes('-')) {
+    const [start, end] = text.split('-').map(ipToNumber);
+    if (start === null || end === null || start > end) return null;
+    return { first: start, last: end };
+  }
+
+  const single = ipToNumber(text);
+  return single === null ? null : { first: single, last: single };
+}
+
+/**
+ * Check a discovery configuration
+ * @returns {string[]} List of problems, empty when the sweep can run
+ */
+function validateDiscoveryConfig(config) {
+  const errors = [];
+
+  if (!config || !Array.isArray(config.ranges) || config.ranges.length === 0) {
+    errors.push('At least one address range is required');
+  } else {
+    config.ranges.forEach(range => {
+      if (!parseRange(range)) {
+        errors.push(`Invalid address range "${range}", use 10.5.5.0/24, 10.5.5.10-10.5.5.40 or a single address`);
+      }
+    });
+  }
+
+  if (!config || !Array.isArray(config.ports) || config.ports.length === 0) {
+    errors.push('At least one port is required');
+  } else if (config.ports.some(port => !Number.isInteger(port) || port < 1 || port > 65535)) {
+    errors.push('Ports must be 1-65535');
+  }
+
+  if (!config || !Number.isInteger(config.concurrency) || config.concurrency < 1 || config.concurrency > 256) {
+    errors.push('Concurrency must be 1-256');
+  }
+
+  if (!config || !Number.isInteger(config.unitId) || config.unitId < 0 || config.unitId > 255) {
+    errors.push('Unit ID must be 0-255');
+  }
+
+  if (errors.length === 0 && countTargets(config) > MAX_TARGETS) {
+    errors.push(`Sweep covers ${countTargets(config)} host/port pairs, the limit is ${MAX_TARGETS}`);
+  }
+
+  return errors;
+}
+
+function countTargets(config) {
+  const hosts = config.ranges.reduce((sum, range) => {
+    const parsed = parseRange(range);
+    return parsed ? sum + (parsed.last - parsed.first + 1) : sum;
+  }, 0);
+  return hosts * config.ports.length;
+}
+
+/**
+ * Host/port pairs to try, in address order
+ */
+function* iterateTargets(config) {
+  const seen = new Set();
+
+  for (const range of config.ranges) {
+    const { first, last } = parseRange(range);
+    for (let value = first; value <= last; value++) {
+      if (seen.has(value)) continue;
+      seen.add(value);
+      for (const port of config.ports) {
+        yield { host: numberToIp(value), port };
+      }
+    }
+  }
+}
+
+/**
+ * Sweeps address ranges for Modbus TCP devices
+ * Each responder is asked for FC43 device identification and probed with a read
+ * of the register map's control input, so results say what the device is and
+ * whether it looks like one of our container controllers.
+ */
+class PlcDiscovery extends EventEmitter {
+  /**
+   * @param {Object} config - See createDefaultDiscoveryConfig
+   * @param {Object} registerMap - Register map whose control input is used for the probe read
+   */
+  constructor(config, registerMap) {
+    super();
+    this.config = { ...createDefaultDiscoveryConfig(), ...config };
+    this.registerMap = registerMap;
+    this.cancelled = false;
+  }
+
+  /**
+   * Run the sweep, emitting 'progress' and 'device' as it goes
+   * @returns {Promise<{devices: Array, scanned: number, total: number, cancelled: boolean}>}
+   */
+  async run() {
+    const errors = validateDiscoveryConfig(this.config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const total = countTargets(this.config);
+    const targets = iterateTargets(this.config);
+    const devices = [];
+    const startedAt = Date.now();
+    let scanned = 0;
+    let lastProgressAt = 0;
+
+    const reportProgress = (current, force = false) => {
+      // At most ten progress events a second
+      const now = Date.now();
+      if (!force && now - lastProgressAt < 100) return;
+      lastProgressAt = now;
+      this.emit('progress', { scanned, total, found: devices.length, current, elapsed: now - startedAt });
+    };
+
+    console.log(`🔍 Discovering Modbus devices: ${total} host/port pair(s), ${this.config.concurrency} at a time`);
+
+    // A fixed pool of workers pulls from the shared target iterator
+    const worker = async () => {
+      for (let next = targets.next(); !next.done && !this.cancelled; next = targets.next()) {
+        const device = await this.probeHost(next.value.host, next.value.port);
+        scanned++;
+
+        if (device) {
+          devices.push(device);
+          this.emit('device', device);
+          console.log(`✅ Found Modbus device at ${device.host}:${device.port} (${device.match})`);
+        }
+        reportProgress(`${next.value.host}:${next.value.port}`);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.config.concurrency, total) }, worker));
+    reportProgress(null, true);
+
+    devices.sort((a, b) => ipToNumber(a.host) - ipToNumber(b.host) || a.port - b.port);
+    console.log(`🔍 Discovery ${this.cancelled ? 'cancelled' : 'complete'}: ${devices.length} device(s) found`);
+
+    return { devices, scanned, total, cancelled: this.cancelled };
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Connect to one host and, if it answers, identify and probe it
+   * @returns {Promise<Object|null>} Device description, null when nothing answered
+   */
+  async probeHost(host, port) {
+    const client = new ModbusRTU();
+    const started = Date.now();
+
+    try {
+      await client.connectTCP(host, { port, timeout: this.config.timeout });
+    } catch (error) {
+      return null;
+    }
+
+    const device = {
+      host,
+      port,
+      unitId: this.config.unitId,
+      latency: Date.now() - started,
+      identification: null,
+      identificationError: null,
+      probe: null,
+      probeError: null
+    };
+
+    try {
+      client.setID(this.config.unitId);
+      client.setTimeout(this.config.timeout);
+
+      try {
+        device.identification = await this.readIdentification(client);
+      } catch (error) {
+        device.identificationError = error.message;
+      }
+
+      try {
+        device.probe = await this.probeTemperature(client);
+      } catch (error) {
+        device.probeError = error.message;
+      }
+    } finally {
+      await new Promise(resolve => client.close(resolve));
+    }
+
+    return { ...device, ...this.classify(device) };
+  }
+
+  /**
+   * FC43/14 Read Device Identification
+   * Asks for the regular objects first and falls back to the basic ones,
+   * which are all many PLCs implement.
+   */
+  async readIdentification(client) {
+    let response;
+    try {
+      response = await client.readDeviceIdentification(2, 0);
+    } catch (error) {
+      if (!error.modbusCode) throw error;
+      response = await client.readDeviceIdentification(1, 0);
+    }
+
+    const identification = { conformityLevel: response.conformityLevel };
+    Object.entries(response.data || {}).forEach(([objectId, value]) => {
+      const key = DEVICE_ID_OBJECTS[objectId] || `object${objectId}`;
+      identification[key] = value;
+    });
+    return identification;
+  }
+
+  /**
+   * Read the control input the same way polling does, batch first
+   */
+  async probeTemperature(client) {
+    const map = this.registerMap;
+    const input = map && map.inputs.find(candidate => candidate.id === map.controlInput);
+    if (!input) throw new Error('No control input configured');
+
+    const batches = findBatchesForInput(map, input);
+    let lastError = null;
+
+    for (const batch of batches) {
+      try {
+        const registers = await client[READ_FUNCTIONS[batch.functionCode]](batch.start, batch.length);
+        return this.describeProbe(input, registers.data, input.address - batch.start, `batch-${batch.start}`);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    if (batches.length > 0) throw lastError;
+
+    const registers = await client[READ_FUNCTIONS[input.functionCode]](input.address, DATA_TYPES[input.dataType]);
+    return this.describeProbe(input, registers.data, 0, `direct-${input.address}`);
+  }
+
+  describeProbe(input, words, index, method) {
+    const { raw, value } = decodeInput(words, index, input);
+    return {
+      input: input.name,
+      address: input.address,
+      rawValue: words[index],
+      value,
+      units: input.units,
+      quality: assessQuality(raw, value, input),
+      method
+    };
+  }
+
+  /**
+   * How much a responder looks like one of our container controllers
+   * - controller: the control input reads a plausible temperature
+   * - possible:   the register exists but the value is off (open probe, out of range)
+   * - other:      a Modbus device without our register layout
+   */
+  classify(device) {
+    const reasons = [];
+
+    if (device.identification) {
+      const { vendorName, productName, modelName } = device.identification;
+      reasons.push(`Identifies as ${[vendorName, productName || modelName].filter(Boolean).join(' ')}`);
+    } else {
+      reasons.push('No FC43 device identification');
+    }
+
+    if (!device.probe) {
+      reasons.push(`Control input read failed: ${device.probeError}`);
+      return { match: 'other', reasons };
+    }
+
+    const { value, quality, units } = device.probe;
+    if (quality === 'good' && value > -50 && value < 100) {
+      reasons.push(`Control input reads ${value.toFixed(1)}${units || ''}`);
+      return { match: 'controller', reasons };
+    }
+
+    reasons.push(`Control input answered but reads ${quality === 'good' ? value : quality}`);
+    return { match: 'possible', reasons };
+  }
+}
+
+module.exports = PlcDiscovery;
+module.exports.createDefaultDiscoveryConfig = createDefaultDiscoveryConfig;
+module.exports.validateDiscoveryConfig = validateDiscoveryConfig;
+module.exports.parseRange = parseRange;
@@ -0,0 +1,213 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Heartbeat settings
+ *
+ * PLC side: the ladder logic compares the heartbeat register with its value
+ * from the previous scan. Whenever it changes, restart a TON timer with the
+ * preset of plcTimeout. When the timer elapses, reset every Peltier coil and
+ * write 0 to every analog output register. Arm the timer from PLC power-up so
+ * outputs also stay off when the app never starts. Outputs stay off until the
+ * app writes them again.
+ *
+ * Keep plcTimeout at least three times the write interval, so one slow request
+ * or a reconnect does not trip the PLC.
+ */
+function createDefaultHeartbeatPolicy() {
+  return {
+    enabled: false,         // Off until the PLC program watches the register
+    address: 2100,          // Holding register (FC06) the counter is written to
+    interval: 1000,         // ms between counter writes
+    plcTimeout: 5000,       // ms without a change before the PLC drops all Peltiers
+    maxCount: 65535         // Counter wraps back to 1, 0 is never written
+  };
+}
+
+/**
+ * Check a heartbeat policy
+ * @returns {string[]} List of problems, empty when the heartbeat can run
+ */
+function validateHeartbeatPolicy(policy) {
+  const errors = [];
+
+  if (!Number.isInteger(policy.address) || policy.address < 0 || policy.address > 65535) {
+    errors.push('Heartbeat register must be 0-65535');
+  }
+  if (!Number.isFinite(policy.interval) || policy.interval < 100) {
+    errors.push('Heartbeat interval must be at least 100 ms');
+  }
+  if (!Number.isFinite(policy.plcTimeout) || policy.plcTimeout < policy.interval * 3) {
+    errors.push('PLC timeout must be at least three heartbeat intervals');
+  }
+  if (!Number.isInteger(policy.maxCount) || policy.maxCount < 2 || policy.maxCount > 65535) {
+    errors.push('Counter limit must be 2-65535');
+  }
+
+  return errors;
+}
+
+/**
+ * Writes an incrementing counter to the PLC so its watchdog can drop the
+ * Peltiers when the app stops (crash, hang, laptop asleep)
+ *
+ * Status:
+ *   disabled - heartbeat switched off
+ *   waiting  - enabled, nothing written yet
+ *   ok       - last write went through
+ *   missed   - writes failed or ran late, the PLC has not timed out yet
+ *   expired  - no heartbeat for plcTimeout, the PLC has dropped the outputs
+ */
+class PlcHeartbeat extends EventEmitter {
+  /**
+   * @param {Function} write - (address, value) => Promise, performs the register write
+   */
+  constructor(write) {
+    super();
+    this.write = write;
+    this.policy = createDefaultHeartbeatPolicy();
+    this.timer = null;
+    this.writeInProgress = false;
+
+    this.counter = 0;
+    this.status = 'disabled';
+    this.startedAt = null;
+    this.lastTickAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.consecutiveMissed = 0;
+    this.totalMissed = 0;
+    this.totalWrites = 0;
+  }
+
+  configure(policy = {}) {
+    this.policy = { ...createDefaultHeartbeatPolicy(), ...policy };
+
+    // Pick up the new interval or switch off
+    if (this.timer) {
+      this.stop();
+      this.start();
+    } else if (!this.policy.enabled) {
+      this.setStatus('disabled');
+    }
+  }
+
+  start() {
+    this.stop();
+
+    if (!this.policy.enabled) {
+      this.setStatus('disabled');
+      return;
+    }
+
+    const errors = validateHeartbeatPolicy(this.policy);
+    if (errors.length > 0) {
+      this.lastError = errors.join('; ');
+      console.warn(`⚠️ Heartbeat not started: ${this.lastError}`);
+      this.setStatus('disabled');
+      return;
+    }
+
+    this.startedAt = Date.now();
+    this.lastTickAt = this.startedAt;
+    this.setStatus(this.lastSuccessAt ? this.status : 'waiting');
+    this.timer = setInterval(() => this.tick(), this.policy.interval);
+    console.log(`💓 Heartbeat to register ${this.policy.address} every ${this.policy.interval} ms (PLC timeout ${this.policy.plcTimeout} ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      this.emit('status', this.getStatus());
+    }
+  }
+
+  /**
+   * Write the next counter value
+   */
+  async tick() {
+    const now = Date.now();
+
+    // The timer itself ran late: the event loop stalled or the system slept
+    const late = now - this.lastTickAt - this.policy.interval;
+    this.lastTickAt = now;
+    if (late >= this.policy.interval) {
+      const skipped = Math.floor(late / this.policy.interval);
+      this.recordMissed(skipped, `Heartbeat timer ran ${late} ms late`);
+    }
+
+    // A slow PLC can take longer than the interval, don't stack writes
+    if (this.writeInProgress) {
+      this.recordMissed(1, 'Previous heartbeat write still in progress');
+      return;
+    }
+
+    const value = this.counter >= this.policy.maxCount ? 1 : this.counter + 1;
+    this.writeInProgress = true;
+
+    try {
+      await this.write(this.policy.address, value);
+      this.counter = value;
+      this.totalWrites++;
+      this.consecutiveMissed = 0;
+      this.lastError = null;
+
+      const previous = this.status;
+      this.lastSuccessAt = Date.now();
+      this.setStatus('ok');
+      if (previous === 'expired') {
+        console.log('💓 Heartbeat restored, the PLC has switched the Peltiers off and they need to be rewritten');
+        this.emit('restored');
+      }
+    } catch (error) {
+      this.recordMissed(1, error.message);
+    } finally {
+      this.writeInProgress = false;
+    }
+  }
+
+  recordMissed(count, reason) {
+    this.consecutiveMissed += count;
+    this.totalMissed += count;
+    this.lastError = reason;
+
+    // Measured from the last write that arrived, or from start-up when none has
+    const since = this.lastSuccessAt || this.startedAt;
+    const expired = Date.now() - since >= this.policy.plcTimeout;
+
+    if (expired && this.status !== 'expired') {
+      console.warn(`🚨 No heartbeat for ${Date.now() - since} ms, the PLC will have dropped all Peltiers (${reason})`);
+    } else if (!expired && this.consecutiveMissed === count) {
+      console.warn(`⚠️ Heartbeat missed: ${reason}`);
+    }
+
+    this.setStatus(expired ? 'expired' : 'missed', true);
+  }
+
+  setStatus(status, force = false) {
+    if (status === this.status && !force) return;
+    this.status = status;
+    this.emit('status', this.getStatus());
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      enabled: !!this.policy.enabled,
+      running: !!this.timer,
+      address: this.policy.address,
+      interval: this.policy.interval,
+      plcTimeout: this.policy.plcTimeout,
+      counter: this.counter,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt) : null,
+      lastError: this.lastError,
+      consecutiveMissed: this.consecutiveMissed,
+      totalMissed: this.totalMissed,
+      totalWrites: this.totalWrites
+    };
+  }
+}
+
+module.exports = PlcHeartbeat;
+module.exports.createDefaultHeartbeatPolicy = createDefaultHeartbeatPolicy;
+module.exports.validateHeartbeatPolicy = validateHeartbeatPolicy;
@@ -0,0 +1,430 @@
+const ModbusRTU = require('modbus-serial');
+const { EventEmitter } = require('events');
+const {
+  DATA_TYPES,
+  createDefaultRegisterMap,
+  normalizeRegisterMap,
+  encodeInput,
+  isAnalogOutput,
+  isBidirectionalOutput,
+  encodeDuty,
+  decodeDuty
+} = require('./registerMap');
+
+// Modbus exception codes returned to clients
+const ILLEGAL_DATA_ADDRESS = 0x02;
+
+// Raw value a GMT thermocouple input reports when no probe is wired
+const OPEN_CIRCUIT = 32767;
+
+function hasPolarityCoil(output) {
+  return !isAnalogOutput(output) && isBidirectionalOutput(output);
+}
+
+/**
+ * Default thermal model
+ * Container temperature follows a first-order balance:
+ *   C * dT/dt = G * (ambient - T) + ambientLoad - sum(coolingPower of Peltiers that are on)
+ * Analog outputs contribute their cooling power scaled by the written duty.
+ * Reversed outputs (polarity coil on, or a signed output below zero) pump the
+ * same power into the container instead.
+ * With the defaults the time constant C/G is about 33 minutes, one Peltier holds
+ * roughly 10°C and both pull the container well below the 5°C setpoint.
+ */
+function createDefaultModel() {
+  return {
+    initialTemperature: 20.0,     // °C
+    ambientTemperature: 25.0,     // °C
+    thermalMass: 8000,            // J/°C, container air and contents
+    ambientConductance: 4.0,      // W/°C, heat leak through the walls
+    ambientLoad: 20,              // W, extra heat from product, fans, door openings
+    coolingPower: {},             // W per Peltier ID, missing IDs use defaultCoolingPower
+    defaultCoolingPower: 80,      // W
+    heatSinkResistance: 0.05,     // °C/W, heat sink rise above ambient per watt pumped
+    productTimeConstant: 600,     // s, product core lag behind the container air
+    noise: 0.05,                  // °C, measurement noise amplitude
+    stepInterval: 1000,           // ms between model steps
+    timeScale: 1                  // Simulated seconds per real second
+  };
+}
+
+function createDefaultSimulatorConfig() {
+  return {
+    host: '127.0.0.1',
+    port: 5020,
+    unitId: 1,
+    // Registers that only answer as part of a multi-register read, like the real GMT PLC
+    batchOnlyAddresses: [2026],
+    // { address, timeout } to emulate the PLC watchdog on the app's heartbeat counter
+    heartbeat: null,
+    model: createDefaultModel()
+  };
+}
+
+/**
+ * Modbus TCP server emulating the GMT PLC driving the Peltier container
+ * Inputs from the register map are served from the thermal model, coil
+ * writes to the mapped outputs switch the Peltiers in the model and register
+ * writes to analog outputs set their duty.
+ */
+class PlcSimulator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    const defaults = createDefaultSimulatorConfig();
+    this.config = {
+      ...defaults,
+      ...config,
+      model: { ...defaults.model, ...(config.model || {}) }
+    };
+    this.registerMap = normalizeRegisterMap(config.registerMap || createDefaultRegisterMap());
+
+    this.server = null;
+    this.stepTimer = null;
+    this.isRunning = false;
+    this.startedAt = null;
+    this.simulatedSeconds = 0;
+
+    // Coil image, keyed by coil address
+    this.coils = {};
+    // Holding registers of analog outputs, keyed by address
+    this.registers = {};
+    this.registerMap.outputs.forEach(output => {
+      if (output.functionCode === 5) this.coils[output.address] = false;
+      if (hasPolarityCoil(output)) this.coils[output.polarityAddress] = false;
+      if (isAnalogOutput(output)) this.registers[output.address] = this.zeroRaw(output);
+    });
+
+    // Plant state
+    this.state = {
+      temperature: this.config.model.initialTemperature,
+      productTemperature: this.config.model.initialTemperature,
+      coolingPower: 0
+    };
+
+    // Watchdog on the heartbeat register
+    this.watchdog = { value: null, changedAt: null, tripped: false };
+
+    // Request counters, handy when checking what the app is polling
+    this.stats = { reads: 0, writes: 0, rejected: 0 };
+  }
+
+  /**
+   * Start the Modbus TCP server and the thermal model
+   */
+  start() {
+    if (this.isRunning) return Promise.resolve(this.getStatus());
+
+    return new Promise((resolve, reject) => {
+      const { host, port, unitId } = this.config;
+
+      const server = new ModbusRTU.ServerTCP(this.createVector(), { host, port, unitID: unitId });
+
+      server.once('initialized', () => {
+        this.server = server;
+        this.isRunning = true;
+        this.startedAt = new Date();
+        this.stepTimer = setInterval(() => this.step(), this.config.model.stepInterval);
+
+        console.log(`🧪 PLC simulator listening on ${host}:${port} (unit ${unitId})`);
+        this.emit('started', this.getStatus());
+        resolve(this.getStatus());
+      });
+
+      server.once('serverError', (error) => {
+        console.error('❌ PLC simulator failed to start:', error.message);
+        server.close(() => {});
+        reject(error);
+      });
+
+      server.on('socketError', (error) => {
+        console.warn('⚠️ PLC simulator socket error:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Stop the server and the model
+   */
+  stop() {
+    if (this.stepTimer) {
+      clearInterval(this.stepTimer);
+      this.stepTimer = null;
+    }
+
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    this.isRunning = false;
+
+    return new Promise(resolve => {
+      server.close(() => {
+        console.log('🧪 PLC simulator stopped');
+        this.emit('stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Callbacks used by the modbus-serial server
+   */
+  createVector() {
+    return {
+      getHoldingRegister: (address) => this.readRegister(3, address, 1)[0],
+      getMultipleHoldingRegisters: (address, length) => this.readRegister(3, address, length),
+      getInputRegister: (address) => this.readRegister(4, address, 1)[0],
+      getMultipleInputRegisters: (address, length) => this.readRegister(4, address, length),
+      getCoil: (address) => {
+        this.stats.reads++;
+        return this.coils[address] || false;
+      },
+      getDiscreteInput: () => {
+        this.stats.reads++;
+        return false;
+      },
+      setCoil: (address, value) => this.writeCoil(address, value),
+      setRegister: (address, value) => this.writeRegister(address, value),
+      // FC43 so discovery can tell the simulator apart from a real PLC
+      readDeviceIdentification: () => ({
+        0x00: 'Peltier Control',
+        0x01: 'PLC-SIM',
+        0x02: '1.0',
+        0x04: 'PLC Simulator',
+        0x05: 'Peltier container model'
+      })
+    };
+  }
+
+  /**
+   * Serve a register read from the current plant state
+   */
+  readRegister(functionCode, address, length) {
+    if (length === 1 && this.config.batchOnlyAddresses.includes(address)) {
+      this.stats.rejected++;
+      throw { modbusErrorCode: ILLEGAL_DATA_ADDRESS, msg: `Register ${address} is only readable in a batch` };
+    }
+
+    this.stats.reads++;
+    const image = this.buildRegisterImage(functionCode);
+    return Array.from({ length }, (_, i) => image[address + i] || 0);
+  }
+
+  /**
+   * Raw words of every mapped input for one function code, keyed by address
+   */
+  buildRegisterImage(functionCode) {
+    // Analog outputs read back as the last written value
+    const image = functionCode === 3 ? { ...this.registers } : {};
+
+    this.registerMap.inputs
+      .filter(input => input.functionCode === functionCode)
+      .forEach(input => {
+        const value = this.getInputValue(input);
+        const words = value === null
+          ? Array(DATA_TYPES[input.dataType] || 1).fill(OPEN_CIRCUIT)
+          : encodeInput(value, input);
+        words.forEach((word, i) => {
+          image[input.address + i] = word;
+        });
+      });
+
+    return image;
+  }
+
+  /**
+   * Simulated measurement for an input channel, null when no probe is modelled
+   */
+  getInputValue(input) {
+    const model = this.config.model;
+
+    switch (input.id) {
+      case this.registerMap.controlInput:
+      case 'container':
+        return this.measure(this.state.temperature);
+      case 'ambient':
+        return this.measure(model.ambientTemperature);
+      case 'heat-sink':
+        return this.measure(model.ambientTemperature + this.state.coolingPower * model.heatSinkResistance);
+      case 'product-core':
+        return this.measure(this.state.productTemperature);
+      default:
+        return null;
+    }
+  }
+
+  measure(value) {
+    return value + (Math.random() - 0.5) * 2 * this.config.model.noise;
+  }
+
+  writeCoil(address, value) {
+    this.stats.writes++;
+    this.coils[address] = !!value;
+
+    const output = this.registerMap.outputs.find(o => o.functionCode === 5 && o.address === address);
+    const reversed = this.registerMap.outputs.find(o => hasPolarityCoil(o) && o.polarityAddress === address);
+    if (reversed) {
+      console.log(`🧪 Coil ${address} (${reversed.name} polarity) -> ${value ? 'HEATING' : 'COOLING'}`);
+    } else {
+      console.log(`🧪 Coil ${address}${output ? ` (${output.name})` : ''} -> ${value ? 'ON' : 'OFF'}`);
+    }
+    this.emit('coilWrite', { address, value: !!value, peltierId: output ? output.id : reversed ? reversed.id : null });
+  }
+
+  writeRegister(address, value) {
+    this.stats.writes++;
+
+    const heartbeat = this.config.heartbeat;
+    if (heartbeat && address === heartbeat.address) {
+      this.feedWatchdog(value);
+      return;
+    }
+
+    const output = this.registerMap.outputs.find(o => isAnalogOutput(o) && o.address === address);
+    if (output) {
+      this.registers[address] = value;
+      console.log(`🧪 Register ${address} (${output.name}) -> ${value} (${(this.getDuty(output) * 100).toFixed(1)}%)`);
+    }
+    this.emit('registerWrite', { address, value, peltierId: output ? output.id : null });
+  }
+
+  /**
+   * Restart the watchdog timer when the heartbeat counter changes
+   */
+  feedWatchdog(value) {
+    if (value === this.watchdog.value) return;
+
+    this.watchdog.value = value;
+    this.watchdog.changedAt = Date.now();
+    if (this.watchdog.tripped) {
+      this.watchdog.tripped = false;
+      console.log('🧪 Heartbeat back, outputs stay off until written again');
+    }
+  }
+
+  /**
+   * Drop every output when the heartbeat stops changing, like the PLC ladder logic
+   * Unlike the real PLC the simulator only arms after the first heartbeat,
+   * so it can serve apps that have the heartbeat switched off.
+   */
+  checkWatchdog() {
+    const heartbeat = this.config.heartbeat;
+    const { changedAt, tripped } = this.watchdog;
+    if (!heartbeat || !changedAt || tripped || Date.now() - changedAt < heartbeat.timeout) return;
+
+    this.watchdog.tripped = true;
+    this.registerMap.outputs.forEach(output => {
+      if (output.functionCode === 5) this.coils[output.address] = false;
+      if (hasPolarityCoil(output)) this.coils[output.polarityAddress] = false;
+      if (isAnalogOutput(output)) this.registers[output.address] = this.zeroRaw(output);
+    });
+
+    console.log(`🧪 No heartbeat for ${Date.now() - changedAt} ms, all Peltiers off`);
+    this.emit('watchdogTrip', { since: new Date(changedAt) });
+  }
+
+  /**
+   * Raw register value that leaves an analog output at zero duty
+   */
+  zeroRaw(output) {
+    return output.signed ? encodeDuty(0, output) : output.rawMin;
+  }
+
+  /**
+   * Duty (-1-1) an output is running at, coils are either fully on or off
+   * Negative duties heat.
+   */
+  getDuty(output) {
+    if (isAnalogOutput(output)) {
+      const low = output.signed ? -100 : 0;
+      return Math.max(low, Math.min(100, decodeDuty(this.registers[output.address], output))) / 100;
+    }
+    if (!this.coils[output.address]) return 0;
+    return hasPolarityCoil(output) && this.coils[output.polarityAddress] ? -1 : 1;
+  }
+
+  /**
+   * Cooling power of a Peltier output in watts
+   */
+  getCoolingPower(peltierId) {
+    const { coolingPower, defaultCoolingPower } = this.config.model;
+    return coolingPower[peltierId] !== undefined ? coolingPower[peltierId] : defaultCoolingPower;
+  }
+
+  /**
+   * Advance the thermal model by one step
+   */
+  step() {
+    const model = this.config.model;
+    const dt = (model.stepInterval / 1000) * model.timeScale;
+
+    // Euler steps of at most one simulated second keep accelerated runs stable
+    const substeps = Math.max(1, Math.ceil(dt));
+    const h = dt / substeps;
+
+    for (let i = 0; i < substeps; i++) {
+      this.integrate(h);
+    }
+
+    this.simulatedSeconds += dt;
+    this.checkWatchdog();
+    this.emit('step', this.getStatus());
+  }
+
+  integrate(dt) {
+    const model = this.config.model;
+
+    const coolingPower = this.registerMap.outputs
+      .reduce((sum, output) => sum + this.getCoolingPower(output.id) * this.getDuty(output), 0);
+
+    const heatFlow = model.ambientConductance * (model.ambientTemperature - this.state.temperature) +
+      model.ambientLoad - coolingPower;
+
+    this.state.temperature += (heatFlow / model.thermalMass) * dt;
+    this.state.productTemperature += ((this.state.temperature - this.state.productTemperature) / model.productTimeConstant) * dt;
+    this.state.coolingPower = coolingPower;
+  }
+
+  /**
+   * Change model parameters while running
+   */
+  updateModel(params) {
+    this.config.model = { ...this.config.model, ...params };
+
+    if (params.stepInterval && this.stepTimer) {
+      clearInterval(this.stepTimer);
+      this.stepTimer = setInterval(() => this.step(), this.config.model.stepInterval);
+    }
+
+    this.emit('modelChanged', this.config.model);
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      host: this.config.host,
+      port: this.config.port,
+      unitId: this.config.unitId,
+      startedAt: this.startedAt,
+      simulatedSeconds: this.simulatedSeconds,
+      temperature: this.state.temperature,
+      productTemperature: this.state.productTemperature,
+      coolingPower: this.state.coolingPower,
+      outputs: this.registerMap.outputs.map(output => ({
+        id: output.id,
+        name: output.name,
+        address: output.address,
+        state: this.getDuty(output) !== 0,
+        duty: Math.abs(this.getDuty(output)) * 100,
+        heating: this.getDuty(output) < 0
+      })),
+      watchdog: this.config.heartbeat ? { ...this.watchdog, ...this.config.heartbeat } : null,
+      model: this.config.model,
+      stats: this.stats
+    };
+  }
+}
+
+module.exports = PlcSimulator;
+module.exports.createDefaultSimulatorConfig = createDefaultSimulatorConfig;
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const SEGMENT_TYPES = ['step', 'ramp', 'hold', 'wait-stable'];
+const TICK_INTERVAL = 1000;         // ms between segment updates
+const SAVE_INTERVAL = 10000;        // ms of running between progress saves
+
+/**
+ * Check a ramp/soak profile
+ *
+ * Segments:
+ *   step        - { setpoint } change the setpoint at once
+ *   ramp        - { setpoint, rate } move to the setpoint at rate °C/min
+ *   hold        - { duration } keep the setpoint for duration minutes
+ *   wait-stable - { timeout } wait until the controller reports a stable temperature,
+ *                 the run pauses after timeout minutes (0 waits as long as it takes)
+ *
+ * @param {Object} profile - { id, name, segments }
+ * @param {Object} [limits] - { min, max } setpoint range of the device that runs it
+ * @returns {string[]} List of problems, empty when the profile can run
+ */
+function validateProfile(profile, limits = null) {
+  const errors = [];
+
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    errors.push('Profile needs a name');
+  }
+  if (!profile || !Array.isArray(profile.segments) || profile.segments.length === 0) {
+    errors.push('Profile needs at least one segment');
+    return errors;
+  }
+
+  profile.segments.forEach((segment, index) => {
+    const label = `Segment ${index + 1}`;
+
+    if (!SEGMENT_TYPES.includes(segment.type)) {
+      errors.push(`${label}: unknown type "${segment.type}"`);
+      return;
+    }
+
+    if (segment.type === 'step' || segment.type === 'ramp') {
+      if (!Number.isFinite(segment.setpoint)) {
+        errors.push(`${label}: setpoint must be a number`);
+      } else if (limits && (segment.setpoint < limits.min || segment.setpoint > limits.max)) {
+        errors.push(`${label}: setpoint ${segment.setpoint}°C is outside the allowed ${limits.min}°C to ${limits.max}°C`);
+      }
+    }
+    if (segment.type === 'ramp' && !(Number.isFinite(segment.rate) && segment.rate > 0)) {
+      errors.push(`${label}: ramp rate must be above 0 °C/min`);
+    }
+    if (segment.type === 'hold' && !(Number.isFinite(segment.duration) && segment.duration > 0)) {
+      errors.push(`${label}: hold duration must be above 0 minutes`);
+    }
+    if (segment.type === 'wait-stable' && !(Number.isFinite(segment.timeout) && segment.timeout >= 0)) {
+      errors.push(`${label}: timeout must be 0 or more minutes`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Runs a ramp/soak profile on one device by driving its control service's setpoint
+ *
+ * Segment time only counts while the run is active, so a pause or an app
+ * restart continues a hold or ramp where it stopped. Progress is written to a
+ * state file and picked up again by restore().
+ */
+class ProfileRunner extends EventEmitter {
+  /**
+   * @param {TemperatureControlService} controlService - Setpoint and stability of the device
+   */
+  constructor(controlService) {
+    super();
+    this.controlService = controlService;
+    this.stateFile = null;
+    this.run = null;
+    this.timer = null;
+    this.lastTick = null;
+    this.lastSave = 0;
+  }
+
+  setStateFile(filePath) {
+    this.stateFile = filePath;
+  }
+
+  /**
+   * Start a profile from its first segment, replacing any active run
+   */
+  start(profile) {
+    const errors = validateProfile(profile, this.controlService.getSetpointSettings());
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.stopTimer();
+    this.run = {
+      profile: JSON.parse(JSON.stringify(profile)),
+      status: 'running',
+      startedAt: new Date(),
+      finishedAt: null,
+      segmentIndex: 0,
+      segmentElapsed: 0,        // ms of active time in the current segment
+      rampFrom: null,
+      setpoint: null,           // Last setpoint the profile applied
+      pauseReason: null,
+      error: null
+    };
+
+    console.log(`📈 Profile "${profile.name}" started (${profile.segments.length} segments)`);
+    this.enterSegment(0);
+    if (this.isActive()) this.startTimer();
+    this.save();
+    this.emitProgress();
+  }
+
+  pause(reason = 'Paused by operator') {
+    if (!this.run || this.run.status !== 'running') {
+      throw new Error('No profile is running');
+    }
+
+    this.tick();
+    if (this.run.status === 'running') this.hold(reason);
+  }
+  
+  hold(reason) {
+    this.stopTimer();
+    this.run.status = 'paused';
+    this.run.pauseReason = reason;
+    console.log(`⏸️ Profile "${this.run.profile.name}" paused: ${reason}`);
+    this.save();
+    this.emitProgress();
+  }
+
+  resume() {
+    if (!this.run || this.run.status !== 'paused') {
+      throw new Error('No profile is paused');
+    }
+
+    this.run.status = 'running';
+    this.run.pauseReason = null;
+    // A wait that timed out gets its full timeout again
+    if (this.currentSegment().type === 'wait-stable') {
+      this.run.segmentElapsed = 0;
+    }
+    console.log(`▶️ Profile "${this.run.profile.name}" resumed`);
+    this.startTimer();
+    this.save();
+    this.emitProgress();
+  }
+
+  /**
+   * Go on with the next segment, the current one counts as done
+   */
+  skip() {
+    if (!this.isActive()) {
+      throw new Error('No profile is running');
+    }
+
+    console.log(`⏭️ Profile "${this.run.profile.name}" skipped segment ${this.run.segmentIndex + 1}`);
+    this.enterSegment(this.run.segmentIndex + 1);
+    if (!this.isActive()) this.stopTimer();
+    this.save();
+    this.emitProgress();
+  }
+
+  stop() {
+    if (!this.isActive()) {
+      throw new Error('No profile is running');
+    }
+
+    this.finish('stopped');
+    console.log(`⏹️ Profile "${this.run.profile.name}" stopped`);
+  }
+
+  /**
+   * Continue a run that was active when the app closed
+   */
+  restore() {
+    if (!this.stateFile || !fs.existsSync(this.stateFile)) return false;
+
+    try {
+      const run = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      this.run = run;
+      if (!this.isActive()) return false;
+
+      // Put the setpoint back where the profile had it
+      const segment = this.currentSegment();
+      if (segment.type === 'ramp') {
+        this.applyRamp(segment);
+      } else if (run.setpoint !== null) {
+        this.setSetpoint(run.setpoint);
+      }
+      if (!this.isActive()) return false;
+
+      if (run.status === 'running') this.startTimer();
+      console.log(`📈 Profile "${run.profile.name}" restored at segment ${run.segmentIndex + 1} (${run.status})`);
+      this.emitProgress();
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Profile progress in ${this.stateFile} ignored: ${error.message}`);
+      this.run = null;
+      return false;
+    }
+  }
+
+  /**
+   * Stop the timer without ending the run, e.g. when the app closes
+   */
+  dispose() {
+    if (this.isActive()) {
+      this.tick();
+      this.save();
+    }
+    this.stopTimer();
+  }
+
+  /**
+   * Forget the run and its saved progress, e.g. when the device is removed
+   */
+  discard() {
+    this.stopTimer();
+    this.run = null;
+    if (this.stateFile) {
+      fs.rmSync(this.stateFile, { force: true });
+    }
+  }
+
+  isActive() {
+    return !!this.run && (this.run.status === 'running' || this.run.status === 'paused');
+  }
+
+  currentSegment() {
+    return this.run.profile.segments[this.run.segmentIndex];
+  }
+
+  startTimer() {
+    this.stopTimer();
+    this.lastTick = Date.now();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+  }
+
+  stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.lastTick = null;
+  }
+
+  enterSegment(index) {
+    const { segments } = this.run.profile;
+
+    // Steps take no time, carry on until a segment that does
+    while (index < segments.length && segments[index].type === 'step') {
+      if (!this.setSetpoint(segments[index].setpoint)) return;
+      index++;
+    }
+
+    if (index >= segments.length) {
+      this.run.segmentIndex = segments.length - 1;
+      this.finish('completed');
+      console.log(`✅ Profile "${this.run.profile.name}" completed`);
+      return;
+    }
+
+    this.run.segmentIndex = index;
+    this.run.segmentElapsed = 0;
+    this.run.rampFrom = segments[index].type === 'ramp'
+      ? this.controlService.getSetpointSettings().target
+      : null;
+  }
+
+  tick() {
+    if (!this.run || this.run.status !== 'running') return;
+
+    const now = Date.now();
+    this.run.segmentElapsed += now - (this.lastTick || now);
+    this.lastTick = now;
+
+    const segment = this.currentSegment();
+    let done = false;
+
+    if (segment.type === 'ramp') {
+      done = this.applyRamp(segment);
+    } else if (segment.type === 'hold') {
+      done = this.run.segmentElapsed >= segment.duration * 60000;
+    } else if (segment.type === 'wait-stable') {
+      done = this.controlService.isStable();
+      if (!done && segment.timeout > 0 && this.run.segmentElapsed >= segment.timeout * 60000) {
+        this.hold(`Not stable after ${segment.timeout} min`);
+        return;
+      }
+    }
+
+    if (done) {
+      this.enterSegment(this.run.segmentIndex + 1);
+      if (!this.isActive()) this.stopTimer();
+      this.save();
+    } else if (now - this.lastSave >= SAVE_INTERVAL) {
+      this.save();
+    }
+
+    if (this.run) this.emitProgress();
+  }
+
+  /**
+   * Setpoint along the ramp for the time spent in it
+   * @returns {boolean} true once the ramp has reached its setpoint
+   */
+  applyRamp(segment) {
+    const { rampFrom, segmentElapsed } = this.run;
+    const travelled = segment.rate * segmentElapsed / 60000;
+
+    if (travelled >= Math.abs(segment.setpoint - rampFrom)) {
+      this.setSetpoint(segment.setpoint);
+      return true;
+    }
+
+    const setpoint = Math.round((rampFrom + Math.sign(segment.setpoint - rampFrom) * travelled) * 10) / 10;
+    if (setpoint !== this.controlService.getSetpointSettings().target) {
+      this.setSetpoint(setpoint);
+    }
+    return false;
+  }
+
+  /**
+   * Setpoint changes can fail when the device's limits changed after the start
+   */
+  setSetpoint(setpoint) {
+    try {
+      this.controlService.setSetpoint(setpoint);
+      this.run.setpoint = setpoint;
+      return true;
+    } catch (error) {
+      this.run.error = error.message;
+      this.finish('failed');
+      console.error(`❌ Profile "${this.run.profile.name}" failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  finish(status) {
+    this.stopTimer();
+    this.run.status = status;
+    this.run.finishedAt = new Date();
+    this.run.pauseReason = null;
+    this.save();
+    this.emitProgress();
+  }
+
+  save() {
+    if (!this.stateFile || !this.run) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      fs.writeFileSync(this.stateFile, JSON.stringify(this.run, null, 2));
+      this.lastSave = Date.now();
+    } catch (error) {
+      console.error('Error saving profile progress:', error.message);
+    }
+  }
+
+  emitProgress() {
+    this.emit('progress', this.getStatus());
+  }
+
+  getStatus() {
+    if (!this.run) return null;
+
+    const { profile, status, startedAt, finishedAt, segmentIndex, segmentElapsed, pauseReason, error } = this.run;
+    return {
+      profileId: profile.id,
+      name: profile.name,
+      segments: profile.segments,
+      status,
+      startedAt,
+      finishedAt,
+      segmentIndex,
+      segmentElapsed,
+      pauseReason,
+      error
+    };
+  }
+}
+
+module.exports = ProfileRunner;
+module.exports.validateProfile = validateProfile;
+module.exports.SEGMENT_TYPES = SEGMENT_TYPES;
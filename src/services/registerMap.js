@@ -0,0 +1,392 @@
+/**
+ * PLC register map
+ * Describes where every input channel and Peltier output lives on the PLC so
+ * cabinets with different I/O wiring only need a settings change.
+ */
+
+// Modbus read function codes -> modbus-serial client methods
+const READ_FUNCTIONS = {
+  1: 'readCoils',
+  2: 'readDiscreteInputs',
+  3: 'readHoldingRegisters',
+  4: 'readInputRegisters'
+};
+
+// Modbus write function codes -> modbus-serial client methods
+const WRITE_FUNCTIONS = {
+  5: 'writeCoil',
+  6: 'writeRegister'
+};
+
+// Data types and the number of 16-bit words they occupy
+const DATA_TYPES = {
+  bool: 1,
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float32: 2
+};
+
+// GMT thermocouples use signed 16-bit values representing temperature * 10
+function thermocouple(id, name, address) {
+  return {
+    id,
+    name,
+    functionCode: 3,
+    address,
+    dataType: 'int16',
+    scale: 0.1,
+    offset: 0,
+    units: '°C'
+  };
+}
+
+const DEFAULT_REGISTER_MAP = {
+  // Batches are tried in order; the GMT PLC only answers 2026 as part of a batch
+  batches: [
+    { id: 'primary', functionCode: 3, start: 2026, length: 10 },
+    { id: 'fallback', functionCode: 3, start: 2020, length: 10 }
+  ],
+  // One thermocouple per register of the 2026-2035 batch
+  inputs: [
+    thermocouple('container', 'Container', 2026),
+    thermocouple('heat-sink', 'Heat Sink', 2027),
+    thermocouple('ambient', 'Ambient', 2028),
+    thermocouple('product-core', 'Product Core', 2029),
+    thermocouple('tc-5', 'Thermocouple 5', 2030),
+    thermocouple('tc-6', 'Thermocouple 6', 2031),
+    thermocouple('tc-7', 'Thermocouple 7', 2032),
+    thermocouple('tc-8', 'Thermocouple 8', 2033),
+    thermocouple('tc-9', 'Thermocouple 9', 2034),
+    thermocouple('tc-10', 'Thermocouple 10', 2035)
+  ],
+  // FC05 outputs are switched coils. FC06 outputs write a duty to a holding register
+  // (rawMin at 0 %, rawMax at 100 %) for PLCs that run the SSR PWM or an analog output themselves.
+  // H-bridge wiring makes an output reversible for heating: a coil output gets a second coil at
+  // polarityAddress (on = heating), an analog output with signed: true takes -100 % (rawMin,
+  // full heating) to 100 % (rawMax, full cooling).
+  outputs: [
+    { id: 1, name: 'Peltier 1', functionCode: 5, address: 2 },
+    { id: 2, name: 'Peltier 2', functionCode: 5, address: 4 }
+  ],
+  // Input channel used as the process temperature
+  controlInput: 'container'
+};
+
+/**
+ * Create a fresh copy of the default register map
+ */
+function createDefaultRegisterMap() {
+  return JSON.parse(JSON.stringify(DEFAULT_REGISTER_MAP));
+}
+
+/**
+ * Fill in missing fields so older settings files keep working
+ */
+function normalizeRegisterMap(map) {
+  const defaults = createDefaultRegisterMap();
+  if (!map || typeof map !== 'object') return defaults;
+
+  const inputs = Array.isArray(map.inputs) ? map.inputs : defaults.inputs;
+
+  return {
+    batches: Array.isArray(map.batches) ? map.batches : defaults.batches,
+    inputs: inputs.map(input => ({
+      dataType: 'int16',
+      scale: 1,
+      offset: 0,
+      units: '',
+      ...input
+    })),
+    outputs: (Array.isArray(map.outputs) ? map.outputs : defaults.outputs).map(output =>
+      isAnalogOutput(output) ? { rawMin: 0, rawMax: 100, ...output } : output),
+    controlInput: map.controlInput || (inputs[0] && inputs[0].id) || defaults.controlInput
+  };
+}
+
+/**
+ * Whether an output takes a duty in a holding register rather than a coil state
+ */
+function isAnalogOutput(output) {
+  return !!output && output.functionCode === 6;
+}
+
+/**
+ * Whether an output can reverse its Peltier to heat
+ */
+function isBidirectionalOutput(output) {
+  if (!output) return false;
+  return isAnalogOutput(output) ? !!output.signed : output.polarityAddress !== undefined && output.polarityAddress !== null;
+}
+
+/**
+ * Raw register value for a duty of an analog output
+ * Negative raw values of signed outputs are written as 16-bit two's complement.
+ * @param {number} duty - 0-100 %, signed outputs -100 % (heating) to 100 % (cooling)
+ */
+function encodeDuty(duty, output) {
+  if (output.signed) {
+    const clamped = Math.max(-100, Math.min(100, Number(duty) || 0));
+    const raw = Math.round(output.rawMin + ((clamped + 100) / 200) * (output.rawMax - output.rawMin));
+    return raw < 0 ? raw + 65536 : raw;
+  }
+  
+  const clamped = Math.max(0, Math.min(100, Number(duty) || 0));
+  return Math.round(output.rawMin + (clamped / 100) * (output.rawMax - output.rawMin));
+}
+
+/**
+ * Duty of a raw register value of an analog output, 0-100 % or -100-100 % for signed ones
+ */
+function decodeDuty(raw, output) {
+  if (output.signed) {
+    const value = Math.min(output.rawMin, output.rawMax) < 0 && raw > 32767 ? raw - 65536 : raw;
+    return ((value - output.rawMin) / (output.rawMax - output.rawMin)) * 200 - 100;
+  }
+  return ((raw - output.rawMin) / (output.rawMax - output.rawMin)) * 100;
+}
+
+function isAddress(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 65535;
+}
+
+// Raw values of signed outputs may be given as int16
+function isRawValue(value, signed) {
+  return signed ? Number.isInteger(value) && value >= -32768 && value <= 65535 : isAddress(value);
+}
+
+/**
+ * Validate a register map
+ * @returns {string[]} List of problems, empty when the map is usable
+ */
+function validateRegisterMap(map) {
+  const errors = [];
+
+  if (!map || typeof map !== 'object') {
+    return ['Register map is missing'];
+  }
+
+  const batches = Array.isArray(map.batches) ? map.batches : [];
+  const inputs = Array.isArray(map.inputs) ? map.inputs : [];
+  const outputs = Array.isArray(map.outputs) ? map.outputs : [];
+
+  batches.forEach((batch, index) => {
+    const label = `Batch ${batch.id || index + 1}`;
+    if (!READ_FUNCTIONS[batch.functionCode]) {
+      errors.push(`${label}: unsupported function code ${batch.functionCode}`);
+    }
+    if (!isAddress(batch.start)) {
+      errors.push(`${label}: start address must be 0-65535`);
+    }
+    if (!Number.isInteger(batch.length) || batch.length < 1 || batch.length > 125) {
+      errors.push(`${label}: length must be 1-125 registers`);
+    }
+  });
+
+  if (inputs.length === 0) {
+    errors.push('At least one input channel is required');
+  }
+
+  const inputIds = new Set();
+  inputs.forEach((input, index) => {
+    const label = `Input ${input.name || input.id || index + 1}`;
+    if (!input.id) {
+      errors.push(`${label}: id is required`);
+    } else if (inputIds.has(input.id)) {
+      errors.push(`${label}: duplicate id "${input.id}"`);
+    }
+    inputIds.add(input.id);
+
+    if (!READ_FUNCTIONS[input.functionCode]) {
+      errors.push(`${label}: unsupported function code ${input.functionCode}`);
+    }
+    if (!isAddress(input.address)) {
+      errors.push(`${label}: address must be 0-65535`);
+    }
+    if (!DATA_TYPES[input.dataType]) {
+      errors.push(`${label}: unknown data type "${input.dataType}"`);
+    }
+    if (typeof input.scale !== 'number' || !isFinite(input.scale) || input.scale === 0) {
+      errors.push(`${label}: scale must be a non-zero number`);
+    }
+    if (typeof input.offset !== 'number' || !isFinite(input.offset)) {
+      errors.push(`${label}: offset must be a number`);
+    }
+  });
+
+  if (map.controlInput && !inputIds.has(map.controlInput)) {
+    errors.push(`Control input "${map.controlInput}" is not a defined input channel`);
+  }
+
+  const outputIds = new Set();
+  const outputAddresses = new Set();
+  outputs.forEach((output, index) => {
+    const label = `Output ${output.name || output.id || index + 1}`;
+    if (output.id === undefined || output.id === null || output.id === '') {
+      errors.push(`${label}: id is required`);
+    } else if (outputIds.has(String(output.id))) {
+      errors.push(`${label}: duplicate id "${output.id}"`);
+    }
+    outputIds.add(String(output.id));
+
+    if (!WRITE_FUNCTIONS[output.functionCode]) {
+      errors.push(`${label}: unsupported function code ${output.functionCode}`);
+    }
+    if (!isAddress(output.address)) {
+      errors.push(`${label}: address must be 0-65535`);
+    } else if (outputAddresses.has(`${output.functionCode}:${output.address}`)) {
+      errors.push(`${label}: address ${output.address} is already used by another output`);
+    }
+    outputAddresses.add(`${output.functionCode}:${output.address}`);
+
+    if (isAnalogOutput(output)) {
+      if (!isRawValue(output.rawMin, output.signed) || !isRawValue(output.rawMax, output.signed)) {
+        errors.push(`${label}: raw range must be ${output.signed ? '-32768-65535' : '0-65535'}`);
+      } else if (output.rawMin === output.rawMax) {
+        errors.push(`${label}: raw values for ${output.signed ? '-100 %' : '0 %'} and 100 % must differ`);
+      }
+    }
+
+    if (output.polarityAddress !== undefined && output.polarityAddress !== null) {
+      if (isAnalogOutput(output)) {
+        errors.push(`${label}: analog outputs reverse with signed duties, not a polarity coil`);
+      } else if (!isAddress(output.polarityAddress)) {
+        errors.push(`${label}: polarity coil address must be 0-65535`);
+      } else if (outputAddresses.has(`5:${output.polarityAddress}`)) {
+        errors.push(`${label}: polarity coil ${output.polarityAddress} is already used by another output`);
+      }
+      outputAddresses.add(`5:${output.polarityAddress}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Batches (in priority order) whose range covers the given input channel
+ */
+function findBatchesForInput(map, input) {
+  const words = DATA_TYPES[input.dataType] || 1;
+
+  return map.batches.filter(batch =>
+    batch.functionCode === input.functionCode &&
+    input.address >= batch.start &&
+    input.address + words <= batch.start + batch.length
+  );
+}
+
+/**
+ * Decode an input channel from the raw words of a batch read
+ * @param {Array<number|boolean>} data - Raw batch data
+ * @param {number} index - Position of the channel's first word in the batch
+ * @param {Object} input - Input channel definition
+ * @returns {{ raw: number, value: number }}
+ */
+function decodeInput(data, index, input) {
+  let raw;
+
+  switch (input.dataType) {
+    case 'bool':
+      raw = data[index] ? 1 : 0;
+      break;
+    case 'int16':
+      // Handle signed 16-bit conversion
+      raw = data[index] > 32767 ? data[index] - 65536 : data[index];
+      break;
+    case 'uint16':
+      raw = data[index];
+      break;
+    case 'int32':
+    case 'uint32':
+    case 'float32': {
+      // High word first unless the channel says otherwise
+      const [high, low] = input.wordOrder === 'little'
+        ? [data[index + 1], data[index]]
+        : [data[index], data[index + 1]];
+      const buffer = Buffer.alloc(4);
+      buffer.writeUInt16BE(high, 0);
+      buffer.writeUInt16BE(low, 2);
+      raw = input.dataType === 'int32' ? buffer.readInt32BE(0)
+        : input.dataType === 'uint32' ? buffer.readUInt32BE(0)
+        : buffer.readFloatBE(0);
+      break;
+    }
+    default:
+      throw new Error(`Unknown data type: ${input.dataType}`);
+  }
+
+  return {
+    raw,
+    value: raw * input.scale + input.offset
+  };
+}
+
+/**
+ * Encode an engineering value into the raw words of an input channel
+ * Inverse of decodeInput, used to build register images
+ * @returns {number[]} Unsigned 16-bit words
+ */
+function encodeInput(value, input) {
+  const raw = (value - input.offset) / input.scale;
+
+  switch (input.dataType) {
+    case 'bool':
+      return [raw ? 1 : 0];
+    case 'int16': {
+      const clamped = Math.max(-32768, Math.min(32767, Math.round(raw)));
+      return [clamped < 0 ? clamped + 65536 : clamped];
+    }
+    case 'uint16':
+      return [Math.max(0, Math.min(65535, Math.round(raw)))];
+    case 'int32':
+    case 'uint32':
+    case 'float32': {
+      const buffer = Buffer.alloc(4);
+      if (input.dataType === 'int32') buffer.writeInt32BE(Math.round(raw), 0);
+      else if (input.dataType === 'uint32') buffer.writeUInt32BE(Math.max(0, Math.round(raw)), 0);
+      else buffer.writeFloatBE(raw, 0);
+      const high = buffer.readUInt16BE(0);
+      const low = buffer.readUInt16BE(2);
+      return input.wordOrder === 'little' ? [low, high] : [high, low];
+    }
+    default:
+      throw new Error(`Unknown data type: ${input.dataType}`);
+  }
+}
+
+/**
+ * Quality flag for a decoded channel value
+ * Thermocouple inputs report the end of their raw range when the probe is open
+ */
+function assessQuality(raw, value, input) {
+  if ((input.dataType === 'int16' && (raw === 32767 || raw === -32768)) ||
+      (input.dataType === 'uint16' && raw === 65535)) {
+    return 'open-circuit';
+  }
+  if (!isFinite(value)) {
+    return 'bad';
+  }
+  if ((typeof input.min === 'number' && value < input.min) ||
+      (typeof input.max === 'number' && value > input.max)) {
+    return 'out-of-range';
+  }
+  return 'good';
+}
+
+module.exports = {
+  READ_FUNCTIONS,
+  WRITE_FUNCTIONS,
+  DATA_TYPES,
+  createDefaultRegisterMap,
+  normalizeRegisterMap,
+  validateRegisterMap,
+  findBatchesForInput,
+  decodeInput,
+  encodeInput,
+  assessQuality,
+  isAnalogOutput,
+  isBidirectionalOutput,
+  encodeDuty,
+  decodeDuty
+};
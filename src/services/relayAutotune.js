@@ -0,0 +1,223 @@
+const RELAY_AMPLITUDE = 50;         // Relay swings the bank between 0% and 100%, half of that
+
+/**
+ * Rules from ultimate gain Ku and period Tu to PID gains
+ * kp = kp * Ku, Ti = ti * Tu, Td = td * Tu
+ */
+const TUNING_RULES = {
+  'ziegler-nichols': { label: 'Ziegler-Nichols', kp: 0.6, ti: 0.5, td: 0.125 },
+  'tyreus-luyben': { label: 'Tyreus-Luyben', kp: 0.45, ti: 2.2, td: 1 / 6.3 },
+  'no-overshoot': { label: 'No overshoot', kp: 0.2, ti: 0.5, td: 1 / 3 }
+};
+
+function createDefaultAutotuneConfig() {
+  return {
+    hysteresis: 0.2,            // °C either side of the setpoint before the relay switches
+    cycles: 3,                  // Oscillations measured after the first one settles in
+    maxExcursion: 3.0,          // °C from the setpoint that aborts the experiment
+    maxDuration: 60,            // Minutes before the experiment gives up
+    minSwitchInterval: 10       // Seconds the coils stay in a state at least
+  };
+}
+
+function validateAutotuneConfig(config) {
+  const errors = [];
+
+  if (!(config.hysteresis > 0)) {
+    errors.push('Hysteresis must be above 0');
+  }
+  if (!(Number.isInteger(config.cycles) && config.cycles >= 1)) {
+    errors.push('Cycles must be a whole number of at least 1');
+  }
+  if (!(config.maxExcursion > config.hysteresis)) {
+    errors.push('Max excursion must be above the hysteresis');
+  }
+  if (!(config.maxDuration > 0)) {
+    errors.push('Max duration must be above 0');
+  }
+  if (!(config.minSwitchInterval >= 0)) {
+    errors.push('Min switch interval must be 0 or more');
+  }
+
+  return errors;
+}
+
+/**
+ * PID gains for each tuning rule, in %/°C with time in seconds
+ */
+function gainsFromUltimate(ku, tu) {
+  const gains = {};
+  Object.entries(TUNING_RULES).forEach(([rule, factors]) => {
+    const kp = factors.kp * ku;
+    gains[rule] = {
+      kp,
+      ki: kp / (factors.ti * tu),
+      kd: kp * factors.td * tu
+    };
+  });
+  return gains;
+}
+
+/**
+ * Åström-Hägglund relay experiment around a setpoint
+ *
+ * All Peltiers cool above setpoint + hysteresis and stop below setpoint -
+ * hysteresis, which makes the temperature oscillate at the plant's ultimate
+ * period. The first cycle is discarded, the ones after it give the period Tu
+ * and the amplitude a, and the ultimate gain follows from the describing
+ * function of a relay with hysteresis: Ku = 4d / (π √(a² - ε²)).
+ */
+class RelayAutotune {
+  /**
+   * @param {Object} options - { setpoint, peltierIds, ...createDefaultAutotuneConfig() }
+   */
+  constructor({ setpoint, peltierIds, ...config }) {
+    this.config = { ...createDefaultAutotuneConfig(), ...config };
+    const errors = validateAutotuneConfig(this.config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.setpoint = setpoint;
+    this.peltierIds = [...peltierIds];
+    this.status = 'running';
+    this.reason = null;
+    this.startedAt = null;
+    this.finishedAt = null;
+
+    this.relayOn = null;
+    this.lastSwitch = null;
+    this.cycleStart = null;           // Time of the switch-on that opened the current cycle
+    this.cycleMin = Infinity;
+    this.cycleMax = -Infinity;
+    this.cycles = [];                 // Completed cycles { period, amplitude }
+    this.lastTemperature = null;
+    this.result = null;
+  }
+
+  /**
+   * Relay output for a temperature sample
+   * @returns {Object} { peltiers, duties } while running, null once finished
+   */
+  update(temperature, now = Date.now()) {
+    if (this.status !== 'running') return null;
+
+    if (this.startedAt === null) {
+      this.startedAt = now;
+      this.relayOn = temperature > this.setpoint;
+      this.lastSwitch = now;
+    }
+    this.lastTemperature = temperature;
+
+    const { hysteresis, maxExcursion, maxDuration, minSwitchInterval } = this.config;
+    if (Math.abs(temperature - this.setpoint) > maxExcursion) {
+      this.abort(`Temperature ${temperature.toFixed(2)}°C is more than ${maxExcursion}°C from the setpoint`, now);
+      return null;
+    }
+    if (now - this.startedAt > maxDuration * 60000) {
+      this.abort(`No steady oscillation within ${maxDuration} min`, now);
+      return null;
+    }
+
+    if (this.cycleStart !== null) {
+      this.cycleMin = Math.min(this.cycleMin, temperature);
+      this.cycleMax = Math.max(this.cycleMax, temperature);
+    }
+
+    const held = now - this.lastSwitch < minSwitchInterval * 1000;
+    if (!held && !this.relayOn && temperature > this.setpoint + hysteresis) {
+      this.switchOn(now);
+    } else if (!held && this.relayOn && temperature < this.setpoint - hysteresis) {
+      this.relayOn = false;
+      this.lastSwitch = now;
+    }
+
+    if (this.status !== 'running') return null;
+    return this.getOutputs();
+  }
+
+  switchOn(now) {
+    if (this.cycleStart !== null) {
+      this.cycles.push({
+        period: (now - this.cycleStart) / 1000,
+        amplitude: (this.cycleMax - this.cycleMin) / 2
+      });
+    }
+    this.cycleStart = now;
+    this.cycleMin = Infinity;
+    this.cycleMax = -Infinity;
+    this.relayOn = true;
+    this.lastSwitch = now;
+
+    // The first cycle starts from wherever the plant was, it only settles the oscillation
+    if (this.cycles.length > this.config.cycles) {
+      this.finish(now);
+    }
+  }
+
+  finish(now) {
+    const measured = this.cycles.slice(1);
+    const tu = measured.reduce((sum, cycle) => sum + cycle.period, 0) / measured.length;
+    const amplitude = measured.reduce((sum, cycle) => sum + cycle.amplitude, 0) / measured.length;
+    const { hysteresis } = this.config;
+
+    if (amplitude <= hysteresis) {
+      this.abort(`Oscillation of ±${amplitude.toFixed(2)}°C is within the hysteresis, nothing to measure`, now);
+      return;
+    }
+
+    const ku = (4 * RELAY_AMPLITUDE) / (Math.PI * Math.sqrt(amplitude * amplitude - hysteresis * hysteresis));
+    const periods = measured.map(cycle => cycle.period);
+
+    this.result = {
+      ku,
+      tu,
+      amplitude,
+      // How much the measured periods differ, large values mean a noisy or drifting plant
+      periodSpread: (Math.max(...periods) - Math.min(...periods)) / tu,
+      gains: gainsFromUltimate(ku, tu)
+    };
+    this.status = 'completed';
+    this.finishedAt = now;
+  }
+
+  abort(reason, now = Date.now()) {
+    if (this.status !== 'running') return;
+
+    this.status = 'aborted';
+    this.reason = reason;
+    this.finishedAt = now;
+  }
+
+  getOutputs() {
+    const peltiers = {};
+    const duties = {};
+    this.peltierIds.forEach(id => {
+      peltiers[id] = this.relayOn;
+      duties[id] = this.relayOn ? 100 : 0;
+    });
+    return { peltiers, duties };
+  }
+
+  getStatus() {
+    return {
+      status: this.status,
+      reason: this.reason,
+      setpoint: this.setpoint,
+      config: { ...this.config },
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      relayOn: this.relayOn,
+      temperature: this.lastTemperature,
+      cyclesDone: Math.max(0, this.cycles.length - 1),
+      cyclesNeeded: this.config.cycles,
+      cycles: this.cycles.map(cycle => ({ ...cycle })),
+      result: this.result
+    };
+  }
+}
+
+module.exports = RelayAutotune;
+module.exports.TUNING_RULES = TUNING_RULES;
+module.exports.createDefaultAutotuneConfig = createDefaultAutotuneConfig;
+module.exports.validateAutotuneConfig = validateAutotuneConfig;
@@ -0,0 +1,380 @@
+const { EventEmitter } = require('events');
+
+const RULE_TYPES = ['weekly', 'date'];
+const CHECK_INTERVAL = 15000;       // ms between schedule checks
+const UPCOMING_DAYS = 7;            // How far ahead getStatus() lists transitions
+const DAY = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function createDefaultSchedule() {
+  return {
+    enabled: false,
+    rules: [],
+    overrides: []
+  };
+}
+
+function parseDate(value) {
+  const match = DATE_PATTERN.exec(value || '');
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getDate() === Number(match[3]) ? date : null;
+}
+
+function validateValues(values, label, limits, errors) {
+  const hasSetpoint = values.setpoint !== undefined && values.setpoint !== null;
+  const hasAutoControl = values.autoControl !== undefined && values.autoControl !== null;
+
+  if (!hasSetpoint && !hasAutoControl) {
+    errors.push(`${label}: set a setpoint, auto control or both`);
+  }
+  if (hasSetpoint) {
+    if (!Number.isFinite(values.setpoint)) {
+      errors.push(`${label}: setpoint must be a number`);
+    } else if (limits && (values.setpoint < limits.min || values.setpoint > limits.max)) {
+      errors.push(`${label}: setpoint ${values.setpoint}°C is outside the allowed ${limits.min}°C to ${limits.max}°C`);
+    }
+  }
+  if (hasAutoControl && typeof values.autoControl !== 'boolean') {
+    errors.push(`${label}: auto control must be on or off`);
+  }
+}
+
+/**
+ * Check a device schedule
+ *
+ * Rules change the setpoint and/or switch auto control at a local time:
+ *   weekly - { days: [0-6, 0 is Sunday], time: 'HH:MM', setpoint?, autoControl? }
+ *   date   - { date: 'YYYY-MM-DD', time: 'HH:MM', setpoint?, autoControl? }
+ * Overrides are one-off windows { from, until, setpoint?, autoControl? } during
+ * which rules are skipped, the scheduled state returns at until.
+ *
+ * @param {Object} schedule - { enabled, rules, overrides }
+ * @param {Object} [limits] - { min, max } setpoint range of the device
+ * @returns {string[]} List of problems, empty when the schedule can be used
+ */
+function validateSchedule(schedule, limits = null) {
+  const errors = [];
+
+  if (!schedule || !Array.isArray(schedule.rules) || !Array.isArray(schedule.overrides)) {
+    return ['Schedule needs rules and overrides lists'];
+  }
+
+  schedule.rules.forEach((rule, index) => {
+    const label = `Rule ${index + 1}`;
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: unknown type "${rule.type}"`);
+      return;
+    }
+    if (!TIME_PATTERN.test(rule.time || '')) {
+      errors.push(`${label}: time must be HH:MM`);
+    }
+    if (rule.type === 'weekly' && !(Array.isArray(rule.days) && rule.days.length > 0 &&
+      rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      errors.push(`${label}: pick at least one weekday`);
+    }
+    if (rule.type === 'date' && !parseDate(rule.date)) {
+      errors.push(`${label}: date must be YYYY-MM-DD`);
+    }
+    validateValues(rule, label, limits, errors);
+  });
+
+  const windows = [];
+  schedule.overrides.forEach((override, index) => {
+    const label = `Override ${index + 1}`;
+    const from = new Date(override.from).getTime();
+    const until = new Date(override.until).getTime();
+
+    if (!Number.isFinite(from) || !Number.isFinite(until)) {
+      errors.push(`${label}: needs a start and an end`);
+    } else if (until <= from) {
+      errors.push(`${label}: must end after it starts`);
+    } else if (windows.some(window => from < window.until && until > window.from)) {
+      errors.push(`${label}: overlaps another override`);
+    } else {
+      windows.push({ from, until });
+    }
+    validateValues(override, label, limits, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Rule transitions in (from, to], in time order
+ * A date rule at the same minute as a weekly one comes last so it wins.
+ */
+function ruleOccurrences(rules, from, to) {
+  const occurrences = [];
+
+  rules.forEach(rule => {
+    const [hours, minutes] = rule.time.split(':').map(Number);
+
+    if (rule.type === 'date') {
+      const date = parseDate(rule.date);
+      date.setHours(hours, minutes);
+      if (date > from && date <= to) occurrences.push({ at: date, rule });
+      return;
+    }
+
+    // Local midnights, so the times stay put across daylight saving changes
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    while (day <= to) {
+      if (rule.days.includes(day.getDay())) {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+        if (at > from && at <= to) occurrences.push({ at, rule });
+      }
+      day.setDate(day.getDate() + 1);
+    }
+  });
+
+  return occurrences.sort(compareOccurrences);
+}
+
+function compareOccurrences(a, b) {
+  return (a.at - b.at) || ((a.rule.type === 'date') - (b.rule.type === 'date'));
+}
+
+function applyValues(state, values) {
+  if (values.setpoint !== undefined && values.setpoint !== null) state.setpoint = values.setpoint;
+  if (values.autoControl !== undefined && values.autoControl !== null) state.autoControl = values.autoControl;
+  return state;
+}
+
+/**
+ * Setpoint and auto control the rules give at a time, ignoring overrides
+ * Fields no rule has set yet stay null.
+ */
+function ruleStateAt(rules, time) {
+  // A week back covers every weekly rule, date rules count however old they are
+  const weekly = ruleOccurrences(rules.filter(rule => rule.type === 'weekly'), new Date(time.getTime() - 7 * DAY), time);
+  const dates = ruleOccurrences(rules.filter(rule => rule.type === 'date'), new Date(0), time);
+
+  return [...weekly, ...dates]
+    .sort(compareOccurrences)
+    .reduce((state, { rule }) => applyValues(state, rule), { setpoint: null, autoControl: null });
+}
+
+function overrideWindows(overrides) {
+  return overrides.map(override => ({
+    ...override,
+    from: new Date(override.from),
+    until: new Date(override.until)
+  }));
+}
+
+/**
+ * Setpoint and auto control the schedule gives at a time, with overrides
+ */
+function scheduledStateAt(schedule, time) {
+  const state = ruleStateAt(schedule.rules, time);
+  const active = overrideWindows(schedule.overrides).find(override => override.from <= time && time < override.until);
+  return active ? applyValues(state, active) : state;
+}
+
+/**
+ * Everything the schedule changes in (from, to], in time order
+ * @returns {Object[]} { at, source, id, setpoint, autoControl }, source is 'rule', 'override' or 'override-end'
+ */
+function scheduleTransitions(schedule, from, to) {
+  const overrides = overrideWindows(schedule.overrides);
+  const overridden = (at) => overrides.some(override => override.from <= at && at < override.until);
+
+  const transitions = ruleOccurrences(schedule.rules, from, to)
+    .filter(({ at }) => !overridden(at))
+    .map(({ at, rule }) => ({
+      at,
+      source: 'rule',
+      id: rule.id,
+      setpoint: rule.setpoint !== undefined ? rule.setpoint : null,
+      autoControl: rule.autoControl !== undefined ? rule.autoControl : null
+    }));
+
+  overrides.forEach(override => {
+    if (override.from > from && override.from <= to) {
+      transitions.push({
+        at: override.from,
+        source: 'override',
+        id: override.id,
+        setpoint: override.setpoint !== undefined ? override.setpoint : null,
+        autoControl: override.autoControl !== undefined ? override.autoControl : null
+      });
+    }
+    if (override.until > from && override.until <= to) {
+      // Back to what the rules give, for the fields the override changed
+      const state = ruleStateAt(schedule.rules, override.until);
+      transitions.push({
+        at: override.until,
+        source: 'override-end',
+        id: override.id,
+        setpoint: override.setpoint !== undefined && override.setpoint !== null ? state.setpoint : null,
+        autoControl: override.autoControl !== undefined && override.autoControl !== null ? state.autoControl : null
+      });
+    }
+  });
+
+  return transitions
+    .filter(transition => transition.setpoint !== null || transition.autoControl !== null)
+    .sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Follows a device's calendar schedule by driving its control service
+ *
+ * Transitions apply as their time passes. When the service starts the device
+ * is put in the state the schedule gives for now, so a restart does not miss
+ * a transition that fell while the app was closed. A running profile owns the
+ * setpoint, transitions during a run are skipped.
+ */
+class SetpointScheduler extends EventEmitter {
+  /**
+   * @param {TemperatureControlService} controlService - Setpoint and auto control of the device
+   * @param {ProfileRunner} profileRunner - Profile runs of the same device
+   */
+  constructor(controlService, profileRunner) {
+    super();
+    this.controlService = controlService;
+    this.profileRunner = profileRunner;
+    this.schedule = createDefaultSchedule();
+    this.timer = null;
+    this.lastCheck = null;
+    this.lastTransition = null;
+  }
+
+  /**
+   * Use a schedule, throws when it does not validate
+   * Turning a schedule on applies its current state right away, editing a
+   * running one applies what the edit changed about it.
+   */
+  load(schedule, now = new Date()) {
+    const merged = { ...createDefaultSchedule(), ...schedule };
+    const errors = validateSchedule(merged, this.controlService.getSetpointSettings());
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const wasEnabled = this.schedule.enabled && this.timer;
+    // Transitions of the old schedule due by now still apply
+    if (wasEnabled) this.check(now);
+    const previous = this.schedule;
+    this.schedule = JSON.parse(JSON.stringify(merged));
+
+    if (!this.schedule.enabled) {
+      this.stop();
+    } else if (!wasEnabled) {
+      this.start();
+    } else {
+      this.applyEdit(previous, now);
+    }
+  }
+
+  /**
+   * Apply the fields an edit changed in the state the schedule gives for now
+   * e.g. an override that has already started or a rule moved to before now.
+   * Fields the edit leaves as they were keep any value set by hand since.
+   */
+  applyEdit(previous, now = new Date()) {
+    const before = scheduledStateAt(previous, now);
+    const after = scheduledStateAt(this.schedule, now);
+
+    this.lastCheck = now;
+    this.apply({
+      at: now,
+      source: 'edit',
+      id: null,
+      setpoint: after.setpoint !== before.setpoint ? after.setpoint : null,
+      autoControl: after.autoControl !== before.autoControl ? after.autoControl : null
+    });
+  }
+
+  getSchedule() {
+    return JSON.parse(JSON.stringify(this.schedule));
+  }
+
+  start() {
+    this.stop();
+    if (!this.schedule.enabled) return;
+
+    const now = new Date();
+    this.lastCheck = now;
+    this.apply({ at: now, source: 'start', id: null, ...scheduledStateAt(this.schedule, now) });
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL);
+    console.log(`📅 Schedule running with ${this.schedule.rules.length} rule(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  check(now = new Date()) {
+    if (!this.schedule.enabled || !this.lastCheck) return;
+
+    const transitions = scheduleTransitions(this.schedule, this.lastCheck, now);
+    this.lastCheck = now;
+    transitions.forEach(transition => this.apply(transition));
+  }
+
+  apply(transition) {
+    const result = { ...transition, skipped: null, error: null };
+
+    if (result.setpoint === null && result.autoControl === null) return;
+
+    if (this.profileRunner && this.profileRunner.isActive()) {
+      result.skipped = 'A profile is running';
+    } else {
+      try {
+        if (result.setpoint !== null) {
+          this.controlService.setSetpoint(result.setpoint);
+        }
+        if (result.autoControl !== null && result.autoControl !== this.controlService.isEnabled) {
+          this.controlService.setEnabled(result.autoControl);
+        }
+      } catch (error) {
+        result.error = error.message;
+      }
+    }
+
+    const changes = [
+      result.setpoint !== null && `setpoint ${result.setpoint}°C`,
+      result.autoControl !== null && `auto control ${result.autoControl ? 'on' : 'off'}`
+    ].filter(Boolean).join(', ');
+    if (result.skipped || result.error) {
+      console.warn(`⚠️ Scheduled ${changes} not applied: ${result.skipped || result.error}`);
+    } else {
+      console.log(`📅 Schedule applied ${changes}`);
+    }
+
+    this.lastTransition = result;
+    this.emit('transition', result);
+  }
+
+  getStatus(now = new Date()) {
+    const upcoming = this.schedule.enabled
+      ? scheduleTransitions(this.schedule, now, new Date(now.getTime() + UPCOMING_DAYS * DAY))
+      : [];
+    const activeOverride = overrideWindows(this.schedule.overrides)
+      .find(override => override.from <= now && now < override.until) || null;
+
+    return {
+      enabled: this.schedule.enabled,
+      scheduled: scheduledStateAt(this.schedule, now),
+      activeOverride: activeOverride && activeOverride.id,
+      lastTransition: this.lastTransition,
+      upcoming
+    };
+  }
+}
+
+module.exports = SetpointScheduler;
+module.exports.createDefaultSchedule = createDefaultSchedule;
+module.exports.validateSchedule = validateSchedule;
+module.exports.scheduleTransitions = scheduleTransitions;
+module.exports.scheduledStateAt = scheduledStateAt;
+module.exports.RULE_TYPES = RULE_TYPES;
@@ -0,0 +1,204 @@
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Anti-short-cycle limits of one output, all times in seconds
+ *   minOnTime        - a Peltier that started stays on at least this long
+ *   minOffTime       - a Peltier that stopped stays off at least this long
+ *   maxStartsPerHour - starts allowed in any 60 minutes, 0 for no limit
+ *   startDelay       - nothing starts until this long after power-up, e.g. to
+ *                      stagger the inrush of several modules
+ */
+function createDefaultChannelProtection() {
+  return {
+    minOnTime: 5,
+    minOffTime: 3,
+    maxStartsPerHour: 0,
+    startDelay: 0
+  };
+}
+
+/**
+ * Protection settings of a device
+ * Outputs without an entry in channels use the default limits.
+ */
+function createDefaultProtectionPolicy() {
+  return {
+    channels: {}
+  };
+}
+
+/**
+ * Check protection settings
+ * @returns {string[]} List of problems, empty when the settings can be applied
+ */
+function validateProtectionPolicy(policy) {
+  const errors = [];
+
+  if (!policy.channels || typeof policy.channels !== 'object') {
+    return ['Protection settings need a channels object'];
+  }
+
+  Object.entries(policy.channels).forEach(([id, channel]) => {
+    Object.entries({ minOnTime: 'min on time', minOffTime: 'min off time', startDelay: 'start delay' }).forEach(([key, label]) => {
+      if (!(Number.isFinite(channel[key]) && channel[key] >= 0)) {
+        errors.push(`Output ${id}: ${label} must be 0 s or more`);
+      }
+    });
+    if (!(Number.isInteger(channel.maxStartsPerHour) && channel.maxStartsPerHour >= 0)) {
+      errors.push(`Output ${id}: max starts per hour must be a whole number, 0 for no limit`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Holds back output switching that would short-cycle a Peltier
+ *
+ * Sits in front of every on/off transition the service writes, from the
+ * controller and from manual commands alike. Controllers don't keep minimum
+ * times of their own, a decision held here is simply asked for again on their
+ * next cycle. Changes of duty while an output stays on are not transitions and
+ * always pass.
+ *
+ * The guard follows the outputs' actual states: its own writes, states found
+ * on the PLC by readback and power-up, when the outputs all come up off.
+ */
+class ShortCycleGuard {
+  constructor() {
+    this.policy = createDefaultProtectionPolicy();
+    this.channels = {};             // Per Peltier ID: { on, lastChange, starts }
+    this.powerUpAt = null;
+  }
+
+  /**
+   * Use protection settings, throws when they do not validate
+   * @param {Object} policy - { channels: { [peltierId]: limits } }, missing limits keep their defaults
+   */
+  load(policy = {}) {
+    const channels = {};
+    Object.entries(policy.channels || {}).forEach(([id, channel]) => {
+      channels[id] = { ...createDefaultChannelProtection(), ...channel };
+    });
+
+    const merged = { ...createDefaultProtectionPolicy(), ...policy, channels };
+    const errors = validateProtectionPolicy(merged);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    this.policy = merged;
+  }
+
+  getPolicy() {
+    return { channels: { ...this.policy.channels } };
+  }
+
+  /**
+   * Limits that apply to an output
+   */
+  getLimits(peltierId) {
+    return this.policy.channels[peltierId] || createDefaultChannelProtection();
+  }
+
+  channelFor(peltierId) {
+    if (!this.channels[peltierId]) {
+      this.channels[peltierId] = { on: false, lastChange: null, starts: [] };
+    }
+    return this.channels[peltierId];
+  }
+
+  /**
+   * The outputs came up from power loss (PLC restart, watchdog trip), all are off
+   * Start delays count from here, the off time before it is unknown and not held against them.
+   */
+  powerUp(now = Date.now()) {
+    this.powerUpAt = now;
+    Object.values(this.channels).forEach(channel => {
+      channel.on = false;
+      channel.lastChange = null;
+    });
+  }
+
+  /**
+   * Why an output may not switch to a state now
+   * @returns {Object|null} { reason, remaining (s), message }, null when the switch is allowed
+   */
+  check(peltierId, state, now = Date.now()) {
+    const channel = this.channelFor(peltierId);
+    if (!!state === channel.on) return null;
+
+    const limits = this.getLimits(peltierId);
+    const since = channel.lastChange !== null ? (now - channel.lastChange) / 1000 : Infinity;
+
+    if (!state) {
+      return since < limits.minOnTime
+        ? this.hold('min-on', limits.minOnTime - since, `must stay on for ${Math.ceil(limits.minOnTime - since)} more s`)
+        : null;
+    }
+
+    if (since < limits.minOffTime) {
+      return this.hold('min-off', limits.minOffTime - since, `must stay off for ${Math.ceil(limits.minOffTime - since)} more s`);
+    }
+    if (this.powerUpAt !== null) {
+      const sincePowerUp = (now - this.powerUpAt) / 1000;
+      if (sincePowerUp < limits.startDelay) {
+        return this.hold('start-delay', limits.startDelay - sincePowerUp, `may start ${Math.ceil(limits.startDelay - sincePowerUp)} s from now, after the power-up delay`);
+      }
+    }
+    if (limits.maxStartsPerHour > 0) {
+      const starts = channel.starts.filter(at => now - at < HOUR);
+      if (starts.length >= limits.maxStartsPerHour) {
+        const remaining = (starts[0] + HOUR - now) / 1000;
+        return this.hold('max-starts', remaining, `has used its ${limits.maxStartsPerHour} starts this hour, next one in ${Math.ceil(remaining / 60)} min`);
+      }
+    }
+    return null;
+  }
+
+  hold(reason, remaining, message) {
+    return { reason, remaining: Math.max(0, remaining), message };
+  }
+
+  /**
+   * Note the state an output was written to, only transitions restart its timers
+   */
+  record(peltierId, state, now = Date.now()) {
+    const channel = this.channelFor(peltierId);
+    if (!!state === channel.on) return;
+
+    channel.on = !!state;
+    channel.lastChange = now;
+    if (state) {
+      channel.starts = channel.starts.filter(at => now - at < HOUR);
+      channel.starts.push(now);
+    }
+  }
+
+  /**
+   * Limits and timing of each output
+   * @param {Array} outputs - The device's outputs, { id, name }
+   */
+  getStatus(outputs, now = Date.now()) {
+    return {
+      policy: this.getPolicy(),
+      powerUpAt: this.powerUpAt ? new Date(this.powerUpAt) : null,
+      channels: outputs.map(output => {
+        const channel = this.channelFor(output.id);
+        return {
+          id: output.id,
+          name: output.name,
+          limits: this.getLimits(output.id),
+          on: channel.on,
+          lastChange: channel.lastChange ? new Date(channel.lastChange) : null,
+          startsLastHour: channel.starts.filter(at => now - at < HOUR).length,
+          held: this.check(output.id, !channel.on, now)
+        };
+      })
+    };
+  }
+}
+
+module.exports = ShortCycleGuard;
+module.exports.createDefaultChannelProtection = createDefaultChannelProtection;
+module.exports.createDefaultProtectionPolicy = createDefaultProtectionPolicy;
+module.exports.validateProtectionPolicy = validateProtectionPolicy;
@@ -0,0 +1,313 @@
+const { stageDuties } = require('../utils/peltierStaging');
+const { proposeControllerParams } = require('./controllerRegistry');
+
+const MIN_SAMPLES = 20;
+const MIN_DEMAND_CHANGE = 5;        // % of bank demand a window has to move by to show the plant
+const MAX_DEAD_TIME_STEPS = 100;    // Dead time candidates tried before refining
+const REFINE_ITERATIONS = 300;
+const SERIES_POINTS = 300;          // Points of measured/model series handed to charts
+const MIN_GAIN = 0.001;             // °C per % of bank demand, a tenth of a degree over the whole bank
+
+// Tuning rules deriveTuning() computes gains for
+const IDENTIFICATION_RULES = {
+  imc: { label: 'IMC PID' },
+  simc: { label: 'SIMC PI' }
+};
+
+const FIT_VERDICTS = [
+  { min: 0.9, verdict: 'good' },
+  { min: 0.7, verdict: 'fair' },
+  { min: -Infinity, verdict: 'poor' }
+];
+
+/**
+ * Bank demand each sample saw from time - deadTime, held from the sample before
+ * Before the window starts the first sample's demand is assumed.
+ */
+function delayedDemands(samples, deadTime) {
+  const delayed = [];
+  let source = 0;
+
+  samples.forEach(sample => {
+    const time = sample.timestamp - deadTime * 1000;
+    while (source + 1 < samples.length && samples[source + 1].timestamp <= time) {
+      source++;
+    }
+    delayed.push(samples[source].demand);
+  });
+
+  return delayed;
+}
+
+/**
+ * Model response over the window, starting from the first measured temperature
+ * Each step is solved exactly with the demand held, so uneven polling is fine.
+ */
+function simulate(samples, { gain, timeConstant, deadTime, ambient }) {
+  const demands = delayedDemands(samples, deadTime);
+  const predicted = [samples[0].temperature];
+
+  for (let k = 0; k + 1 < samples.length; k++) {
+    const dt = (samples[k + 1].timestamp - samples[k].timestamp) / 1000;
+    const steady = ambient + gain * demands[k];
+    predicted.push(steady + (predicted[k] - steady) * Math.exp(-dt / timeConstant));
+  }
+
+  return predicted;
+}
+
+function rmse(samples, predicted) {
+  const sum = samples.reduce((total, sample, k) => total + (sample.temperature - predicted[k]) ** 2, 0);
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Solve a small linear system by Gaussian elimination with partial pivoting
+ * @returns {number[]|null} null when the system is singular
+ */
+function solve(matrix, vector) {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * First guess for a dead time: least squares on dT/dt = -T/τ + (K/τ)·u(t-θ) + Ta/τ
+ */
+function regress(samples, deadTime) {
+  const demands = delayedDemands(samples, deadTime);
+  const normal = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const rhs = [0, 0, 0];
+
+  for (let k = 0; k + 1 < samples.length; k++) {
+    const dt = (samples[k + 1].timestamp - samples[k].timestamp) / 1000;
+    if (dt <= 0) continue;
+
+    const row = [samples[k].temperature, demands[k], 1];
+    const y = (samples[k + 1].temperature - samples[k].temperature) / dt;
+    for (let i = 0; i < 3; i++) {
+      rhs[i] += row[i] * y;
+      for (let j = 0; j < 3; j++) normal[i][j] += row[i] * row[j];
+    }
+  }
+
+  const coefficients = solve(normal, rhs);
+  if (!coefficients || !(coefficients[0] < 0)) return null;
+
+  const [alpha, beta, gamma] = coefficients;
+  const timeConstant = -1 / alpha;
+  return { gain: beta * timeConstant, timeConstant, deadTime, ambient: gamma * timeConstant };
+}
+
+/**
+ * Pattern search on the simulation error around a model
+ */
+function refine(samples, model, maxDeadTime) {
+  let best = { ...model };
+  let bestError = rmse(samples, simulate(samples, best));
+  const steps = {
+    gain: Math.abs(model.gain) * 0.2 || 0.01,
+    timeConstant: model.timeConstant * 0.2,
+    deadTime: Math.max(1, model.timeConstant * 0.05),
+    ambient: 0.5
+  };
+  const limits = {
+    gain: () => true,
+    timeConstant: (value) => value > 0,
+    deadTime: (value) => value >= 0 && value <= maxDeadTime,
+    ambient: () => true
+  };
+
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    let improved = false;
+
+    Object.keys(steps).forEach(key => {
+      [1, -1].forEach(direction => {
+        const candidate = { ...best, [key]: best[key] + direction * steps[key] };
+        if (!limits[key](candidate[key])) return;
+
+        const error = rmse(samples, simulate(samples, candidate));
+        if (error < bestError) {
+          best = candidate;
+          bestError = error;
+          improved = true;
+        }
+      });
+    });
+
+    if (!improved) {
+      Object.keys(steps).forEach(key => { steps[key] /= 2; });
+      if (steps.timeConstant < model.timeConstant * 1e-4) break;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Refuse models no tuning can be derived from
+ * Demand cools (heating counts as negative demand), so the gain has to be
+ * negative and large enough to act on.
+ */
+function checkModelGain(model) {
+  if (!(model.gain < 0)) {
+    throw new Error(`The fit says more demand warms the container (K=${model.gain.toFixed(3)} °C/%), ` +
+      'something other than the Peltiers moved the temperature in this window');
+  }
+  if (-model.gain < MIN_GAIN) {
+    throw new Error(`The outputs barely move the temperature in this window (K=${model.gain.toFixed(4)} °C/%), ` +
+      'no gains can be derived from it');
+  }
+}
+
+/**
+ * Fit a first-order-plus-dead-time model to logged samples
+ *
+ * T settles towards ambient + gain × demand with time constant τ, demand
+ * acting dead time θ late. Demand is the bank's average duty, gain is
+ * negative since the Peltiers cool, ambient is where the container drifts
+ * with every Peltier off and stands for the heat load.
+ *
+ * @param {Object[]} samples - { timestamp, temperature, demand } in time order
+ * @param {Object} [options]
+ * @param {number} [options.maxDeadTime] - Longest dead time tried (s), a quarter of the window by default
+ * @returns {Object} { model: { gain, timeConstant, deadTime, ambient }, fit: { rmse, r2, verdict }, series }
+ */
+function identifyFopdt(samples, { maxDeadTime } = {}) {
+  if (!Array.isArray(samples) || samples.length < MIN_SAMPLES) {
+    throw new Error(`Need at least ${MIN_SAMPLES} samples, the window holds ${samples ? samples.length : 0}`);
+  }
+
+  const demands = samples.map(sample => sample.demand);
+  if (Math.max(...demands) - Math.min(...demands) < MIN_DEMAND_CHANGE) {
+    throw new Error(`The outputs hardly change in this window, step them by at least ${MIN_DEMAND_CHANGE}% of the bank`);
+  }
+
+  const duration = (samples[samples.length - 1].timestamp - samples[0].timestamp) / 1000;
+  if (!(duration > 0)) {
+    throw new Error('The samples in this window carry no time span, check their timestamps');
+  }
+  const longestDeadTime = maxDeadTime !== undefined ? maxDeadTime : duration / 4;
+  const step = Math.max(duration / samples.length, longestDeadTime / MAX_DEAD_TIME_STEPS);
+
+  let best = null;
+  for (let deadTime = 0; deadTime <= longestDeadTime; deadTime += step) {
+    const model = regress(samples, deadTime);
+    if (!model) continue;
+
+    const error = rmse(samples, simulate(samples, model));
+    if (!best || error < best.error) best = { model, error };
+  }
+  if (!best) {
+    throw new Error('No stable first-order model fits this window');
+  }
+
+  const model = refine(samples, best.model, longestDeadTime);
+  checkModelGain(model);
+  const predicted = simulate(samples, model);
+  const error = rmse(samples, predicted);
+  const mean = samples.reduce((sum, sample) => sum + sample.temperature, 0) / samples.length;
+  const spread = samples.reduce((sum, sample) => sum + (sample.temperature - mean) ** 2, 0);
+  const residual = samples.reduce((sum, sample, k) => sum + (sample.temperature - predicted[k]) ** 2, 0);
+  const r2 = spread > 0 ? 1 - residual / spread : 0;
+
+  const every = Math.max(1, Math.ceil(samples.length / SERIES_POINTS));
+  const series = samples
+    .map((sample, k) => ({ t: sample.timestamp, measured: sample.temperature, model: predicted[k], demand: sample.demand }))
+    .filter((_, k) => k % every === 0);
+
+  return {
+    model,
+    fit: {
+      rmse: error,
+      r2,
+      verdict: FIT_VERDICTS.find(entry => r2 >= entry.min).verdict,
+      samples: samples.length,
+      from: new Date(samples[0].timestamp),
+      to: new Date(samples[samples.length - 1].timestamp)
+    },
+    series
+  };
+}
+
+/**
+ * Gains, settling time and cooling headroom that follow from a model
+ *
+ * IMC gives a PID for the model, SIMC (Skogestad) a PI. Both aim at a closed
+ * loop time constant τc, by default the dead time but at least a tenth of τ,
+ * and settle within about θ + 4τc.
+ *
+ * @param {Object} model - From identifyFopdt
+ * @param {Object} context - { setpoint, peltierIds, closedLoopTime? }
+ */
+function deriveTuning(model, { setpoint, peltierIds, closedLoopTime }) {
+  checkModelGain(model);
+  const { timeConstant: tau, deadTime: theta, ambient } = model;
+  const gain = -model.gain;         // °C of cooling per % of demand
+  const tc = closedLoopTime || Math.max(theta, tau / 10);
+
+  const imcKp = (2 * tau + theta) / (gain * (2 * tc + theta));
+  const imcTd = (tau * theta) / (2 * tau + theta);
+  const simcKp = tau / (gain * (tc + theta));
+  const gains = {
+    imc: { kp: imcKp, ki: imcKp / (tau + theta / 2), kd: imcKp * imcTd },
+    simc: { kp: simcKp, ki: simcKp / Math.min(tau, 4 * (tc + theta)), kd: 0 }
+  };
+
+  const proposals = {};
+  Object.entries(gains).forEach(([rule, ruleGains]) => {
+    proposals[rule] = proposeControllerParams(ruleGains);
+  });
+
+  // Demand that holds the setpoint against the ambient load, Peltiers only cool
+  const requiredDemand = model.gain < 0 ? Math.max(0, (setpoint - ambient) / model.gain) : null;
+  const staged = requiredDemand !== null ? stageDuties(requiredDemand, peltierIds) : null;
+
+  return {
+    closedLoopTime: tc,
+    settlingTime: theta + 4 * tc,
+    gains,
+    proposals,
+    capacity: {
+      setpoint,
+      requiredDemand,
+      margin: requiredDemand !== null ? 100 - requiredDemand : null,
+      lowestReachable: ambient + Math.min(0, model.gain) * 100,
+      peltiers: peltierIds.map(id => ({
+        id,
+        requiredDuty: staged ? staged[id] : null,
+        margin: staged ? 100 - staged[id] : null,
+        // °C of cooling one Peltier gives at full duty, the bank's share split evenly
+        coolingAtFullDuty: gain * 100 / peltierIds.length
+      }))
+    }
+  };
+}
+
+module.exports = {
+  IDENTIFICATION_RULES,
+  identifyFopdt,
+  deriveTuning,
+  simulate
+};
@@ -1,60 +1,497 @@
 const { EventEmitter } = require('events');
-const { RBFAdaptivePIDController } = require('../utils/RBFAdaptivePIDController');
+const {
+  DEFAULT_CONTROLLER,
+  listControllers,
+  validateControllerParams,
+  createController,
+  getControllerParams,
+  applyControllerParams,
+  resetsOnSetpoint,
+  supportsHeating,
+  proposeControllerParams,
+  normalizeControlResult
+} = require('./controllerRegistry');
+const RelayAutotune = require('./relayAutotune');
+const { identifyFopdt, deriveTuning } = require('./systemIdentification');
+const { bankDemand } = require('../utils/peltierStaging');
+const { createDefaultHeatingConfig } = require('../utils/polarity');
+
+// Controllers without their own isStable() count as stable after this many samples this close to the setpoint
+const STABLE_SAMPLES = 10;
+const STABLE_ERROR = 0.5;           // °C
+
+// Good samples kept for system identification, a few hours at the usual poll rate
+const PLANT_HISTORY_SIZE = 7200;
+const MAX_STEP_TESTS = 20;
+
+function createDefaultSetpointPolicy() {
+  return {
+    target: 5.0,        // °C the controller regulates to once a ramp is done
+    min: -10,           // Lowest setpoint that can be entered (°C)
+    max: 30,            // Highest setpoint that can be entered (°C)
+    rampRate: 0         // °C per minute the working setpoint moves at, 0 steps straight to the target
+  };
+}
+
+/**
+ * Check a setpoint policy
+ * @returns {string[]} List of problems, empty when the policy can be applied
+ */
+function validateSetpointPolicy(policy) {
+  const errors = [];
+  
+  ['target', 'min', 'max', 'rampRate'].forEach(key => {
+    if (!Number.isFinite(policy[key])) {
+      errors.push(`Setpoint ${key} must be a number`);
+    }
+  });
+  if (errors.length > 0) return errors;
+  
+  if (policy.min >= policy.max) {
+    errors.push('Lowest setpoint must be below the highest');
+  }
+  if (policy.rampRate < 0) {
+    errors.push('Setpoint ramp rate must be at least 0');
+  }
+  if (policy.target < policy.min || policy.target > policy.max) {
+    errors.push(`Setpoint ${policy.target}°C is outside the allowed ${policy.min}°C to ${policy.max}°C`);
+  }
+  
+  return errors;
+}
+
+/**
+ * Check heating settings
+ * @returns {string[]} List of problems, empty when the settings can be applied
+ */
+function validateHeatingConfig(config) {
+  const errors = [];
+  
+  if (typeof config.enabled !== 'boolean') {
+    errors.push('Heating enabled must be true or false');
+  }
+  if (!(Number.isFinite(config.deadBand) && config.deadBand >= 0 && config.deadBand < 100)) {
+    errors.push('Heating dead band must be 0-100%');
+  }
+  if (!(Number.isFinite(config.minDwell) && config.minDwell >= 0)) {
+    errors.push('Minimum dwell before reversing must be 0 s or more');
+  }
+  
+  return errors;
+}
 
 class TemperatureControlService extends EventEmitter {
   constructor() {
     super();
     
-    // Neural ML controller
+    // Active controller, one of the controllerRegistry types
     this.controller = null;
+    this.controllerType = DEFAULT_CONTROLLER;
+    this.controllerParams = {};     // Saved tunables per controller type
+    
+    // Input channel used as the control variable
+    this.controlChannel = null;
+    
+    // Peltier outputs driven by the controller, in staging order
+    this.peltierIds = [1, 2];
+    this.leadId = null;             // Peltier staged first, null for the first in peltierIds
+    this.controllerConfig = {};
+    
+    // Heating through H-bridge outputs, only used once every output can reverse
+    this.heating = createDefaultHeatingConfig();
+    this.heatingAvailable = false;
+    this.lastMode = 'off';
+    
+    // Target and limits; with a ramp rate the controller's working setpoint follows the target
+    this.setpointPolicy = createDefaultSetpointPolicy();
+    this.ramp = null;               // { from, startedAt } while the working setpoint moves
     
     // Control state
     this.isEnabled = false;
     this.lastUpdate = null;
     this.updateInterval = null;
     
+    // Output held while samples are not trustworthy: 'all-off' or 'hold-last'
+    this.safeOutput = 'all-off';
+    this.suspension = null;
+    this.lastPeltierStates = null;
+    this.lastDuties = null;
+    
+    // Bumpless transfer: a new or re-enabled controller first picks up the outputs as they are
+    this.getOutputState = null;
+    this.transferPending = false;
+    
+    // Relay autotune, drives the outputs instead of the controller while it runs
+    this.autotune = null;
+    
     // Performance tracking
     this.performanceHistory = [];
     this.maxHistorySize = 100;
+    
+    // Temperature and applied outputs of every good sample, in any mode, plus marked step tests
+    this.plantHistory = [];
+    this.stepTests = [];
+    this.identification = null;     // Last identifyPlant() result, until its gains are taken
   }
   
   /**
-   * Initialize the RBF Adaptive PID controller
+   * Build the selected controller with its saved tunables
+   * @param {Object} config - { setpoint }
    */
   initializeControllers(config = {}) {
-    // RBF Neural Network-based Adaptive PID Controller
-    this.controller = new RBFAdaptivePIDController({
+    this.abortAutotune('Controller rebuilt');
+    this.controllerConfig = config;
+    
+    this.controller = createController(this.controllerType, this.controllerParams[this.controllerType], {
       setpoint: config.setpoint || 5.0,
-      kp: config.kp || 2.0,
-      ki: config.ki || 0.5,
-      kd: config.kd || 0.3,
-      numCenters: config.numCenters || 5,
-      learningRate: config.learningRate || 0.01,
-      spread: config.spread || 2.0,
-      nonlinearGain: config.nonlinearGain || 1.5
+      peltierIds: this.getStagingOrder(),
+      heating: { ...this.heating, enabled: this.isHeatingActive() }
+    });
+    this.transferPending = true;
+    
+    console.log(`✅ ${this.getControllerLabel()} temperature controller initialized`);
+  }
+  
+  /**
+   * Where bumpless transfers and the plant log read the outputs from
+   * @param {Function} getOutputState - Returns [{ id, state, duty }] as ModbusService.getOutputs() does
+   */
+  setOutputStateSource(getOutputState) {
+    this.getOutputState = getOutputState;
+  }
+  
+  /**
+   * Start the controller from the measured temperature and the outputs as
+   * they are driven now, so taking over produces no output step
+   */
+  transferFromOutputs(temperature) {
+    const { peltiers, duties, heating } = this.readOutputs();
+    
+    this.controller.initializeFromPlant({ temperature, peltiers, duties, heating });
+    this.lastPeltierStates = peltiers;
+    this.lastDuties = duties;
+    this.transferPending = false;
+    
+    const summary = this.peltierIds.map(id => `${id}: ${peltiers[id] ? (heating ? 'heating' : 'on') : 'off'} ${Math.round(duties[id])}%`).join(', ');
+    console.log(`🔁 ${this.getControllerLabel()} took over at ${temperature.toFixed(2)}°C (${summary})`);
+  }
+  
+  /**
+   * Outputs as they are driven now
+   * Without a source the last commanded outputs are the best guess.
+   * @returns {Object} { peltiers, duties } keyed by Peltier ID, heating when they run reversed
+   */
+  readOutputs() {
+    const peltiers = {};
+    const duties = {};
+    let heating = false;
+    
+    if (this.getOutputState) {
+      const outputs = this.getOutputState();
+      this.peltierIds.forEach(id => {
+        const output = outputs.find(o => String(o.id) === String(id));
+        peltiers[id] = !!(output && output.state);
+        duties[id] = output && output.duty !== null && output.duty !== undefined
+          ? output.duty
+          : (peltiers[id] ? 100 : 0);
+        heating = heating || !!(output && output.heating && peltiers[id]);
+      });
+    } else {
+      this.peltierIds.forEach(id => {
+        peltiers[id] = !!(this.lastPeltierStates && this.lastPeltierStates[id]);
+        duties[id] = this.lastDuties && this.lastDuties[id] !== undefined ? this.lastDuties[id] : (peltiers[id] ? 100 : 0);
+      });
+      heating = this.lastMode === 'heating';
+    }
+    
+    return { peltiers, duties, heating };
+  }
+  
+  getControllerLabel() {
+    return listControllers().find(entry => entry.type === this.controllerType).label;
+  }
+  
+  /**
+   * Switch to another controller, the setpoint carries over
+   * @param {string} type - Controller type from the registry
+   * @param {Object} [params] - Tunables for that controller, merged into its saved ones
+   */
+  setController(type, params = {}) {
+    const errors = validateControllerParams(type, params);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    const previous = this.controllerType;
+    const setpoint = this.controller ? this.controller.setpoint : this.controllerConfig.setpoint;
+    this.controllerType = type;
+    if (Object.keys(params).length > 0) {
+      this.controllerParams[type] = { ...this.controllerParams[type], ...params };
+    }
+    this.initializeControllers({ ...this.controllerConfig, setpoint });
+    
+    console.log(`🔀 Controller switched from ${previous} to ${type}`);
+    this.emit('controllerChanged', { type, previous, label: this.getControllerLabel(), params: this.getControllerParams() });
+    return true;
+  }
+  
+  /**
+   * Restore saved controller settings, e.g. when the device starts
+   * @param {Object} settings - { type, params: { [type]: tunables } } as returned by getControllerSettings
+   */
+  loadControllerSettings({ type = DEFAULT_CONTROLLER, params = {} } = {}) {
+    Object.entries(params).forEach(([controllerType, values]) => {
+      const errors = validateControllerParams(controllerType, values);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
     });
     
-    console.log('✅ RBF Adaptive PID temperature controller initialized');
+    this.controllerParams = JSON.parse(JSON.stringify(params));
+    this.setController(type);
+  }
+  
+  /**
+   * Controller selection and tunables in the form they are saved in settings
+   */
+  getControllerSettings() {
+    return {
+      type: this.controllerType,
+      params: { ...this.controllerParams }
+    };
+  }
+  
+  /**
+   * Whether every driven output can reverse to heat, set from the register map
+   * Rebuilds the controller when that changes.
+   */
+  setHeatingAvailable(available) {
+    if (this.heatingAvailable === available) return;
+    
+    const wasActive = this.isHeatingActive();
+    this.heatingAvailable = available;
+    if (this.controller && wasActive !== this.isHeatingActive()) {
+      this.initializeControllers({ ...this.controllerConfig, setpoint: this.controller.setpoint });
+    }
+  }
+  
+  /**
+   * Heating the controller actually does: enabled, every output reversible and a controller that can
+   */
+  isHeatingActive() {
+    return this.heating.enabled && this.heatingAvailable && supportsHeating(this.controllerType);
+  }
+  
+  /**
+   * Apply heating settings, the controller is rebuilt with them
+   * @param {Object} config - { enabled, deadBand, minDwell }, missing keys keep their values
+   */
+  loadHeatingSettings(config = {}) {
+    const heating = { ...this.heating, ...config };
+    const errors = validateHeatingConfig(heating);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    this.heating = heating;
+    if (this.controller) {
+      this.initializeControllers({ ...this.controllerConfig, setpoint: this.controller.setpoint });
+    }
+    console.log(`🔥 Heating ${heating.enabled ? 'enabled' : 'disabled'} (dead band ${heating.deadBand}%, dwell ${heating.minDwell}s)`);
+  }
+  
+  getHeatingSettings() {
+    return { ...this.heating };
   }
   
+  /**
+   * Heating settings with what keeps them from taking effect
+   */
+  getHeatingStatus() {
+    return {
+      ...this.heating,
+      available: this.heatingAvailable,
+      supported: supportsHeating(this.controllerType),
+      active: this.isHeatingActive(),
+      mode: this.lastMode,
+      dwellRemaining: this.controller && this.controller.polarity ? this.controller.polarity.getDwellRemaining() : 0
+    };
+  }
+  
+  /**
+   * Set the Peltier outputs the controller drives
+   * Rebuilds the controller when the set of outputs changes
+   */
+  setPeltierIds(peltierIds) {
+    if (JSON.stringify(peltierIds) === JSON.stringify(this.peltierIds)) return;
+    
+    this.peltierIds = [...peltierIds];
+    
+    if (this.controller) {
+      this.initializeControllers({ ...this.controllerConfig, setpoint: this.controller.setpoint });
+    }
+    
+    console.log(`🔌 Controller now drives ${this.peltierIds.length} Peltier(s): ${this.peltierIds.join(', ')}`);
+  }
+  
+  /**
+   * Peltier IDs in the order the controller stages them, the lead first
+   * The others follow on from the lead in register map order.
+   */
+  getStagingOrder() {
+    const index = Math.max(0, this.peltierIds.findIndex(id => String(id) === String(this.leadId)));
+    return [...this.peltierIds.slice(index), ...this.peltierIds.slice(0, index)];
+  }
+  
+  /**
+   * Peltier staged first, including one kept until it is driven
+   */
+  getLeadPeltier() {
+    return this.leadId !== null ? this.leadId : this.peltierIds[0];
+  }
+  
+  /**
+   * Stage another Peltier first, the running controller keeps its state
+   * A lead that isn't driven (e.g. restored before the register map is
+   * applied) is kept, the first Peltier leads until it is.
+   */
+  setLeadPeltier(leadId) {
+    this.leadId = leadId;
+    if (this.controller) {
+      this.controller.setStagingOrder(this.getStagingOrder());
+    }
+  }
   
   /**
    * Enable/disable automatic control
    */
   setEnabled(enabled) {
+    if (enabled && !this.isEnabled) {
+      this.transferPending = true;
+    }
     this.isEnabled = enabled;
     
+    if (!enabled) {
+      this.abortAutotune('Automatic control disabled');
+    }
     if (!enabled && this.controller) {
       // Reset controller when disabling
       this.controller.reset();
     }
     
-    console.log(`🔧 RBF Adaptive PID temperature control ${enabled ? 'enabled' : 'disabled'}`);
+    // Nothing is suspended once the operator takes over
+    if (!enabled && this.suspension) {
+      this.suspension = null;
+      this.emit('controlSuspensionChanged', { suspended: false, reason: 'Automatic control disabled' });
+    }
+    
+    console.log(`🔧 ${this.getControllerLabel()} temperature control ${enabled ? 'enabled' : 'disabled'}`);
     this.emit('controlStateChanged', { enabled });
     
     return true;
   }
   
+  /**
+   * Select the input channel used as the control variable
+   */
+  setControlChannel(channelId) {
+    if (this.controlChannel === channelId) return;
+    
+    this.controlChannel = channelId;
+    console.log(`🌡️ Control variable set to channel "${channelId}"`);
+    this.emit('controlChannelChanged', { channelId });
+  }
+  
+  /**
+   * Choose what the outputs do while control is suspended
+   */
+  setSafeOutput(mode) {
+    if (mode !== 'all-off' && mode !== 'hold-last') {
+      throw new Error(`Unknown safe output mode: ${mode}`);
+    }
+    this.safeOutput = mode;
+  }
+  
+  /**
+   * Process a multi-channel reading using the selected control channel
+   * Only good samples reach the controller, anything else holds the safe output
+   */
+  processReading(reading) {
+    this.advanceRamp();
+    
+    const channel = (reading.channels || []).find(c => c.id === this.controlChannel);
+    const quality = reading.quality || 'good';
+    const temperature = channel ? channel.value : reading.temperature;
+    
+    // Logged before the enabled check, step tests are usually done by hand
+    if (quality === 'good' && (!channel || channel.quality === 'good')) {
+      this.recordPlantSample(temperature, reading.timestamp);
+    }
+    
+    if (!this.isEnabled || !this.controller) {
+      return null;
+    }
+    
+    if (quality !== 'good') {
+      return this.holdSafeOutput(quality, reading.qualityReason || `Sample quality is ${quality}`);
+    }
+    if (channel && channel.quality !== 'good') {
+      return this.holdSafeOutput('substituted', `Control channel ${channel.name} is ${channel.quality}`);
+    }
+    
+    this.resumeControl();
+    return this.isAutotuning() ? this.processAutotune(temperature) : this.processTemperature(temperature);
+  }
+  
+  /**
+   * Drive the outputs to the safe state and report why
+   */
+  holdSafeOutput(quality, reason) {
+    this.abortAutotune(reason);
+    
+    const peltiers = {};
+    const duties = {};
+    this.peltierIds.forEach(id => {
+      peltiers[id] = this.safeOutput === 'hold-last' && this.lastPeltierStates
+        ? !!this.lastPeltierStates[id]
+        : false;
+      duties[id] = this.safeOutput === 'hold-last' && this.lastDuties
+        ? this.lastDuties[id] || 0
+        : 0;
+    });
+    const mode = this.safeOutput === 'hold-last' ? this.lastMode : 'off';
+    
+    if (!this.suspension || this.suspension.reason !== reason) {
+      const since = this.suspension ? this.suspension.since : new Date();
+      this.suspension = { quality, reason, since, safeOutput: this.safeOutput };
+      console.warn(`⛔ Control suspended (${quality}): ${reason}`);
+      this.emit('controlSuspensionChanged', { suspended: true, ...this.suspension });
+    }
+    
+    this.emit('controlDecision', {
+      controller: 'safe-hold',
+      suspended: true,
+      quality,
+      reason,
+      peltiers,
+      duties,
+      mode,
+      setpoint: this.controller.setpoint
+    });
+    
+    return { peltiers, duties, mode, controller: 'safe-hold', suspended: true };
+  }
+  
+  resumeControl() {
+    if (!this.suspension) return;
+    
+    const duration = Date.now() - this.suspension.since.getTime();
+    console.log(`▶️ Control resumed after ${Math.round(duration / 1000)}s suspension`);
+    this.suspension = null;
+    this.transferPending = true;
+    this.emit('controlSuspensionChanged', { suspended: false, duration });
+  }
+  
   /**
    * Process temperature update and return control actions
    */
@@ -65,61 +502,186 @@ class TemperatureControlService extends EventEmitter {
     
     const startTime = Date.now();
     
-    // Get control decision from neural controller
-    const controlResult = this.controller.update(temperature);
+    if (this.transferPending) {
+      this.transferFromOutputs(temperature);
+    } else if (typeof this.controller.observeOutputs === 'function') {
+      // Controllers that plan on their past outputs go by the applied ones, not what they asked for
+      this.controller.observeOutputs(this.readOutputs());
+    }
+    
+    // Controllers return null while they wait for their sample time
+    const rawResult = this.controller.update(temperature);
     
-    if (!controlResult) {
+    if (!rawResult) {
       return null;
     }
+    const controlResult = normalizeControlResult(rawResult, this.peltierIds);
     
     // Track performance
     const processingTime = Date.now() - startTime;
     this.trackPerformance({
-      controller: 'rbf-pid',
+      controller: this.controllerType,
       temperature,
+      setpoint: controlResult.setpoint,
       error: controlResult.error,
-      peltier1: controlResult.peltier1,
-      peltier2: controlResult.peltier2,
+      peltiers: controlResult.peltiers,
+      duties: controlResult.duties,
+      mode: controlResult.mode,
       processingTime,
       timestamp: controlResult.timestamp,
       stable: controlResult.stable,
       gains: controlResult.gains
     });
     
+    this.lastPeltierStates = controlResult.peltiers;
+    this.lastDuties = controlResult.duties || null;
+    this.lastMode = controlResult.mode;
+    
     // Emit control decision
     this.emit('controlDecision', {
-      controller: 'rbf-pid',
+      controller: this.controllerType,
       temperature,
       setpoint: controlResult.setpoint,
-      peltier1: controlResult.peltier1,
-      peltier2: controlResult.peltier2,
+      peltiers: controlResult.peltiers,
+      duties: controlResult.duties,
+      mode: controlResult.mode,
+      command: controlResult.command,
       error: controlResult.error,
       stable: controlResult.stable,
       gains: controlResult.gains,
       pid: controlResult.pid,
-      metrics: this.controller.getMetrics ? this.controller.getMetrics() : null
+      metrics: this.controller.getMetrics()
     });
     
     this.lastUpdate = Date.now();
     
     return {
-      peltier1: controlResult.peltier1,
-      peltier2: controlResult.peltier2,
-      controller: 'rbf-pid',
+      peltiers: controlResult.peltiers,
+      duties: controlResult.duties,
+      mode: controlResult.mode,
+      controller: this.controllerType,
       metrics: controlResult
     };
   }
   
   /**
    * Set new temperature setpoint
+   * With a ramp rate the controller gets there at that rate, otherwise at once.
    */
   setSetpoint(setpoint) {
-    if (this.controller && this.controller.setSetpoint) {
-      this.controller.setSetpoint(setpoint);
+    const errors = validateSetpointPolicy({ ...this.setpointPolicy, target: setpoint });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    this.abortAutotune('Setpoint changed');
+    this.setpointPolicy.target = setpoint;
+    const working = this.getWorkingSetpoint();
+    
+    if (this.setpointPolicy.rampRate > 0 && working !== null && working !== setpoint) {
+      this.ramp = { from: working, startedAt: Date.now() };
+      console.log(`🎯 Temperature setpoint ramping from ${working}°C to ${setpoint}°C at ${this.setpointPolicy.rampRate}°C/min`);
+    } else {
+      this.ramp = null;
+      this.applyWorkingSetpoint(setpoint);
+      console.log(`🎯 Temperature setpoint changed to ${setpoint}°C`);
+    }
+    
+    this.emit('setpointChanged', this.getSetpointStatus());
+  }
+  
+  /**
+   * Change the allowed setpoint range and ramp rate
+   * The current target has to stay inside the new range.
+   */
+  setSetpointLimits({ min = this.setpointPolicy.min, max = this.setpointPolicy.max, rampRate = this.setpointPolicy.rampRate }) {
+    const policy = { ...this.setpointPolicy, min, max, rampRate };
+    const errors = validateSetpointPolicy(policy);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    this.setpointPolicy = policy;
+    if (this.ramp && rampRate === 0) {
+      // Ramping switched off, finish the move now
+      this.ramp = null;
+      this.applyWorkingSetpoint(policy.target);
+    }
+    
+    this.emit('setpointChanged', this.getSetpointStatus());
+  }
+  
+  /**
+   * Restore saved setpoint settings, e.g. when the device starts
+   * The saved target is applied at once, ramps only cover later changes.
+   */
+  loadSetpointSettings(policy = {}) {
+    const next = { ...createDefaultSetpointPolicy(), ...policy };
+    const errors = validateSetpointPolicy(next);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    this.setpointPolicy = next;
+    this.ramp = null;
+    this.applyWorkingSetpoint(next.target);
+  }
+  
+  getSetpointSettings() {
+    return { ...this.setpointPolicy };
+  }
+  
+  getWorkingSetpoint() {
+    return this.controller ? this.controller.setpoint : null;
+  }
+  
+  /**
+   * Authoritative setpoint as every window shows it
+   */
+  getSetpointStatus() {
+    return {
+      setpoint: this.getWorkingSetpoint(),
+      target: this.setpointPolicy.target,
+      ramping: !!this.ramp,
+      min: this.setpointPolicy.min,
+      max: this.setpointPolicy.max,
+      rampRate: this.setpointPolicy.rampRate
+    };
+  }
+  
+  applyWorkingSetpoint(setpoint) {
+    if (!this.controller) return;
+    
+    this.controller.setSetpoint(setpoint);
+    // Controllers that start over on a new setpoint pick up the outputs again
+    if (resetsOnSetpoint(this.controllerType)) {
+      this.transferPending = true;
     }
+  }
+  
+  /**
+   * Move the working setpoint along an active ramp, runs with every reading
+   */
+  advanceRamp(now = Date.now()) {
+    if (!this.ramp || !this.controller) return;
+    
+    const { target, rampRate } = this.setpointPolicy;
+    const { from, startedAt } = this.ramp;
+    const travelled = rampRate * (now - startedAt) / 60000;
     
-    console.log(`🎯 Temperature setpoint changed to ${setpoint}°C`);
-    this.emit('setpointChanged', { setpoint });
+    let working;
+    if (travelled >= Math.abs(target - from)) {
+      working = target;
+      this.ramp = null;
+      console.log(`🎯 Temperature setpoint ramp reached ${target}°C`);
+    } else {
+      working = Math.round((from + Math.sign(target - from) * travelled) * 100) / 100;
+    }
+    
+    if (working !== this.getWorkingSetpoint()) {
+      this.applyWorkingSetpoint(working);
+      this.emit('setpointChanged', this.getSetpointStatus());
+    }
   }
   
   /**
@@ -127,49 +689,334 @@ class TemperatureControlService extends EventEmitter {
    */
   getConfiguration() {
     return {
-      controller: 'rbf-pid',
+      controller: this.controllerType,
+      controllerLabel: this.getControllerLabel(),
       enabled: this.isEnabled,
+      controlChannel: this.controlChannel,
+      safeOutput: this.safeOutput,
+      suspension: this.suspension,
       lastUpdate: this.lastUpdate
     };
   }
   
   /**
-   * Get RBF Adaptive PID controller parameters
+   * Setpoint and tunables of the active controller
+   * Adaptive controllers change their gains while running, these are the live values.
    */
   getControllerParams() {
     if (!this.controller) return null;
     
     return {
       setpoint: this.controller.setpoint,
-      kp: this.controller.kp,
-      ki: this.controller.ki,
-      kd: this.controller.kd,
-      numCenters: this.controller.numCenters,
-      learningRate: this.controller.learningRate,
-      spread: this.controller.spread,
-      nonlinearGain: this.controller.nonlinearGain
+      ...getControllerParams(this.controllerType, this.controller)
     };
   }
   
   /**
-   * Update RBF Adaptive PID controller parameters
+   * Update the active controller's tunables
+   * Structural changes (network size) rebuild the controller and lose what it learned.
    */
   updateControllerParams(params) {
     if (!this.controller) return false;
     
-    // Update parameters
-    Object.keys(params).forEach(key => {
-      if (this.controller.hasOwnProperty(key)) {
-        this.controller[key] = params[key];
-      }
+    const errors = validateControllerParams(this.controllerType, params);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    
+    this.controllerParams[this.controllerType] = { ...this.controllerParams[this.controllerType], ...params };
+    if (!applyControllerParams(this.controllerType, this.controller, params)) {
+      this.initializeControllers({ ...this.controllerConfig, setpoint: this.controller.setpoint });
+    }
+    
+    console.log(`📝 Updated ${this.getControllerLabel()} controller parameters:`, params);
+    this.emit('controllerParamsUpdated', { type: this.controllerType, params: this.getControllerParams() });
+    
+    return true;
+  }
+  
+  /**
+   * Whether the temperature has settled at the setpoint
+   * Uses the controller's own isStable() where it has one. Never while control
+   * is off or the setpoint is still ramping.
+   */
+  isStable() {
+    if (!this.controller || !this.isEnabled || this.ramp || this.isAutotuning()) return false;
+    
+    if (typeof this.controller.isStable === 'function') {
+      return this.controller.isStable();
+    }
+    
+    const setpoint = this.getWorkingSetpoint();
+    const recent = this.performanceHistory.slice(-STABLE_SAMPLES);
+    return recent.length === STABLE_SAMPLES &&
+      recent.every(sample => sample.setpoint === setpoint && Math.abs(sample.error) < STABLE_ERROR);
+  }
+  
+  /**
+   * Run a relay autotune experiment around the working setpoint
+   * The relay drives the outputs until it completes or aborts, then the
+   * controller takes over from them. A result waits for acceptAutotune() or
+   * rejectAutotune().
+   * @param {Object} config - Overrides of RelayAutotune's createDefaultAutotuneConfig()
+   */
+  startAutotune(config = {}) {
+    if (!this.controller || !this.isEnabled) {
+      throw new Error('Automatic control must be on to autotune');
+    }
+    if (this.isAutotuning()) {
+      throw new Error('Autotune is already running');
+    }
+    if (this.suspension) {
+      throw new Error(`Control is suspended: ${this.suspension.reason}`);
+    }
+    if (this.ramp) {
+      throw new Error('Wait for the setpoint ramp to finish');
+    }
+    
+    this.autotune = new RelayAutotune({ ...config, setpoint: this.getWorkingSetpoint(), peltierIds: this.peltierIds });
+    console.log(`🎛️ Relay autotune started at ${this.autotune.setpoint}°C ±${this.autotune.config.hysteresis}°C`);
+    this.emitAutotuneProgress();
+    return this.getAutotuneStatus();
+  }
+  
+  isAutotuning() {
+    return !!this.autotune && this.autotune.status === 'running';
+  }
+  
+  processAutotune(temperature) {
+    const outputs = this.autotune.update(temperature);
+    if (!outputs) {
+      this.finishAutotune();
+      return this.processTemperature(temperature);
+    }
+    
+    // The relay only cools
+    const { peltiers, duties } = outputs;
+    const mode = this.autotune.relayOn ? 'cooling' : 'off';
+    this.lastPeltierStates = peltiers;
+    this.lastDuties = duties;
+    this.lastMode = mode;
+    
+    this.emit('controlDecision', {
+      controller: 'autotune',
+      temperature,
+      setpoint: this.autotune.setpoint,
+      peltiers,
+      duties,
+      mode,
+      error: temperature - this.autotune.setpoint
     });
+    this.emitAutotuneProgress();
+    
+    return { peltiers, duties, mode, controller: 'autotune' };
+  }
+  
+  finishAutotune() {
+    const { status, reason, result } = this.autotune;
+    if (status === 'completed') {
+      console.log(`🎛️ Autotune done: Ku=${result.ku.toFixed(2)} %/°C, Tu=${Math.round(result.tu)} s`);
+    } else {
+      console.warn(`⚠️ Autotune aborted: ${reason}`);
+    }
     
-    console.log(`📝 Updated RBF Adaptive PID controller parameters:`, params);
-    this.emit('controllerParamsUpdated', { type: 'rbf-pid', params });
+    // The controller continues from the relay's last outputs
+    this.transferPending = true;
+    this.emitAutotuneProgress();
+  }
+  
+  abortAutotune(reason = 'Aborted by operator') {
+    if (!this.isAutotuning()) return false;
     
+    this.autotune.abort(reason);
+    this.finishAutotune();
     return true;
   }
   
+  /**
+   * Experiment progress, with the tunables each rule proposes once it completed
+   * @returns {Object|null} RelayAutotune status plus proposals { [rule]: { [type]: params } }
+   */
+  getAutotuneStatus() {
+    if (!this.autotune) return null;
+    
+    const status = this.autotune.getStatus();
+    if (status.result) {
+      status.proposals = {};
+      Object.entries(status.result.gains).forEach(([rule, gains]) => {
+        status.proposals[rule] = proposeControllerParams(gains);
+      });
+    }
+    return status;
+  }
+  
+  /**
+   * Take the tunables one rule proposes for every controller that accepts autotuned gains
+   */
+  acceptAutotune(rule) {
+    const status = this.getAutotuneStatus();
+    if (!status || status.status !== 'completed') {
+      throw new Error('No autotune result to accept');
+    }
+    const proposal = status.proposals[rule];
+    if (!proposal) {
+      throw new Error(`Unknown tuning rule: ${rule}`);
+    }
+    
+    this.autotune = null;
+    this.takeProposedParams(proposal);
+    
+    console.log(`🎛️ Autotuned gains (${rule}) taken for ${Object.keys(proposal).join(', ')}`);
+    this.emitAutotuneProgress();
+    return proposal;
+  }
+  
+  /**
+   * Store proposed tunables per controller type, the running one picks them up at once
+   */
+  takeProposedParams(proposal) {
+    Object.entries(proposal).forEach(([type, params]) => {
+      if (type === this.controllerType) {
+        this.updateControllerParams(params);
+        this.transferPending = true;
+      } else {
+        this.controllerParams[type] = { ...this.controllerParams[type], ...params };
+      }
+    });
+  }
+  
+  rejectAutotune() {
+    if (this.isAutotuning()) {
+      throw new Error('Abort the running autotune first');
+    }
+    
+    this.autotune = null;
+    this.emitAutotuneProgress();
+  }
+  
+  emitAutotuneProgress() {
+    this.emit('autotuneProgress', this.getAutotuneStatus() || { status: 'idle' });
+  }
+  
+  /**
+   * Log a good sample with the outputs that were driven while it was taken
+   */
+  recordPlantSample(temperature, timestamp = new Date()) {
+    if (!Number.isFinite(temperature)) return;
+    
+    // Heating counts as negative demand, the model then covers both directions
+    const { duties, heating } = this.readOutputs();
+    const demand = bankDemand(duties, this.peltierIds);
+    this.plantHistory.push({
+      timestamp: new Date(timestamp).getTime(),
+      temperature,
+      duties,
+      demand: heating ? -demand : demand,
+      mode: !this.isEnabled ? 'manual' : (this.isAutotuning() ? 'autotune' : this.controllerType)
+    });
+    
+    if (this.plantHistory.length > PLANT_HISTORY_SIZE) {
+      this.plantHistory.shift();
+    }
+  }
+  
+  /**
+   * Logged samples between two times (ms or Date), all of them by default
+   */
+  getPlantHistory(from = 0, to = Infinity) {
+    const start = new Date(from).getTime();
+    const end = to === Infinity ? Infinity : new Date(to).getTime();
+    return this.plantHistory.filter(sample => sample.timestamp >= start && sample.timestamp <= end);
+  }
+  
+  /**
+   * Mark the start of a step test, the window the identification fits later
+   */
+  beginStepTest(label) {
+    if (this.stepTests.some(test => test.endedAt === null)) {
+      throw new Error('A step test is already being marked');
+    }
+    
+    const startedAt = Date.now();
+    const test = {
+      id: `step-${startedAt.toString(36)}`,
+      label: label && label.trim() ? label.trim() : `Step test ${new Date(startedAt).toLocaleString()}`,
+      startedAt,
+      endedAt: null
+    };
+    this.stepTests.push(test);
+    if (this.stepTests.length > MAX_STEP_TESTS) {
+      this.stepTests.shift();
+    }
+    
+    console.log(`📍 Step test "${test.label}" started`);
+    return { ...test };
+  }
+  
+  endStepTest() {
+    const test = this.stepTests.find(entry => entry.endedAt === null);
+    if (!test) {
+      throw new Error('No step test is being marked');
+    }
+    
+    test.endedAt = Date.now();
+    console.log(`📍 Step test "${test.label}" ended after ${Math.round((test.endedAt - test.startedAt) / 1000)}s`);
+    return { ...test };
+  }
+  
+  getStepTests() {
+    return this.stepTests.map(test => ({ ...test }));
+  }
+  
+  /**
+   * Fit a FOPDT model to a logged window and derive tuning from it
+   * @param {Object} window - { stepTestId } or { from, to }, an open step test runs until now
+   * @param {Object} [options] - { maxDeadTime, closedLoopTime } in seconds
+   * @returns {Object} identifyFopdt() result plus tuning from deriveTuning()
+   */
+  identifyPlant(window = {}, { maxDeadTime, closedLoopTime } = {}) {
+    let { from, to } = window;
+    if (window.stepTestId) {
+      const test = this.stepTests.find(entry => entry.id === window.stepTestId);
+      if (!test) {
+        throw new Error(`Unknown step test: ${window.stepTestId}`);
+      }
+      from = test.startedAt;
+      to = test.endedAt || Date.now();
+    }
+    
+    const identification = identifyFopdt(this.getPlantHistory(from, to), { maxDeadTime });
+    const { model, fit } = identification;
+    console.log(`🔬 FOPDT fit: K=${model.gain.toFixed(3)} °C/%, τ=${Math.round(model.timeConstant)}s, θ=${Math.round(model.deadTime)}s, R²=${fit.r2.toFixed(3)}`);
+    
+    this.identification = {
+      ...identification,
+      tuning: deriveTuning(model, {
+        setpoint: this.setpointPolicy.target,
+        peltierIds: this.peltierIds,
+        closedLoopTime
+      })
+    };
+    return this.identification;
+  }
+  
+  /**
+   * Take the tunables one rule derives from the last identified model
+   */
+  acceptIdentifiedGains(rule) {
+    if (!this.identification) {
+      throw new Error('No identified model to take gains from');
+    }
+    const proposal = this.identification.tuning.proposals[rule];
+    if (!proposal) {
+      throw new Error(`Unknown tuning rule: ${rule}`);
+    }
+    
+    this.takeProposedParams(proposal);
+    console.log(`🔬 Identified gains (${rule}) taken for ${Object.keys(proposal).join(', ')}`);
+    return proposal;
+  }
+  
   /**
    * Track performance metrics
    */
@@ -185,11 +1032,14 @@ class TemperatureControlService extends EventEmitter {
    * Get performance statistics
    */
   getPerformanceStats() {
-    if (this.performanceHistory.length === 0) {
+    // Only good samples reach the controller, some controllers leave the error out
+    const recent = this.performanceHistory
+      .filter(p => Number.isFinite(p.error))
+      .slice(-20);
+    if (recent.length === 0) {
       return null;
     }
     
-    const recent = this.performanceHistory.slice(-20);
     const errors = recent.map(p => Math.abs(p.error));
     const avgError = errors.reduce((a, b) => a + b, 0) / errors.length;
     const maxError = Math.max(...errors);
@@ -211,7 +1061,7 @@ class TemperatureControlService extends EventEmitter {
         avgProcessingTime: recent.reduce((a, b) => a + b.processingTime, 0) / recent.length
       },
       current: {
-        controller: 'rbf-pid',
+        controller: this.controllerType,
         enabled: this.isEnabled,
         lastUpdate: this.lastUpdate
       }
@@ -222,7 +1072,7 @@ class TemperatureControlService extends EventEmitter {
    * Export RBF network weights and parameters
    */
   exportRBFModel() {
-    if (!this.controller) return null;
+    if (!this.controller || this.controllerType !== 'rbf-pid') return null;
     
     return {
       weights: this.controller.weights,
@@ -241,7 +1091,7 @@ class TemperatureControlService extends EventEmitter {
    * Import RBF network weights and parameters
    */
   importRBFModel(model) {
-    if (!this.controller || !model) return false;
+    if (!this.controller || this.controllerType !== 'rbf-pid' || !model) return false;
     
     try {
       if (model.weights) this.controller.weights = model.weights;
@@ -268,19 +1118,21 @@ class TemperatureControlService extends EventEmitter {
   }
   
   /**
-   * Reset RBF Adaptive PID controller
+   * Reset the active controller
    */
   reset() {
-    if (this.controller && this.controller.reset) {
+    if (this.controller) {
       this.controller.reset();
     }
     
     this.performanceHistory = [];
     this.lastUpdate = null;
     
-    console.log('🔄 RBF Adaptive PID controller reset');
+    console.log(`🔄 ${this.getControllerLabel()} controller reset`);
     this.emit('controllersReset');
   }
 }
 
-module.exports = TemperatureControlService;
\ No newline at end of file
+module.exports = TemperatureControlService;
+module.exports.createDefaultSetpointPolicy = createDefaultSetpointPolicy;
+module.exports.createDefaultHeatingConfig = createDefaultHeatingConfig;
\ No newline at end of file
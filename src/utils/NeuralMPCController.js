@@ -9,6 +9,8 @@
  * - Constraint handling for safe operation
  */
 
+import { resolvePeltierIds, mapPeltiers } from './peltierStaging.js'
+
 class NeuralMPCController {
   constructor(config = {}) {
     // Control parameters
@@ -17,8 +19,12 @@ class NeuralMPCController {
     this.controlHorizon = config.controlHorizon || 3 // control moves
     this.dt = config.dt || 1.0 // time step in seconds
     
+    // Peltier stages (first ID is the lead stage)
+    this.peltierIds = resolvePeltierIds(config)
+    
     // Neural network architecture
-    this.inputSize = 6 // [temp, peltier1, peltier2, temp_prev, action_prev1, action_prev2]
+    // [temp, peltier_1..peltier_N, temp_prev, action_prev_1..action_prev_N]
+    this.inputSize = 2 + 2 * this.peltierIds.length
     this.hiddenSize = config.hiddenSize || 16
     this.outputSize = 1 // predicted temperature change
     
@@ -45,11 +51,8 @@ class NeuralMPCController {
     this.predictionErrors = []
     this.maxHistory = 100
     
-    // Control constraints
-    this.minOnTime = 3000 // 3 seconds
-    this.minOffTime = 2000 // 2 seconds
-    this.lastActionTime = { 1: 0, 2: 0 }
-    this.lastActionState = { 1: false, 2: false }
+    // Last applied action, fed back into the model
+    this.lastActionState = mapPeltiers(this.peltierIds, () => false)
     
     // Performance metrics
     this.totalPredictions = 0
@@ -160,17 +163,22 @@ class NeuralMPCController {
   }
   
   /**
-   * Predict temperature change given current state and actions
+   * Build the network input from temperatures and Peltier states
    */
-  predictTemperatureChange(temp, peltier1, peltier2, tempPrev, action1Prev, action2Prev) {
-    const input = [
+  buildInput(temp, actions, tempPrev, actionsPrev) {
+    return [
       (temp - this.setpoint) / 10, // Normalize temperature error
-      peltier1 ? 1 : 0,
-      peltier2 ? 1 : 0,
+      ...this.peltierIds.map(id => actions[id] ? 1 : 0),
       (tempPrev - this.setpoint) / 10,
-      action1Prev ? 1 : 0,
-      action2Prev ? 1 : 0
+      ...this.peltierIds.map(id => actionsPrev[id] ? 1 : 0)
     ]
+  }
+  
+  /**
+   * Predict temperature change given current state and actions
+   */
+  predictTemperatureChange(temp, actions, tempPrev, actionsPrev) {
+    const input = this.buildInput(temp, actions, tempPrev, actionsPrev)
     
     const { output } = this.forward(input)
     return output * 0.5 // Scale output to reasonable temperature change
@@ -183,32 +191,23 @@ class NeuralMPCController {
     const trajectory = [currentTemp]
     let temp = currentTemp
     let tempPrev = currentTemp
-    let action1Prev = this.lastActionState[1]
-    let action2Prev = this.lastActionState[2]
+    let actionsPrev = { ...this.lastActionState }
     
     for (const actions of controlSequence) {
-      const deltaT = this.predictTemperatureChange(
-        temp, 
-        actions.peltier1, 
-        actions.peltier2,
-        tempPrev,
-        action1Prev,
-        action2Prev
-      )
+      const deltaT = this.predictTemperatureChange(temp, actions, tempPrev, actionsPrev)
       
       tempPrev = temp
       temp += deltaT
       
       // Apply physics constraints
-      if (actions.peltier1 || actions.peltier2) {
+      if (this.peltierIds.some(id => actions[id])) {
         temp -= 0.1 * this.dt // Cooling effect
       } else {
         temp += 0.05 * this.dt // Ambient heating
       }
       
       trajectory.push(temp)
-      action1Prev = actions.peltier1
-      action2Prev = actions.peltier2
+      actionsPrev = actions
     }
     
     return trajectory
@@ -228,13 +227,12 @@ class NeuralMPCController {
       for (let t = 0; t < this.controlHorizon; t++) {
         // Bias towards reasonable actions based on temperature error
         const error = currentTemp - this.setpoint
-        const p1Prob = Math.max(0.1, Math.min(0.9, 0.5 + error * 0.1))
-        const p2Prob = Math.max(0, Math.min(0.8, error * 0.1))
+        const leadProb = Math.max(0.1, Math.min(0.9, 0.5 + error * 0.1))
+        const assistProb = Math.max(0, Math.min(0.8, error * 0.1))
         
-        sequence.push({
-          peltier1: Math.random() < p1Prob,
-          peltier2: Math.random() < p2Prob
-        })
+        sequence.push(mapPeltiers(this.peltierIds, (id, index) =>
+          Math.random() < (index === 0 ? leadProb : assistProb)
+        ))
       }
       sequences.push(sequence)
       
@@ -248,10 +246,11 @@ class NeuralMPCController {
         cost += error * error
       }
       
-      // Control effort penalty
+      // Control effort penalty (assist stages cost more than the lead)
       for (const action of sequence) {
-        if (action.peltier1) cost += 0.1
-        if (action.peltier2) cost += 0.2
+        this.peltierIds.forEach((id, index) => {
+          if (action[id]) cost += index === 0 ? 0.1 : 0.2
+        })
       }
       
       costs.push(cost)
@@ -271,21 +270,14 @@ class NeuralMPCController {
     // Learn from previous prediction if we have history
     if (this.temperatureHistory.length > 1) {
       const prevTemp = this.temperatureHistory[this.temperatureHistory.length - 2].temp
-      const prevActions = this.actionHistory[this.actionHistory.length - 2] || { peltier1: false, peltier2: false }
+      const prevActions = this.actionHistory[this.actionHistory.length - 2] || mapPeltiers(this.peltierIds, () => false)
       const prevPrevTemp = this.temperatureHistory.length > 2 ? 
         this.temperatureHistory[this.temperatureHistory.length - 3].temp : prevTemp
       const prevPrevActions = this.actionHistory.length > 2 ?
         this.actionHistory[this.actionHistory.length - 3] : prevActions
       
       // Create input for learning
-      const input = [
-        (prevTemp - this.setpoint) / 10,
-        prevActions.peltier1 ? 1 : 0,
-        prevActions.peltier2 ? 1 : 0,
-        (prevPrevTemp - this.setpoint) / 10,
-        prevPrevActions.peltier1 ? 1 : 0,
-        prevPrevActions.peltier2 ? 1 : 0
-      ]
+      const input = this.buildInput(prevTemp, prevActions, prevPrevTemp, prevPrevActions)
       
       const { output, hidden } = this.forward(input)
       const predictedChange = output * 0.5
@@ -323,25 +315,12 @@ class NeuralMPCController {
     const optimalSequence = this.optimizeControl(currentTemp)
     const nextAction = optimalSequence[0]
     
-    // Apply constraints
-    const constrainedAction = this.applyConstraints(nextAction, now)
-    
     // Store action
-    this.actionHistory.push(constrainedAction)
+    this.actionHistory.push(nextAction)
     if (this.actionHistory.length > this.maxHistory) {
       this.actionHistory.shift()
     }
     
-    // Update last action state
-    if (constrainedAction.peltier1 !== this.lastActionState[1]) {
-      this.lastActionTime[1] = now
-      this.lastActionState[1] = constrainedAction.peltier1
-    }
-    if (constrainedAction.peltier2 !== this.lastActionState[2]) {
-      this.lastActionTime[2] = now
-      this.lastActionState[2] = constrainedAction.peltier2
-    }
-    
     // Calculate metrics
     const error = currentTemp - this.setpoint
     const predictedTrajectory = this.simulateTrajectory(currentTemp, optimalSequence)
@@ -351,8 +330,7 @@ class NeuralMPCController {
       temperature: currentTemp,
       setpoint: this.setpoint,
       error: error,
-      peltier1: constrainedAction.peltier1,
-      peltier2: constrainedAction.peltier2,
+      peltiers: nextAction,
       predictedTrajectory: predictedTrajectory,
       modelConfidence: this.modelConfidence,
       learningRate: this.learningRate,
@@ -361,31 +339,6 @@ class NeuralMPCController {
     }
   }
   
-  /**
-   * Apply minimum on/off time constraints
-   */
-  applyConstraints(action, now) {
-    const constrained = { ...action }
-    
-    // Check Peltier 1
-    const timeSince1 = now - this.lastActionTime[1]
-    if (this.lastActionState[1] && !action.peltier1 && timeSince1 < this.minOnTime) {
-      constrained.peltier1 = true // Keep on
-    } else if (!this.lastActionState[1] && action.peltier1 && timeSince1 < this.minOffTime) {
-      constrained.peltier1 = false // Keep off
-    }
-    
-    // Check Peltier 2
-    const timeSince2 = now - this.lastActionTime[2]
-    if (this.lastActionState[2] && !action.peltier2 && timeSince2 < this.minOnTime) {
-      constrained.peltier2 = true // Keep on
-    } else if (!this.lastActionState[2] && action.peltier2 && timeSince2 < this.minOffTime) {
-      constrained.peltier2 = false // Keep off
-    }
-    
-    return constrained
-  }
-  
   /**
    * Reset controller
    */
@@ -396,13 +349,50 @@ class NeuralMPCController {
     this.totalPredictions = 0
     this.accuratePredictions = 0
     this.modelConfidence = 0.5
-    this.lastActionTime = { 1: Date.now(), 2: Date.now() }
-    this.lastActionState = { 1: false, 2: false }
+    this.lastActionState = mapPeltiers(this.peltierIds, () => false)
     
     // Reset learning rate
     this.learningRate = 0.001
   }
   
+  /**
+   * Change which Peltier leads, the learned model carries over
+   * @param {number[]} peltierIds - Same Peltiers in the new staging order, lead first
+   */
+  setStagingOrder(peltierIds) {
+    this.peltierIds = [...peltierIds]
+  }
+  
+  /**
+   * Bumpless transfer: continue from the outputs the Peltiers are at now
+   * The learned model is kept, samples from before the transfer are dropped
+   * because they don't belong to the outputs now applied.
+   * @param {Object} plant - { temperature, peltiers: { id: on } }
+   */
+  initializeFromPlant({ temperature, peltiers }) {
+    const now = Date.now()
+    const actions = mapPeltiers(this.peltierIds, id => !!peltiers[id])
+    
+    this.temperatureHistory = [{ temp: temperature, time: now }]
+    this.actionHistory = [actions]
+    this.lastActionState = { ...actions }
+  }
+  
+  /**
+   * Outputs as they were actually applied after the last update
+   * Their protection may have held a switch this controller asked for, the model
+   * learns from and plans on from what the Peltiers really did.
+   * @param {Object} plant - { peltiers: { id: on } }
+   */
+  observeOutputs({ peltiers }) {
+    const actions = mapPeltiers(this.peltierIds, id => !!peltiers[id])
+    
+    if (this.actionHistory.length > 0) {
+      this.actionHistory[this.actionHistory.length - 1] = actions
+    }
+    this.lastActionState = { ...actions }
+  }
+  
   /**
    * Set new target temperature
    */
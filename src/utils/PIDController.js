@@ -1,3 +1,6 @@
+import { resolvePeltierIds, mapPeltiers, fillAssistStages } from './peltierStaging.js'
+import { PolaritySelector, signedCommand } from './polarity.js'
+
 /**
  * PID Controller for Peltier Temperature Control
  * Implements a discrete PID controller with anti-windup and output limiting
@@ -12,10 +15,10 @@ class PIDController {
     // Controller settings
     this.setpoint = config.setpoint || 5.0  // Target temperature
     this.sampleTime = config.sampleTime || 1000  // Sample time in ms
-    this.outputMin = config.outputMin || 0     // Minimum output (0%)
+    this.outputMin = config.outputMin || 0     // Minimum output (0%, below 0 for a signed heating/cooling output)
     this.outputMax = config.outputMax || 100   // Maximum output (100%)
     
-    // Anti-windup limits (positive for cooling system)
+    // Anti-windup limits (positive for cooling system, signed with heating)
     this.integralMin = config.integralMin || 0
     this.integralMax = config.integralMax || 100
     
@@ -57,6 +60,28 @@ class PIDController {
     this.history = []
   }
   
+  /**
+   * Start from an output that is already applied (bumpless transfer)
+   * Back-calculates the integral so the next update continues at that output.
+   * @param {number} currentTemp - Current temperature reading
+   * @param {number} output - Output applied now (0-100%, negative while heating)
+   */
+  initializeOutput(currentTemp, output) {
+    const error = this.setpoint - currentTemp
+    const P = this.kp * error
+    
+    // update() adds |P| while cooling and subtracts P below the setpoint, the derivative starts at 0
+    // (both come down to output = I - P, the signed output too)
+    if (this.ki > 0) {
+      const I = error < 0 ? output - Math.abs(P) : output + P
+      this.integral = Math.max(this.integralMin, Math.min(this.integralMax, I / this.ki))
+    }
+    
+    this.lastError = error
+    this.lastInput = currentTemp
+    this.lastTime = Date.now()
+  }
+  
   /**
    * Calculate PID output
    * @param {number} currentTemp - Current temperature reading
@@ -98,7 +123,10 @@ class PIDController {
     let output = P + I + D
     
     // For cooling applications, ensure positive output when cooling is needed
-    if (error < 0) {
+    if (this.outputMin < 0) {
+      // Signed output, positive cools and negative heats
+      output = -P + I - D
+    } else if (error < 0) {
       // Need cooling - use absolute values of P and D, positive I
       output = Math.abs(P) + I + Math.abs(D)
     } else {
@@ -106,8 +134,8 @@ class PIDController {
       output = Math.max(0, -P + I - D)  // Allow some cooling to prevent overshoot
     }
     
-    // Limit output to 0-100%
-    output = Math.max(0, Math.min(this.outputMax, output))
+    // Limit output to 0-100% (-100-100% signed)
+    output = Math.max(this.outputMin, Math.min(this.outputMax, output))
     
     // Update state
     this.lastError = error
@@ -216,6 +244,17 @@ class PWMController {
     this.dutyCycle = Math.max(this.minDutyCycle, Math.min(this.maxDutyCycle, dutyCycle))
   }
   
+  /**
+   * Continue from an output that is on or off now
+   * The cycle is placed so the current state holds for the rest of its on or off time.
+   */
+  resume(dutyCycle, isOn, now = Date.now()) {
+    this.setDutyCycle(dutyCycle)
+    this.isOn = isOn
+    this.cycleStartTime = isOn ? now : now - (this.dutyCycle / 100) * this.period
+    this.lastUpdate = now
+  }
+  
   /**
    * Get current PWM state
    */
@@ -251,18 +290,23 @@ class PWMController {
  */
 class DualPeltierController {
   constructor(config = {}) {
+    // H-bridge outputs: the PID output is signed and heats below the setpoint
+    this.polarity = config.heating && config.heating.enabled ? new PolaritySelector(config.heating) : null
+    
     // Create PID controller
     this.pid = new PIDController({
       kp: config.kp || 3.0,
       ki: config.ki || 0.8,
       kd: config.kd || 0.2,
       setpoint: config.setpoint || 5.0,
-      sampleTime: config.sampleTime || 1000
+      sampleTime: config.sampleTime || 1000,
+      outputMin: this.polarity ? -100 : 0,
+      integralMin: this.polarity ? -100 : 0
     })
     
-    // Create PWM controllers for each Peltier
-    this.pwm1 = new PWMController({ period: 10000 })
-    this.pwm2 = new PWMController({ period: 10000 })
+    // Create PWM controllers for each Peltier (first ID is the lead stage)
+    this.peltierIds = resolvePeltierIds(config)
+    this.pwm = mapPeltiers(this.peltierIds, () => new PWMController({ period: 10000 }))
     
     // Control strategy settings
     this.cascadeThreshold = config.cascadeThreshold || 50  // Use both Peltiers above 50%
@@ -277,50 +321,90 @@ class DualPeltierController {
     const pidResult = this.pid.update(currentTemp)
     if (!pidResult) return null
     
-    // Distribute PID output to Peltiers
-    const totalOutput = pidResult.output
+    // Distribute PID output to Peltiers, in whichever direction they run
+    const { mode, magnitude: totalOutput } = this.polarity
+      ? this.polarity.select(pidResult.output)
+      : { mode: 'cooling', magnitude: pidResult.output }
+    const assistCount = this.peltierIds.length - 1
+    let leadOutput, assistOutput
     
     if (totalOutput <= this.cascadeThreshold) {
-      // Use only Peltier 1 for low cooling demand
-      this.pwm1.setDutyCycle(totalOutput * 2)  // Scale up since we're using one Peltier
-      this.pwm2.setDutyCycle(0)
+      // Use only the lead Peltier for low cooling demand
+      leadOutput = totalOutput * 2  // Scale up since we're using one Peltier
+      assistOutput = 0
     } else {
-      // Use both Peltiers for high cooling demand
+      // Bring in the assist Peltiers for high cooling demand
       const excessOutput = totalOutput - this.cascadeThreshold
-      const peltier1Output = this.cascadeThreshold + (excessOutput * this.balanceRatio)
-      const peltier2Output = excessOutput * (1 - this.balanceRatio) * 2
-      
-      this.pwm1.setDutyCycle(Math.min(100, peltier1Output))
-      this.pwm2.setDutyCycle(Math.min(100, peltier2Output))
+      leadOutput = this.cascadeThreshold + (excessOutput * this.balanceRatio)
+      assistOutput = excessOutput * (1 - this.balanceRatio) * 2
     }
     
+    const assistOutputs = fillAssistStages(assistOutput, assistCount)
+    this.peltierIds.forEach((id, index) => {
+      this.pwm[id].setDutyCycle(Math.min(100, index === 0 ? leadOutput : assistOutputs[index - 1]))
+    })
+    
     // Get PWM states
-    const pwm1State = this.pwm1.getState()
-    const pwm2State = this.pwm2.getState()
+    const peltiers = mapPeltiers(this.peltierIds, id => {
+      const pwmState = this.pwm[id].getState()
+      return {
+        shouldBeOn: pwmState.isOn,
+        dutyCycle: pwmState.dutyCycle,
+        stateChanged: pwmState.stateChanged
+      }
+    })
     
     return {
       pid: pidResult,
-      peltier1: {
-        shouldBeOn: pwm1State.isOn,
-        dutyCycle: pwm1State.dutyCycle,
-        stateChanged: pwm1State.stateChanged
-      },
-      peltier2: {
-        shouldBeOn: pwm2State.isOn,
-        dutyCycle: pwm2State.dutyCycle,
-        stateChanged: pwm2State.stateChanged
-      },
+      peltiers,
+      // Duty outputs get the duty directly instead of the software PWM
+      duties: mapPeltiers(this.peltierIds, id => this.pwm[id].dutyCycle),
+      mode,
+      command: signedCommand(mode, totalOutput),
       totalOutput: totalOutput
     }
   }
   
+  /**
+   * Change which Peltier leads, each PWM cycle carries on where it is
+   * @param {number[]} peltierIds - Same Peltiers in the new staging order, lead first
+   */
+  setStagingOrder(peltierIds) {
+    this.peltierIds = [...peltierIds]
+  }
+  
+  /**
+   * Bumpless transfer: continue from the outputs the Peltiers are at now
+   * The cascade split is inverted to the PID output behind the current
+   * duties, and each PWM cycle continues from the current on/off state.
+   * @param {Object} plant - { temperature, peltiers: { id: on }, duties: { id: 0-100% }, heating }
+   */
+  initializeFromPlant({ temperature, peltiers, duties, heating = false }) {
+    const [leadId, ...assistIds] = this.peltierIds
+    const assistOutput = assistIds.length > 0
+      ? assistIds.reduce((sum, id) => sum + (duties[id] || 0), 0) / assistIds.length
+      : 0
+    const assistShare = (1 - this.balanceRatio) * 2
+    
+    const totalOutput = assistOutput > 0 && assistShare > 0
+      ? this.cascadeThreshold + assistOutput / assistShare
+      : Math.min(this.cascadeThreshold, (duties[leadId] || 0) / 2)
+    const output = Math.min(100, totalOutput)
+    this.pid.initializeOutput(temperature, this.polarity && heating ? -output : output)
+    
+    const now = Date.now()
+    if (this.polarity) {
+      this.polarity.initialize(output > 0 ? (heating ? 'heating' : 'cooling') : 'off', now)
+    }
+    this.peltierIds.forEach(id => this.pwm[id].resume(duties[id] || 0, !!peltiers[id], now))
+  }
+  
   /**
    * Reset all controllers
    */
   reset() {
     this.pid.reset()
-    this.pwm1.setDutyCycle(0)
-    this.pwm2.setDutyCycle(0)
+    this.peltierIds.forEach(id => this.pwm[id].setDutyCycle(0))
   }
   
   /**
@@ -337,14 +421,17 @@ class DualPeltierController {
     this.pid.setSetpoint(setpoint)
   }
   
+  get setpoint() {
+    return this.pid.setpoint
+  }
+  
   /**
    * Get controller metrics
    */
   getMetrics() {
     return {
       pid: this.pid.getMetrics(),
-      peltier1DutyCycle: this.pwm1.dutyCycle,
-      peltier2DutyCycle: this.pwm2.dutyCycle
+      dutyCycles: mapPeltiers(this.peltierIds, id => this.pwm[id].dutyCycle)
     }
   }
 }
@@ -10,6 +10,9 @@
  * - Proven stability in industrial applications
  */
 
+import { resolvePeltierIds, mapPeltiers, assistThresholds, stageDuties, bankDemand } from './peltierStaging.js'
+import { PolaritySelector, signedCommand, heatingStates } from './polarity.js'
+
 class RBFAdaptivePIDController {
   constructor(config = {}) {
     // Control parameters
@@ -53,11 +56,13 @@ class RBFAdaptivePIDController {
     this.nonlinearGain = config.nonlinearGain || 1.5
     this.errorDeadband = config.errorDeadband || 0.1
     
-    // Constraint handling
-    this.minOnTime = 3000  // 3 seconds
-    this.minOffTime = 2000 // 2 seconds
-    this.lastActionTime = { 1: 0, 2: 0 }
-    this.lastActionState = { 1: false, 2: false }
+    // Peltier stages (first ID is the lead stage)
+    this.peltierIds = resolvePeltierIds(config)
+    this.stageStep = config.stageStep || 2.0 // PID output between assist stages
+    this.fullScaleOutput = config.fullScaleOutput || 10.0 // PID output that asks for the whole bank at 100% duty
+    
+    // H-bridge outputs: the signed PID output heats below the setpoint
+    this.polarity = config.heating && config.heating.enabled ? new PolaritySelector(config.heating) : null
   }
   
   /**
@@ -152,6 +157,20 @@ class RBFAdaptivePIDController {
     }
   }
   
+  /**
+   * Nonlinear proportional term with deadband
+   */
+  proportionalTerm(error) {
+    if (Math.abs(error) <= this.errorDeadband) return 0
+    
+    let P = this.kp * error
+    // Add nonlinear component for large errors
+    if (Math.abs(error) > 2.0) {
+      P += Math.sign(error) * this.kp * 0.5 * Math.pow(Math.abs(error) - 2.0, 1.3)
+    }
+    return P
+  }
+  
   /**
    * Nonlinear PID computation with intelligent control
    */
@@ -159,15 +178,7 @@ class RBFAdaptivePIDController {
     const now = Date.now()
     const dt = (now - this.lastTime) / 1000.0
     
-    // Nonlinear proportional term with deadband
-    let P = 0
-    if (Math.abs(error) > this.errorDeadband) {
-      P = this.kp * error
-      // Add nonlinear component for large errors
-      if (Math.abs(error) > 2.0) {
-        P += Math.sign(error) * this.kp * 0.5 * Math.pow(Math.abs(error) - 2.0, 1.3)
-      }
-    }
+    const P = this.proportionalTerm(error)
     
     // Integral term with anti-windup
     this.integral += error * dt
@@ -196,64 +207,34 @@ class RBFAdaptivePIDController {
    */
   generatePeltierControl(pidOutput, currentTemp) {
     const error = currentTemp - this.setpoint
-    const now = Date.now()
     
     // Intelligent control logic based on error magnitude and PID output
-    let peltier1 = false, peltier2 = false
+    // lead: PID output needed for the lead stage, assist: output needed for the first assist stage
+    let lead = null, assist = null
     
     if (error > 2.0) {
       // Far above target - aggressive cooling
-      peltier1 = true
-      peltier2 = pidOutput > 3.0
+      lead = -Infinity
+      assist = 3.0
     } else if (error > 1.0) {
       // Above target - moderate cooling
-      peltier1 = pidOutput > 1.0
-      peltier2 = pidOutput > 5.0
+      lead = 1.0
+      assist = 5.0
     } else if (error > 0.5) {
       // Slightly above - gentle cooling
-      peltier1 = pidOutput > 0.5
-      peltier2 = false
+      lead = 0.5
     } else if (error > -0.5) {
       // In target range - maintain
-      peltier1 = pidOutput > 2.0
-      peltier2 = false
-    } else {
-      // Below target - stop cooling
-      peltier1 = false
-      peltier2 = false
+      lead = 2.0
     }
+    // Below target - stop cooling
     
-    // Apply hardware constraints
-    peltier1 = this.applyConstraints(1, peltier1, now)
-    peltier2 = this.applyConstraints(2, peltier2, now)
+    const thresholds = assist === null ? [] :
+      assistThresholds(assist, this.stageStep, this.peltierIds.length - 1)
     
-    return { peltier1, peltier2 }
-  }
-  
-  /**
-   * Apply minimum on/off time constraints
-   */
-  applyConstraints(peltierId, desired, now) {
-    const timeSinceChange = now - this.lastActionTime[peltierId]
-    const currentState = this.lastActionState[peltierId]
-    
-    // If desired state matches current, no change needed
-    if (currentState === desired) {
-      return currentState
-    }
-    
-    // Check constraints
-    if (currentState && timeSinceChange < this.minOnTime) {
-      return true // Keep on
-    }
-    if (!currentState && timeSinceChange < this.minOffTime) {
-      return false // Keep off
-    }
-    
-    // Change allowed
-    this.lastActionTime[peltierId] = now
-    this.lastActionState[peltierId] = desired
-    return desired
+    return mapPeltiers(this.peltierIds, (id, index) => index === 0
+      ? lead !== null && pidOutput > lead
+      : assist !== null && pidOutput > thresholds[index - 1])
   }
   
   /**
@@ -279,7 +260,18 @@ class RBFAdaptivePIDController {
     const pidResult = this.computeNonlinearPID(error, errorDot)
     
     // Generate intelligent Peltier control
-    const peltierControl = this.generatePeltierControl(pidResult.total, currentTemp)
+    const { mode, magnitude } = this.polarity
+      ? this.polarity.select(pidResult.total / this.fullScaleOutput * 100, now)
+      : { mode: 'cooling', magnitude: Math.max(0, pidResult.total) / this.fullScaleOutput * 100 }
+    let peltiers
+    if (!this.polarity || mode === 'cooling') {
+      peltiers = this.generatePeltierControl(pidResult.total, currentTemp)
+    } else {
+      peltiers = heatingStates(mode === 'heating' ? magnitude : 0, this.peltierIds)
+    }
+    
+    // Continuous command for duty outputs, no switching constraints needed
+    const duties = stageDuties(magnitude, this.peltierIds)
     
     // Update RBF weights for continuous learning
     this.updateWeights(error, errorDot, activations, pidResult.total)
@@ -300,13 +292,51 @@ class RBFAdaptivePIDController {
       errorDot: errorDot,
       pid: pidResult,
       gains: { kp: this.kp, ki: this.ki, kd: this.kd },
-      peltier1: peltierControl.peltier1,
-      peltier2: peltierControl.peltier2,
+      peltiers,
+      duties,
+      mode,
+      command: signedCommand(mode, Math.min(100, magnitude)),
       stable: Math.abs(error) < 0.3 && Math.abs(errorDot) < 0.1,
       rbfActivations: activations
     }
   }
   
+  /**
+   * Change which Peltier leads, the learned network and PID state carry over
+   * @param {number[]} peltierIds - Same Peltiers in the new staging order, lead first
+   */
+  setStagingOrder(peltierIds) {
+    this.peltierIds = [...peltierIds]
+  }
+  
+  /**
+   * Bumpless transfer: continue from the outputs the Peltiers are at now
+   * The integral is back-calculated so the first PID output matches the
+   * current bank demand.
+   * @param {Object} plant - { temperature, duties: { id: 0-100% }, heating }
+   */
+  initializeFromPlant({ temperature, duties, heating = false }) {
+    const now = Date.now()
+    const error = temperature - this.setpoint
+    const demand = bankDemand(duties, this.peltierIds)
+    
+    // Gains as the next update adapts them, before any rate of change is known
+    this.adaptPIDGains(error, 0, this.calculateRBFActivation(error, 0))
+    const output = (heating ? -demand : demand) / 100 * this.fullScaleOutput
+    this.integral = Math.max(-10, Math.min(10, (output - this.proportionalTerm(error)) / this.ki))
+    
+    this.lastError = error
+    this.lastTime = now
+    this.errorHistory.push(error)
+    if (this.errorHistory.length > this.maxHistory) {
+      this.errorHistory.shift()
+    }
+    
+    if (this.polarity) {
+      this.polarity.initialize(demand > 0 ? (heating ? 'heating' : 'cooling') : 'off', now)
+    }
+  }
+  
   /**
    * Check system stability using Lyapunov criteria
    */
@@ -332,10 +362,6 @@ class RBFAdaptivePIDController {
     this.errorHistory = []
     this.gainHistory = []
     
-    // Reset hardware state
-    this.lastActionTime = { 1: Date.now(), 2: Date.now() }
-    this.lastActionState = { 1: false, 2: false }
-    
     // Reinitialize RBF weights
     this.weights = {
       kp: new Array(this.numCenters).fill(0.1),
@@ -8,6 +8,8 @@
  * - Anti-oscillation and stability mechanisms
  */
 
+import { resolvePeltierIds, mapPeltiers, fillAssistStages } from './peltierStaging.js'
+
 class SmartAdaptiveController {
   constructor(config = {}) {
     // Target settings
@@ -33,11 +35,8 @@ class SmartAdaptiveController {
     this.maxHistory = 30
     this.trendWindow = 10
     
-    // PWM management
-    this.pwmState = {
-      peltier1: { isOn: false, lastChange: 0, minOnTime: 3000, minOffTime: 2000 },
-      peltier2: { isOn: false, lastChange: 0, minOnTime: 3000, minOffTime: 2000 }
-    }
+    // PWM management (first ID is the lead stage)
+    this.peltierIds = resolvePeltierIds(config)
     
     // Oscillation detection
     this.oscillationDetector = {
@@ -136,7 +135,7 @@ class SmartAdaptiveController {
     output = Math.max(0, Math.min(100, output))
     
     // Distribute to Peltiers with smart PWM
-    const peltierControl = this.distributeToPeltiers(output, absError)
+    const peltiers = this.distributeToPeltiers(output, absError)
     
     // Update state
     this.lastError = error
@@ -154,8 +153,8 @@ class SmartAdaptiveController {
       output: output,
       gains: gains,
       trend: trend,
-      peltier1: peltierControl.peltier1,
-      peltier2: peltierControl.peltier2,
+      peltiers,
+      duties: mapPeltiers(this.peltierIds, id => peltiers[id].dutyCycle),
       oscillating: this.oscillationDetector.damping
     }
   }
@@ -166,20 +165,18 @@ class SmartAdaptiveController {
   handleSteadyState(currentTemp, error) {
     // Maintain minimal cooling to prevent drift
     const maintainOutput = 15 + (error * -5) // Base 15% + proportional
+    const peltiers = mapPeltiers(this.peltierIds, (id, index) => index === 0
+      ? { shouldBeOn: true, dutyCycle: Math.max(0, Math.min(30, maintainOutput)) }
+      : { shouldBeOn: false, dutyCycle: 0 })
     
     return {
       temperature: currentTemp,
       setpoint: this.setpoint,
       error: error,
       output: Math.max(0, Math.min(30, maintainOutput)),
-      peltier1: {
-        shouldBeOn: true,
-        dutyCycle: Math.max(0, Math.min(30, maintainOutput))
-      },
-      peltier2: {
-        shouldBeOn: false,
-        dutyCycle: 0
-      },
+      // Lead Peltier only
+      peltiers,
+      duties: mapPeltiers(this.peltierIds, id => peltiers[id].dutyCycle),
       steadyState: true
     }
   }
@@ -273,41 +270,87 @@ class SmartAdaptiveController {
    */
   distributeToPeltiers(output, absError) {
     const now = Date.now()
-    const result = {
-      peltier1: { shouldBeOn: false, dutyCycle: 0 },
-      peltier2: { shouldBeOn: false, dutyCycle: 0 }
-    }
+    const assistCount = this.peltierIds.length - 1
+    let leadDuty = 0
+    let assistDuty = 0
     
     // Strategy based on output level
     if (output < 20) {
-      // Low output: Use only Peltier 1 with PWM
-      result.peltier1.dutyCycle = output * 2 // Scale up since using one
-      result.peltier1.shouldBeOn = this.intelligentPWM('peltier1', result.peltier1.dutyCycle, now)
-      result.peltier2.shouldBeOn = false
-      
+      // Low output: Use only the lead Peltier with PWM
+      leadDuty = output * 2 // Scale up since using one
     } else if (output < 60) {
-      // Medium output: Primary on Peltier 1, assist from Peltier 2
-      result.peltier1.dutyCycle = 70 + (output - 20) * 0.75
-      result.peltier2.dutyCycle = (output - 20) * 1.5
-      
-      result.peltier1.shouldBeOn = this.intelligentPWM('peltier1', result.peltier1.dutyCycle, now)
-      result.peltier2.shouldBeOn = this.intelligentPWM('peltier2', result.peltier2.dutyCycle, now)
-      
+      // Medium output: Primary on the lead Peltier, assist from the others
+      leadDuty = 70 + (output - 20) * 0.75
+      assistDuty = (output - 20) * 1.5
     } else {
-      // High output: Both Peltiers with balanced load
-      const totalDuty = output
-      result.peltier1.dutyCycle = Math.min(100, totalDuty * 0.6)
-      result.peltier2.dutyCycle = Math.min(100, totalDuty * 0.6)
-      
-      result.peltier1.shouldBeOn = this.intelligentPWM('peltier1', result.peltier1.dutyCycle, now)
-      result.peltier2.shouldBeOn = this.intelligentPWM('peltier2', result.peltier2.dutyCycle, now)
+      // High output: All Peltiers with balanced load
+      leadDuty = Math.min(100, output * 0.6)
+      assistDuty = Math.min(100, output * 0.6)
     }
     
-    // Apply minimum on/off times
-    result.peltier1.shouldBeOn = this.enforceMinTimes('peltier1', result.peltier1.shouldBeOn, now)
-    result.peltier2.shouldBeOn = this.enforceMinTimes('peltier2', result.peltier2.shouldBeOn, now)
+    // Assist stages fill one after another to keep the number of switching modules low
+    const assistDuties = fillAssistStages(assistDuty, assistCount)
     
-    return result
+    return mapPeltiers(this.peltierIds, (id, index) => {
+      const dutyCycle = index === 0 ? leadDuty : assistDuties[index - 1]
+      return {
+        shouldBeOn: dutyCycle > 0 && this.intelligentPWM(id, dutyCycle, now),
+        dutyCycle
+      }
+    })
+  }
+  
+  /**
+   * Output that distributeToPeltiers turns into these duties
+   */
+  outputForDuties(duties) {
+    const [leadId, ...assistIds] = this.peltierIds
+    const assistDuty = assistIds.length > 0
+      ? assistIds.reduce((sum, id) => sum + (duties[id] || 0), 0) / assistIds.length
+      : 0
+    
+    if (assistDuty <= 0) return Math.min(20, (duties[leadId] || 0) / 2)
+    if (assistDuty < 60) return 20 + assistDuty / 1.5
+    return Math.min(100, assistDuty / 0.6)
+  }
+  
+  /**
+   * Change which Peltier leads, PWM phases follow the clock and carry over
+   * @param {number[]} peltierIds - Same Peltiers in the new staging order, lead first
+   */
+  setStagingOrder(peltierIds) {
+    this.peltierIds = [...peltierIds]
+  }
+  
+  /**
+   * Bumpless transfer: continue from the outputs the Peltiers are at now
+   * Outside the tolerance band the integral is back-calculated so the first
+   * output matches the current duties.
+   * @param {Object} plant - { temperature, duties: { id: 0-100% } }
+   */
+  initializeFromPlant({ temperature, duties }) {
+    const now = Date.now()
+    const error = this.setpoint - temperature
+    const absError = Math.abs(error)
+    
+    // Steady state runs without the integral
+    if (absError > this.tolerance) {
+      const gains = this.selectGains(absError)
+      let output = this.outputForDuties(duties)
+      if (absError > 5) {
+        output /= 1 + (absError - 5) * 0.1 // Undo the large-error boost of shapeOutput
+      }
+      
+      const P = gains.kp * error
+      // While cooling update() takes |I| of an integral that runs negative
+      const I = error < 0 ? -Math.max(0, output - Math.abs(P)) : output * 2 + P
+      const integralLimit = 30 / gains.ki
+      this.integral = Math.max(-integralLimit, Math.min(integralLimit, I / gains.ki))
+    }
+    
+    this.lastError = error
+    this.lastTemp = temperature
+    this.lastTime = now
   }
   
   /**
@@ -326,35 +369,6 @@ class SmartAdaptiveController {
     return cyclePosition < onTime
   }
   
-  /**
-   * Enforce minimum on/off times to protect Peltiers
-   */
-  enforceMinTimes(peltierId, shouldBeOn, now) {
-    const state = this.pwmState[peltierId]
-    const timeSinceChange = now - state.lastChange
-    
-    // If no change needed, return current state
-    if (shouldBeOn === state.isOn) {
-      return state.isOn
-    }
-    
-    // If trying to turn on but was recently turned off
-    if (shouldBeOn && !state.isOn && timeSinceChange < state.minOffTime) {
-      return false // Stay off
-    }
-    
-    // If trying to turn off but was recently turned on
-    if (!shouldBeOn && state.isOn && timeSinceChange < state.minOnTime) {
-      return true // Stay on
-    }
-    
-    // State change is allowed
-    state.isOn = shouldBeOn
-    state.lastChange = now
-    
-    return shouldBeOn
-  }
-  
   /**
    * Reset controller
    */
@@ -370,11 +384,6 @@ class SmartAdaptiveController {
       threshold: 3,
       damping: false
     }
-    
-    // Reset PWM states
-    const now = Date.now()
-    this.pwmState.peltier1 = { isOn: false, lastChange: now, minOnTime: 3000, minOffTime: 2000 }
-    this.pwmState.peltier2 = { isOn: false, lastChange: now, minOnTime: 3000, minOffTime: 2000 }
   }
   
   /**
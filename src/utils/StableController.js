@@ -3,6 +3,9 @@
  * Simplified controller focused on stability and reaching target temperature
  */
 
+import { resolvePeltierIds, mapPeltiers, assistThresholds, stageDuties, bankDemand } from './peltierStaging.js'
+import { PolaritySelector, signedCommand, heatingStates } from './polarity.js'
+
 class StableController {
   constructor(config = {}) {
     // Target settings
@@ -20,19 +23,16 @@ class StableController {
     this.lastTemp = null
     this.lastTime = Date.now()
     
-    // Peltier state tracking
-    this.peltierStates = {
-      1: { isOn: false, lastChange: 0 },
-      2: { isOn: false, lastChange: 0 }
-    }
-    
-    // Minimum times (ms)
-    this.minOnTime = 5000  // 5 seconds minimum on
-    this.minOffTime = 3000 // 3 seconds minimum off
+    // Peltier state tracking (first ID is the lead stage)
+    this.peltierIds = resolvePeltierIds(config)
+    this.peltierStates = mapPeltiers(this.peltierIds, () => ({ isOn: false }))
     
     // Temperature history for stability check
     this.tempHistory = []
     this.maxHistory = 20
+    
+    // H-bridge outputs: negative output heats below the setpoint
+    this.polarity = config.heating && config.heating.enabled ? new PolaritySelector(config.heating) : null
   }
   
   /**
@@ -69,12 +69,21 @@ class StableController {
       D = this.kd * (dTemp / dt)
     }
     
-    // Total output (0-100%)
+    // Total output (0-100%, -100-100% with heating)
     let output = P + I + D
-    output = Math.max(0, Math.min(100, output))
+    output = Math.max(this.polarity ? -100 : 0, Math.min(100, output))
     
     // Determine Peltier states based on output and temperature
-    const peltierControl = this.determinePeltierStates(output, error, now)
+    const { mode, magnitude } = this.polarity
+      ? this.polarity.select(output, now)
+      : { mode: 'cooling', magnitude: output }
+    let peltiers
+    if (!this.polarity || mode === 'cooling') {
+      peltiers = this.determinePeltierStates(output, error)
+    } else {
+      peltiers = heatingStates(mode === 'heating' ? magnitude : 0, this.peltierIds)
+    }
+    this.peltierStates = mapPeltiers(this.peltierIds, id => ({ isOn: peltiers[id] }))
     
     // Update state
     this.lastError = error
@@ -90,8 +99,10 @@ class StableController {
       I: I,
       D: D,
       output: output,
-      peltier1: peltierControl.peltier1,
-      peltier2: peltierControl.peltier2,
+      peltiers,
+      duties: stageDuties(magnitude, this.peltierIds),
+      mode,
+      command: signedCommand(mode, magnitude),
       stable: this.isStable()
     }
   }
@@ -99,69 +110,64 @@ class StableController {
   /**
    * Determine Peltier states with hysteresis and stability
    */
-  determinePeltierStates(output, error, now) {
-    const result = {
-      peltier1: false,
-      peltier2: false
-    }
+  determinePeltierStates(output, error) {
+    const assistCount = this.peltierIds.length - 1
+    let lead = false
+    let assists = new Array(assistCount).fill(false)
     
     // Simple thresholds with hysteresis
     if (error > 2.0) {
-      // Far above target - both on
-      result.peltier1 = true
-      result.peltier2 = true
+      // Far above target - all on
+      lead = true
+      assists = assists.map(() => true)
     } else if (error > 1.0) {
-      // Above target - Peltier 1 on, Peltier 2 conditional
-      result.peltier1 = true
-      result.peltier2 = output > 50
+      // Above target - lead on, assists conditional (spread over 50-100% output)
+      lead = true
+      const thresholds = assistThresholds(50, 50 / assistCount, assistCount)
+      assists = thresholds.map(threshold => output > threshold)
     } else if (error > 0.5) {
-      // Slightly above - only Peltier 1
-      result.peltier1 = true
-      result.peltier2 = false
+      // Slightly above - only the lead Peltier
+      lead = true
     } else if (error > -0.5) {
-      // In tolerance band - maintain with Peltier 1
-      result.peltier1 = output > 10
-      result.peltier2 = false
-    } else {
-      // Below target - both off
-      result.peltier1 = false
-      result.peltier2 = false
+      // In tolerance band - maintain with the lead Peltier
+      lead = output > 10
     }
+    // Below target - all off
     
-    // Apply minimum on/off times
-    result.peltier1 = this.enforceMinTime(1, result.peltier1, now)
-    result.peltier2 = this.enforceMinTime(2, result.peltier2, now)
-    
-    return result
+    return mapPeltiers(this.peltierIds, (id, index) => index === 0 ? lead : assists[index - 1])
   }
   
   /**
-   * Enforce minimum on/off times
+   * Change which Peltier leads, the on/off state of each Peltier carries over
+   * @param {number[]} peltierIds - Same Peltiers in the new staging order, lead first
    */
-  enforceMinTime(peltierId, wantOn, now) {
-    const state = this.peltierStates[peltierId]
-    const timeSinceChange = now - state.lastChange
-    
-    // If state matches desired, no change needed
-    if (state.isOn === wantOn) {
-      return state.isOn
-    }
+  setStagingOrder(peltierIds) {
+    this.peltierIds = [...peltierIds]
+  }
+  
+  /**
+   * Bumpless transfer: continue from the outputs the Peltiers are at now
+   * The integral is back-calculated so the first output matches the current
+   * bank demand, and the on/off states start from the driven ones.
+   * @param {Object} plant - { temperature, peltiers: { id: on }, duties: { id: 0-100% }, heating }
+   */
+  initializeFromPlant({ temperature, peltiers, duties, heating = false }) {
+    const now = Date.now()
+    const error = temperature - this.setpoint
+    const demand = bankDemand(duties, this.peltierIds)
     
-    // Check if we can change
-    if (state.isOn && timeSinceChange < this.minOnTime) {
-      // Currently on, haven't met minimum on time
-      return true
+    if (this.ki > 0) {
+      const I = (heating ? -demand : demand) - this.kp * error
+      this.integral = Math.max(-20, Math.min(20, I / this.ki))
     }
-    
-    if (!state.isOn && timeSinceChange < this.minOffTime) {
-      // Currently off, haven't met minimum off time
-      return false
+    if (this.polarity) {
+      this.polarity.initialize(demand > 0 ? (heating ? 'heating' : 'cooling') : 'off', now)
     }
     
-    // Change is allowed
-    state.isOn = wantOn
-    state.lastChange = now
-    return wantOn
+    this.lastError = error
+    this.lastTemp = temperature
+    this.lastTime = now
+    this.peltierStates = mapPeltiers(this.peltierIds, id => ({ isOn: !!peltiers[id] }))
   }
   
   /**
@@ -188,11 +194,7 @@ class StableController {
     this.lastTemp = null
     this.lastTime = Date.now()
     this.tempHistory = []
-    const now = Date.now()
-    this.peltierStates = {
-      1: { isOn: false, lastChange: now },
-      2: { isOn: false, lastChange: now }
-    }
+    this.peltierStates = mapPeltiers(this.peltierIds, () => ({ isOn: false }))
   }
   
   /**
@@ -216,8 +218,7 @@ class StableController {
       currentError: currentError,
       integral: this.integral,
       stable: this.isStable(),
-      peltier1State: this.peltierStates[1].isOn,
-      peltier2State: this.peltierStates[2].isOn
+      peltierStates: mapPeltiers(this.peltierIds, id => this.peltierStates[id].isOn)
     }
   }
 }
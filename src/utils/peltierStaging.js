@@ -0,0 +1,71 @@
+/**
+ * Staging helpers shared by the Peltier controllers
+ * The first Peltier in the list is the lead stage, the rest are assist stages
+ * that come in one after another as demand rises.
+ */
+
+const DEFAULT_PELTIER_IDS = [1, 2]
+
+/**
+ * Peltier IDs a controller drives, in staging order
+ */
+function resolvePeltierIds(config = {}) {
+  return Array.isArray(config.peltierIds) && config.peltierIds.length > 0
+    ? [...config.peltierIds]
+    : [...DEFAULT_PELTIER_IDS]
+}
+
+/**
+ * Build an object keyed by Peltier ID
+ */
+function mapPeltiers(peltierIds, valueFor) {
+  const result = {}
+  peltierIds.forEach((id, index) => {
+    result[id] = valueFor(id, index)
+  })
+  return result
+}
+
+/**
+ * Thresholds for the assist stages, spread evenly from `first` in `step` increments
+ * With a single assist stage this is just `first`
+ */
+function assistThresholds(first, step, assistCount) {
+  return Array.from({ length: assistCount }, (_, k) => first + k * step)
+}
+
+/**
+ * Fill assist stages one after another
+ * @param {number} demand - Demand of a single assist stage in the two-Peltier layout (0-100%)
+ * @param {number} assistCount - Number of assist stages
+ * @returns {number[]} Duty cycle per assist stage (0-100%)
+ */
+function fillAssistStages(demand, assistCount) {
+  // Scale so that full demand still means every assist at 100%
+  let remaining = Math.max(0, demand) * assistCount
+  return Array.from({ length: assistCount }, () => {
+    const duty = Math.min(100, remaining)
+    remaining -= duty
+    return duty
+  })
+}
+
+/**
+ * Continuous command for outputs that take a duty instead of on/off
+ * @param {number} demand - Demand on the whole bank (0-100%)
+ * @returns {Object} Duty per Peltier ID (0-100%), the lead stage fills first
+ */
+function stageDuties(demand, peltierIds) {
+  const duties = fillAssistStages(Math.min(100, demand), peltierIds.length)
+  return mapPeltiers(peltierIds, (id, index) => duties[index])
+}
+
+/**
+ * Demand on the whole bank that stageDuties turns into these duties
+ * @param {Object} duties - Duty per Peltier ID (0-100%)
+ */
+function bankDemand(duties, peltierIds) {
+  return peltierIds.reduce((sum, id) => sum + (duties[id] || 0), 0) / peltierIds.length
+}
+
+export { DEFAULT_PELTIER_IDS, resolvePeltierIds, mapPeltiers, assistThresholds, fillAssistStages, stageDuties, bankDemand }
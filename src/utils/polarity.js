@@ -0,0 +1,112 @@
+/**
+ * Heating and cooling from one signed command
+ * Controllers on H-bridge outputs work with a signed bank demand: positive
+ * cools, negative heats with the Peltier polarity reversed. The whole bank
+ * runs in one direction at a time.
+ */
+
+import { mapPeltiers, stageDuties } from './peltierStaging.js'
+
+const DEFAULT_DEAD_BAND = 5       // % of command either side of zero that doesn't start a direction
+const DEFAULT_MIN_DWELL = 60      // s the Peltiers stay off before they reverse
+
+/**
+ * Heating settings as controllers take them
+ * @returns {Object} { enabled, deadBand, minDwell }
+ */
+function createDefaultHeatingConfig() {
+  return {
+    enabled: false,
+    deadBand: DEFAULT_DEAD_BAND,
+    minDwell: DEFAULT_MIN_DWELL
+  }
+}
+
+/**
+ * Picks the direction for a signed command
+ *
+ * A direction starts once the command leaves the dead band and holds until
+ * the command crosses zero, so small commands around the setpoint don't
+ * chatter. Reversing needs the bank to have been off for minDwell first,
+ * which also keeps the polarity from switching under load.
+ */
+class PolaritySelector {
+  constructor({ deadBand = DEFAULT_DEAD_BAND, minDwell = DEFAULT_MIN_DWELL } = {}) {
+    this.deadBand = deadBand
+    this.minDwell = minDwell
+
+    this.mode = 'off'             // 'cooling', 'heating' or 'off'
+    this.lastDirection = null     // Direction the bank ran in before it went off
+    this.offSince = 0
+  }
+
+  /**
+   * @param {number} command - Signed bank demand, -100 % (full heating) to 100 % (full cooling)
+   * @returns {Object} { mode, magnitude } with magnitude the bank demand in that direction (0-100 %)
+   */
+  select(command, now = Date.now()) {
+    const clamped = Math.max(-100, Math.min(100, command))
+
+    if (this.mode === 'cooling' && clamped <= 0) this.switchOff(now)
+    if (this.mode === 'heating' && clamped >= 0) this.switchOff(now)
+
+    if (this.mode === 'off') {
+      const wanted = clamped > this.deadBand ? 'cooling' : clamped < -this.deadBand ? 'heating' : null
+      const reversing = wanted && this.lastDirection && wanted !== this.lastDirection
+      if (wanted && (!reversing || now - this.offSince >= this.minDwell * 1000)) {
+        this.mode = wanted
+      }
+    }
+
+    return {
+      mode: this.mode,
+      magnitude: this.mode === 'off' ? 0 : Math.abs(clamped)
+    }
+  }
+
+  switchOff(now) {
+    this.lastDirection = this.mode
+    this.mode = 'off'
+    this.offSince = now
+  }
+
+  /**
+   * Continue from the direction the outputs are driven in now (bumpless transfer)
+   * The dwell counts from the transfer, the state before it is unknown.
+   */
+  initialize(mode, now = Date.now()) {
+    this.mode = mode
+    this.lastDirection = mode === 'off' ? null : mode
+    this.offSince = now
+  }
+
+  /**
+   * Seconds before the bank may reverse, 0 when it may
+   */
+  getDwellRemaining(now = Date.now()) {
+    if (this.mode !== 'off' || !this.lastDirection) return 0
+    return Math.max(0, this.minDwell - (now - this.offSince) / 1000)
+  }
+}
+
+/**
+ * Signed bank demand from a magnitude and direction
+ */
+function signedCommand(mode, magnitude) {
+  if (mode === 'heating') return -magnitude
+  if (mode === 'cooling') return magnitude
+  return 0
+}
+
+/**
+ * On/off states for coil outputs while heating
+ * The lead stage heats whenever there is demand, each assist joins once its
+ * staged duty passes half.
+ * @param {number} magnitude - Heating demand on the whole bank (0-100 %)
+ */
+function heatingStates(magnitude, peltierIds) {
+  const duties = stageDuties(magnitude, peltierIds)
+  return mapPeltiers(peltierIds, (id, index) => index === 0 ? magnitude > 0 : duties[id] >= 50)
+}
+
+export { DEFAULT_DEAD_BAND, DEFAULT_MIN_DWELL, createDefaultHeatingConfig, PolaritySelector, signedCommand, heatingStates }
@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeadLagRotation = require('../src/services/leadLagRotation');
+
+const HOUR = 60 * 60 * 1000;
+const T0 = 1_700_000_000_000;
+
+function createService(peltierIds = [1, 2, 3]) {
+  const service = new EventEmitter();
+  service.mockMode = false;
+  service.states = Object.fromEntries(peltierIds.map(id => [id, false]));
+  service.getOutputs = () => peltierIds.map(id => ({ id, state: service.states[id] }));
+  service.controlService = {
+    leadId: null,
+    getStagingOrder() {
+      const index = Math.max(0, peltierIds.findIndex(id => String(id) === String(this.leadId)));
+      return [...peltierIds.slice(index), ...peltierIds.slice(0, index)];
+    },
+    getLeadPeltier() { return this.leadId !== null ? this.leadId : peltierIds[0]; },
+    setLeadPeltier(leadId) { this.leadId = leadId; }
+  };
+  return service;
+}
+
+function createRotation(service, policy) {
+  const rotation = new LeadLagRotation(service);
+  rotation.policy = { ...rotation.policy, ...policy };
+  return rotation;
+}
+
+test('accumulate adds the runtime of outputs that stay on', () => {
+  const service = createService();
+  const rotation = createRotation(service);
+
+  rotation.observe(1, true, T0);
+  service.states[1] = true;
+  rotation.accumulate(T0 + 60000);
+  rotation.accumulate(T0 + 90000);
+
+  assert.deepEqual(rotation.counters[1], { runtime: 90, switches: 1 });
+});
+
+test('accumulate catches up with outputs that changed without a write', () => {
+  const service = createService();
+  const rotation = createRotation(service);
+
+  service.states[2] = true;
+  rotation.accumulate(T0);
+  assert.deepEqual(rotation.counters[2], { runtime: 0, switches: 1 });
+
+  // Watchdog dropped it
+  service.states[2] = false;
+  rotation.accumulate(T0 + 30000);
+  assert.deepEqual(rotation.counters[2], { runtime: 30, switches: 1 });
+  assert.equal(rotation.running[2], null);
+});
+
+test('mock data is not counted', () => {
+  const service = createService();
+  service.mockMode = true;
+  const rotation = createRotation(service);
+
+  service.states[1] = true;
+  rotation.observe(1, true, T0);
+  rotation.accumulate(T0 + HOUR);
+
+  assert.deepEqual(rotation.counters, {});
+});
+
+test('runtime rotation picks the least used Peltier once the lead is far enough ahead', () => {
+  const service = createService();
+  const rotation = createRotation(service, { mode: 'runtime', runtimeDifference: 10 });
+
+  rotation.counters = {
+    1: { runtime: 12 * 3600, switches: 4 },
+    2: { runtime: 5 * 3600, switches: 2 },
+    3: { runtime: 3 * 3600, switches: 2 }
+  };
+  assert.equal(rotation.rotationDue(T0), null);
+
+  rotation.counters[1].runtime = 13 * 3600;
+  assert.equal(rotation.rotationDue(T0), 3);
+});
+
+test('interval rotation hands the lead on after each interval', () => {
+  const service = createService();
+  const rotation = createRotation(service, { mode: 'interval', interval: 24 });
+
+  assert.equal(rotation.rotationDue(T0), null, 'nothing is due before the interval started');
+
+  rotation.intervalStart = T0;
+  assert.equal(rotation.rotationDue(T0 + 24 * HOUR - 1), null);
+  assert.equal(rotation.rotationDue(T0 + 24 * HOUR), 2);
+
+  rotation.check(T0 + 24 * HOUR);
+  assert.deepEqual(service.controlService.getStagingOrder(), [2, 3, 1]);
+  assert.equal(rotation.intervalStart, T0 + 24 * HOUR);
+  assert.equal(rotation.rotationDue(T0 + 47 * HOUR), null);
+  assert.equal(rotation.rotationDue(T0 + 48 * HOUR), 3);
+});
+
+test('nothing rotates with the mode off or a single Peltier', () => {
+  const rotation = createRotation(createService(), { mode: 'off' });
+  rotation.counters = { 1: { runtime: 100 * 3600, switches: 1 } };
+  assert.equal(rotation.rotationDue(T0), null);
+
+  const single = createRotation(createService([1]), { mode: 'interval', interval: 1 });
+  single.intervalStart = T0;
+  assert.equal(single.rotationDue(T0 + 2 * HOUR), null);
+  assert.throws(() => single.rotate(null, 'manual', T0), /at least two Peltiers/);
+});
+
+test('rotating to the current lead is rejected and changes nothing', () => {
+  const service = createService();
+  const rotation = createRotation(service, { mode: 'interval', interval: 24 });
+  rotation.intervalStart = T0;
+  const rotated = [];
+  rotation.on('rotated', event => rotated.push(event));
+
+  assert.throws(() => rotation.rotate(1, 'manual', T0 + HOUR), /already leads/);
+  assert.equal(rotation.intervalStart, T0);
+  assert.equal(rotation.lastRotationAt, null);
+  assert.deepEqual(rotated, []);
+
+  rotation.rotate(3, 'manual', T0 + HOUR);
+  assert.deepEqual(service.controlService.getStagingOrder(), [3, 1, 2]);
+  assert.equal(rotation.intervalStart, T0 + HOUR);
+  assert.deepEqual(rotated.map(event => [event.previous, event.leadId]), [[1, 3]]);
+});
+
+test('a restored interval carries on when the saved settings are loaded at startup', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rotation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const stateFile = path.join(dir, 'rotation.json');
+  const intervalStart = Date.now() - 23 * HOUR;
+  fs.writeFileSync(stateFile, JSON.stringify({ counters: {}, leadId: 1, lastRotationAt: intervalStart, intervalStart }));
+  t.mock.method(console, 'log', () => {});
+
+  // Same order as DeviceManager.addDevice
+  const rotation = new LeadLagRotation(createService());
+  rotation.setStateFile(stateFile);
+  rotation.restore();
+  rotation.load({ mode: 'interval', interval: 24 });
+
+  assert.equal(rotation.intervalStart, intervalStart);
+  assert.equal(rotation.getStatus().nextRotationAt.getTime(), intervalStart + 24 * HOUR);
+  assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).intervalStart, intervalStart);
+});
+
+test('switching interval rotation off and on again starts a new interval', () => {
+  const rotation = createRotation(createService());
+  rotation.load({ mode: 'interval', interval: 24 });
+  rotation.intervalStart = T0;
+
+  rotation.load({ mode: 'off' });
+  assert.equal(rotation.intervalStart, null);
+
+  const before = Date.now();
+  rotation.load({ mode: 'interval' });
+  assert.ok(rotation.intervalStart >= before);
+});
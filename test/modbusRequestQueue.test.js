@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ModbusRequestQueue = require('../src/services/modbusRequestQueue');
+
+/**
+ * A transaction that finishes when the test says so
+ */
+function deferred(value) {
+  let finish;
+  let fail;
+  const execute = () => new Promise((resolve, reject) => {
+    finish = () => resolve(value);
+    fail = reject;
+  });
+  return { execute, finish: () => finish(), fail: (error) => fail(error) };
+}
+
+test('one request is on the wire at a time', async () => {
+  const queue = new ModbusRequestQueue();
+  const first = deferred('a');
+  let secondStarted = false;
+
+  const a = queue.enqueue(first.execute, { priority: 'poll' });
+  const b = queue.enqueue(async () => { secondStarted = true; return 'b'; }, { priority: 'poll' });
+
+  await Promise.resolve();
+  assert.equal(secondStarted, false);
+  assert.equal(queue.getStats().active.priority, 'poll');
+
+  first.finish();
+  assert.equal(await a, 'a');
+  assert.equal(await b, 'b');
+  assert.equal(secondStarted, true);
+});
+
+test('waiting requests run by priority, then in arrival order', async () => {
+  const queue = new ModbusRequestQueue();
+  const blocker = deferred();
+  const order = [];
+  const record = (label) => async () => { order.push(label); };
+
+  const done = [
+    queue.enqueue(blocker.execute, { priority: 'scan', label: 'blocker' }),
+    queue.enqueue(record('scan'), { priority: 'scan' }),
+    queue.enqueue(record('poll 1'), { priority: 'poll' }),
+    queue.enqueue(record('readback'), { priority: 'readback' }),
+    queue.enqueue(record('poll 2'), { priority: 'poll' }),
+    queue.enqueue(record('write'), { priority: 'write' }),
+    queue.enqueue(record('safety'), { priority: 'safety' })
+  ];
+
+  blocker.finish();
+  await Promise.all(done);
+  assert.deepEqual(order, ['safety', 'write', 'poll 1', 'poll 2', 'readback', 'scan']);
+});
+
+test('a pending request with the same key is shared instead of queued again', async () => {
+  const queue = new ModbusRequestQueue();
+  const blocker = deferred();
+  let polls = 0;
+  const poll = async () => ++polls;
+
+  queue.enqueue(blocker.execute, { priority: 'write' });
+  const first = queue.enqueue(poll, { priority: 'poll', key: 'poll:2026' });
+  const second = queue.enqueue(poll, { priority: 'poll', key: 'poll:2026' });
+  const other = queue.enqueue(poll, { priority: 'poll', key: 'poll:2020' });
+
+  assert.equal(second, first);
+  assert.equal(queue.getStats().depth, 2);
+
+  blocker.finish();
+  assert.equal(await first, 1);
+  assert.equal(await other, 2);
+  assert.equal(polls, 2);
+});
+
+test('a key only merges with requests that are still waiting', async () => {
+  const queue = new ModbusRequestQueue();
+  const running = deferred('running');
+
+  const first = queue.enqueue(running.execute, { key: 'poll' });
+  const second = queue.enqueue(async () => 'next', { key: 'poll' });
+  assert.notEqual(second, first);
+
+  running.finish();
+  assert.equal(await first, 'running');
+  assert.equal(await second, 'next');
+});
+
+test('failures reject their own request and the queue carries on', async () => {
+  const queue = new ModbusRequestQueue();
+
+  const failing = queue.enqueue(async () => { throw new Error('Timed out'); }, { priority: 'poll' });
+  const next = queue.enqueue(async () => 'ok', { priority: 'poll' });
+
+  await assert.rejects(failing, /Timed out/);
+  assert.equal(await next, 'ok');
+  assert.equal(queue.getStats().byPriority.poll.failed, 1);
+  assert.equal(queue.getStats().byPriority.poll.executed, 1);
+});
+
+test('clear rejects everything waiting but lets the active request finish', async () => {
+  const queue = new ModbusRequestQueue();
+  const active = deferred('done');
+
+  const running = queue.enqueue(active.execute, { priority: 'write' });
+  const waiting = [
+    queue.enqueue(async () => 'poll', { priority: 'poll' }),
+    queue.enqueue(async () => 'scan', { priority: 'scan' })
+  ];
+
+  queue.clear('Disconnected');
+  await Promise.all(waiting.map(promise => assert.rejects(promise, /Disconnected/)));
+
+  active.finish();
+  assert.equal(await running, 'done');
+
+  const stats = queue.getStats();
+  assert.equal(stats.depth, 0);
+  assert.equal(stats.byPriority.poll.dropped, 1);
+  assert.equal(stats.byPriority.scan.dropped, 1);
+});
+
+test('an unknown priority is refused', async () => {
+  const queue = new ModbusRequestQueue();
+  await assert.rejects(queue.enqueue(async () => 1, { priority: 'urgent' }), /Unknown request priority: urgent/);
+});
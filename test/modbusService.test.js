@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ModbusService = require('../src/services/modbusService');
+const PlcSimulator = require('../src/services/plcSimulator');
+
+const HOST = '127.0.0.1';
+const PORT = 15020 + Math.floor(Math.random() * 1000);
+
+async function waitFor(condition, { timeout = 10000, every = 100, onTick = () => {} } = {}) {
+  const started = Date.now();
+  while (!condition()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for condition');
+    onTick();
+    await new Promise(resolve => setTimeout(resolve, every));
+  }
+}
+
+// The service and the simulator log every write, more than the test runner's output can take
+test.beforeEach((t) => {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+});
+
+async function startSimulator() {
+  const simulator = new PlcSimulator({ host: HOST, port: PORT });
+  await simulator.start();
+  return simulator;
+}
+
+test('outputs are commanded again after the PLC restarts', async (t) => {
+  let simulator = await startSimulator();
+  const service = new ModbusService();
+  t.after(async () => {
+    await service.disconnect();
+    await simulator.stop();
+  });
+
+  await service.connect({
+    host: HOST,
+    port: PORT,
+    timeout: 1000,
+    retry: { initialDelay: 50, maxDelay: 200, jitter: 0 }
+  });
+  const output = service.config.registerMap.outputs[0];
+  // The controller asks for cooling every cycle, whether or not anything changed
+  const decide = () => service.controlService.emit('controlDecision', { peltiers: { [output.id]: true }, mode: 'cooling' });
+
+  await waitFor(() => simulator.coils[output.address], { onTick: decide });
+
+  // Its coils come up off after a restart
+  await simulator.stop();
+  simulator = await startSimulator();
+  assert.equal(simulator.coils[output.address], false);
+
+  await waitFor(() => service.connectionState === 'connected' && service.actualPeltierStates[output.id] === false);
+  await waitFor(() => simulator.coils[output.address], { onTick: decide });
+  assert.equal(service.actualPeltierStates[output.id], true);
+});
+
+test('a PLC that kept its outputs running through a dropped link is adopted as it is', async (t) => {
+  const simulator = await startSimulator();
+  const service = new ModbusService();
+  t.after(async () => {
+    await service.disconnect();
+    await simulator.stop();
+  });
+
+  const output = service.config.registerMap.outputs[0];
+  simulator.coils[output.address] = true;
+  await service.connect({ host: HOST, port: PORT, timeout: 1000 });
+
+  assert.equal(service.actualPeltierStates[output.id], true);
+  assert.equal(service.describeDiscrepancy(output.id), null);
+});
+
+test('a coil that drops out is commanded again, then its alarm escalates once the retries are used up', async (t) => {
+  const simulator = await startSimulator();
+  const service = new ModbusService();
+  t.after(async () => {
+    await service.disconnect();
+    await simulator.stop();
+  });
+
+  await service.connect({ host: HOST, port: PORT, timeout: 1000, readback: { settleTime: 0, retries: 2 } });
+  const output = service.config.registerMap.outputs[0];
+  service.loadProtectionSettings({ channels: { [output.id]: { minOnTime: 0, minOffTime: 0 } } });
+  const statuses = [];
+  service.on('outputDiscrepancy', discrepancy => statuses.push(discrepancy.status));
+
+  await service.writePeltierControl(output.id, true);
+  // Something on the PLC side drops the coil and ignores further writes
+  simulator.coils[output.address] = false;
+  let writes = 0;
+  simulator.writeCoil = () => { writes++; };
+
+  await service.verifyOutputs();
+  await service.verifyOutputs();
+  assert.equal(writes, 2);
+  assert.deepEqual(statuses, ['raised', 'ongoing']);
+
+  await service.verifyOutputs();
+  await service.verifyOutputs();
+  assert.equal(writes, 2, 'no more re-commands once escalated');
+  assert.deepEqual(statuses, ['raised', 'ongoing', 'escalated', 'ongoing']);
+  assert.equal(service.actualPeltierStates[output.id], false);
+  assert.equal(service.describeDiscrepancy(output.id).escalated, true);
+
+  // The next write that takes clears it
+  delete simulator.writeCoil;
+  await service.writePeltierControl(output.id, true);
+  await service.verifyOutputs();
+  assert.equal(statuses.at(-1), 'cleared');
+  assert.equal(service.describeDiscrepancy(output.id), null);
+});
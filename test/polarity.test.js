@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PolaritySelector, signedCommand, heatingStates } = require('../src/utils/polarity.js');
+
+const T0 = 1_700_000_000_000;
+const s = (seconds) => T0 + seconds * 1000;
+
+function createSelector() {
+  return new PolaritySelector({ deadBand: 5, minDwell: 60 });
+}
+
+test('commands inside the dead band start nothing', () => {
+  const selector = createSelector();
+  assert.deepEqual(selector.select(5, s(0)), { mode: 'off', magnitude: 0 });
+  assert.deepEqual(selector.select(-5, s(1)), { mode: 'off', magnitude: 0 });
+  assert.deepEqual(selector.select(5.1, s(2)), { mode: 'cooling', magnitude: 5.1 });
+});
+
+test('a direction holds through the dead band until the command crosses zero', () => {
+  const selector = createSelector();
+  selector.select(-30, s(0));
+
+  assert.deepEqual(selector.select(-2, s(1)), { mode: 'heating', magnitude: 2 });
+  assert.deepEqual(selector.select(0, s(2)), { mode: 'off', magnitude: 0 });
+});
+
+test('a command that jumps across zero stops the bank instead of reversing it', () => {
+  const selector = createSelector();
+  selector.select(80, s(0));
+
+  assert.deepEqual(selector.select(-80, s(1)), { mode: 'off', magnitude: 0 });
+  assert.equal(selector.getDwellRemaining(s(1)), 60);
+});
+
+test('reversing waits for the bank to be off for minDwell', () => {
+  const selector = createSelector();
+  selector.select(50, s(0));
+  selector.select(-50, s(10));
+
+  assert.equal(selector.select(-50, s(69)).mode, 'off');
+  assert.equal(selector.getDwellRemaining(s(69)), 1);
+  assert.equal(selector.select(-50, s(70)).mode, 'heating');
+  assert.equal(selector.getDwellRemaining(s(70)), 0);
+});
+
+test('the dwell counts from when the bank went off, not from the reversal request', () => {
+  const selector = createSelector();
+  selector.select(-50, s(0));
+  selector.select(0, s(10));
+  selector.select(3, s(30));
+
+  assert.equal(selector.select(40, s(69)).mode, 'off');
+  assert.equal(selector.select(40, s(70)).mode, 'cooling');
+});
+
+test('restarting in the same direction needs no dwell', () => {
+  const selector = createSelector();
+  selector.select(50, s(0));
+  selector.select(0, s(10));
+
+  assert.equal(selector.select(50, s(11)).mode, 'cooling');
+});
+
+test('commands are clamped to ±100 %', () => {
+  const selector = createSelector();
+  assert.deepEqual(selector.select(250, s(0)), { mode: 'cooling', magnitude: 100 });
+});
+
+test('a bumpless transfer continues the direction and counts the dwell from then', () => {
+  const selector = createSelector();
+  selector.initialize('heating', s(0));
+  assert.equal(selector.select(-20, s(1)).mode, 'heating');
+
+  const fromOff = createSelector();
+  fromOff.initialize('off', s(0));
+  // The direction before the transfer is unknown, nothing to wait for
+  assert.equal(fromOff.select(-20, s(1)).mode, 'heating');
+
+  const reversing = createSelector();
+  reversing.initialize('cooling', s(0));
+  reversing.select(-20, s(30));
+  assert.equal(reversing.select(-20, s(89)).mode, 'off');
+  assert.equal(reversing.select(-20, s(90)).mode, 'heating');
+});
+
+test('signedCommand gives heating a negative sign', () => {
+  assert.equal(signedCommand('heating', 40), -40);
+  assert.equal(signedCommand('cooling', 40), 40);
+  assert.equal(signedCommand('off', 40), 0);
+});
+
+test('heatingStates runs the lead with any demand and assists past half their share', () => {
+  assert.deepEqual(heatingStates(0, [1, 2]), { 1: false, 2: false });
+  assert.deepEqual(heatingStates(10, [1, 2]), { 1: true, 2: false });
+  assert.deepEqual(heatingStates(100, [1, 2]), { 1: true, 2: true });
+});
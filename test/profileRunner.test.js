@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProfileRunner = require('../src/services/profileRunner');
+const { validateProfile } = ProfileRunner;
+
+const MINUTE = 60000;
+
+function createControlService(target = 20) {
+  return {
+    target,
+    stable: false,
+    setpoints: [],
+    getSetpointSettings() { return { target: this.target, min: -20, max: 30 }; },
+    setSetpoint(value) {
+      if (value < -20 || value > 30) throw new Error(`Setpoint ${value}°C is out of range`);
+      this.target = value;
+      this.setpoints.push(value);
+    },
+    isStable() { return this.stable; }
+  };
+}
+
+/**
+ * Let time pass a second at a time, so each timer tick sees its own time
+ */
+function advance(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 1000) {
+    t.mock.timers.tick(Math.min(1000, ms - elapsed));
+  }
+}
+
+function profile(segments) {
+  return { id: 'test', name: 'Test', segments };
+}
+
+function setup(t, target) {
+  t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 1_700_000_000_000 });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-runner-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const controlService = createControlService(target);
+  const runner = new ProfileRunner(controlService);
+  runner.setStateFile(path.join(dir, 'profile.json'));
+  t.after(() => runner.stopTimer());
+  return { controlService, runner, dir };
+}
+
+test('steps apply at once and chain into the next timed segment', (t) => {
+  const { controlService, runner } = setup(t);
+  runner.start(profile([{ type: 'step', setpoint: 10 }, { type: 'step', setpoint: 8 }, { type: 'hold', duration: 1 }]));
+
+  assert.deepEqual(controlService.setpoints, [10, 8]);
+  assert.equal(runner.getStatus().segmentIndex, 2);
+  assert.equal(runner.getStatus().status, 'running');
+});
+
+test('a profile of steps only completes right away', (t) => {
+  const { runner } = setup(t);
+  runner.start(profile([{ type: 'step', setpoint: 10 }]));
+  assert.equal(runner.getStatus().status, 'completed');
+});
+
+test('a ramp moves the setpoint at its rate and ends on its setpoint', (t) => {
+  const { controlService, runner } = setup(t, 20);
+  runner.start(profile([{ type: 'ramp', setpoint: 10, rate: 2 }, { type: 'hold', duration: 1 }]));
+
+  advance(t, MINUTE);
+  assert.equal(controlService.target, 18);
+  advance(t, 2.5 * MINUTE);
+  assert.equal(controlService.target, 13);
+  advance(t, 1.5 * MINUTE);
+  assert.equal(controlService.target, 10);
+  assert.equal(runner.getStatus().segmentIndex, 1);
+});
+
+test('a hold counts only running time', (t) => {
+  const { runner } = setup(t);
+  runner.start(profile([{ type: 'hold', duration: 2 }, { type: 'hold', duration: 1 }]));
+
+  advance(t, MINUTE);
+  runner.pause();
+  advance(t, 10 * MINUTE);
+  assert.equal(runner.getStatus().segmentIndex, 0);
+
+  runner.resume();
+  advance(t, MINUTE);
+  assert.equal(runner.getStatus().segmentIndex, 1);
+  advance(t, MINUTE);
+  assert.equal(runner.getStatus().status, 'completed');
+});
+
+test('wait-stable goes on once the controller is stable', (t) => {
+  const { controlService, runner } = setup(t);
+  runner.start(profile([{ type: 'wait-stable', timeout: 0 }, { type: 'hold', duration: 1 }]));
+
+  advance(t, 30 * MINUTE);
+  assert.equal(runner.getStatus().segmentIndex, 0);
+  controlService.stable = true;
+  advance(t, 1000);
+  assert.equal(runner.getStatus().segmentIndex, 1);
+});
+
+test('wait-stable pauses after its timeout and gets it again on resume', (t) => {
+  const { runner } = setup(t);
+  runner.start(profile([{ type: 'wait-stable', timeout: 5 }, { type: 'hold', duration: 1 }]));
+
+  advance(t, 5 * MINUTE);
+  assert.equal(runner.getStatus().status, 'paused');
+  assert.match(runner.getStatus().pauseReason, /Not stable after 5 min/);
+
+  runner.resume();
+  assert.equal(runner.getStatus().segmentElapsed, 0);
+  advance(t, 4 * MINUTE);
+  assert.equal(runner.getStatus().status, 'running');
+});
+
+test('a setpoint the device refuses fails the run', (t) => {
+  const { runner } = setup(t);
+  runner.start(profile([{ type: 'hold', duration: 1 }, { type: 'step', setpoint: 10 }]));
+  // Limits narrowed after the start
+  runner.controlService.setSetpoint = () => { throw new Error('Setpoint 10°C is out of range'); };
+
+  advance(t, MINUTE);
+  assert.equal(runner.getStatus().status, 'failed');
+  assert.match(runner.getStatus().error, /out of range/);
+});
+
+test('restore continues a ramp a crash interrupted from its saved progress', (t) => {
+  const { controlService, runner } = setup(t, 20);
+  runner.start(profile([{ type: 'ramp', setpoint: 10, rate: 1 }, { type: 'hold', duration: 1 }]));
+
+  // Progress is saved every 10 s of running, the crash comes 5 s after the save at 4 min
+  advance(t, 4 * MINUTE + 5000);
+  assert.equal(controlService.target, 15.9);
+  runner.stopTimer();               // The app dies without dispose()
+
+  const restartedService = createControlService(25);
+  const restarted = new ProfileRunner(restartedService);
+  restarted.setStateFile(runner.stateFile);
+  t.after(() => restarted.stopTimer());
+
+  assert.equal(restarted.restore(), true);
+  // The ramp picks up from where it was saved, not from the setpoint the app started with
+  assert.equal(restartedService.target, 16);
+  assert.equal(restarted.getStatus().segmentIndex, 0);
+  assert.equal(restarted.run.rampFrom, 20);
+
+  advance(t, MINUTE);
+  assert.equal(restartedService.target, 15);
+  advance(t, 5 * MINUTE);
+  assert.equal(restartedService.target, 10);
+  assert.equal(restarted.getStatus().segmentIndex, 1);
+});
+
+test('restore keeps a paused run paused at its setpoint', (t) => {
+  const { runner } = setup(t, 20);
+  runner.start(profile([{ type: 'step', setpoint: 12 }, { type: 'hold', duration: 5 }]));
+  advance(t, 2 * MINUTE);
+  runner.pause();
+
+  const restartedService = createControlService(25);
+  const restarted = new ProfileRunner(restartedService);
+  restarted.setStateFile(runner.stateFile);
+  t.after(() => restarted.stopTimer());
+
+  assert.equal(restarted.restore(), true);
+  assert.equal(restartedService.target, 12);
+  assert.equal(restarted.getStatus().status, 'paused');
+  advance(t, 10 * MINUTE);
+  assert.equal(restarted.getStatus().segmentElapsed, 2 * MINUTE);
+});
+
+test('restore ignores finished runs and unreadable state files', (t) => {
+  const { runner, dir } = setup(t);
+  runner.start(profile([{ type: 'step', setpoint: 10 }]));
+
+  const restarted = new ProfileRunner(createControlService());
+  restarted.setStateFile(runner.stateFile);
+  assert.equal(restarted.restore(), false);
+
+  const broken = path.join(dir, 'broken.json');
+  fs.writeFileSync(broken, '{ not json');
+  restarted.setStateFile(broken);
+  assert.equal(restarted.restore(), false);
+  assert.equal(restarted.run, null);
+});
+
+test('validation checks every segment against the device limits', () => {
+  const errors = validateProfile(profile([
+    { type: 'ramp', setpoint: 50, rate: 0 },
+    { type: 'hold', duration: 0 },
+    { type: 'wait-stable', timeout: -1 },
+    { type: 'soak' }
+  ]), { min: -20, max: 30 });
+
+  assert.deepEqual(errors, [
+    'Segment 1: setpoint 50°C is outside the allowed -20°C to 30°C',
+    'Segment 1: ramp rate must be above 0 °C/min',
+    'Segment 2: hold duration must be above 0 minutes',
+    'Segment 3: timeout must be 0 or more minutes',
+    'Segment 4: unknown type "soak"'
+  ]);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createDefaultRegisterMap,
+  normalizeRegisterMap,
+  validateRegisterMap,
+  findBatchesForInput,
+  decodeInput,
+  encodeInput,
+  assessQuality,
+  encodeDuty,
+  decodeDuty
+} = require('../src/services/registerMap');
+
+const int16 = { dataType: 'int16', scale: 0.1, offset: 0 };
+
+test('the default register map validates', () => {
+  assert.deepEqual(validateRegisterMap(createDefaultRegisterMap()), []);
+});
+
+test('validation reports each broken field', () => {
+  const map = createDefaultRegisterMap();
+  map.batches.push({ id: 'bad', functionCode: 7, start: 70000, length: 126 });
+  map.inputs.push({ ...map.inputs[0], name: 'Copy' });
+  map.inputs.push({ id: 'odd', name: 'Odd', functionCode: 3, address: 1, dataType: 'int64', scale: 0, offset: NaN });
+  map.outputs.push({ id: 1, name: 'Again', functionCode: 5, address: 2 });
+  map.controlInput = 'missing';
+
+  const errors = validateRegisterMap(map);
+  assert.deepEqual(errors, [
+    'Batch bad: unsupported function code 7',
+    'Batch bad: start address must be 0-65535',
+    'Batch bad: length must be 1-125 registers',
+    'Input Copy: duplicate id "container"',
+    'Input Odd: unknown data type "int64"',
+    'Input Odd: scale must be a non-zero number',
+    'Input Odd: offset must be a number',
+    'Control input "missing" is not a defined input channel',
+    'Output Again: duplicate id "1"',
+    'Output Again: address 2 is already used by another output'
+  ]);
+});
+
+test('validation needs an input and checks analog ranges and polarity coils', () => {
+  const map = {
+    batches: [],
+    inputs: [],
+    outputs: [
+      { id: 1, name: 'Flat', functionCode: 6, address: 100, rawMin: 50, rawMax: 50 },
+      { id: 2, name: 'Signed', functionCode: 6, address: 101, rawMin: -40000, rawMax: 1000, signed: true },
+      { id: 3, name: 'Bridge', functionCode: 5, address: 2, polarityAddress: 2 },
+      { id: 4, name: 'Mixed', functionCode: 6, address: 102, rawMin: 0, rawMax: 100, polarityAddress: 5 }
+    ]
+  };
+
+  assert.deepEqual(validateRegisterMap(map), [
+    'At least one input channel is required',
+    'Output Flat: raw values for 0 % and 100 % must differ',
+    'Output Signed: raw range must be -32768-65535',
+    'Output Bridge: polarity coil 2 is already used by another output',
+    'Output Mixed: analog outputs reverse with signed duties, not a polarity coil'
+  ]);
+});
+
+test('normalizing fills defaults for old settings', () => {
+  const map = normalizeRegisterMap({ inputs: [{ id: 't1', functionCode: 3, address: 10 }], outputs: [{ id: 1, functionCode: 6, address: 100 }] });
+
+  assert.deepEqual(map.inputs[0], { id: 't1', functionCode: 3, address: 10, dataType: 'int16', scale: 1, offset: 0, units: '' });
+  assert.deepEqual(map.outputs[0], { id: 1, functionCode: 6, address: 100, rawMin: 0, rawMax: 100 });
+  assert.equal(map.controlInput, 't1');
+  assert.deepEqual(map.batches, createDefaultRegisterMap().batches);
+  assert.deepEqual(normalizeRegisterMap(null), createDefaultRegisterMap());
+});
+
+test('an input is found in the batches whose range covers all its words', () => {
+  const map = createDefaultRegisterMap();
+  const ids = (input) => findBatchesForInput(map, input).map(batch => batch.id);
+
+  assert.deepEqual(ids({ functionCode: 3, address: 2026, dataType: 'int16' }), ['primary', 'fallback']);
+  assert.deepEqual(ids({ functionCode: 3, address: 2035, dataType: 'int16' }), ['primary']);
+  assert.deepEqual(ids({ functionCode: 3, address: 2035, dataType: 'float32' }), []);
+  assert.deepEqual(ids({ functionCode: 4, address: 2026, dataType: 'int16' }), []);
+});
+
+test('int16 decodes two\'s complement and scales', () => {
+  assert.deepEqual(decodeInput([215], 0, int16), { raw: 215, value: 21.5 });
+  assert.deepEqual(decodeInput([0, 65486], 1, int16), { raw: -50, value: -5 });
+  assert.deepEqual(decodeInput([100], 0, { dataType: 'int16', scale: 0.5, offset: -10 }), { raw: 100, value: 40 });
+});
+
+test('uint16 and bool decode as they are', () => {
+  assert.equal(decodeInput([65486], 0, { dataType: 'uint16', scale: 1, offset: 0 }).raw, 65486);
+  assert.equal(decodeInput([true], 0, { dataType: 'bool', scale: 1, offset: 0 }).value, 1);
+  assert.equal(decodeInput([false], 0, { dataType: 'bool', scale: 1, offset: 0 }).value, 0);
+});
+
+test('32-bit types take the high word first unless the channel says little', () => {
+  const float32 = { dataType: 'float32', scale: 1, offset: 0 };
+  // 21.5 as IEEE 754 is 0x41AC0000
+  assert.equal(decodeInput([0x41ac, 0x0000], 0, float32).value, 21.5);
+  assert.equal(decodeInput([0x0000, 0x41ac], 0, { ...float32, wordOrder: 'little' }).value, 21.5);
+  assert.equal(decodeInput([0xffff, 0xfffe], 0, { dataType: 'int32', scale: 1, offset: 0 }).raw, -2);
+  assert.equal(decodeInput([0xffff, 0xfffe], 0, { dataType: 'uint32', scale: 1, offset: 0 }).raw, 4294967294);
+});
+
+test('unknown data types are refused', () => {
+  assert.throws(() => decodeInput([1], 0, { dataType: 'int64', scale: 1, offset: 0 }), /Unknown data type/);
+});
+
+test('encodeInput is the inverse of decodeInput', () => {
+  const channels = [
+    [int16, -12.3],
+    [{ dataType: 'uint16', scale: 0.1, offset: 0 }, 45.6],
+    [{ dataType: 'int32', scale: 0.01, offset: 0 }, -1234.56],
+    [{ dataType: 'float32', scale: 1, offset: 0, wordOrder: 'little' }, 21.5]
+  ];
+  channels.forEach(([input, value]) => {
+    const words = encodeInput(value, input);
+    assert.ok(Math.abs(decodeInput(words, 0, input).value - value) < 1e-6, `${input.dataType} ${value}`);
+  });
+  // int16 saturates instead of wrapping around
+  assert.deepEqual(encodeInput(5000, int16), [32767]);
+});
+
+test('the ends of the raw range mean an open thermocouple', () => {
+  assert.equal(assessQuality(32767, 3276.7, int16), 'open-circuit');
+  assert.equal(assessQuality(-32768, -3276.8, int16), 'open-circuit');
+  assert.equal(assessQuality(65535, 6553.5, { ...int16, dataType: 'uint16' }), 'open-circuit');
+  assert.equal(assessQuality(32766, 3276.6, int16), 'good');
+  // Only 16-bit types have a sentinel
+  assert.equal(assessQuality(32767, 32767, { dataType: 'int32', scale: 1, offset: 0 }), 'good');
+});
+
+test('quality flags bad values and ones outside the channel range', () => {
+  assert.equal(assessQuality(0, NaN, { dataType: 'float32' }), 'bad');
+  assert.equal(assessQuality(0, Infinity, { dataType: 'float32' }), 'bad');
+  assert.equal(assessQuality(-500, -50, { ...int16, min: -40, max: 80 }), 'out-of-range');
+  assert.equal(assessQuality(900, 90, { ...int16, min: -40, max: 80 }), 'out-of-range');
+  assert.equal(assessQuality(-400, -40, { ...int16, min: -40, max: 80 }), 'good');
+});
+
+test('duties scale to the raw range of analog outputs and back', () => {
+  const output = { rawMin: 0, rawMax: 4000 };
+  assert.equal(encodeDuty(25, output), 1000);
+  assert.equal(encodeDuty(150, output), 4000);
+  assert.equal(encodeDuty(-10, output), 0);
+  assert.equal(decodeDuty(1000, output), 25);
+});
+
+test('signed outputs encode heating as negative raw values in two\'s complement', () => {
+  const output = { rawMin: -1000, rawMax: 1000, signed: true };
+  assert.equal(encodeDuty(100, output), 1000);
+  assert.equal(encodeDuty(0, output), 0);
+  assert.equal(encodeDuty(-50, output), 65536 - 500);
+  assert.equal(decodeDuty(65536 - 500, output), -50);
+  assert.equal(decodeDuty(1000, output), 100);
+});
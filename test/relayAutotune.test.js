@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RelayAutotune = require('../src/services/relayAutotune');
+const { TUNING_RULES } = RelayAutotune;
+
+const PLANT = { gain: -0.15, timeConstant: 300, deadTime: 20, ambient: 25 };
+const SETPOINT = 20;
+const T0 = 1_700_000_000_000;
+
+/**
+ * Run the relay on a first-order-plus-dead-time plant sampled every second
+ * @returns {Object} { tuner, temperatures }
+ */
+function runRelay(plant, config = {}, { start = SETPOINT, seconds = 3 * 3600 } = {}) {
+  const tuner = new RelayAutotune({ setpoint: SETPOINT, peltierIds: [1, 2], minSwitchInterval: 0, ...config });
+  const delayed = new Array(plant.deadTime).fill(0);
+  const temperatures = [];
+  let temperature = start;
+
+  for (let second = 0; second < seconds; second++) {
+    temperatures.push(temperature);
+    const outputs = tuner.update(temperature, T0 + second * 1000);
+    if (!outputs) break;
+
+    delayed.push(outputs.duties[1]);
+    const demand = delayed.shift();
+    const steady = plant.ambient + plant.gain * demand;
+    temperature = steady + (temperature - steady) * Math.exp(-1 / plant.timeConstant);
+  }
+
+  return { tuner, temperatures };
+}
+
+/**
+ * Period of the settled oscillation from its upward setpoint crossings
+ */
+function crossingPeriod(temperatures) {
+  const crossings = [];
+  for (let k = 1; k < temperatures.length; k++) {
+    if (temperatures[k - 1] < SETPOINT && temperatures[k] >= SETPOINT) crossings.push(k);
+  }
+  const settled = crossings.slice(1);
+  return (settled[settled.length - 1] - settled[0]) / (settled.length - 1);
+}
+
+test('a relay on a FOPDT plant finds its ultimate gain and period', () => {
+  const { tuner, temperatures } = runRelay(PLANT);
+  const { status, result } = tuner.getStatus();
+
+  assert.equal(status, 'completed');
+  // The period is that of the limit cycle the plant settles into
+  assert.ok(Math.abs(result.tu - crossingPeriod(temperatures)) <= 2, `Tu ${result.tu}`);
+  assert.ok(result.periodSpread < 0.05);
+
+  const { hysteresis } = tuner.config;
+  const expectedKu = (4 * 50) / (Math.PI * Math.sqrt(result.amplitude ** 2 - hysteresis ** 2));
+  assert.ok(Math.abs(result.ku - expectedKu) < 1e-9);
+
+  // Describing function: the loop gain at the ultimate frequency is about one
+  const omega = 2 * Math.PI / result.tu;
+  const plantGain = Math.abs(PLANT.gain) / Math.sqrt(1 + (omega * PLANT.timeConstant) ** 2);
+  const loopGain = result.ku * plantGain;
+  assert.ok(loopGain > 0.7 && loopGain < 1.3, `loop gain ${loopGain}`);
+});
+
+test('gains follow the Ziegler-Nichols, Tyreus-Luyben and no-overshoot rules', () => {
+  const { tuner } = runRelay(PLANT);
+  const { ku, tu, gains } = tuner.getStatus().result;
+
+  assert.deepEqual(Object.keys(gains), Object.keys(TUNING_RULES));
+  const close = (a, b) => Math.abs(a - b) < 1e-9 * Math.max(1, Math.abs(b));
+
+  assert.ok(close(gains['ziegler-nichols'].kp, 0.6 * ku));
+  assert.ok(close(gains['ziegler-nichols'].ki, 0.6 * ku / (0.5 * tu)));
+  assert.ok(close(gains['ziegler-nichols'].kd, 0.6 * ku * 0.125 * tu));
+
+  assert.ok(close(gains['tyreus-luyben'].kp, 0.45 * ku));
+  assert.ok(close(gains['tyreus-luyben'].ki, 0.45 * ku / (2.2 * tu)));
+  assert.ok(close(gains['tyreus-luyben'].kd, 0.45 * ku * tu / 6.3));
+
+  assert.ok(close(gains['no-overshoot'].kp, 0.2 * ku));
+  assert.ok(close(gains['no-overshoot'].ki, 0.2 * ku / (0.5 * tu)));
+  assert.ok(close(gains['no-overshoot'].kd, 0.2 * ku * tu / 3));
+});
+
+test('the relay cools above the band and stops below it', () => {
+  const tuner = new RelayAutotune({ setpoint: SETPOINT, peltierIds: [1, 2], minSwitchInterval: 0 });
+
+  assert.deepEqual(tuner.update(20.5, T0), { peltiers: { 1: true, 2: true }, duties: { 1: 100, 2: 100 } });
+  // Inside the hysteresis band the relay keeps its state
+  assert.equal(tuner.update(19.9, T0 + 1000).peltiers[1], true);
+  assert.equal(tuner.update(19.7, T0 + 2000).peltiers[1], false);
+  assert.equal(tuner.update(20.1, T0 + 3000).peltiers[1], false);
+  assert.equal(tuner.update(20.3, T0 + 4000).peltiers[1], true);
+});
+
+test('the relay keeps a state for the minimum switch interval', () => {
+  const tuner = new RelayAutotune({ setpoint: SETPOINT, peltierIds: [1], minSwitchInterval: 10 });
+
+  tuner.update(20.5, T0);
+  assert.equal(tuner.update(19.0, T0 + 5000).peltiers[1], true);
+  assert.equal(tuner.update(19.0, T0 + 10000).peltiers[1], false);
+});
+
+test('aborts when the temperature leaves the allowed excursion', () => {
+  const tuner = new RelayAutotune({ setpoint: SETPOINT, peltierIds: [1, 2], maxExcursion: 3 });
+
+  assert.ok(tuner.update(21, T0));
+  assert.equal(tuner.update(23.5, T0 + 1000), null);
+  assert.equal(tuner.getStatus().status, 'aborted');
+  assert.match(tuner.getStatus().reason, /more than 3°C from the setpoint/);
+  // Once aborted it stays that way
+  assert.equal(tuner.update(20, T0 + 2000), null);
+});
+
+test('a plant that cannot reach the setpoint aborts on excursion', () => {
+  const weak = { ...PLANT, gain: -0.01 };
+  const { tuner } = runRelay(weak, {}, { start: 22 });
+
+  assert.equal(tuner.getStatus().status, 'aborted');
+  assert.match(tuner.getStatus().reason, /from the setpoint/);
+});
+
+test('gives up when no oscillation settles within the max duration', () => {
+  const slow = { ...PLANT, timeConstant: 20000 };
+  const { tuner } = runRelay(slow, { maxDuration: 30 }, { start: 21 });
+
+  assert.equal(tuner.getStatus().status, 'aborted');
+  assert.match(tuner.getStatus().reason, /within 30 min/);
+});
+
+test('rejects invalid settings', () => {
+  assert.throws(() => new RelayAutotune({ setpoint: 20, peltierIds: [1], hysteresis: 0 }), /Hysteresis/);
+  assert.throws(() => new RelayAutotune({ setpoint: 20, peltierIds: [1], cycles: 1.5 }), /Cycles/);
+  assert.throws(() => new RelayAutotune({ setpoint: 20, peltierIds: [1], maxExcursion: 0.1 }), /Max excursion/);
+});
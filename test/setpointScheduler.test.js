@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SetpointScheduler = require('../src/services/setpointScheduler');
+const { scheduleTransitions, scheduledStateAt, validateSchedule } = SetpointScheduler;
+
+// 2026-01-02 is a Friday, times are local like the schedule's
+const at = (day, hours = 0, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+
+const WEEKEND = { id: 'weekend', type: 'weekly', days: [5], time: '18:00', setpoint: 10 };
+const WEEKDAYS = { id: 'weekdays', type: 'weekly', days: [1], time: '07:00', setpoint: 5, autoControl: true };
+
+function schedule(rules = [WEEKEND, WEEKDAYS], overrides = []) {
+  return { enabled: true, rules, overrides };
+}
+
+test('the state at a time carries weekly rules across the week boundary', () => {
+  // Sunday follows Friday's rule, auto control was last switched the Monday before
+  assert.deepEqual(scheduledStateAt(schedule(), at(4, 12)), { setpoint: 10, autoControl: true });
+  assert.deepEqual(scheduledStateAt(schedule(), at(5, 6, 59)), { setpoint: 10, autoControl: true });
+  assert.deepEqual(scheduledStateAt(schedule(), at(5, 7)), { setpoint: 5, autoControl: true });
+  assert.deepEqual(scheduledStateAt(schedule([WEEKEND]), at(1, 12)), { setpoint: 10, autoControl: null });
+});
+
+test('fields no rule has set yet stay null', () => {
+  assert.deepEqual(scheduledStateAt(schedule([]), at(4)), { setpoint: null, autoControl: null });
+});
+
+test('transitions cover (from, to] across the week boundary', () => {
+  const transitions = scheduleTransitions(schedule(), at(2, 18), at(12, 7));
+
+  assert.deepEqual(transitions.map(transition => [transition.at.getTime(), transition.id]), [
+    [at(5, 7).getTime(), 'weekdays'],
+    [at(9, 18).getTime(), 'weekend'],
+    [at(12, 7).getTime(), 'weekdays']
+  ]);
+  assert.equal(transitions[0].autoControl, true);
+  assert.equal(transitions[1].autoControl, null);
+});
+
+test('date rules count however old they are and win over a weekly rule at the same minute', () => {
+  const holiday = { id: 'holiday', type: 'date', date: '2026-01-09', time: '18:00', setpoint: 15 };
+  const old = { id: 'old', type: 'date', date: '2020-03-01', time: '00:00', autoControl: false };
+  const rules = [holiday, WEEKEND, old];
+
+  assert.deepEqual(scheduledStateAt(schedule(rules), at(9, 18)), { setpoint: 15, autoControl: false });
+  assert.deepEqual(scheduledStateAt(schedule(rules), at(16, 18)), { setpoint: 10, autoControl: false });
+
+  const transitions = scheduleTransitions(schedule(rules), at(9, 17), at(9, 19));
+  assert.deepEqual(transitions.map(transition => transition.id), ['weekend', 'holiday']);
+});
+
+test('an override replaces the rules for its window and hands back when it expires', () => {
+  const override = { id: 'defrost', from: at(5, 6).toISOString(), until: at(5, 9).toISOString(), setpoint: 20 };
+  const withOverride = schedule(undefined, [override]);
+
+  assert.deepEqual(scheduledStateAt(withOverride, at(5, 8)), { setpoint: 20, autoControl: true });
+  assert.deepEqual(scheduledStateAt(withOverride, at(5, 9)), { setpoint: 5, autoControl: true });
+
+  const transitions = scheduleTransitions(withOverride, at(5, 0), at(5, 12));
+  assert.deepEqual(transitions.map(transition => [transition.source, transition.setpoint, transition.autoControl]), [
+    ['override', 20, null],
+    // The 07:00 rule fell inside the window, its setpoint applies when the override ends
+    ['override-end', 5, null]
+  ]);
+});
+
+test('validation catches bad rules and overlapping overrides', () => {
+  const errors = validateSchedule({
+    enabled: true,
+    rules: [{ type: 'weekly', days: [], time: '25:00', setpoint: 5 }, { type: 'date', date: '2026-02-30', time: '10:00', setpoint: 50 }],
+    overrides: [
+      { from: at(5).toISOString(), until: at(6).toISOString(), setpoint: 3 },
+      { from: at(5, 12).toISOString(), until: at(7).toISOString(), setpoint: 3 }
+    ]
+  }, { min: -20, max: 30 });
+
+  assert.ok(errors.some(error => /Rule 1: time/.test(error)));
+  assert.ok(errors.some(error => /Rule 1: pick at least one weekday/.test(error)));
+  assert.ok(errors.some(error => /Rule 2: date/.test(error)));
+  assert.ok(errors.some(error => /Rule 2: setpoint 50/.test(error)));
+  assert.ok(errors.some(error => /Override 2: overlaps/.test(error)));
+});
+
+function createControlService() {
+  return {
+    setpoint: null,
+    isEnabled: false,
+    getSetpointSettings: () => ({ min: -20, max: 30 }),
+    setSetpoint(value) { this.setpoint = value; },
+    setEnabled(enabled) { this.isEnabled = enabled; }
+  };
+}
+
+test('editing a running schedule applies an override that has already started', (t) => {
+  const controlService = createControlService();
+  const scheduler = new SetpointScheduler(controlService, null);
+  t.after(() => scheduler.stop());
+
+  const now = Date.now();
+  const rule = { id: 'always', type: 'date', date: '2020-01-01', time: '00:00', setpoint: 5 };
+  scheduler.load({ enabled: true, rules: [rule], overrides: [] });
+  assert.equal(controlService.setpoint, 5);
+
+  scheduler.load({
+    enabled: true,
+    rules: [rule],
+    overrides: [{ id: 'now', from: new Date(now - 60000).toISOString(), until: new Date(now + 3600000).toISOString(), setpoint: 12 }]
+  });
+  assert.equal(controlService.setpoint, 12);
+  assert.equal(scheduler.lastTransition.source, 'edit');
+});
+
+test('an edit that leaves the current state alone keeps a setpoint set by hand', (t) => {
+  const controlService = createControlService();
+  const scheduler = new SetpointScheduler(controlService, null);
+  t.after(() => scheduler.stop());
+
+  const rule = { id: 'always', type: 'date', date: '2020-01-01', time: '00:00', setpoint: 5 };
+  scheduler.load({ enabled: true, rules: [rule], overrides: [] });
+  controlService.setSetpoint(8);
+
+  const later = { id: 'later', type: 'date', date: '2099-01-01', time: '00:00', setpoint: 0 };
+  scheduler.load({ enabled: true, rules: [rule, later], overrides: [] });
+  assert.equal(controlService.setpoint, 8);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ShortCycleGuard = require('../src/services/shortCycleGuard');
+
+const T0 = 1_000_000;
+const s = (seconds) => T0 + seconds * 1000;
+
+function createGuard(limits = {}) {
+  const guard = new ShortCycleGuard();
+  guard.load({ channels: { 1: { minOnTime: 10, minOffTime: 20, maxStartsPerHour: 0, startDelay: 0, ...limits } } });
+  return guard;
+}
+
+test('an output that never switched may start and stop right away', () => {
+  const guard = createGuard();
+  assert.equal(guard.check(1, true, T0), null);
+  assert.equal(guard.check(1, false, T0), null);
+});
+
+test('holds a stop until the minimum on time is up', () => {
+  const guard = createGuard();
+  guard.record(1, true, s(0));
+
+  const hold = guard.check(1, false, s(4));
+  assert.equal(hold.reason, 'min-on');
+  assert.equal(hold.remaining, 6);
+  assert.equal(guard.check(1, false, s(10)), null);
+});
+
+test('holds a start until the minimum off time is up', () => {
+  const guard = createGuard();
+  guard.record(1, true, s(0));
+  guard.record(1, false, s(30));
+
+  assert.equal(guard.check(1, true, s(45)).reason, 'min-off');
+  assert.equal(guard.check(1, true, s(50)), null);
+});
+
+test('staying in the same state is never held', () => {
+  const guard = createGuard();
+  guard.record(1, true, s(0));
+  assert.equal(guard.check(1, true, s(1)), null);
+});
+
+test('recording the same state again does not restart the timers', () => {
+  const guard = createGuard();
+  guard.record(1, true, s(0));
+  guard.record(1, true, s(8));
+  assert.equal(guard.check(1, false, s(10)), null);
+  assert.equal(guard.channels[1].starts.length, 1);
+});
+
+test('limits starts to maxStartsPerHour in any 60 minutes', () => {
+  const guard = createGuard({ minOnTime: 0, minOffTime: 0, maxStartsPerHour: 2 });
+  guard.record(1, true, s(0));
+  guard.record(1, false, s(60));
+  guard.record(1, true, s(120));
+  guard.record(1, false, s(180));
+
+  const hold = guard.check(1, true, s(600));
+  assert.equal(hold.reason, 'max-starts');
+  assert.equal(hold.remaining, 3000);
+  // The first start drops out of the window an hour after it was made
+  assert.equal(guard.check(1, true, s(3600)), null);
+});
+
+test('no start limit with maxStartsPerHour 0', () => {
+  const guard = createGuard({ minOnTime: 0, minOffTime: 0 });
+  for (let i = 0; i < 50; i++) {
+    guard.record(1, true, s(i * 2));
+    guard.record(1, false, s(i * 2 + 1));
+  }
+  assert.equal(guard.check(1, true, s(100)), null);
+});
+
+test('start delay counts from power-up and only holds starts', () => {
+  const guard = createGuard({ startDelay: 30 });
+  guard.powerUp(s(0));
+
+  const hold = guard.check(1, true, s(10));
+  assert.equal(hold.reason, 'start-delay');
+  assert.equal(hold.remaining, 20);
+  assert.equal(guard.check(1, true, s(30)), null);
+});
+
+test('power-up takes every output as off without holding its off time against it', () => {
+  const guard = createGuard({ startDelay: 0 });
+  guard.record(1, true, s(0));
+  guard.powerUp(s(2));
+
+  assert.equal(guard.channels[1].on, false);
+  assert.equal(guard.check(1, true, s(2)), null);
+});
+
+test('power-up keeps the start history', () => {
+  const guard = createGuard({ minOnTime: 0, minOffTime: 0, maxStartsPerHour: 1 });
+  guard.record(1, true, s(0));
+  guard.powerUp(s(10));
+  assert.equal(guard.check(1, true, s(20)).reason, 'max-starts');
+});
+
+test('outputs without their own limits use the defaults', () => {
+  const guard = createGuard();
+  assert.deepEqual(guard.getLimits(2), ShortCycleGuard.createDefaultChannelProtection());
+});
+
+test('load fills missing limits and rejects invalid ones', () => {
+  const guard = new ShortCycleGuard();
+  guard.load({ channels: { 1: { minOnTime: 60 } } });
+  assert.deepEqual(guard.getLimits(1), { ...ShortCycleGuard.createDefaultChannelProtection(), minOnTime: 60 });
+
+  assert.throws(() => guard.load({ channels: { 1: { minOffTime: -1 } } }), /min off time/);
+  assert.throws(() => guard.load({ channels: { 1: { maxStartsPerHour: 1.5 } } }), /whole number/);
+  // A rejected policy leaves the previous one in place
+  assert.equal(guard.getLimits(1).minOnTime, 60);
+});
+
+test('status reports what holds each output from switching', () => {
+  const guard = createGuard();
+  guard.record(1, true, s(0));
+
+  const status = guard.getStatus([{ id: 1, name: 'Peltier 1' }], s(5));
+  assert.equal(status.channels[0].on, true);
+  assert.equal(status.channels[0].startsLastHour, 1);
+  assert.equal(status.channels[0].held.reason, 'min-on');
+});
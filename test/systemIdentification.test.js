@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { identifyFopdt, deriveTuning, simulate } = require('../src/services/systemIdentification');
+
+const PLANT = { gain: -0.15, timeConstant: 300, deadTime: 20, ambient: 25 };
+const PELTIER_IDS = [1, 2];
+
+/**
+ * Samples of a plant stepped from no demand to a step demand, temperatures from simulate()
+ */
+function stepResponse(plant, { step = 60, interval = 2, count = 600, stepAt = 100 } = {}) {
+  const samples = Array.from({ length: count }, (_, k) => ({
+    timestamp: 1_700_000_000_000 + k * interval * 1000,
+    temperature: plant.ambient,
+    demand: k < stepAt ? 0 : step
+  }));
+  const temperatures = simulate(samples, plant);
+  return samples.map((sample, k) => ({ ...sample, temperature: temperatures[k] }));
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('simulate settles at ambient + gain × demand', () => {
+  const samples = stepResponse(PLANT, { count: 1500 });
+  const last = samples[samples.length - 1].temperature;
+  assertClose(last, PLANT.ambient + PLANT.gain * 60, 0.01, 'final temperature');
+});
+
+test('identifyFopdt recovers a synthetic FOPDT plant', () => {
+  const { model, fit } = identifyFopdt(stepResponse(PLANT));
+
+  assertClose(model.gain, PLANT.gain, 0.005, 'gain');
+  assertClose(model.timeConstant, PLANT.timeConstant, 15, 'time constant');
+  assertClose(model.deadTime, PLANT.deadTime, 4, 'dead time');
+  assertClose(model.ambient, PLANT.ambient, 0.2, 'ambient');
+  assert.equal(fit.verdict, 'good');
+  assert.ok(fit.rmse < 0.05);
+});
+
+test('identifyFopdt refines the dead time between the candidates it tries', () => {
+  // Candidates 13 s apart, the nearest ones are 7 s off the plant's 20 s
+  const { model, fit } = identifyFopdt(stepResponse(PLANT), { maxDeadTime: 1300 });
+
+  assertClose(model.deadTime, PLANT.deadTime, 3, 'dead time');
+  assertClose(model.gain, PLANT.gain, 0.005, 'gain');
+  assertClose(model.timeConstant, PLANT.timeConstant, 15, 'time constant');
+  assert.equal(fit.verdict, 'good');
+});
+
+test('identifyFopdt needs enough samples and a demand change', () => {
+  assert.throws(() => identifyFopdt(stepResponse(PLANT).slice(0, 10)), /at least 20 samples/);
+  assert.throws(() => identifyFopdt(stepResponse(PLANT, { step: 2 })), /hardly change/);
+});
+
+test('identifyFopdt rejects a window whose samples all carry the same time', () => {
+  const samples = stepResponse(PLANT, { interval: 0 });
+  assert.throws(() => identifyFopdt(samples), /no time span/);
+});
+
+test('identifyFopdt rejects a window where demand warms the container', () => {
+  const samples = stepResponse({ ...PLANT, gain: 0.1 });
+  assert.throws(() => identifyFopdt(samples), /warms the container/);
+});
+
+test('identifyFopdt rejects a window where the outputs barely move the temperature', () => {
+  const samples = stepResponse({ ...PLANT, gain: -0.00001 });
+  assert.throws(() => identifyFopdt(samples), /barely move the temperature/);
+});
+
+test('deriveTuning follows the IMC and SIMC rules', () => {
+  const tuning = deriveTuning(PLANT, { setpoint: 20, peltierIds: PELTIER_IDS });
+  const K = 0.15;
+  const tau = 300;
+  const theta = 20;
+  const tc = 30;                    // max(θ, τ/10)
+
+  assert.equal(tuning.closedLoopTime, tc);
+  assert.equal(tuning.settlingTime, theta + 4 * tc);
+
+  const imcKp = (2 * tau + theta) / (K * (2 * tc + theta));
+  assertClose(tuning.gains.imc.kp, imcKp, 1e-9, 'IMC kp');
+  assertClose(tuning.gains.imc.ki, imcKp / (tau + theta / 2), 1e-9, 'IMC ki');
+  assertClose(tuning.gains.imc.kd, imcKp * (tau * theta) / (2 * tau + theta), 1e-9, 'IMC kd');
+
+  const simcKp = tau / (K * (tc + theta));
+  assertClose(tuning.gains.simc.kp, simcKp, 1e-9, 'SIMC kp');
+  assertClose(tuning.gains.simc.ki, simcKp / Math.min(tau, 4 * (tc + theta)), 1e-9, 'SIMC ki');
+  assert.equal(tuning.gains.simc.kd, 0);
+  assert.ok(Object.keys(tuning.proposals.imc).length > 0);
+});
+
+test('deriveTuning works out the demand that holds the setpoint', () => {
+  const { capacity } = deriveTuning(PLANT, { setpoint: 19, peltierIds: PELTIER_IDS });
+
+  assertClose(capacity.requiredDemand, 40, 1e-9, 'required demand');
+  assertClose(capacity.margin, 60, 1e-9, 'margin');
+  assertClose(capacity.lowestReachable, 10, 1e-9, 'lowest reachable');
+  assertClose(capacity.peltiers[0].coolingAtFullDuty, 7.5, 1e-9, 'cooling per Peltier');
+});
+
+test('deriveTuning refuses models it cannot tune from', () => {
+  assert.throws(() => deriveTuning({ ...PLANT, gain: 0.05 }, { setpoint: 20, peltierIds: PELTIER_IDS }), /warms/);
+  assert.throws(() => deriveTuning({ ...PLANT, gain: 0 }, { setpoint: 20, peltierIds: PELTIER_IDS }), /warms/);
+  assert.throws(() => deriveTuning({ ...PLANT, gain: -1e-6 }, { setpoint: 20, peltierIds: PELTIER_IDS }), /barely move/);
+});